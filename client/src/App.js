@@ -114,6 +114,7 @@ function App() {
           <Route path="chat/:sessionId" element={<Chat />} />
           <Route path="onboarding" element={<OnboardingForm />} />
         </Route>
+        <Route path="/public/bot/:configId" element={<PublicChat />} />
         <Route path="/public/:sessionId" element={<PublicChat />} />
         <Route path="*" element={<NotFound />} />
       </Routes>
@@ -25,13 +25,13 @@ import {
   Brightness4, 
   Brightness7,
   Person,
-  Logout,
-  Refresh
+  Logout
 } from '@mui/icons-material';
 import { useTheme } from '../contexts/ThemeContext';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import SessionItem from './SessionItem';
+import { useRealtime } from '../services/realtime';
 
 const drawerWidth = 280;
 
@@ -75,10 +75,10 @@ const Layout = () => {
     navigate('/login');
   };
   
-  // Fetch sessions from API
-  const fetchSessions = async () => {
+  // Fetch sessions from API; quiet fetches update the list without the loading spinner
+  const fetchSessions = async ({ quiet = false } = {}) => {
     try {
-      setLoading(true);
+      if (!quiet) setLoading(true);
       setError('');
       const response = await axios.get('/api/sessions');
       setSessions(response.data.data);
@@ -95,6 +95,26 @@ const Layout = () => {
     fetchSessions();
   }, []);
   
+  // Keep the list current as sessions start, get messages and are deleted
+  useRealtime(currentUser ? localStorage.getItem('token') : null, null, {
+    reconnect: () => fetchSessions({ quiet: true }),
+    // New sessions need their chatbot's name, which only the list endpoint includes
+    'session.created': () => fetchSessions({ quiet: true }),
+    'session.updated': ({ session: changed }) => {
+      setSessions(prev => {
+        if (!prev.some(item => item._id === changed._id)) return prev;
+        return prev
+          .map(item => (item._id === changed._id
+            ? { ...item, status: changed.status, lastActivity: changed.lastActivity }
+            : item))
+          .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+      });
+    },
+    'session.deleted': ({ session: removed }) => {
+      setSessions(prev => prev.filter(item => item._id !== removed._id));
+    }
+  });
+  
   const drawer = (
     <>
       <Toolbar sx={{ justifyContent: 'center' }}>
@@ -113,15 +133,10 @@ const Layout = () => {
           Create Chatbot
         </Button>
       </Box>
-      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', px: 2, py: 1 }}>
+      <Box sx={{ px: 2, py: 1 }}>
         <Typography variant="subtitle2" color="text.secondary">
           Your Chatbots
         </Typography>
-        <Tooltip title="Refresh chatbots">
-          <IconButton size="small" onClick={fetchSessions} disabled={loading}>
-            <Refresh fontSize="small" />
-          </IconButton>
-        </Tooltip>
       </Box>
       <Divider />
       <List sx={{ px: 1, overflow: 'auto', maxHeight: 'calc(100vh - 200px)' }}>
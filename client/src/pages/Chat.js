@@ -11,7 +11,10 @@ import {
   Divider,
   Alert,
   Tooltip,
-  Button
+  Button,
+  Snackbar,
+  Menu,
+  MenuItem
 } from '@mui/material';
 import {
   Send as SendIcon,
@@ -20,15 +23,29 @@ import {
   ArrowBack as ArrowBackIcon,
   Delete as DeleteIcon,
   ContentCopy as CopyIcon,
-  CleaningServices as ClearIcon
+  CleaningServices as ClearIcon,
+  Download as DownloadIcon
 } from '@mui/icons-material';
 import axios from 'axios';
+import { streamMessage } from '../services/api';
+import { useRealtime } from '../services/realtime';
 import { useTheme } from '../contexts/ThemeContext';
 import { useAuth } from '../contexts/AuthContext';
 import ReactMarkdown from 'react-markdown';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { atomDark, prism } from 'react-syntax-highlighter/dist/esm/styles/prism';
 
+// Send a typing update at most this often while the user keeps typing, in milliseconds
+const TYPING_THROTTLE_MS = 3000;
+
+// Formats offered by the Export menu
+const EXPORT_FORMATS = [
+  { format: 'pdf', label: 'PDF' },
+  { format: 'markdown', label: 'Markdown transcript' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'json', label: 'JSON' }
+];
+
 const Chat = () => {
   const { sessionId } = useParams();
   const { theme, mode } = useTheme();
@@ -42,9 +59,72 @@ const Chat = () => {
   const [error, setError] = useState('');
   const [session, setSession] = useState(null);
   const [copied, setCopied] = useState(null);
+  const [remoteTyping, setRemoteTyping] = useState(null);
+  const [notice, setNotice] = useState('');
+  const [exportAnchorEl, setExportAnchorEl] = useState(null);
+  const [exporting, setExporting] = useState(false);
   
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const sendingRef = useRef(false);
+  const typingTimerRef = useRef(null);
+  const lastTypingSentRef = useRef(0);
+  
+  // Messages saved since the page loaded, e.g. after the connection dropped
+  const refreshMessages = async () => {
+    try {
+      const messagesRes = await axios.get(`/api/sessions/${sessionId}/messages`);
+      if (!sendingRef.current) setMessages(messagesRes.data.data);
+    } catch (err) {
+      console.error('Error refreshing messages:', err);
+    }
+  };
+  
+  // Hide the typing indicator when it expires or its sender's message arrives
+  const stopRemoteTyping = () => {
+    clearTimeout(typingTimerRef.current);
+    setRemoteTyping(null);
+  };
+  
+  // Live messages, typing and orders for this session; this tab's own turn arrives with its response
+  const realtime = useRealtime(localStorage.getItem('token'), sessionId ? `session:${sessionId}` : null, {
+    reconnect: refreshMessages,
+    'message.created': ({ message }) => {
+      if (message.role !== 'agent' && sendingRef.current) return;
+      if (message.role !== 'user') stopRemoteTyping();
+      setMessages(prev => (prev.some(msg => msg._id === message._id) ? prev : [...prev, message]));
+    },
+    typing: ({ from, isTyping, expiresIn }) => {
+      if (from === 'user') return;
+      clearTimeout(typingTimerRef.current);
+      if (!isTyping) {
+        setRemoteTyping(null);
+        return;
+      }
+      setRemoteTyping(from);
+      typingTimerRef.current = setTimeout(() => setRemoteTyping(null), expiresIn);
+    },
+    'session.status_changed': ({ status }) => {
+      setSession(prev => (prev ? { ...prev, status } : prev));
+    },
+    'order.created': ({ order }) => {
+      setNotice(`Order placed: ${order.status}`);
+    },
+    'order.status_changed': ({ order }) => {
+      setNotice(`Your order is now ${order.status}`);
+    }
+  });
+  
+  useEffect(() => () => clearTimeout(typingTimerRef.current), []);
+  
+  // Let whoever is watching the session see that the user is typing
+  const handleMessageChange = (e) => {
+    setNewMessage(e.target.value);
+    if (realtime && Date.now() - lastTypingSentRef.current > TYPING_THROTTLE_MS) {
+      lastTypingSentRef.current = Date.now();
+      realtime.sendTyping(sessionId, true);
+    }
+  };
   
   // Fetch session and messages
   useEffect(() => {
@@ -76,7 +156,7 @@ const Chat = () => {
   // Scroll to bottom when messages change
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [messages, remoteTyping]);
   
   // Auto focus input field when component mounts
   useEffect(() => {
@@ -105,9 +185,15 @@ const Chat = () => {
     setMessages(prev => [...prev, userMessage]);
     setNewMessage('');
     setSending(true);
+    sendingRef.current = true;
     setError('');
+    stopRemoteTyping();
+    if (realtime) {
+      lastTypingSentRef.current = 0;
+      realtime.sendTyping(sessionId, false);
+    }
 
-    // Add typing indicator
+    // Add a bot placeholder that shows the typing indicator until the first token arrives
     const typingIndicatorId = `typing-${Date.now()}`;
     setMessages(prev => [
       ...prev,
@@ -115,7 +201,7 @@ const Chat = () => {
         _id: typingIndicatorId,
         sessionId,
         role: 'bot',
-        content: '●●●',
+        content: '',
         isTyping: true,
         timestamp: new Date().toISOString()
       }
@@ -125,39 +211,62 @@ const Chat = () => {
       // Detect language of user message to respond in same language
       const userLanguage = newMessage.trim();
       
-      // Send message to API
-      const res = await axios.post(`/api/sessions/${sessionId}/messages`, {
-        message: newMessage,
-        // Pass detected language to backend
-        language: userLanguage
-      });
-      
-      // Add bot response
-      const botMessage = {
-        _id: res.data.data.messageId,
-        sessionId,
-        role: 'bot',
-        content: res.data.data.reply,
-        timestamp: new Date().toISOString()
-      };
-      
-      // Replace temp message and typing indicator with actual response
-      setMessages(prev => [
-        ...prev.filter(msg => msg._id !== userMessage._id && msg._id !== typingIndicatorId),
+      // Stream the reply, appending tokens to the placeholder as they arrive
+      const result = await streamMessage(
+        `/sessions/${sessionId}/messages/stream`,
         {
-          ...userMessage,
-          _id: `user-${Date.now()}` // Replace temp ID with a more permanent one
+          message: newMessage,
+          // Pass detected language to backend
+          language: userLanguage
         },
-        botMessage
-      ]);
+        (token) => {
+          setMessages(prev => prev.map(msg => (
+            msg._id === typingIndicatorId
+              ? { ...msg, content: msg.content + token, isTyping: false }
+              : msg
+          )));
+        }
+      );
+      
+      // Replace temp IDs with the persisted bot message; while a person is answering the session
+      // there is no bot reply, so the typing indicator goes
+      setMessages(prev => prev.filter(msg => result.reply !== null || msg._id !== typingIndicatorId).map(msg => {
+        if (msg._id === userMessage._id) {
+          return { ...msg, _id: `user-${Date.now()}` }; // Replace temp ID with a more permanent one
+        }
+        if (msg._id === typingIndicatorId) {
+          return {
+            ...msg,
+            _id: result.messageId,
+            content: result.reply,
+            isTyping: false
+          };
+        }
+        return msg;
+      }));
     } catch (err) {
       console.error('Error sending message:', err);
-      setError('Failed to send message. Please try again.');
       
-      // Remove optimistically added message and typing indicator on error
-      setMessages(prev => prev.filter(msg => !msg._id.startsWith('temp-') && !msg._id.startsWith('typing-')));
+      if (err.reply) {
+        // A quota has run out; show the bot's limit message in place of the reply
+        setMessages(prev => prev.map(msg => {
+          if (msg._id === userMessage._id) {
+            return { ...msg, _id: `user-${Date.now()}` };
+          }
+          if (msg._id === typingIndicatorId) {
+            return { ...msg, _id: `limit-${Date.now()}`, content: err.reply, isTyping: false };
+          }
+          return msg;
+        }));
+      } else {
+        setError('Failed to send message. Please try again.');
+        
+        // Remove optimistically added message and typing indicator on error
+        setMessages(prev => prev.filter(msg => !msg._id.startsWith('temp-') && !msg._id.startsWith('typing-')));
+      }
     } finally {
       setSending(false);
+      sendingRef.current = false;
       // Scroll to bottom after message is sent
       setTimeout(() => {
         if (messagesEndRef.current) {
@@ -190,6 +299,34 @@ const Chat = () => {
     }
   };
   
+  // Download the conversation with its metadata in the chosen format
+  const handleExport = async (format) => {
+    setExportAnchorEl(null);
+    try {
+      setExporting(true);
+      const response = await axios.get(`/api/sessions/${sessionId}/export`, {
+        params: { format },
+        responseType: 'blob'
+      });
+      
+      const disposition = response.headers['content-disposition'] || '';
+      const fileName = /filename="?([^";]+)"?/.exec(disposition)?.[1] || `conversation-${sessionId}`;
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting conversation:', err);
+      setError('Failed to export conversation');
+    } finally {
+      setExporting(false);
+    }
+  };
+  
   const handleClearChat = async () => {
     if (window.confirm('Are you sure you want to clear all messages in this conversation? This action cannot be undone.')) {
       try {
@@ -206,6 +343,11 @@ const Chat = () => {
     }
   };
   
+  // Show the bot or agent typing in another tab's turn, or while an agent writes
+  const displayedMessages = remoteTyping && !sending
+    ? [...messages, { _id: 'remote-typing', role: 'bot', content: '', isTyping: true, timestamp: new Date().toISOString() }]
+    : messages;
+  
   if (loading) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
@@ -246,20 +388,44 @@ const Chat = () => {
           </Typography>
         </Box>
         
-        {currentUser && currentUser.role !== 'admin' && (
-          <Box sx={{ display: 'flex', gap: 1 }}>
-            <Tooltip title="Clear chat messages">
-              <IconButton color="primary" onClick={handleClearChat}>
-                <ClearIcon />
-              </IconButton>
-            </Tooltip>
-            <Tooltip title="Delete conversation">
-              <IconButton color="error" onClick={handleDeleteSession}>
-                <DeleteIcon />
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Tooltip title="Export conversation">
+            <span>
+              <IconButton
+                color="primary"
+                onClick={(e) => setExportAnchorEl(e.currentTarget)}
+                disabled={exporting || messages.length === 0}
+              >
+                {exporting ? <CircularProgress size={24} /> : <DownloadIcon />}
               </IconButton>
-            </Tooltip>
-          </Box>
-        )}
+            </span>
+          </Tooltip>
+          <Menu
+            anchorEl={exportAnchorEl}
+            open={Boolean(exportAnchorEl)}
+            onClose={() => setExportAnchorEl(null)}
+          >
+            {EXPORT_FORMATS.map(({ format, label }) => (
+              <MenuItem key={format} onClick={() => handleExport(format)}>
+                {label}
+              </MenuItem>
+            ))}
+          </Menu>
+          {currentUser && currentUser.role !== 'admin' && (
+            <>
+              <Tooltip title="Clear chat messages">
+                <IconButton color="primary" onClick={handleClearChat}>
+                  <ClearIcon />
+                </IconButton>
+              </Tooltip>
+              <Tooltip title="Delete conversation">
+                <IconButton color="error" onClick={handleDeleteSession}>
+                  <DeleteIcon />
+                </IconButton>
+              </Tooltip>
+            </>
+          )}
+        </Box>
       </Box>
       
       {/* Error alert */}
@@ -296,7 +462,7 @@ const Chat = () => {
             </Typography>
           </Box>
         ) : (
-          messages.map((message) => (
+          displayedMessages.map((message) => (
             <Box 
               key={message._id} 
               sx={{
@@ -517,7 +683,7 @@ const Chat = () => {
               placeholder="Type a message..."
               variant="outlined"
               value={newMessage}
-              onChange={(e) => setNewMessage(e.target.value)}
+              onChange={handleMessageChange}
               disabled={sending}
               inputRef={inputRef}
               multiline
@@ -574,6 +740,14 @@ const Chat = () => {
           </Button>
         </Box>
       )}
+
+      <Snackbar
+        open={Boolean(notice)}
+        autoHideDuration={5000}
+        onClose={() => setNotice('')}
+        message={notice}
+        anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+      />
     </Box>
   );
 };
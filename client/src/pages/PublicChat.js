@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { useParams } from 'react-router-dom';
+import { useParams, useNavigate } from 'react-router-dom';
 import {
   Box,
   TextField,
@@ -9,7 +9,8 @@ import {
   Alert,
   IconButton,
   Avatar,
-  Tooltip
+  Tooltip,
+  Snackbar
 } from '@mui/material';
 import SendIcon from '@mui/icons-material/Send';
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
@@ -20,21 +21,124 @@ import ReactMarkdown from 'react-markdown';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { atomDark, prism } from 'react-syntax-highlighter/dist/esm/styles/prism';
 import axios from 'axios';
+import { streamMessage } from '../services/api';
+import { useRealtime } from '../services/realtime';
+
+// Visitor tokens are kept per session, and the session a visitor started per bot
+const tokenKey = (sessionId) => `publicChat:token:${sessionId}`;
+const botSessionKey = (configId) => `publicChat:session:${configId}`;
+
+// Send a typing update at most this often while the visitor keeps typing, in milliseconds
+const TYPING_THROTTLE_MS = 3000;
 
 const PublicChat = () => {
-  const { sessionId } = useParams();
+  const { sessionId, configId } = useParams();
+  const navigate = useNavigate();
   
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
+  const [website, setWebsite] = useState(''); // Honeypot, only bots fill it in
   const [loading, setLoading] = useState(true);
   const [sending, setSending] = useState(false);
   const [error, setError] = useState('');
   const [session, setSession] = useState(null);
   const [copied, setCopied] = useState(null);
   const [mode, setMode] = useState('light'); // Default theme mode
+  const [remoteTyping, setRemoteTyping] = useState(null);
+  const [notice, setNotice] = useState('');
   
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const sendingRef = useRef(false);
+  const typingTimerRef = useRef(null);
+  const lastTypingSentRef = useRef(0);
+  
+  const visitorToken = sessionId ? localStorage.getItem(tokenKey(sessionId)) : null;
+  
+  // Messages saved since the page loaded, e.g. after the connection dropped
+  const refreshMessages = async () => {
+    try {
+      const messagesRes = await axios.get(`/api/sessions/public/${sessionId}/messages`, {
+        headers: { Authorization: `Bearer ${visitorToken}` }
+      });
+      if (!sendingRef.current) setMessages(messagesRes.data.data);
+    } catch (err) {
+      console.error('Error refreshing messages:', err);
+    }
+  };
+  
+  // Hide the typing indicator when it expires or its sender's message arrives
+  const stopRemoteTyping = () => {
+    clearTimeout(typingTimerRef.current);
+    setRemoteTyping(null);
+  };
+  
+  // Live messages, typing and orders for this session; this tab's own turn arrives with its response
+  const realtime = useRealtime(visitorToken, sessionId ? `session:${sessionId}` : null, {
+    reconnect: refreshMessages,
+    'message.created': ({ message }) => {
+      if (message.role !== 'agent' && sendingRef.current) return;
+      if (message.role !== 'user') stopRemoteTyping();
+      setMessages(prev => (prev.some(msg => msg._id === message._id) ? prev : [...prev, message]));
+    },
+    typing: ({ from, isTyping, expiresIn }) => {
+      if (from === 'user') return;
+      clearTimeout(typingTimerRef.current);
+      if (!isTyping) {
+        setRemoteTyping(null);
+        return;
+      }
+      setRemoteTyping(from);
+      typingTimerRef.current = setTimeout(() => setRemoteTyping(null), expiresIn);
+    },
+    'order.created': ({ order }) => {
+      setNotice(`Order placed: ${order.status}`);
+    },
+    'order.status_changed': ({ order }) => {
+      setNotice(`Your order is now ${order.status}`);
+    }
+  });
+  
+  useEffect(() => () => clearTimeout(typingTimerRef.current), []);
+  
+  // Let the agent answering the session see that the visitor is typing
+  const handleMessageChange = (e) => {
+    setNewMessage(e.target.value);
+    if (realtime && Date.now() - lastTypingSentRef.current > TYPING_THROTTLE_MS) {
+      lastTypingSentRef.current = Date.now();
+      realtime.sendTyping(sessionId, true);
+    }
+  };
+  
+  // Opened from a bot link: resume this visitor's session with the bot, or start one
+  useEffect(() => {
+    const startSession = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        
+        const existing = localStorage.getItem(botSessionKey(configId));
+        if (existing && localStorage.getItem(tokenKey(existing))) {
+          navigate(`/public/${existing}`, { replace: true });
+          return;
+        }
+        
+        const res = await axios.post('/api/sessions/public', { configId });
+        const { sessionId: newSessionId, visitorToken: token } = res.data.data;
+        localStorage.setItem(tokenKey(newSessionId), token);
+        localStorage.setItem(botSessionKey(configId), newSessionId);
+        navigate(`/public/${newSessionId}`, { replace: true });
+      } catch (err) {
+        console.error('Error starting chat:', err);
+        setError(err.response?.data?.message || 'Failed to start chat. Please try again.');
+        setLoading(false);
+      }
+    };
+    
+    if (configId) {
+      startSession();
+    }
+  }, [configId, navigate]);
   
   // Fetch session and messages
   useEffect(() => {
@@ -43,30 +147,42 @@ const PublicChat = () => {
         setLoading(true);
         setError('');
         
+        const headers = { Authorization: `Bearer ${visitorToken}` };
+        
         // Fetch session details
-        const sessionRes = await axios.get(`/api/sessions/public/${sessionId}`);
+        const sessionRes = await axios.get(`/api/sessions/public/${sessionId}`, { headers });
         setSession(sessionRes.data.data);
         
         // Fetch messages
-        const messagesRes = await axios.get(`/api/sessions/public/${sessionId}/messages`);
+        const messagesRes = await axios.get(`/api/sessions/public/${sessionId}/messages`, { headers });
         setMessages(messagesRes.data.data);
       } catch (err) {
         console.error('Error fetching data:', err);
-        setError('Failed to load chat. Please try again.');
+        if (err.response?.status === 401) {
+          localStorage.removeItem(tokenKey(sessionId));
+          setError('This chat has expired or belongs to another visitor.');
+        } else {
+          setError('Failed to load chat. Please try again.');
+        }
       } finally {
         setLoading(false);
       }
     };
     
     if (sessionId) {
-      fetchData();
+      if (visitorToken) {
+        fetchData();
+      } else {
+        setError('This chat can only be opened in the browser that started it.');
+        setLoading(false);
+      }
     }
-  }, [sessionId]);
+  }, [sessionId, visitorToken]);
   
   // Scroll to bottom when messages change
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [messages, remoteTyping]);
   
   // Auto focus input field when component mounts
   useEffect(() => {
@@ -95,9 +211,15 @@ const PublicChat = () => {
     setMessages(prev => [...prev, userMessage]);
     setNewMessage('');
     setSending(true);
+    sendingRef.current = true;
     setError('');
+    stopRemoteTyping();
+    if (realtime) {
+      lastTypingSentRef.current = 0;
+      realtime.sendTyping(sessionId, false);
+    }
 
-    // Add typing indicator
+    // Add a bot placeholder that shows the typing indicator until the first token arrives
     const typingIndicatorId = `typing-${Date.now()}`;
     setMessages(prev => [
       ...prev,
@@ -105,7 +227,7 @@ const PublicChat = () => {
         _id: typingIndicatorId,
         sessionId,
         role: 'bot',
-        content: '●●●',
+        content: '',
         isTyping: true,
         timestamp: new Date().toISOString()
       }
@@ -115,39 +237,64 @@ const PublicChat = () => {
       // Detect language of user message to respond in same language
       const userLanguage = newMessage.trim();
       
-      // Send message to API
-      const res = await axios.post(`/api/sessions/public/${sessionId}/messages`, {
-        message: newMessage,
-        // Pass detected language to backend
-        language: userLanguage
-      });
-      
-      // Add bot response
-      const botMessage = {
-        _id: res.data.data.messageId,
-        sessionId,
-        role: 'bot',
-        content: res.data.data.reply,
-        timestamp: new Date().toISOString()
-      };
-      
-      // Replace temp message and typing indicator with actual response
-      setMessages(prev => [
-        ...prev.filter(msg => msg._id !== userMessage._id && msg._id !== typingIndicatorId),
+      // Stream the reply, appending tokens to the placeholder as they arrive
+      const result = await streamMessage(
+        `/sessions/public/${sessionId}/messages/stream`,
         {
-          ...userMessage,
-          _id: `user-${Date.now()}` // Replace temp ID with a more permanent one
+          message: newMessage,
+          // Pass detected language to backend
+          language: userLanguage,
+          website
+        },
+        (token) => {
+          setMessages(prev => prev.map(msg => (
+            msg._id === typingIndicatorId
+              ? { ...msg, content: msg.content + token, isTyping: false }
+              : msg
+          )));
         },
-        botMessage
-      ]);
+        visitorToken
+      );
+      
+      // Replace temp IDs with the persisted bot message; while a person is answering the session
+      // there is no bot reply, so the typing indicator goes
+      setMessages(prev => prev.filter(msg => result.reply !== null || msg._id !== typingIndicatorId).map(msg => {
+        if (msg._id === userMessage._id) {
+          return { ...msg, _id: `user-${Date.now()}` }; // Replace temp ID with a more permanent one
+        }
+        if (msg._id === typingIndicatorId) {
+          return {
+            ...msg,
+            _id: result.messageId,
+            content: result.reply,
+            isTyping: false
+          };
+        }
+        return msg;
+      }));
     } catch (err) {
       console.error('Error sending message:', err);
-      setError('Failed to send message. Please try again.');
       
-      // Remove optimistically added message and typing indicator on error
-      setMessages(prev => prev.filter(msg => !msg._id.startsWith('temp-') && !msg._id.startsWith('typing-')));
+      if (err.reply) {
+        // A quota has run out; show the bot's limit message in place of the reply
+        setMessages(prev => prev.map(msg => {
+          if (msg._id === userMessage._id) {
+            return { ...msg, _id: `user-${Date.now()}` };
+          }
+          if (msg._id === typingIndicatorId) {
+            return { ...msg, _id: `limit-${Date.now()}`, content: err.reply, isTyping: false };
+          }
+          return msg;
+        }));
+      } else {
+        setError('Failed to send message. Please try again.');
+        
+        // Remove optimistically added message and typing indicator on error
+        setMessages(prev => prev.filter(msg => !msg._id.startsWith('temp-') && !msg._id.startsWith('typing-')));
+      }
     } finally {
       setSending(false);
+      sendingRef.current = false;
       // Scroll to bottom after message is sent
       setTimeout(() => {
         if (messagesEndRef.current) {
@@ -191,6 +338,11 @@ const PublicChat = () => {
     }
   };
   
+  // Show the bot or agent typing while the visitor waits
+  const displayedMessages = remoteTyping && !sending
+    ? [...messages, { _id: 'remote-typing', role: 'bot', content: '', isTyping: true, timestamp: new Date().toISOString() }]
+    : messages;
+  
   if (loading) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
@@ -257,7 +409,7 @@ const PublicChat = () => {
             </Typography>
           </Box>
         ) : (
-          messages.map((message) => (
+          displayedMessages.map((message) => (
             <Box 
               key={message._id} 
               sx={{
@@ -470,13 +622,25 @@ const PublicChat = () => {
         backgroundColor: theme.palette.background.paper
       }}>
         <form onSubmit={handleSendMessage}>
+          {/* Honeypot: hidden from people, so a value means a bot filled in the form */}
+          <Box
+            component="input"
+            name="website"
+            type="text"
+            tabIndex={-1}
+            autoComplete="off"
+            aria-hidden="true"
+            value={website}
+            onChange={(e) => setWebsite(e.target.value)}
+            sx={{ position: 'absolute', left: '-10000px', width: '1px', height: '1px', opacity: 0 }}
+          />
           <Box sx={{ display: 'flex', alignItems: 'center' }}>
             <TextField
               fullWidth
               placeholder="Type a message..."
               variant="outlined"
               value={newMessage}
-              onChange={(e) => setNewMessage(e.target.value)}
+              onChange={handleMessageChange}
               disabled={sending}
               inputRef={inputRef}
               multiline
@@ -513,6 +677,14 @@ const PublicChat = () => {
           </Box>
         </form>
       </Box>
+
+      <Snackbar
+        open={Boolean(notice)}
+        autoHideDuration={5000}
+        onClose={() => setNotice('')}
+        message={notice}
+        anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+      />
     </Box>
   );
 };
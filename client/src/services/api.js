@@ -53,11 +53,94 @@ export const sessionsAPI = {
   deleteSession: (sessionId) => api.delete(`/sessions/${sessionId}`),
 };
 
+// Parse a single Server-Sent Event block into its event name and JSON data
+const parseSSEEvent = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+  return { event, data: JSON.parse(dataLines.join('\n')) };
+};
+
+/**
+ * POST to a streaming endpoint and read its Server-Sent Events.
+ * axios cannot read response streams in the browser, so this uses fetch.
+ * @param {string} url - API path, relative to /api
+ * @param {Object} body - JSON request body
+ * @param {Function} onToken - Called with each content delta as it arrives
+ * @param {string} authToken - Bearer token to send instead of the logged-in user's, e.g. a visitor token
+ * @returns {Promise<Object>} - The `done` event payload ({ messageId, reply, model, usage })
+ * @throws {Error} - With status and, for quota refusals, the bot's limit message as reply
+ */
+export const streamMessage = async (url, body, onToken, authToken) => {
+  const token = authToken || localStorage.getItem('token');
+  const response = await fetch(`/api${url}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.message || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    // Quota refusals carry a reply meant for the user
+    error.reply = errorData.reply;
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      const parsed = parseSSEEvent(block);
+      if (!parsed) continue;
+
+      if (parsed.event === 'token') {
+        onToken(parsed.data.content);
+      } else if (parsed.event === 'done') {
+        result = parsed.data;
+      } else if (parsed.event === 'error') {
+        throw new Error(parsed.data.message);
+      }
+    }
+  }
+
+  if (!result) {
+    throw new Error('Stream ended before the reply was complete');
+  }
+
+  return result;
+};
+
 // Messages API
 export const messagesAPI = {
   getMessages: (sessionId) => api.get(`/sessions/${sessionId}/messages`),
   sendMessage: (sessionId, message) => 
     api.post(`/sessions/${sessionId}/messages`, { message }),
+  streamMessage: (sessionId, message, onToken) =>
+    streamMessage(`/sessions/${sessionId}/messages/stream`, { message }, onToken),
 };
 
 // Configs API
@@ -0,0 +1,155 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Wait before each reconnect attempt, in milliseconds; the last delay repeats
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+// One shared connection per token, so the layout and a chat page do not open two sockets
+const connections = new Map();
+
+/**
+ * Open a WebSocket to the server's real-time updates that reconnects by itself and
+ * rejoins its rooms. Emits the server's events plus `reconnect` after a dropped
+ * connection comes back, when anything missed in between should be fetched again.
+ * @param {string} token - The user's JWT or a visitor token
+ * @returns {Object} - { on, subscribe, unsubscribe, sendTyping, release }
+ */
+const createConnection = (token) => {
+  const listeners = new Set();
+  // Room name -> how many components asked for it
+  const rooms = new Map();
+  let socket = null;
+  let attempts = 0;
+  let connectedBefore = false;
+  let reconnectTimer = null;
+  let users = 0;
+
+  const emit = (event, data) => {
+    listeners.forEach((listener) => listener(event, data));
+  };
+
+  const send = (payload) => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(payload));
+    }
+  };
+
+  const open = () => {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    socket = new WebSocket(`${protocol}//${window.location.host}/api/realtime?token=${encodeURIComponent(token)}`);
+
+    socket.onopen = () => {
+      attempts = 0;
+      rooms.forEach((count, room) => send({ type: 'subscribe', room }));
+      if (connectedBefore) emit('reconnect', {});
+      connectedBefore = true;
+    };
+
+    socket.onmessage = (e) => {
+      try {
+        const { event, data } = JSON.parse(e.data);
+        emit(event, data);
+      } catch (err) {
+        console.error('Error reading real-time update:', err);
+      }
+    };
+
+    socket.onclose = () => {
+      socket = null;
+      if (users === 0) return;
+      const delay = RECONNECT_DELAYS[Math.min(attempts, RECONNECT_DELAYS.length - 1)];
+      attempts += 1;
+      reconnectTimer = setTimeout(open, delay);
+    };
+  };
+
+  const connection = {
+    // Listen to every event; returns a function that stops listening
+    on: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    subscribe: (room) => {
+      rooms.set(room, (rooms.get(room) || 0) + 1);
+      if (rooms.get(room) === 1) send({ type: 'subscribe', room });
+    },
+
+    unsubscribe: (room) => {
+      const count = (rooms.get(room) || 0) - 1;
+      if (count > 0) {
+        rooms.set(room, count);
+        return;
+      }
+      rooms.delete(room);
+      send({ type: 'unsubscribe', room });
+    },
+
+    sendTyping: (sessionId, isTyping) => {
+      send({ type: 'typing', sessionId, isTyping });
+    },
+
+    retain: () => {
+      users += 1;
+    },
+
+    // Close the socket once no component uses the connection
+    release: () => {
+      users -= 1;
+      if (users > 0) return;
+      clearTimeout(reconnectTimer);
+      connections.delete(token);
+      if (socket) socket.close();
+    }
+  };
+
+  open();
+  return connection;
+};
+
+/**
+ * Get the shared connection for a token, opening it if needed; call release() when done
+ * @param {string} token - The user's JWT or a visitor token
+ * @returns {Object} - The connection
+ */
+export const connectRealtime = (token) => {
+  if (!connections.has(token)) {
+    connections.set(token, createConnection(token));
+  }
+  const connection = connections.get(token);
+  connection.retain();
+  return connection;
+};
+
+/**
+ * Receive real-time updates in a component while it is mounted
+ * @param {string} token - The user's JWT or a visitor token; nothing connects without one
+ * @param {string} room - A room to join, e.g. session:<id>, or null for the connection's own rooms
+ * @param {Object} handlers - Event name -> function called with the event's data
+ * @returns {Object|null} - The connection, e.g. for sendTyping, once connected
+ */
+export const useRealtime = (token, room, handlers) => {
+  const [connection, setConnection] = useState(null);
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!token) return undefined;
+
+    const conn = connectRealtime(token);
+    const stopListening = conn.on((event, data) => {
+      const handler = handlersRef.current[event];
+      if (handler) handler(data);
+    });
+    if (room) conn.subscribe(room);
+    setConnection(conn);
+
+    return () => {
+      stopListening();
+      if (room) conn.unsubscribe(room);
+      conn.release();
+      setConnection(null);
+    };
+  }, [token, room]);
+
+  return connection;
+};
@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const apiKeyManager = require('../utils/apiKeyManager');
+const visitorAuth = require('../utils/visitorAuth');
 
 /**
  * Middleware to protect routes that require authentication
@@ -61,4 +64,136 @@ exports.authorize = (...roles) => {
     }
     next();
   };
-};
\ No newline at end of file
+};
+
+/**
+ * Middleware for routes that integrations may call with an API key instead of a user JWT.
+ * Keys need the given scope and act only for their own configuration (see canAccessConfig);
+ * requests without a key go through protect and, if roles are given, authorize.
+ * @param {string} scope - Scope the API key must have
+ * @param {...string} roles - Roles allowed when a user JWT is used
+ */
+exports.protectWithApiKey = (scope, ...roles) => {
+  const authorizeUser = roles.length > 0 ? exports.authorize(...roles) : (req, res, next) => next();
+
+  return async (req, res, next) => {
+    const key = apiKeyManager.extractKey(req);
+    if (!key) {
+      return exports.protect(req, res, () => authorizeUser(req, res, next));
+    }
+
+    try {
+      const apiKey = await apiKeyManager.authenticate(key);
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid, expired or revoked API key',
+        });
+      }
+
+      if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({
+          success: false,
+          message: `This API key does not have the ${scope} scope`,
+        });
+      }
+
+      apiKeyManager.recordUse(apiKey, req.ip);
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Whether the request may act for a configuration: always for users, only its own for API keys
+ * @param {Object} req - Express request
+ * @param {string} configId - Configuration (bot) ID
+ * @returns {boolean}
+ */
+exports.canAccessConfig = (req, configId) => {
+  return !req.apiKey || String(req.apiKey.configId) === String(configId);
+};
+
+
+/**
+ * Middleware for an anonymous visitor's own session: needs the visitor token issued
+ * with the session (Authorization: Bearer) and a :sessionId it was issued for.
+ * Sets req.visitorSession.
+ */
+exports.protectVisitor = async (req, res, next) => {
+  const authorization = req.get('authorization') || '';
+  const token = authorization.startsWith('Bearer') ? authorization.split(' ')[1] : null;
+  const visitor = token ? visitorAuth.verify(token) : null;
+
+  if (!visitor || visitor.sessionId !== req.params.sessionId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this session',
+    });
+  }
+
+  try {
+    const session = await Session.findById(visitor.sessionId);
+    if (!session || session.userId !== visitor.visitorId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this session',
+      });
+    }
+
+    req.visitorSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware for routes on one session (:sessionId) that its visitor, its owner or an
+ * integration may call: a visitor token issued for the session, a user JWT of the user who
+ * owns it (admins may act on any session), or an API key with the scope for the session's
+ * configuration. Sets req.chatSession; an unknown session is left for the route to answer 404.
+ * @param {string} scope - Scope an API key must have
+ */
+exports.protectSession = (scope) => {
+  const protectUserOrKey = exports.protectWithApiKey(scope);
+
+  return (req, res, next) => {
+    const authorization = req.get('authorization') || '';
+    const token = authorization.startsWith('Bearer') ? authorization.split(' ')[1] : null;
+
+    if (token && visitorAuth.verify(token)) {
+      return exports.protectVisitor(req, res, () => {
+        req.chatSession = req.visitorSession;
+        next();
+      });
+    }
+
+    protectUserOrKey(req, res, async () => {
+      try {
+        const session = await Session.findById(req.params.sessionId);
+        if (!session) {
+          return next();
+        }
+
+        const allowed = req.apiKey
+          ? exports.canAccessConfig(req, session.configId)
+          : String(session.userId) === String(req.user._id) || req.user.role === 'admin';
+        if (!allowed) {
+          return res.status(401).json({
+            success: false,
+            message: 'Not authorized to access this session',
+          });
+        }
+
+        req.chatSession = session;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    });
+  };
+};
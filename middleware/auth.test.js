@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const memoryModel = require('../test/memoryModel');
+
+// The inventory routes read the product model from the global when they are loaded
+global.InventoryProduct = memoryModel();
+
+const ApiKey = require('../models/ApiKey');
+const Config = require('../models/Config');
+const { errorHandler } = require('./errorHandler');
+const webhookRoutes = require('../routes/webhookRoutes');
+const adminInventoryRoutes = require('../routes/adminInventoryRoutes');
+
+const OWN_CONFIG = '65a000000000000000000001';
+const OTHER_CONFIG = '65a000000000000000000002';
+
+const app = express();
+app.use(express.json());
+app.use('/api/webhook', webhookRoutes);
+app.use('/api/admin/inventory', adminInventoryRoutes);
+app.use(errorHandler);
+
+// Raw key -> stored key document
+const keys = {
+  cbk_chat: { _id: 'k-chat', configId: OWN_CONFIG, scopes: ['chat'] },
+  cbk_reader: { _id: 'k-reader', configId: OWN_CONFIG, scopes: ['inventory:read'] },
+  cbk_revoked: { _id: 'k-revoked', configId: OWN_CONFIG, scopes: ['chat', 'inventory:read'], revokedAt: new Date() }
+};
+const byHash = new Map(Object.entries(keys).map(([key, doc]) => [crypto.createHash('sha256').update(key).digest('hex'), doc]));
+
+beforeEach(async () => {
+  jest.spyOn(ApiKey, 'findOne').mockImplementation(async ({ keyHash }) => byHash.get(keyHash) || null);
+  jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({});
+  jest.spyOn(Config, 'findOne').mockImplementation(async ({ _id }) => ({ _id }));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  global.InventoryProduct.docs.length = 0;
+  await global.InventoryProduct.create({ botId: OWN_CONFIG, sku: 'BULB-9W', productName: 'LED Bulb 9W', availableStock: 4 });
+  await global.InventoryProduct.create({ botId: OTHER_CONFIG, sku: 'FAN-48', productName: 'Ceiling Fan', availableStock: 2 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  delete global.InventoryProduct;
+});
+
+describe('API key authentication', () => {
+  it('refuses requests without a key or user token', async () => {
+    const res = await request(app).get(`/api/admin/inventory/list/${OWN_CONFIG}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('refuses unknown and revoked keys', async () => {
+    const unknown = await request(app).get(`/api/admin/inventory/list/${OWN_CONFIG}`).set('X-API-Key', 'cbk_unknown');
+    const revoked = await request(app).get(`/api/admin/inventory/list/${OWN_CONFIG}`).set('X-API-Key', 'cbk_revoked');
+
+    expect(unknown.status).toBe(401);
+    expect(revoked.status).toBe(401);
+    expect(revoked.body.message).toBe('Invalid, expired or revoked API key');
+  });
+
+  it('accepts a key sent as a Bearer token and records its use', async () => {
+    const res = await request(app).get(`/api/admin/inventory/list/${OWN_CONFIG}`).set('Authorization', 'Bearer cbk_reader');
+
+    expect(res.status).toBe(200);
+    expect(ApiKey.updateOne).toHaveBeenCalledWith(
+      { _id: 'k-reader' },
+      { $set: { lastUsedAt: expect.any(Date), lastUsedIp: expect.any(String) } }
+    );
+  });
+});
+
+describe('API key scopes', () => {
+  it('lets a key use the routes its scopes cover', async () => {
+    const res = await request(app).get(`/api/admin/inventory/list/${OWN_CONFIG}`).set('X-API-Key', 'cbk_reader');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(product => product.sku)).toEqual(['BULB-9W']);
+  });
+
+  it('refuses routes that need a scope the key does not have', async () => {
+    const write = await request(app)
+      .post('/api/admin/inventory/add')
+      .set('X-API-Key', 'cbk_reader')
+      .send({ botId: OWN_CONFIG, productName: 'Switch', sku: 'SW-1', availableStock: 5 });
+    const chat = await request(app).get(`/api/admin/inventory/list/${OWN_CONFIG}`).set('X-API-Key', 'cbk_chat');
+
+    expect(write.status).toBe(403);
+    expect(write.body.message).toBe('This API key does not have the inventory:write scope');
+    expect(chat.status).toBe(403);
+    expect(chat.body.message).toBe('This API key does not have the inventory:read scope');
+  });
+});
+
+describe('per-configuration access', () => {
+  it("refuses another configuration's inventory", async () => {
+    const res = await request(app).get(`/api/admin/inventory/list/${OTHER_CONFIG}`).set('X-API-Key', 'cbk_reader');
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe(`This API key cannot access bot ${OTHER_CONFIG}`);
+  });
+
+  it('refuses chat messages for another configuration', async () => {
+    const res = await request(app)
+      .post('/api/webhook')
+      .set('X-API-Key', 'cbk_chat')
+      .send({ configId: OTHER_CONFIG, userId: 'customer-1', message: 'hi' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe(`This API key cannot access configuration ${OTHER_CONFIG}`);
+  });
+
+  it("uses the key's own configuration when the webhook leaves configId out", async () => {
+    const findById = jest.spyOn(Config, 'findById').mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/api/webhook')
+      .set('X-API-Key', 'cbk_chat')
+      .send({ userId: 'customer-1', message: 'hi' });
+
+    expect(findById).toHaveBeenCalledWith(OWN_CONFIG);
+    expect(res.status).toBe(404);
+  });
+});
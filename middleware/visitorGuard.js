@@ -0,0 +1,75 @@
+const rateLimit = require('express-rate-limit');
+
+// User agents of crawlers, scripts and headless browsers, which have no business chatting with a bot
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|curl|wget|python-requests|httpclient|okhttp|headless|phantomjs|scrapy/i;
+
+const maxMessageLength = parseInt(process.env.VISITOR_MAX_MESSAGE_LENGTH, 10) || 2000;
+
+/**
+ * Refuse requests from anonymous visitors that look automated: no or a bot-like
+ * User-Agent, or a filled-in honeypot field (`website`, hidden from people in the chat form)
+ */
+exports.blockBots = (req, res, next) => {
+  const userAgent = req.get('user-agent') || '';
+
+  if (!userAgent || BOT_USER_AGENT.test(userAgent) || (req.body && req.body.website)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Automated requests are not allowed',
+    });
+  }
+
+  next();
+};
+
+/**
+ * Limit how many anonymous sessions one IP address can start
+ */
+exports.visitorSessionLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.VISITOR_SESSIONS_PER_HOUR, 10) || 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many chats started from this IP, please try again later',
+  },
+});
+
+/**
+ * Limit how many messages one visitor can send; must run after protectVisitor
+ */
+exports.visitorMessageLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.VISITOR_MESSAGES_PER_MINUTE, 10) || 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.visitorSession.userId,
+  message: {
+    success: false,
+    message: 'You are sending messages too quickly, please wait a moment',
+  },
+});
+
+/**
+ * Refuse visitor messages that are missing or longer than VISITOR_MAX_MESSAGE_LENGTH
+ */
+exports.checkVisitorMessage = (req, res, next) => {
+  const { message } = req.body;
+
+  if (typeof message !== 'string' || !message.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a message',
+    });
+  }
+
+  if (message.length > maxMessageLength) {
+    return res.status(400).json({
+      success: false,
+      message: `Messages cannot be longer than ${maxMessageLength} characters`,
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// What a key may be used for
+const API_KEY_SCOPES = ['chat', 'inventory:read', 'inventory:write', 'orders'];
+
+const ApiKeySchema = new mongoose.Schema(
+  {
+    configId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Config',
+      required: [true, 'Please provide a configuration ID'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide a name for the API key'],
+      trim: true,
+      maxlength: [100, 'Name cannot be more than 100 characters'],
+    },
+    // Start of the key, shown so keys can be told apart without storing them
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the key; the key itself is only shown when it is created
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [String],
+      validate: [
+        {
+          validator: (scopes) => scopes.length > 0,
+          message: 'Please give the API key at least one scope',
+        },
+        {
+          validator: (scopes) => scopes.every(scope => API_KEY_SCOPES.includes(scope)),
+          message: `Scopes must be one of ${API_KEY_SCOPES.join(', ')}`,
+        },
+      ],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    expiresAt: Date,
+    revokedAt: Date,
+    // The key this one replaced, for rotated keys
+    rotatedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+  },
+  { timestamps: true }
+);
+
+ApiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+// Never return the hash, even from a document that has just been created
+ApiKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  },
+});
+
+// Create indexes for faster queries
+ApiKeySchema.index({ configId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
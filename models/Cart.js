@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const CartItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductInventory',
+    required: [true, 'Product ID is required']
+  },
+  sku: {
+    type: String,
+    required: [true, 'SKU is required'],
+    trim: true
+  },
+  productName: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true
+  },
+  qty: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  unit: {
+    type: String,
+    default: 'pcs',
+    trim: true
+  }
+}, { _id: false });
+
+const CartSchema = new mongoose.Schema({
+  botId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Config',
+    required: [true, 'Bot ID is required']
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: [true, 'Session ID is required']
+  },
+  userId: {
+    type: String,
+    trim: true
+  },
+  items: {
+    type: [CartItemSchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One open cart per session
+CartSchema.index({ sessionId: 1 }, { unique: true });
+
+// Abandoned carts are removed after 7 days without changes
+CartSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Update the updatedAt timestamp before saving
+CartSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Cart', CartSchema);
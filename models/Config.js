@@ -1,5 +1,38 @@
 const mongoose = require('mongoose');
 
+// Providers are registered at startup, so the registry is required lazily
+const isRegisteredProvider = (value) => require('../utils/providerRegistry').has(value);
+
+// A provider to try when the ones before it in the chain fail
+const FallbackProviderSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      required: [true, 'Please provide the fallback provider'],
+      validate: {
+        validator: isRegisteredProvider,
+        message: (props) => `${props.value} is not a registered AI provider`,
+      },
+    },
+    model: {
+      type: String,
+      trim: true,
+    },
+    baseUrl: {
+      type: String,
+      trim: true,
+      match: [/^https?:\/\/\S+$/, 'Please provide a valid http(s) base URL'],
+    },
+    apiKey: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
 const ConfigSchema = new mongoose.Schema(
   {
     name: {
@@ -49,6 +82,14 @@ const ConfigSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    knowledge: {
+      topK: {
+        type: Number,
+        min: 1,
+        max: 20,
+        default: 4,
+      },
+    },
     projectId: {
       type: String,
       trim: true,
@@ -74,6 +115,113 @@ const ConfigSchema = new mongoose.Schema(
       type: [String],
       default: ['web'],
     },
+    // Anonymous visitors may start their own sessions (POST /api/sessions/public, /public/bot/:configId in the client)
+    public: {
+      type: Boolean,
+      default: false,
+    },
+    // Handing conversations to people in the agent inbox
+    handoff: {
+      // Users asking for a person and unsure bot replies hand the session off; agents can always take over
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Bot replies in a row that do not answer the user before handing off; 0 never hands off for this
+      unsureReplies: {
+        type: Number,
+        min: [0, 'Unsure replies cannot be negative'],
+        default: 2,
+      },
+    },
+    // Website chat widget (GET /widget.js); only the listed origins may embed it
+    widget: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // e.g. https://shop.example.com, or * for any site
+      allowedOrigins: {
+        type: [String],
+        default: [],
+        validate: {
+          validator: (origins) => origins.every(origin => origin === '*' || /^https?:\/\/[^/\s]+$/.test(origin)),
+          message: 'Allowed origins must look like https://example.com (no path) or be *',
+        },
+      },
+      theme: {
+        primaryColor: {
+          type: String,
+          trim: true,
+          match: [/^#[0-9a-fA-F]{6}$/, 'Please provide the primary colour as #RRGGBB'],
+          default: '#1976d2',
+        },
+        position: {
+          type: String,
+          enum: ['bottom-right', 'bottom-left'],
+          default: 'bottom-right',
+        },
+        title: {
+          type: String,
+          trim: true,
+          maxlength: [60, 'Widget title cannot be more than 60 characters'],
+        },
+        greeting: {
+          type: String,
+          trim: true,
+          maxlength: [500, 'Widget greeting cannot be more than 500 characters'],
+        },
+        placeholder: {
+          type: String,
+          trim: true,
+          maxlength: [100, 'Widget placeholder cannot be more than 100 characters'],
+        },
+      },
+    },
+    // Credentials of the messaging channels the bot answers on (see "channels"); secrets are never returned by the API
+    channelSettings: {
+      whatsapp: {
+        phoneNumberId: {
+          type: String,
+          trim: true,
+        },
+        accessToken: {
+          type: String,
+          trim: true,
+        },
+        // App secret that signs webhook payloads
+        appSecret: {
+          type: String,
+          trim: true,
+        },
+        // Token entered in the Meta app dashboard when subscribing the webhook
+        verifyToken: {
+          type: String,
+          trim: true,
+        },
+      },
+      telegram: {
+        botToken: {
+          type: String,
+          trim: true,
+        },
+        // secret_token passed to setWebhook, sent back with every update
+        secretToken: {
+          type: String,
+          trim: true,
+        },
+      },
+      slack: {
+        botToken: {
+          type: String,
+          trim: true,
+        },
+        signingSecret: {
+          type: String,
+          trim: true,
+        },
+      },
+    },
     integrations: {
       type: [String],
       default: [],
@@ -89,17 +237,77 @@ const ConfigSchema = new mongoose.Schema(
         trim: true,
         default: 'I want to order {quantity} {unit} of {product}.'
       },
+      // Other bots whose product catalogs this bot may also read
+      sharedCatalogs: {
+        type: [mongoose.Schema.Types.ObjectId],
+        ref: 'Config',
+        default: [],
+      },
+      // Per-locale overrides of the inventory reply templates, e.g. { hi: { outOfStock: '...' } }
+      messages: {
+        type: Map,
+        of: {
+          type: Map,
+          of: String,
+        },
+        default: undefined,
+      },
+    },
+    // Usage limits, counted from bot replies; leave a quota unset for no limit
+    quotas: {
+      // Bot replies each user may get per UTC day
+      messagesPerUserPerDay: {
+        type: Number,
+        min: [1, 'Messages per user per day must be at least 1'],
+      },
+      // Prompt and completion tokens per calendar month (UTC)
+      tokensPerMonth: {
+        type: Number,
+        min: [1, 'Tokens per month must be at least 1'],
+      },
+      // Hard cap on the estimated cost per calendar month, in the pricing table's currency
+      monthlySpendLimit: {
+        type: Number,
+        min: [0, 'Monthly spend limit cannot be negative'],
+      },
+      // Shown to the user instead of a reply once a quota has run out
+      limitMessage: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Limit message cannot be more than 500 characters'],
+      },
     },
     ai: {
       provider: {
         type: String,
-        enum: ['mistral', 'openai'],
+        lowercase: true,
+        trim: true,
         default: 'mistral',
+        validate: {
+          validator: isRegisteredProvider,
+          message: (props) => `${props.value} is not a registered AI provider`,
+        },
       },
       model: {
         type: String,
         default: 'mistral-small',
       },
+      // Base URL of the provider's API, e.g. a self-hosted Ollama or llama.cpp server
+      baseUrl: {
+        type: String,
+        trim: true,
+        match: [/^https?:\/\/\S+$/, 'Please provide a valid http(s) base URL'],
+      },
+      // Credentials for this bot only; never returned by the API
+      apiKey: {
+        type: String,
+        trim: true,
+      },
+      // Tried in order when the provider above fails or its circuit is open
+      fallbacks: {
+        type: [FallbackProviderSchema],
+        default: [],
+      },
       temperature: {
         type: Number,
         min: 0,
@@ -112,9 +320,114 @@ const ConfigSchema = new mongoose.Schema(
         max: 4096,
         default: 1000,
       },
+      // Model context window in tokens; when unset it is looked up from the model name
+      contextWindow: {
+        type: Number,
+        min: [1024, 'Context window must be at least 1024 tokens'],
+      },
     },
   },
   { timestamps: true }
 );
 
+// Replace secrets with a flag in API responses, e.g. apiKey becomes hasApiKey: true
+const maskSecrets = (settings, fields = ['apiKey']) => {
+  fields.forEach((field) => {
+    if (settings && settings[field]) {
+      delete settings[field];
+      settings[`has${field.charAt(0).toUpperCase()}${field.slice(1)}`] = true;
+    }
+  });
+};
+
+const CHANNEL_SECRETS = {
+  whatsapp: ['accessToken', 'appSecret', 'verifyToken'],
+  telegram: ['botToken', 'secretToken'],
+  slack: ['botToken', 'signingSecret'],
+};
+
+ConfigSchema.set('toJSON', {
+  flattenMaps: true,
+  transform: (doc, ret) => {
+    maskSecrets(ret.ai);
+    (ret.ai?.fallbacks || []).forEach((fallback) => maskSecrets(fallback));
+    Object.entries(CHANNEL_SECRETS).forEach(([channel, fields]) => maskSecrets(ret.channelSettings?.[channel], fields));
+    return ret;
+  },
+});
+
+// Fields the API sets itself or only reports
+const READ_ONLY_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+/**
+ * Turn an API update into a $set of dotted paths, so nested settings are merged instead of
+ * replaced and secrets that were not sent (the API only shows them as hasApiKey and the
+ * like) are kept. Arrays are replaced; fallbacks keep the apiKey of the stored fallback at
+ * the same position when it is for the same provider and no new key is sent.
+ * @param {Object} body - The request body
+ * @param {Object} current - The stored configuration
+ * @returns {Object} - The $set update
+ */
+ConfigSchema.statics.buildUpdate = function (body, current) {
+  const update = {};
+
+  const flatten = (value, path) => {
+    Object.entries(value).forEach(([key, child]) => {
+      // Masked secrets come back as hasApiKey, hasBotToken, ...
+      if (/^has[A-Z]/.test(key) || (!path && READ_ONLY_FIELDS.includes(key))) return;
+
+      const childPath = path ? `${path}.${key}` : key;
+      if (isPlainObject(child)) {
+        flatten(child, childPath);
+      } else {
+        update[childPath] = child;
+      }
+    });
+  };
+  flatten(body || {}, '');
+
+  if (Array.isArray(update['ai.fallbacks'])) {
+    const stored = current?.ai?.fallbacks || [];
+    update['ai.fallbacks'] = update['ai.fallbacks'].map((fallback, index) => {
+      const { hasApiKey, ...rest } = isPlainObject(fallback) ? fallback : {};
+      const previous = stored[index];
+      if (rest.apiKey === undefined && previous?.apiKey && previous.provider === String(rest.provider || '').toLowerCase()) {
+        rest.apiKey = previous.apiKey;
+      }
+      return rest;
+    });
+  }
+
+  return update;
+};
+
+// Every baseUrl inside a value, however deeply it is nested
+const baseUrlsIn = (value) => {
+  if (Array.isArray(value)) return value.flatMap(baseUrlsIn);
+  if (!isPlainObject(value)) return [];
+  return Object.entries(value).flatMap(([key, child]) => (key === 'baseUrl' ? [child] : baseUrlsIn(child)));
+};
+
+/**
+ * Whether an API create or update points the bot's AI requests at a base URL it does not
+ * already use; only admins may do that, as the server then calls that URL.
+ * The check runs on the flattened update, so dotted keys such as "ai.baseUrl" or
+ * "fallbacks.0.baseUrl" inside ai are caught as well as nested objects.
+ * @param {Object} body - The request body
+ * @param {Object} current - The stored configuration, or null when creating one
+ * @returns {boolean}
+ */
+ConfigSchema.statics.setsNewBaseUrl = function (body, current) {
+  const stored = [current?.ai?.baseUrl, ...(current?.ai?.fallbacks || []).map(fallback => fallback.baseUrl)];
+  const sent = Object.entries(this.buildUpdate(body, current)).flatMap(([path, value]) => {
+    if (path === 'ai.baseUrl' || (path.startsWith('ai.fallbacks') && path.endsWith('.baseUrl'))) return [value];
+    if (path.startsWith('ai.fallbacks')) return baseUrlsIn(value);
+    return [];
+  });
+
+  return sent.some(url => url && !stored.includes(String(url).trim()));
+};
+
 module.exports = mongoose.model('Config', ConfigSchema);
\ No newline at end of file
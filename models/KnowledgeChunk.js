@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const KnowledgeChunkSchema = new mongoose.Schema({
+  configId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Config',
+    required: [true, 'Please provide a configuration ID'],
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeDocument',
+    required: [true, 'Please provide a document ID'],
+  },
+  index: {
+    type: Number,
+    required: [true, 'Please provide the chunk index'],
+    min: 0,
+  },
+  text: {
+    type: String,
+    required: [true, 'Chunk text cannot be empty'],
+  },
+  // Normalised search terms used for BM25 scoring
+  terms: {
+    type: [String],
+    default: [],
+  },
+});
+
+// Create indexes for faster queries
+KnowledgeChunkSchema.index({ configId: 1 });
+KnowledgeChunkSchema.index({ documentId: 1, index: 1 });
+
+module.exports = mongoose.model('KnowledgeChunk', KnowledgeChunkSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const KnowledgeDocumentSchema = new mongoose.Schema(
+  {
+    configId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Config',
+      required: [true, 'Please provide a configuration ID'],
+    },
+    fileName: {
+      type: String,
+      required: [true, 'Please provide a file name'],
+      trim: true,
+    },
+    originalName: {
+      type: String,
+      trim: true,
+    },
+    filePath: {
+      type: String,
+      trim: true,
+    },
+    fileSize: {
+      type: Number,
+      default: 0,
+    },
+    characterCount: {
+      type: Number,
+      default: 0,
+    },
+    chunkCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// Create indexes for faster queries
+KnowledgeDocumentSchema.index({ configId: 1, createdAt: -1 });
+KnowledgeDocumentSchema.index({ configId: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('KnowledgeDocument', KnowledgeDocumentSchema);
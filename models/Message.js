@@ -8,14 +8,81 @@ const MessageSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'bot'],
-    required: [true, 'Please specify the message role (user or bot)'],
+    enum: ['user', 'bot', 'agent'],
+    required: [true, 'Please specify the message role (user, bot or agent)'],
+  },
+  // The person who wrote an agent message
+  agentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
   },
   content: {
     type: String,
     required: [true, 'Message content cannot be empty'],
     trim: true,
   },
+  // Knowledge base excerpts the bot reply was grounded on
+  sources: {
+    type: [
+      {
+        _id: false,
+        citation: Number,
+        documentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'KnowledgeDocument',
+        },
+        fileName: String,
+        chunkIndex: Number,
+      },
+    ],
+    default: undefined,
+  },
+  // Tools the bot called while producing this reply, with their results
+  toolCalls: {
+    type: [
+      {
+        _id: false,
+        id: String,
+        name: String,
+        arguments: mongoose.Schema.Types.Mixed,
+        result: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    default: undefined,
+  },
+  // Who a bot reply is billed to, the AI provider and model that produced it, its token usage,
+  // latency (ms) and estimated cost, and any providers that failed before it
+  metadata: {
+    type: new mongoose.Schema(
+      {
+        configId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Config',
+        },
+        userId: String,
+        provider: String,
+        model: String,
+        promptTokens: Number,
+        completionTokens: Number,
+        totalTokens: Number,
+        latency: Number,
+        cost: Number,
+        failedProviders: {
+          type: [
+            {
+              _id: false,
+              provider: String,
+              model: String,
+              error: String,
+            },
+          ],
+          default: undefined,
+        },
+      },
+      { _id: false }
+    ),
+    default: undefined,
+  },
   timestamp: {
     type: Date,
     default: Date.now,
@@ -24,5 +91,7 @@ const MessageSchema = new mongoose.Schema({
 
 // Create indexes for faster queries
 MessageSchema.index({ sessionId: 1, timestamp: 1 });
+MessageSchema.index({ 'metadata.configId': 1, timestamp: 1 });
+MessageSchema.index({ 'metadata.userId': 1, timestamp: 1 });
 
 module.exports = mongoose.model('Message', MessageSchema);
\ No newline at end of file
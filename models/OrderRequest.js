@@ -1,11 +1,57 @@
 const mongoose = require('mongoose');
 
+// One product line of an order
+const OrderItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductInventory'
+  },
+  sku: {
+    type: String,
+    trim: true
+  },
+  productName: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true
+  },
+  qty: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  unit: {
+    type: String,
+    default: 'pcs',
+    trim: true
+  },
+  // Pricing at the time the order was placed (unset when the product has no price)
+  unitPrice: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  taxRate: {
+    type: Number,
+    min: [0, 'Tax rate cannot be negative']
+  },
+  subtotal: Number,
+  taxAmount: Number,
+  lineTotal: Number,
+  // Stock held for this line; 0 once the order is fulfilled, released or expired
+  reservedQty: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved quantity cannot be negative']
+  }
+});
+
 const OrderRequestSchema = new mongoose.Schema({
   botId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Config',
     required: [true, 'Bot ID is required']
   },
+  // Summary of the line items (single-line orders keep the product name and quantity here)
   productName: {
     type: String,
     required: [true, 'Product name is required'],
@@ -26,9 +72,30 @@ const OrderRequestSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'rejected'],
+    enum: ['pending', 'confirmed', 'fulfilled', 'rejected', 'cancelled', 'expired'],
     default: 'pending'
   },
+  items: {
+    type: [OrderItemSchema],
+    default: []
+  },
+  // Order totals over the priced line items
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  subtotal: Number,
+  taxTotal: Number,
+  total: Number,
+  // Whether the order currently holds stock for its line items
+  stockReserved: {
+    type: Boolean,
+    default: false
+  },
+  reservationExpiresAt: {
+    type: Date
+  },
   notes: {
     type: String,
     trim: true
@@ -47,5 +114,7 @@ const OrderRequestSchema = new mongoose.Schema({
 OrderRequestSchema.index({ botId: 1, status: 1 });
 OrderRequestSchema.index({ timestamp: -1 });
 OrderRequestSchema.index({ sessionId: 1 });
+OrderRequestSchema.index({ status: 1, reservationExpiresAt: 1 });
+OrderRequestSchema.index({ botId: 1, 'items.sku': 1 });
 
 module.exports = mongoose.model('OrderRequest', OrderRequestSchema);
\ No newline at end of file
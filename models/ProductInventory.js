@@ -16,16 +16,84 @@ const ProductInventorySchema = new mongoose.Schema({
     required: [true, 'SKU is required'],
     trim: true
   },
+  // Variants point at the SKU of their parent product in the same catalog
+  parentSku: {
+    type: String,
+    trim: true
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot be more than 2000 characters']
+  },
+  // Free-form attributes such as size, colour or wattage
+  attributes: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  imageUrls: {
+    type: [String],
+    default: []
+  },
   availableStock: {
     type: Number,
     required: [true, 'Available stock is required'],
     min: [0, 'Stock cannot be negative']
   },
+  // Units held by confirmed orders that are not fulfilled yet (already taken out of availableStock)
+  reservedStock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative']
+  },
   unit: {
     type: String,
     default: 'pcs',
     trim: true
   },
+  // Unit price before tax
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  // Tax as a percentage of the price, e.g. 18 for 18% GST
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot be more than 100']
+  },
+  // Bulk pricing: the unit price from the highest tier whose minQty the quantity reaches
+  priceTiers: {
+    type: [
+      {
+        _id: false,
+        minQty: {
+          type: Number,
+          required: [true, 'Tier minimum quantity is required'],
+          min: [1, 'Tier minimum quantity must be at least 1']
+        },
+        price: {
+          type: Number,
+          required: [true, 'Tier price is required'],
+          min: [0, 'Price cannot be negative']
+        }
+      }
+    ],
+    default: []
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -42,6 +110,10 @@ ProductInventorySchema.index({ botId: 1, sku: 1 }, { unique: true });
 // Create index for botId and productName for fuzzy searches
 ProductInventorySchema.index({ botId: 1, productName: 1 });
 
+// Create indexes for category filters and variant lookups
+ProductInventorySchema.index({ botId: 1, category: 1 });
+ProductInventorySchema.index({ botId: 1, parentSku: 1 });
+
 // Update the updatedAt timestamp before saving
 ProductInventorySchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Who answers the session: the bot, nobody yet (waiting for a person), a person, or nobody (closed)
+const SESSION_STATUSES = ['bot', 'pending_human', 'human', 'closed'];
+
 const SessionSchema = new mongoose.Schema({
   configId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -18,16 +21,124 @@ const SessionSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // Where the conversation takes place: web, api, whatsapp, telegram, slack, ...
+  channel: {
+    type: String,
+    default: 'web',
+  },
+  // The conversation's ID on a messaging channel, e.g. a WhatsApp number or Telegram chat
+  externalId: {
+    type: String,
+  },
+  // Where replies go on a messaging channel, taken from the latest inbound message
+  channelAddress: {
+    type: {
+      _id: false,
+      chatId: String,
+      threadId: String,
+    },
+    default: undefined,
+  },
+  status: {
+    type: String,
+    enum: SESSION_STATUSES,
+    default: 'bot',
+  },
+  // The latest hand-off to a person: why, when, and the agent who took it
+  handoff: {
+    type: {
+      _id: false,
+      reason: {
+        type: String,
+        enum: ['user_request', 'low_confidence', 'admin'],
+      },
+      requestedAt: Date,
+      agentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      assignedAt: Date,
+      endedAt: Date,
+    },
+    default: undefined,
+  },
+  // Bot replies in a row that did not answer the user; enough of them hand the session off
+  unsureReplies: {
+    type: Number,
+    default: 0,
+  },
+  // Products the inventory intent flow asked the user to choose between
+  inventoryClarification: {
+    type: {
+      _id: false,
+      intent: String,
+      // Ambiguous items, the first one is the question currently asked
+      items: [
+        {
+          _id: false,
+          productName: String,
+          quantity: Number,
+          candidates: [
+            {
+              _id: false,
+              sku: String,
+              productName: String,
+            },
+          ],
+        },
+      ],
+      askedAt: Date,
+    },
+    default: undefined,
+  },
+  // Running summary of the turns that no longer fit in the model's context window
+  memory: {
+    type: {
+      _id: false,
+      summary: String,
+      // Timestamp of the newest message included in the summary
+      summarizedUntil: Date,
+      summarizedMessages: Number,
+      updatedAt: Date,
+    },
+    default: undefined,
+  },
 });
 
 // Update lastActivity timestamp before saving
 SessionSchema.pre('save', function (next) {
   this.lastActivity = Date.now();
+  this.$locals.wasNew = this.isNew;
   next();
 });
 
+// Keep open session lists current; the hub is required lazily as it loads this model
+SessionSchema.post('save', function (doc) {
+  require('../utils/realtimeHub').publishSession(doc.$locals.wasNew ? 'session.created' : 'session.updated', doc);
+});
+
+// Notify webhook subscribers of new sessions; the dispatcher is required lazily as it loads other models
+SessionSchema.post('save', function (doc) {
+  if (!doc.$locals.wasNew) return;
+
+  require('../utils/webhookDispatcher').emit(doc.configId, 'session.started', {
+    session: {
+      _id: doc._id,
+      configId: doc.configId,
+      userId: doc.userId,
+      channel: doc.channel,
+      externalId: doc.externalId,
+      startedAt: doc.startedAt,
+    },
+  });
+});
+
 // Create indexes for faster queries
 SessionSchema.index({ configId: 1 });
 SessionSchema.index({ userId: 1 });
+SessionSchema.index({ configId: 1, channel: 1, externalId: 1 });
+SessionSchema.index({ status: 1, 'handoff.requestedAt': 1 });
+
+SessionSchema.statics.STATUSES = SESSION_STATUSES;
 
 module.exports = mongoose.model('Session', SessionSchema);
\ No newline at end of file
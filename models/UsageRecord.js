@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Token usage of AI calls made behind the scenes of a reply, which store no message of their own
+const UsageRecordSchema = new mongoose.Schema({
+  configId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Config',
+    required: [true, 'Please provide a configuration ID'],
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+  },
+  userId: String,
+  // What the call was for: extracting an order intent or summarizing older messages
+  purpose: {
+    type: String,
+    enum: ['intent', 'summary'],
+    required: [true, 'Please specify what the call was for (intent or summary)'],
+  },
+  provider: String,
+  model: String,
+  promptTokens: Number,
+  completionTokens: Number,
+  totalTokens: Number,
+  latency: Number,
+  cost: Number,
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Create indexes for faster queries
+UsageRecordSchema.index({ configId: 1, timestamp: 1 });
+UsageRecordSchema.index({ userId: 1, timestamp: 1 });
+
+module.exports = mongoose.model('UsageRecord', UsageRecordSchema);
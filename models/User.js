@@ -28,7 +28,8 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    // Agents answer handed-off conversations in the agent inbox
+    enum: ['user', 'agent', 'admin'],
     default: 'user',
   },
   createdAt: {
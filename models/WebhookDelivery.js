@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookSubscription',
+      required: [true, 'Please provide a subscription ID'],
+    },
+    configId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Config',
+      required: [true, 'Please provide a configuration ID'],
+    },
+    event: {
+      type: String,
+      required: [true, 'Please provide the event'],
+    },
+    // The exact JSON body sent: { id, event, createdAt, configId, data }
+    payload: {
+      type: Object,
+      required: [true, 'Please provide the payload'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // When a pending delivery is next tried; also holds off other workers while one is in flight
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastStatusCode: Number,
+    lastError: String,
+    deliveredAt: Date,
+    // The delivery this one re-sends, for replays
+    replayOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookDelivery',
+    },
+    attemptLog: {
+      type: [
+        {
+          _id: false,
+          at: Date,
+          statusCode: Number,
+          error: String,
+          duration: Number,
+        },
+      ],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+// Create indexes for faster queries
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Events a subscription can receive
+const WEBHOOK_EVENTS = ['order.created', 'order.status_changed', 'session.started', 'message.created'];
+
+const WebhookSubscriptionSchema = new mongoose.Schema(
+  {
+    configId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Config',
+      required: [true, 'Please provide a configuration ID'],
+    },
+    url: {
+      type: String,
+      required: [true, 'Please provide the URL to deliver events to'],
+      trim: true,
+      match: [/^https?:\/\/\S+$/, 'Please provide a valid http(s) URL'],
+    },
+    events: {
+      type: [String],
+      validate: [
+        {
+          validator: (events) => events.length > 0,
+          message: 'Please subscribe to at least one event',
+        },
+        {
+          validator: (events) => events.every(event => WEBHOOK_EVENTS.includes(event)),
+          message: `Events must be one of ${WEBHOOK_EVENTS.join(', ')}`,
+        },
+      ],
+    },
+    // Signs every delivery; only returned when the subscription is created
+    secret: {
+      type: String,
+      required: [true, 'Please provide a signing secret'],
+      select: false,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot be more than 200 characters'],
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+WebhookSubscriptionSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+// Create indexes for faster queries
+WebhookSubscriptionSchema.index({ configId: 1, active: 1, events: 1 });
+
+module.exports = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
@@ -0,0 +1,274 @@
+/**
+ * Website chat widget. Embed with:
+ *   <script src="https://YOUR_API_HOST/widget.js" data-config-id="CONFIG_ID" async></script>
+ * The page's origin must be listed in the configuration's widget.allowedOrigins.
+ */
+(function () {
+  'use strict';
+
+  var script = document.currentScript || document.querySelector('script[data-config-id][src*="widget.js"]');
+  if (!script || window.__chatbotWidgetLoaded) return;
+  window.__chatbotWidgetLoaded = true;
+
+  var configId = script.getAttribute('data-config-id');
+  var apiBase = (script.getAttribute('data-api-url') || new URL(script.src).origin).replace(/\/$/, '') + '/api/widget/' + configId;
+  var storageKey = 'chatbot-widget:' + configId;
+
+  var state = {
+    settings: null,
+    session: null,
+    open: false,
+    sending: false,
+    loaded: false,
+    // IDs of the messages shown, so polled messages are not shown twice
+    seen: {},
+    polling: null
+  };
+
+  // Session ID and visitor token, kept across page loads
+  var loadSession = function () {
+    try {
+      return JSON.parse(window.localStorage.getItem(storageKey));
+    } catch (error) {
+      return null;
+    }
+  };
+
+  var saveSession = function (session) {
+    try {
+      if (session) {
+        window.localStorage.setItem(storageKey, JSON.stringify(session));
+      } else {
+        window.localStorage.removeItem(storageKey);
+      }
+    } catch (error) {
+      // Private browsing: the session lasts until the page is closed
+    }
+  };
+
+  var request = function (method, path, body) {
+    var headers = { 'Content-Type': 'application/json' };
+    if (state.session) {
+      headers.Authorization = 'Bearer ' + state.session.visitorToken;
+    }
+
+    return fetch(apiBase + path, {
+      method: method,
+      headers: headers,
+      body: body ? JSON.stringify(body) : undefined
+    }).then(function (response) {
+      return response.json().catch(function () {
+        return {};
+      }).then(function (data) {
+        return { status: response.status, data: data };
+      });
+    });
+  };
+
+  var startSession = function () {
+    state.session = null;
+    return request('POST', '/sessions').then(function (result) {
+      if (result.status !== 201) {
+        throw new Error(result.data.message || 'Could not start a chat');
+      }
+      state.session = { sessionId: result.data.data.sessionId, visitorToken: result.data.data.visitorToken };
+      saveSession(state.session);
+    });
+  };
+
+  // ---- UI ----
+
+  var host = document.createElement('div');
+  host.setAttribute('data-chatbot-widget', configId);
+  var root = host.attachShadow ? host.attachShadow({ mode: 'open' }) : host;
+
+  var render = function () {
+    var theme = state.settings.theme;
+    var side = theme.position === 'bottom-left' ? 'left' : 'right';
+
+    root.innerHTML =
+      '<style>' +
+      ':host { all: initial; }' +
+      '.cbw { position: fixed; bottom: 20px; ' + side + ': 20px; z-index: 2147483000; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; font-size: 14px; color: #222; }' +
+      '.cbw-bubble { width: 56px; height: 56px; border-radius: 50%; border: none; cursor: pointer; background: ' + theme.primaryColor + '; color: #fff; box-shadow: 0 4px 12px rgba(0,0,0,.25); font-size: 26px; line-height: 56px; }' +
+      '.cbw-panel { display: none; flex-direction: column; position: absolute; bottom: 72px; ' + side + ': 0; width: 340px; max-width: calc(100vw - 40px); height: 480px; max-height: calc(100vh - 120px); background: #fff; border-radius: 12px; box-shadow: 0 8px 28px rgba(0,0,0,.25); overflow: hidden; }' +
+      '.cbw-open .cbw-panel { display: flex; }' +
+      '.cbw-header { background: ' + theme.primaryColor + '; color: #fff; padding: 14px 16px; font-weight: 600; display: flex; justify-content: space-between; align-items: center; }' +
+      '.cbw-close { background: none; border: none; color: #fff; font-size: 20px; cursor: pointer; }' +
+      '.cbw-messages { flex: 1; overflow-y: auto; padding: 12px; background: #f6f7f9; }' +
+      '.cbw-msg { max-width: 80%; margin: 6px 0; padding: 8px 12px; border-radius: 12px; white-space: pre-wrap; word-wrap: break-word; line-height: 1.4; }' +
+      '.cbw-user { margin-left: auto; background: ' + theme.primaryColor + '; color: #fff; border-bottom-right-radius: 4px; }' +
+      '.cbw-bot { background: #fff; border: 1px solid #e3e5e8; border-bottom-left-radius: 4px; }' +
+      '.cbw-muted { color: #888; font-style: italic; }' +
+      '.cbw-form { display: flex; border-top: 1px solid #e3e5e8; }' +
+      '.cbw-input { flex: 1; border: none; padding: 12px; font: inherit; outline: none; }' +
+      '.cbw-send { border: none; background: none; color: ' + theme.primaryColor + '; font-weight: 600; padding: 0 14px; cursor: pointer; }' +
+      '</style>' +
+      '<div class="cbw">' +
+      '<div class="cbw-panel" role="dialog">' +
+      '<div class="cbw-header"><span class="cbw-title"></span><button class="cbw-close" aria-label="Close">&times;</button></div>' +
+      '<div class="cbw-messages" aria-live="polite"></div>' +
+      '<form class="cbw-form"><input class="cbw-input" maxlength="2000" /><button class="cbw-send" type="submit">Send</button></form>' +
+      '</div>' +
+      '<button class="cbw-bubble" aria-label="Open chat">&#128172;</button>' +
+      '</div>';
+
+    // Text from the configuration is set as text, never as HTML
+    root.querySelector('.cbw-title').textContent = theme.title;
+    root.querySelector('.cbw-input').setAttribute('placeholder', theme.placeholder);
+
+    root.querySelector('.cbw-bubble').addEventListener('click', toggle);
+    root.querySelector('.cbw-close').addEventListener('click', toggle);
+    root.querySelector('.cbw-form').addEventListener('submit', function (event) {
+      event.preventDefault();
+      send();
+    });
+  };
+
+  var addMessage = function (role, text) {
+    var list = root.querySelector('.cbw-messages');
+    var item = document.createElement('div');
+    item.className = 'cbw-msg ' + (role === 'user' ? 'cbw-user' : 'cbw-bot') + (role === 'status' ? ' cbw-muted' : '');
+    item.textContent = text;
+    list.appendChild(item);
+    list.scrollTop = list.scrollHeight;
+    return item;
+  };
+
+  var loadHistory = function () {
+    if (state.loaded) return Promise.resolve();
+    state.loaded = true;
+
+    var greet = function () {
+      if (state.settings.theme.greeting) {
+        addMessage('bot', state.settings.theme.greeting);
+      }
+    };
+
+    if (!state.session) {
+      greet();
+      return Promise.resolve();
+    }
+
+    return request('GET', '/sessions/' + state.session.sessionId + '/messages').then(function (result) {
+      if (result.status !== 200) {
+        // Expired token or deleted session: start over on the next message
+        state.session = null;
+        saveSession(null);
+        greet();
+        return;
+      }
+
+      greet();
+      result.data.data.forEach(function (message) {
+        state.seen[message._id] = true;
+        addMessage(message.role, message.content);
+      });
+    });
+  };
+
+  // While a member of the team answers the chat, their messages are fetched every few seconds
+  var pollForAgent = function (waiting) {
+    if (!waiting) {
+      window.clearInterval(state.polling);
+      state.polling = null;
+      return;
+    }
+    if (state.polling) return;
+
+    state.polling = window.setInterval(function () {
+      if (!state.session) return;
+      request('GET', '/sessions/' + state.session.sessionId + '/messages').then(function (result) {
+        if (result.status !== 200) return;
+        result.data.data.forEach(function (message) {
+          if (state.seen[message._id]) return;
+          state.seen[message._id] = true;
+          if (message.role !== 'user') {
+            addMessage(message.role, message.content);
+          }
+        });
+      }).catch(function () {});
+    }, 5000);
+  };
+
+  var toggle = function () {
+    state.open = !state.open;
+    root.querySelector('.cbw').classList.toggle('cbw-open', state.open);
+    if (state.open) {
+      loadHistory().catch(function () {});
+      root.querySelector('.cbw-input').focus();
+    }
+  };
+
+  var send = function () {
+    var input = root.querySelector('.cbw-input');
+    var text = input.value.trim();
+    if (!text || state.sending) return;
+
+    state.sending = true;
+    input.value = '';
+    addMessage('user', text);
+    var typing = addMessage('status', '...');
+
+    var post = function () {
+      return request('POST', '/sessions/' + state.session.sessionId + '/messages', { message: text });
+    };
+
+    (state.session ? Promise.resolve() : startSession())
+      .then(post)
+      .then(function (result) {
+        if (result.status === 401) {
+          return startSession().then(post);
+        }
+        return result;
+      })
+      .then(function (result) {
+        typing.remove();
+        if (result.status === 200) {
+          var data = result.data.data;
+          if (data.messageId) {
+            state.seen[data.messageId] = true;
+          }
+          if (data.reply) {
+            addMessage('bot', data.reply);
+          } else {
+            addMessage('status', 'Message sent. A member of our team will reply here.');
+          }
+          pollForAgent(data.status === 'pending_human' || data.status === 'human');
+        } else {
+          // Quota refusals carry a reply meant for the visitor
+          addMessage('status', result.data.reply || result.data.message || 'Something went wrong. Please try again.');
+        }
+      })
+      .catch(function () {
+        typing.remove();
+        addMessage('status', 'Could not reach the chat. Please try again.');
+      })
+      .then(function () {
+        state.sending = false;
+      });
+  };
+
+  var init = function () {
+    state.session = loadSession();
+
+    request('GET', '').then(function (result) {
+      if (result.status !== 200) {
+        console.warn('Chat widget disabled:', result.data.message || result.status);
+        return;
+      }
+
+      state.settings = result.data.data;
+      render();
+      document.body.appendChild(host);
+    }).catch(function (error) {
+      console.warn('Chat widget could not load:', error.message);
+    });
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -1,13 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protectWithApiKey, canAccessConfig } = require('../middleware/auth');
 const Config = require('../models/Config');
 
 // Use global inventory models instead of direct imports
 // These are set up in server.js with the separate inventory database connection
 const ProductInventory = global.InventoryProduct;
-const OrderRequest = global.InventoryOrder;
 const { ErrorResponse } = require('../middleware/errorHandler');
+const inventoryService = require('../utils/inventoryService');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
@@ -40,6 +40,77 @@ const upload = multer({
   limits: { fileSize: 1024 * 1024 * 5 } // 5MB max file size
 });
 
+/**
+ * Refuse API keys issued for another bot
+ * @param {Object} req - Express request
+ * @param {string} botId - The bot the request acts on
+ */
+const checkBotAccess = (req, botId) => {
+  if (!canAccessConfig(req, botId)) {
+    throw new ErrorResponse(`This API key cannot access bot ${botId}`, 403);
+  }
+};
+
+/**
+ * Parse bulk price tiers from a request body or CSV cell.
+ * Accepts an array of { minQty, price } or a string like "10:95;50:90" (minQty:price pairs).
+ * @param {Array|string} value - Price tiers
+ * @returns {Array} - Tiers sorted by minQty
+ */
+const parsePriceTiers = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const tiers = Array.isArray(value)
+    ? value.map(tier => ({ minQty: Number(tier.minQty), price: Number(tier.price) }))
+    : String(value).split(/[;|]/).filter(part => part.trim()).map(part => {
+      const [minQty, price] = part.split(':');
+      return { minQty: Number(minQty), price: Number(price) };
+    });
+
+  if (tiers.some(tier => !Number.isInteger(tier.minQty) || tier.minQty < 1 || Number.isNaN(tier.price) || tier.price < 0)) {
+    throw new ErrorResponse('Price tiers must be minQty:price pairs with a whole minQty of at least 1 and a price of 0 or more', 400);
+  }
+
+  return tiers.sort((a, b) => a.minQty - b.minQty);
+};
+
+/**
+ * Parse product attributes from a request body or CSV cell.
+ * Accepts an object or a string like "colour=Warm White;wattage=9W".
+ * @param {Object|string} value - Attributes
+ * @returns {Object} - Attribute names to values
+ */
+const parseAttributes = (value) => {
+  if (!value) {
+    return {};
+  }
+
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, attr]) => [name.trim(), String(attr).trim()]));
+  }
+
+  return Object.fromEntries(String(value).split(';').filter(part => part.includes('=')).map(part => {
+    const [name, ...rest] = part.split('=');
+    return [name.trim(), rest.join('=').trim()];
+  }));
+};
+
+/**
+ * Parse image URLs from a request body or CSV cell ("url1|url2")
+ * @param {Array|string} value - Image URLs
+ * @returns {Array<string>} - Image URLs
+ */
+const parseImageUrls = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  const urls = Array.isArray(value) ? value : String(value).split('|');
+  return urls.map(url => String(url).trim()).filter(Boolean);
+};
+
 /**
  * @swagger
  * /api/admin/inventory/add:
@@ -48,6 +119,7 @@ const upload = multer({
  *     tags: [Admin Inventory]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -71,6 +143,41 @@ const upload = multer({
  *                 type: number
  *               unit:
  *                 type: string
+ *               price:
+ *                 type: number
+ *                 description: Unit price before tax
+ *               currency:
+ *                 type: string
+ *                 description: 3-letter ISO currency code (default INR)
+ *               taxRate:
+ *                 type: number
+ *                 description: Tax percentage, e.g. 18
+ *               priceTiers:
+ *                 type: array
+ *                 description: Bulk prices; the highest tier the quantity reaches sets the unit price
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     minQty:
+ *                       type: number
+ *                     price:
+ *                       type: number
+ *               category:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               attributes:
+ *                 type: object
+ *                 description: Free-form attributes, e.g. { "colour": "Warm White", "wattage": "9W" }
+ *                 additionalProperties:
+ *                   type: string
+ *               parentSku:
+ *                 type: string
+ *                 description: SKU of the parent product when this product is a variant
+ *               imageUrls:
+ *                 type: array
+ *                 items:
+ *                   type: string
  *     responses:
  *       201:
  *         description: Inventory item created successfully
@@ -81,15 +188,17 @@ const upload = multer({
  *       404:
  *         description: Bot configuration not found
  */
-router.post('/add', protect, authorize('admin'), async (req, res, next) => {
+router.post('/add', protectWithApiKey('inventory:write', 'admin'), async (req, res, next) => {
   try {
-    const { botId, productName, sku, availableStock, unit } = req.body;
+    const { botId, productName, sku, availableStock, unit, price, currency, taxRate, category, description, parentSku } = req.body;
     
     // Validate required fields
     if (!botId || !productName || !sku || availableStock === undefined) {
       return next(new ErrorResponse('Please provide all required fields', 400));
     }
     
+    checkBotAccess(req, botId);
+    
     // Check if bot exists and has inventory enabled
     const botConfig = await Config.findOne({ _id: botId });
     if (!botConfig) {
@@ -107,13 +216,27 @@ router.post('/add', protect, authorize('admin'), async (req, res, next) => {
       return next(new ErrorResponse(`Product with SKU ${sku} already exists for this bot`, 400));
     }
     
+    // Variants must belong to a parent product in the same catalog
+    if (parentSku && !(await ProductInventory.exists({ botId, sku: parentSku }))) {
+      return next(new ErrorResponse(`Parent product with SKU ${parentSku} not found for this bot`, 400));
+    }
+    
     // Create new inventory item
     const inventoryItem = await ProductInventory.create({
       botId,
       productName,
       sku,
       availableStock,
-      unit: unit || 'pcs'
+      unit: unit || 'pcs',
+      price,
+      currency,
+      taxRate,
+      priceTiers: parsePriceTiers(req.body.priceTiers),
+      category,
+      description,
+      attributes: parseAttributes(req.body.attributes),
+      parentSku,
+      imageUrls: parseImageUrls(req.body.imageUrls)
     });
     
     res.status(201).json({
@@ -130,9 +253,15 @@ router.post('/add', protect, authorize('admin'), async (req, res, next) => {
  * /api/admin/inventory/upload:
  *   post:
  *     summary: Upload inventory items via CSV
+ *     description: |
+ *       Columns: productName, sku, availableStock, unit, and optionally price, currency,
+ *       taxRate, priceTiers (minQty:price pairs separated by ";", e.g. "10:95;50:90"),
+ *       category, description, attributes (e.g. "colour=Warm White;wattage=9W"),
+ *       parentSku and imageUrls (separated by "|").
  *     tags: [Admin Inventory]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -158,7 +287,7 @@ router.post('/add', protect, authorize('admin'), async (req, res, next) => {
  *       404:
  *         description: Bot configuration not found
  */
-router.post('/upload', protect, authorize('admin'), upload.single('file'), async (req, res, next) => {
+router.post('/upload', protectWithApiKey('inventory:write', 'admin'), upload.single('file'), async (req, res, next) => {
   try {
     const { botId } = req.body;
     
@@ -167,6 +296,8 @@ router.post('/upload', protect, authorize('admin'), upload.single('file'), async
       return next(new ErrorResponse('Please provide a bot ID', 400));
     }
     
+    checkBotAccess(req, botId);
+    
     // Check if bot exists
     const botConfig = await Config.findOne({ _id: botId });
     if (!botConfig) {
@@ -197,6 +328,21 @@ router.post('/upload', protect, authorize('admin'), upload.single('file'), async
         }
         
         try {
+          // Optional pricing columns; empty cells leave the product's pricing unchanged
+          const pricing = {};
+          if (data.price) pricing.price = parseFloat(data.price);
+          if (data.currency) pricing.currency = data.currency;
+          if (data.taxRate) pricing.taxRate = parseFloat(data.taxRate);
+          if (data.priceTiers) pricing.priceTiers = parsePriceTiers(data.priceTiers);
+          
+          // Optional catalog columns
+          const details = {};
+          if (data.category) details.category = data.category;
+          if (data.description) details.description = data.description;
+          if (data.attributes) details.attributes = parseAttributes(data.attributes);
+          if (data.parentSku) details.parentSku = data.parentSku;
+          if (data.imageUrls) details.imageUrls = parseImageUrls(data.imageUrls);
+          
           // Check if product already exists
           const existingProduct = await ProductInventory.findOne({ botId, sku: data.sku });
           
@@ -205,6 +351,7 @@ router.post('/upload', protect, authorize('admin'), upload.single('file'), async
             existingProduct.productName = data.productName;
             existingProduct.availableStock = parseInt(data.availableStock, 10);
             existingProduct.unit = data.unit || 'pcs';
+            existingProduct.set({ ...pricing, ...details });
             existingProduct.updatedAt = Date.now();
             
             await existingProduct.save();
@@ -216,7 +363,9 @@ router.post('/upload', protect, authorize('admin'), upload.single('file'), async
               productName: data.productName,
               sku: data.sku,
               availableStock: parseInt(data.availableStock, 10),
-              unit: data.unit || 'pcs'
+              unit: data.unit || 'pcs',
+              ...pricing,
+              ...details
             });
             
             results.push({ sku: data.sku, status: 'created' });
@@ -257,6 +406,7 @@ router.post('/upload', protect, authorize('admin'), upload.single('file'), async
  *     tags: [Admin Inventory]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -284,7 +434,7 @@ router.post('/upload', protect, authorize('admin'), upload.single('file'), async
  *       404:
  *         description: Product not found
  */
-router.patch('/update-stock', protect, authorize('admin'), async (req, res, next) => {
+router.patch('/update-stock', protectWithApiKey('inventory:write', 'admin'), async (req, res, next) => {
   try {
     const { botId, sku, availableStock } = req.body;
     
@@ -293,6 +443,8 @@ router.patch('/update-stock', protect, authorize('admin'), async (req, res, next
       return next(new ErrorResponse('Please provide all required fields', 400));
     }
     
+    checkBotAccess(req, botId);
+    
     // Find the product
     const product = await ProductInventory.findOne({ botId, sku });
     if (!product) {
@@ -321,6 +473,7 @@ router.patch('/update-stock', protect, authorize('admin'), async (req, res, next
  *     tags: [Admin Inventory]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: botId
@@ -336,9 +489,10 @@ router.patch('/update-stock', protect, authorize('admin'), async (req, res, next
  *       404:
  *         description: Bot not found
  */
-router.get('/list/:botId', protect, authorize('admin'), async (req, res, next) => {
+router.get('/list/:botId', protectWithApiKey('inventory:read', 'admin'), async (req, res, next) => {
   try {
     const { botId } = req.params;
+    checkBotAccess(req, botId);
     
     // Check if bot exists
     const botConfig = await Config.findOne({ _id: botId });
@@ -367,6 +521,7 @@ router.get('/list/:botId', protect, authorize('admin'), async (req, res, next) =
  *     tags: [Admin Inventory]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: botId
@@ -378,8 +533,13 @@ router.get('/list/:botId', protect, authorize('admin'), async (req, res, next) =
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, rejected]
+ *           enum: [pending, confirmed, fulfilled, rejected, cancelled, expired]
  *         description: Filter orders by status
+ *       - in: query
+ *         name: sku
+ *         schema:
+ *           type: string
+ *         description: Only orders with a line item for this SKU
  *     responses:
  *       200:
  *         description: List of order requests
@@ -388,10 +548,11 @@ router.get('/list/:botId', protect, authorize('admin'), async (req, res, next) =
  *       404:
  *         description: Bot not found
  */
-router.get('/orders/:botId', protect, authorize('admin'), async (req, res, next) => {
+router.get('/orders/:botId', protectWithApiKey('orders', 'admin'), async (req, res, next) => {
   try {
     const { botId } = req.params;
-    const { status } = req.query;
+    checkBotAccess(req, botId);
+    const { status, sku } = req.query;
     
     // Check if bot exists
     const botConfig = await Config.findOne({ _id: botId });
@@ -404,9 +565,12 @@ router.get('/orders/:botId', protect, authorize('admin'), async (req, res, next)
     if (status) {
       query.status = status;
     }
+    if (sku) {
+      query['items.sku'] = sku;
+    }
     
     // Get all order requests for this bot
-    const orderRequests = await OrderRequest.find(query)
+    const orderRequests = await inventoryService.Order.find(query)
       .sort({ timestamp: -1 })
       .populate('sessionId', 'startedAt');
     
@@ -425,9 +589,14 @@ router.get('/orders/:botId', protect, authorize('admin'), async (req, res, next)
  * /api/admin/inventory/order/{id}:
  *   patch:
  *     summary: Update order request status
+ *     description: |
+ *       Confirming an order reserves its stock, fulfilling it consumes the reservation,
+ *       and rejecting, cancelling or moving it back to pending releases the reservation.
+ *       Reservations that are not fulfilled in time expire and release their stock.
  *     tags: [Admin Inventory]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -446,56 +615,308 @@ router.get('/orders/:botId', protect, authorize('admin'), async (req, res, next)
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, confirmed, rejected]
+ *                 enum: [pending, confirmed, fulfilled, rejected, cancelled]
  *               notes:
  *                 type: string
  *     responses:
  *       200:
  *         description: Order status updated successfully
  *       400:
- *         description: Invalid input data
+ *         description: Invalid input data or not enough stock
  *       401:
  *         description: Not authorized
  *       404:
  *         description: Order request not found
  */
-router.patch('/order/:id', protect, authorize('admin'), async (req, res, next) => {
+router.patch('/order/:id', protectWithApiKey('orders', 'admin'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { status, notes } = req.body;
     
     // Validate status
-    if (!status || !['pending', 'confirmed', 'rejected'].includes(status)) {
+    if (!status || !['pending', 'confirmed', 'fulfilled', 'rejected', 'cancelled'].includes(status)) {
       return next(new ErrorResponse('Please provide a valid status', 400));
     }
     
     // Find the order request
-    const orderRequest = await OrderRequest.findById(id);
+    let orderRequest = await inventoryService.Order.findById(id);
     if (!orderRequest) {
       return next(new ErrorResponse(`Order request with ID ${id} not found`, 404));
     }
     
-    // Update order request
-    orderRequest.status = status;
+    checkBotAccess(req, orderRequest.botId);
+    
+    // Fulfilled orders have already consumed their stock
+    if (orderRequest.status === 'fulfilled') {
+      return next(new ErrorResponse(`Order request with ID ${id} is already fulfilled`, 400));
+    }
+    
+    const previousStatus = orderRequest.status;
+    
+    if (status === 'confirmed') {
+      // Hold the stock for every line of this order
+      const reserved = await inventoryService.reserveStock(orderRequest);
+      if (!reserved) {
+        return next(new ErrorResponse('Cannot confirm this order: a product is missing from inventory or out of stock', 400));
+      }
+      orderRequest = reserved;
+    } else if (status === 'fulfilled') {
+      // Consume the reservation (reserving first if the order does not hold one)
+      const fulfilled = await inventoryService.fulfilOrder(orderRequest);
+      if (!fulfilled) {
+        return next(new ErrorResponse('Cannot fulfil this order: a product is missing from inventory or out of stock', 400));
+      }
+      orderRequest = fulfilled;
+    } else {
+      // Pending, rejected and cancelled orders give their reserved stock back
+      orderRequest = await inventoryService.releaseReservation(orderRequest._id, status);
+    }
+    
     if (notes) {
       orderRequest.notes = notes;
+      await orderRequest.save();
     }
     
+    // Let subscribed systems (e.g. an ERP) know about the decision
+    inventoryService.notifyStatusChange(orderRequest, previousStatus);
+    
+    res.status(200).json({
+      success: true,
+      data: orderRequest
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/inventory/orders/{botId}/items:
+ *   get:
+ *     summary: List order line items for a specific bot
+ *     tags: [Admin Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: botId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the bot
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, fulfilled, rejected, cancelled, expired]
+ *         description: Filter by order status
+ *       - in: query
+ *         name: sku
+ *         schema:
+ *           type: string
+ *         description: Filter by product SKU
+ *     responses:
+ *       200:
+ *         description: Line items with their order ID and status, and the total quantity per SKU
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Bot not found
+ */
+router.get('/orders/:botId/items', protectWithApiKey('orders', 'admin'), async (req, res, next) => {
+  try {
+    const { botId } = req.params;
+    checkBotAccess(req, botId);
+    const { status, sku } = req.query;
+    
+    // Check if bot exists
+    const botConfig = await Config.findOne({ _id: botId });
+    if (!botConfig) {
+      return next(new ErrorResponse(`Bot with ID ${botId} not found`, 404));
+    }
+    
+    const query = { botId };
+    if (status) {
+      query.status = status;
+    }
+    if (sku) {
+      query['items.sku'] = sku;
+    }
+    
+    const orderRequests = await inventoryService.Order.find(query).sort({ timestamp: -1 });
+    
+    // Flatten the orders into one row per line item
+    const items = [];
+    const totals = {};
+    orderRequests.forEach(order => {
+      order.items
+        .filter(item => !sku || item.sku === sku)
+        .forEach(item => {
+          items.push({
+            orderId: order._id,
+            itemId: item._id,
+            status: order.status,
+            timestamp: order.timestamp,
+            sku: item.sku,
+            productName: item.productName,
+            qty: item.qty,
+            unit: item.unit,
+            reservedQty: item.reservedQty
+          });
+          
+          const key = item.sku || item.productName;
+          totals[key] = (totals[key] || 0) + item.qty;
+        });
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: items,
+      totals
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Load an order whose line items may be edited
+ * @param {Object} req - Express request
+ * @param {string} id - Order request ID
+ * @returns {Promise<Object>} - The order with its line items
+ */
+const findEditableOrder = async (req, id) => {
+  const orderRequest = await inventoryService.Order.findById(id);
+  if (!orderRequest) {
+    throw new ErrorResponse(`Order request with ID ${id} not found`, 404);
+  }
+  checkBotAccess(req, orderRequest.botId);
+  
+  // Confirmed orders hold stock for their current lines, so only pending orders can change
+  if (orderRequest.status !== 'pending' || orderRequest.stockReserved) {
+    throw new ErrorResponse('Only pending orders can be edited; set the order back to pending first', 400);
+  }
+  
+  return inventoryService.ensureOrderItems(orderRequest);
+};
+
+/**
+ * @swagger
+ * /api/admin/inventory/order/{id}/items/{itemId}:
+ *   patch:
+ *     summary: Change the quantity of an order line item
+ *     description: Only pending orders (which do not hold stock) can be edited.
+ *     tags: [Admin Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the order request
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the line item
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - qty
+ *             properties:
+ *               qty:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Line item updated successfully
+ *       400:
+ *         description: Invalid input data or order is not pending
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Order request or line item not found
+ *   delete:
+ *     summary: Remove a line item from an order
+ *     description: Only pending orders with more than one line item can be edited.
+ *     tags: [Admin Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the order request
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the line item
+ *     responses:
+ *       200:
+ *         description: Line item removed successfully
+ *       400:
+ *         description: Order is not pending or has only one line item
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Order request or line item not found
+ */
+router.patch('/order/:id/items/:itemId', protectWithApiKey('orders', 'admin'), async (req, res, next) => {
+  try {
+    const qty = parseInt(req.body.qty, 10);
+    if (!qty || qty < 1) {
+      return next(new ErrorResponse('Please provide a quantity of at least 1', 400));
+    }
+    
+    const orderRequest = await findEditableOrder(req, req.params.id);
+    const item = orderRequest.items.id(req.params.itemId);
+    if (!item) {
+      return next(new ErrorResponse(`Line item with ID ${req.params.itemId} not found`, 404));
+    }
+    
+    item.qty = qty;
+    await inventoryService.repriceOrder(orderRequest);
     await orderRequest.save();
     
-    // If order is confirmed, update inventory (optional)
-    if (status === 'confirmed') {
-      const product = await ProductInventory.findOne({
-        botId: orderRequest.botId,
-        productName: orderRequest.productName
-      });
-      
-      if (product && product.availableStock >= orderRequest.requestedQty) {
-        product.availableStock -= orderRequest.requestedQty;
-        await product.save();
-      }
+    res.status(200).json({
+      success: true,
+      data: orderRequest
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/order/:id/items/:itemId', protectWithApiKey('orders', 'admin'), async (req, res, next) => {
+  try {
+    const orderRequest = await findEditableOrder(req, req.params.id);
+    const item = orderRequest.items.id(req.params.itemId);
+    if (!item) {
+      return next(new ErrorResponse(`Line item with ID ${req.params.itemId} not found`, 404));
+    }
+    
+    if (orderRequest.items.length === 1) {
+      return next(new ErrorResponse('Cannot remove the only line item; reject or cancel the order instead', 400));
     }
     
+    item.deleteOne();
+    await inventoryService.repriceOrder(orderRequest);
+    await orderRequest.save();
+    
     res.status(200).json({
       success: true,
       data: orderRequest
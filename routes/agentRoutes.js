@@ -0,0 +1,337 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const Session = require('../models/Session');
+const Message = require('../models/Message');
+const handoffManager = require('../utils/handoffManager');
+
+/**
+ * Load the session named in the route
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} - The session document
+ */
+const findSession = async (sessionId) => {
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    throw new ErrorResponse(`Session not found with id of ${sessionId}`, 404);
+  }
+  return session;
+};
+
+/**
+ * @swagger
+ * /api/agent/inbox:
+ *   get:
+ *     summary: Sessions waiting for or being answered by a person
+ *     description: Oldest request first, each with its latest message. Live updates are sent over WebSocket at /api/realtime (room "inbox").
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending_human, human]
+ *         description: Only sessions with this status (default both)
+ *       - in: query
+ *         name: configId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only sessions taken by the current agent
+ *     responses:
+ *       200:
+ *         description: Sessions in the inbox
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Agent or admin access required
+ */
+router.get('/inbox', protect, authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const { status, configId, mine } = req.query;
+
+    if (status && !['pending_human', 'human'].includes(status)) {
+      return next(new ErrorResponse('Status must be pending_human or human', 400));
+    }
+
+    const query = { status: status || { $in: ['pending_human', 'human'] } };
+    if (configId) {
+      query.configId = configId;
+    }
+    if (mine === 'true') {
+      query['handoff.agentId'] = req.user._id;
+    }
+
+    const sessions = await Session.find(query)
+      .sort({ 'handoff.requestedAt': 1 })
+      .limit(100)
+      .populate('configId', 'name businessName')
+      .select('-memory -inventoryClarification');
+
+    const data = await Promise.all(sessions.map(async (session) => ({
+      ...session.toObject(),
+      lastMessage: await Message.findOne({ sessionId: session._id })
+        .sort({ timestamp: -1 })
+        .select('role content timestamp')
+    })));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/agent/sessions/{sessionId}/messages:
+ *   get:
+ *     summary: Conversation history of any session
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The session and its messages, oldest first
+ *       404:
+ *         description: Session not found
+ */
+router.get('/sessions/:sessionId/messages', protect, authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.sessionId);
+    const messages = await Message.find({ sessionId: session._id }).sort({ timestamp: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      session,
+      data: messages
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/agent/sessions/{sessionId}/handoff:
+ *   post:
+ *     summary: Put a session the bot is answering in the inbox for an agent to take
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session is now pending_human
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session is not with the bot
+ */
+router.post('/sessions/:sessionId/handoff', protect, authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.sessionId);
+    await handoffManager.transition(session, 'pending_human', { reason: 'admin' });
+
+    res.status(200).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/agent/sessions/{sessionId}/takeover:
+ *   post:
+ *     summary: Take a session; the bot stays quiet until it is handed back
+ *     description: Works on sessions waiting in the inbox and on sessions the bot is answering.
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session is now human, with the current agent assigned
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: Another agent has the session, or it is closed
+ */
+router.post('/sessions/:sessionId/takeover', protect, authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.sessionId);
+    await handoffManager.transition(session, 'human', { reason: 'admin', agent: req.user });
+
+    res.status(200).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/agent/sessions/{sessionId}/messages:
+ *   post:
+ *     summary: Send a message to the user as the agent answering the session
+ *     description: Saved with role "agent"; sessions on WhatsApp, Telegram and Slack get it on their platform.
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The agent message
+ *       400:
+ *         description: Message is missing
+ *       403:
+ *         description: Another agent has the session
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session has not been taken
+ */
+router.post('/sessions/:sessionId/messages', protect, authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const { message } = req.body;
+    if (!message || !message.trim()) {
+      return next(new ErrorResponse('Please provide a message', 400));
+    }
+
+    const session = await findSession(req.params.sessionId);
+    const agentMessage = await handoffManager.sendAgentMessage(session, req.user, message);
+
+    res.status(201).json({
+      success: true,
+      data: agentMessage
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/agent/sessions/{sessionId}/release:
+ *   post:
+ *     summary: Hand a session back to the bot
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session is now bot
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session is not waiting for or with a person
+ */
+router.post('/sessions/:sessionId/release', protect, authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.sessionId);
+    if (!handoffManager.isPaused(session)) {
+      return next(new ErrorResponse(`Session is ${session.status}, not with a person`, 409));
+    }
+
+    await handoffManager.transition(session, 'bot');
+
+    res.status(200).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/agent/sessions/{sessionId}/close:
+ *   post:
+ *     summary: Close a session
+ *     description: The bot answers again if the user writes after that.
+ *     tags: [Agent Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session is now closed
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: The session is already closed
+ */
+router.post('/sessions/:sessionId/close', protect, authorize('agent', 'admin'), async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.sessionId);
+    await handoffManager.transition(session, 'closed');
+
+    res.status(200).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
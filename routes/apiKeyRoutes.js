@@ -0,0 +1,238 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const Config = require('../models/Config');
+const ApiKey = require('../models/ApiKey');
+const apiKeyManager = require('../utils/apiKeyManager');
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{configId}:
+ *   post:
+ *     summary: Create an API key for a configuration
+ *     description: |
+ *       The key is only returned in this response. Send it as X-API-Key (or Authorization: Bearer)
+ *       to POST /api/webhook (chat scope) and the admin inventory routes (inventory:read,
+ *       inventory:write and orders scopes); it can only act for its own configuration.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: What the key is for, e.g. ERP integration
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [chat, inventory:read, inventory:write, orders]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created, including the key
+ *       400:
+ *         description: Invalid input data
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Configuration not found
+ */
+router.post('/:configId', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const { configId } = req.params;
+    const { name, scopes, expiresAt } = req.body;
+
+    const config = await Config.findById(configId);
+    if (!config) {
+      return next(new ErrorResponse(`Configuration not found with id of ${configId}`, 404));
+    }
+
+    const { apiKey, key } = await apiKeyManager.create({
+      configId,
+      name,
+      scopes,
+      expiresAt,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...apiKey.toJSON(),
+        // Shown once; only its hash is stored
+        key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{configId}:
+ *   get:
+ *     summary: List a configuration's API keys
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Keys with their prefix, scopes, expiry, revocation and last use; never the key itself
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/:configId', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find({ configId: req.params.configId }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys/keys/{id}/rotate:
+ *   post:
+ *     summary: Replace an API key with a new one with the same scopes
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               gracePeriodMinutes:
+ *                 type: integer
+ *                 description: How long the old key keeps working while integrations switch over; 0 (default) revokes it at once
+ *     responses:
+ *       201:
+ *         description: The new API key, including the key
+ *       400:
+ *         description: The key is already revoked or expired
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: API key not found
+ */
+router.post('/keys/:id/rotate', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const gracePeriodMinutes = parseInt(req.body.gracePeriodMinutes, 10) || 0;
+    if (gracePeriodMinutes < 0) {
+      return next(new ErrorResponse('Grace period cannot be negative', 400));
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return next(new ErrorResponse(`API key not found with id of ${req.params.id}`, 404));
+    }
+
+    if (apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+      return next(new ErrorResponse('Only active API keys can be rotated; create a new key instead', 400));
+    }
+
+    const { apiKey: newKey, key } = await apiKeyManager.rotate(apiKey, gracePeriodMinutes, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...newKey.toJSON(),
+        key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys/keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key stops working at once; it stays listed with its revokedAt time.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/keys/:id', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return next(new ErrorResponse(`API key not found with id of ${req.params.id}`, 404));
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const Config = require('../models/Config');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const channelManager = require('../utils/channelManager');
+
+/**
+ * Load the configuration a channel webhook is for, checking the channel is enabled and set up
+ * @param {string} channel - Channel name
+ * @param {string} configId - Configuration ID
+ * @returns {Promise<Object>} - { adapter, config, settings }
+ */
+const loadChannel = async (channel, configId) => {
+  const adapter = channelManager.get(channel);
+  if (!adapter) {
+    throw new ErrorResponse(`Unknown channel ${channel}; use one of ${channelManager.list().join(', ')}`, 404);
+  }
+
+  const config = await Config.findById(configId);
+  if (!config) {
+    throw new ErrorResponse(`Configuration not found with id of ${configId}`, 404);
+  }
+
+  const settings = config.channelSettings?.[adapter.name];
+  if (!config.channels.includes(adapter.name) || !adapter.isConfigured(settings)) {
+    throw new ErrorResponse(`The ${adapter.name} channel is not set up for configuration ${configId}`, 404);
+  }
+
+  return { adapter, config, settings };
+};
+
+/**
+ * @swagger
+ * /api/channels/{channel}/{configId}:
+ *   get:
+ *     summary: Webhook subscription check (WhatsApp)
+ *     description: Echoes hub.challenge when hub.verify_token matches the bot's channelSettings.whatsapp.verifyToken
+ *     tags: [Channels]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [whatsapp, telegram, slack]
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The challenge, as plain text
+ *       403:
+ *         description: Verify token does not match
+ *       404:
+ *         description: Channel not set up for this configuration
+ */
+router.get('/:channel/:configId', async (req, res, next) => {
+  try {
+    const { adapter, settings } = await loadChannel(req.params.channel, req.params.configId);
+
+    const challenge = adapter.verifySubscription(req.query, settings);
+    if (challenge === null || challenge === undefined) {
+      return res.status(403).json({
+        success: false,
+        message: 'Verification failed'
+      });
+    }
+
+    res.status(200).type('text/plain').send(String(challenge));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/channels/{channel}/{configId}:
+ *   post:
+ *     summary: Receive messages from WhatsApp Cloud API, Telegram Bot API or Slack Events API webhooks
+ *     description: |
+ *       Takes the platform's own payload and signature: X-Hub-Signature-256 (WhatsApp),
+ *       X-Telegram-Bot-Api-Secret-Token (Telegram) or X-Slack-Signature (Slack).
+ *       The request is acknowledged at once; replies are sent through the channel's API.
+ *     tags: [Channels]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [whatsapp, telegram, slack]
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Received (or, for Slack's url_verification, the challenge)
+ *       401:
+ *         description: Missing or invalid signature
+ *       404:
+ *         description: Channel not set up for this configuration
+ */
+router.post('/:channel/:configId', async (req, res, next) => {
+  try {
+    const { adapter, config, settings } = await loadChannel(req.params.channel, req.params.configId);
+
+    if (!adapter.verifyRequest(req, settings)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const handshake = adapter.handshake(req.body);
+    if (handshake) {
+      return res.status(200).json(handshake);
+    }
+
+    const messages = adapter.parseMessages(req.body)
+      .filter(message => !channelManager.isDuplicate(adapter.name, message.messageId));
+
+    // Platforms retry webhooks that take more than a few seconds, so acknowledge before answering
+    res.status(200).json({ success: true, received: messages.length });
+
+    for (const message of messages) {
+      try {
+        await channelManager.handleMessage(config, adapter.name, message);
+      } catch (error) {
+        console.error(`Error answering ${adapter.name} message ${message.messageId} for configuration ${config._id}:`, error);
+      }
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const Config = require('../models/Config');
+const channelManager = require('../utils/channelManager');
+const { errorHandler } = require('../middleware/errorHandler');
+const channelRoutes = require('./channelRoutes');
+
+const CONFIG_ID = '65a000000000000000000001';
+
+const config = {
+  _id: CONFIG_ID,
+  channels: ['whatsapp', 'telegram', 'slack'],
+  channelSettings: {
+    whatsapp: { phoneNumberId: '1234', accessToken: 'wa-token', appSecret: 'wa-app-secret' },
+    telegram: { botToken: 'tg-token', secretToken: 'tg-secret-token' },
+    slack: { botToken: 'xoxb-token', signingSecret: 'slack-signing-secret' }
+  }
+};
+
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// The JSON parser keeps the raw body the same way server.js does
+const app = express();
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use('/api/channels', channelRoutes);
+app.use(errorHandler);
+
+// Spacing and escapes that JSON.stringify(req.body) would not reproduce, so only the raw bytes verify
+const whatsappBody = '{ "entry": [ { "changes": [ { "value": { "messages": [ ' +
+  '{ "id": "wamid.1", "from": "919800000000", "text": { "body": "Do you have LED bulbs? \\u2013 Ravi" } } ] } } ] } ] }';
+
+beforeEach(() => {
+  jest.spyOn(Config, 'findById').mockResolvedValue(config);
+  jest.spyOn(channelManager, 'handleMessage').mockResolvedValue();
+  channelManager.seen.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('WhatsApp webhook signatures', () => {
+  const post = (signature, body = whatsappBody) => request(app)
+    .post(`/api/channels/whatsapp/${CONFIG_ID}`)
+    .set('Content-Type', 'application/json')
+    .set('X-Hub-Signature-256', signature)
+    .send(body);
+
+  it('accepts a notification signed over the exact bytes received', async () => {
+    const res = await post(`sha256=${hmac('wa-app-secret', whatsappBody)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, received: 1 });
+    expect(channelManager.handleMessage).toHaveBeenCalledWith(config, 'whatsapp', expect.objectContaining({
+      messageId: 'wamid.1',
+      text: 'Do you have LED bulbs? – Ravi'
+    }));
+  });
+
+  it('rejects a signature over the re-serialized body', async () => {
+    const reserialized = JSON.stringify(JSON.parse(whatsappBody));
+
+    const res = await post(`sha256=${hmac('wa-app-secret', reserialized)}`);
+
+    expect(res.status).toBe(401);
+    expect(channelManager.handleMessage).not.toHaveBeenCalled();
+  });
+
+  it('rejects a body changed after signing', async () => {
+    const tampered = whatsappBody.replace('LED bulbs', 'LED tubes');
+
+    const res = await post(`sha256=${hmac('wa-app-secret', whatsappBody)}`, tampered);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects a signature made with another secret or a missing signature', async () => {
+    expect((await post(`sha256=${hmac('another-secret', whatsappBody)}`)).status).toBe(401);
+
+    const unsigned = await request(app)
+      .post(`/api/channels/whatsapp/${CONFIG_ID}`)
+      .set('Content-Type', 'application/json')
+      .send(whatsappBody);
+    expect(unsigned.status).toBe(401);
+  });
+});
+
+describe('Slack request signatures', () => {
+  const body = '{"type":"url_verification","challenge":"3eZbrw1aBm2rZgRNFdxV2595E9CY3gmdALWMmHkvFXO7tYXAYM8P"}';
+
+  const post = (timestamp, signature) => request(app)
+    .post(`/api/channels/slack/${CONFIG_ID}`)
+    .set('Content-Type', 'application/json')
+    .set('X-Slack-Request-Timestamp', String(timestamp))
+    .set('X-Slack-Signature', signature)
+    .send(body);
+
+  it('answers the URL check when the v0 signature matches the timestamp and raw body', async () => {
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const res = await post(timestamp, `v0=${hmac('slack-signing-secret', `v0:${timestamp}:${body}`)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ challenge: '3eZbrw1aBm2rZgRNFdxV2595E9CY3gmdALWMmHkvFXO7tYXAYM8P' });
+  });
+
+  it('rejects a replayed request with an old timestamp', async () => {
+    const timestamp = Math.floor(Date.now() / 1000) - 10 * 60;
+
+    const res = await post(timestamp, `v0=${hmac('slack-signing-secret', `v0:${timestamp}:${body}`)}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects a signature that does not cover the timestamp sent', async () => {
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const res = await post(timestamp, `v0=${hmac('slack-signing-secret', `v0:${timestamp - 1}:${body}`)}`);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('Telegram secret token', () => {
+  const update = { update_id: 1, message: { message_id: 7, chat: { id: 42 }, from: { id: 42 }, text: 'hi' } };
+
+  it('accepts the secret token set for the webhook and rejects any other', async () => {
+    const accepted = await request(app)
+      .post(`/api/channels/telegram/${CONFIG_ID}`)
+      .set('X-Telegram-Bot-Api-Secret-Token', 'tg-secret-token')
+      .send(update);
+    const rejected = await request(app)
+      .post(`/api/channels/telegram/${CONFIG_ID}`)
+      .set('X-Telegram-Bot-Api-Secret-Token', 'wrong-token')
+      .send(update);
+
+    expect(accepted.status).toBe(200);
+    expect(rejected.status).toBe(401);
+  });
+});
@@ -1,18 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protectWithApiKey, protectSession, canAccessConfig } = require('../middleware/auth');
 const Config = require('../models/Config');
 const Session = require('../models/Session');
-
-// Use global inventory models instead of direct imports
-// These are set up in server.js with the separate inventory database connection
-const ProductInventory = global.InventoryProduct;
-const OrderRequest = global.InventoryOrder;
 const { ErrorResponse } = require('../middleware/errorHandler');
-const aiClientManager = require('../utils/aiClientManager');
-
-// Fuzzy search utility
-const FuzzySearch = require('fuzzy-search');
+const inventoryService = require('../utils/inventoryService');
+const cartService = require('../utils/cartService');
+const inventoryIntentHandler = require('../utils/inventoryIntentHandler');
 
 /**
  * @swagger
@@ -31,11 +25,33 @@ const FuzzySearch = require('fuzzy-search');
  *         name: query
  *         schema:
  *           type: string
- *         required: true
- *         description: Product name or query to search for
+ *         description: Product name or query to search for, e.g. "9W LED bulb in warm white"
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only match products in this category
+ *       - in: query
+ *         name: attributes
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *         description: Attribute values the product must have, e.g. attributes[colour]=warm white
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *         description: Number of scored candidates to return
  *     responses:
  *       200:
- *         description: Product availability information
+ *         description: |
+ *           Product availability with the product's variants when it has any, and the top
+ *           candidates with match scores (0-1). When no product matches clearly, found is false,
+ *           ambiguous is true and the candidates should be offered to the user.
  *       400:
  *         description: Invalid input data
  *       404:
@@ -43,11 +59,16 @@ const FuzzySearch = require('fuzzy-search');
  */
 router.get('/check', async (req, res, next) => {
   try {
-    const { botId, query } = req.query;
+    const { botId, query, category, attributes } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 5, 20);
     
     // Validate required fields
-    if (!botId || !query) {
-      return next(new ErrorResponse('Please provide bot ID and product query', 400));
+    if (!botId || (!query && !category && !attributes)) {
+      return next(new ErrorResponse('Please provide bot ID and a product query, category or attributes', 400));
+    }
+    
+    if (attributes && typeof attributes !== 'object') {
+      return next(new ErrorResponse('Attributes must be given as attributes[name]=value', 400));
     }
     
     // Check if bot exists and has inventory enabled
@@ -60,63 +81,61 @@ router.get('/check', async (req, res, next) => {
       return next(new ErrorResponse(`Inventory is not enabled for this bot`, 400));
     }
     
-    // Get all products for this bot
-    const products = await ProductInventory.find({ botId });
-    
-    if (products.length === 0) {
-      return res.status(200).json({
-        success: true,
-        data: {
-          found: false,
-          message: 'No products available in inventory'
-        }
-      });
-    }
-    
-    // Use fuzzy search to find closest matching product
-    const searcher = new FuzzySearch(products, ['productName'], {
-      caseSensitive: false,
-      sort: true
-    });
-    
-    const searchResults = searcher.search(query);
-    
-    if (searchResults.length === 0) {
-      return res.status(200).json({
-        success: true,
-        data: {
-          found: false,
-          message: 'No matching products found'
-        }
-      });
-    }
-    
-    // Return the best match
-    const bestMatch = searchResults[0];
+    // Find the closest matching product in this bot's catalog (and any shared catalogs)
+    const result = await inventoryService.checkStock(
+      inventoryService.getCatalogBotIds(botConfig),
+      query,
+      { category, attributes },
+      limit
+    );
     
     res.status(200).json({
       success: true,
-      data: {
-        found: true,
-        product: {
-          productName: bestMatch.productName,
-          sku: bestMatch.sku,
-          availableStock: bestMatch.availableStock,
-          unit: bestMatch.unit
-        }
-      }
+      data: result
     });
   } catch (err) {
     next(err);
   }
 });
 
+/**
+ * Check that the caller may place orders for a bot and, when given, in a session of it:
+ * API keys only for their own configuration, users only in their own sessions (admins in any)
+ * @param {Object} req - Express request
+ * @param {Object} botConfig - The bot configuration
+ * @param {string} sessionId - Session the order is placed in, if any
+ * @returns {Promise<Object|null>} - The session, or null when none was given
+ */
+const checkOrderAccess = async (req, botConfig, sessionId) => {
+  if (!canAccessConfig(req, botConfig._id)) {
+    throw new ErrorResponse('This API key cannot act for this bot', 403);
+  }
+  if (!sessionId) {
+    return null;
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    throw new ErrorResponse(`Session with ID ${sessionId} not found`, 404);
+  }
+  if (session.configId.toString() !== botConfig._id.toString()) {
+    throw new ErrorResponse(`Session with ID ${sessionId} does not belong to bot ${botConfig._id}`, 400);
+  }
+  if (!req.apiKey && String(session.userId) !== String(req.user._id) && req.user.role !== 'admin') {
+    throw new ErrorResponse('Not authorized to access this session', 401);
+  }
+  return session;
+};
+
 /**
  * @swagger
  * /api/chat/inventory/order:
  *   post:
  *     summary: Record a user order request
  *     tags: [Chat Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -133,6 +152,9 @@ router.get('/check', async (req, res, next) => {
  *                 type: string
  *               productName:
  *                 type: string
+ *               sku:
+ *                 type: string
+ *                 description: Exact SKU, e.g. the one the user picked from the candidates
  *               requestedQty:
  *                 type: number
  *               userQuery:
@@ -143,15 +165,19 @@ router.get('/check', async (req, res, next) => {
  *                 type: string
  *     responses:
  *       201:
- *         description: Order request recorded successfully
+ *         description: Order request recorded; confirmed with reserved stock when enough is available
  *       400:
  *         description: Invalid input data
+ *       401:
+ *         description: Not authorized for this bot or session
  *       404:
  *         description: Bot not found
+ *       409:
+ *         description: Several products match; the response lists the candidates to choose from
  */
-router.post('/order', async (req, res, next) => {
+router.post('/order', protectWithApiKey('orders'), async (req, res, next) => {
   try {
-    const { botId, productName, requestedQty, userQuery, userId, sessionId } = req.body;
+    const { botId, productName, sku, requestedQty, userQuery, userId, sessionId } = req.body;
     
     // Validate required fields
     if (!botId || !productName || !requestedQty || !userQuery) {
@@ -168,39 +194,27 @@ router.post('/order', async (req, res, next) => {
       return next(new ErrorResponse(`Inventory is not enabled for this bot`, 400));
     }
     
-    // Check if product exists
-    const products = await ProductInventory.find({ botId });
-    const searcher = new FuzzySearch(products, ['productName'], {
-      caseSensitive: false,
-      sort: true
-    });
-    
-    const searchResults = searcher.search(productName);
-    
-    let matchedProduct = null;
-    if (searchResults.length > 0) {
-      matchedProduct = searchResults[0];
-    }
+    await checkOrderAccess(req, botConfig, sessionId);
     
-    // Create order request
-    const orderRequest = await OrderRequest.create({
+    // Match the product and record the order, confirming it when stock is available
+    const { order: orderRequest, ambiguous, candidates } = await inventoryService.placeOrder({
       botId,
-      productName: matchedProduct ? matchedProduct.productName : productName,
+      catalogBotIds: inventoryService.getCatalogBotIds(botConfig),
+      productName,
+      sku,
       requestedQty,
       userQuery,
       userId,
-      sessionId,
-      status: 'pending'
+      sessionId
     });
     
-    // If product exists and has enough stock, update the status
-    if (matchedProduct && matchedProduct.availableStock >= requestedQty) {
-      orderRequest.status = 'confirmed';
-      await orderRequest.save();
-      
-      // Optionally, update the stock (uncomment if you want to reduce stock immediately)
-      // matchedProduct.availableStock -= requestedQty;
-      // await matchedProduct.save();
+    // Nothing is ordered until the user picks one of the matching products
+    if (ambiguous) {
+      return res.status(409).json({
+        success: false,
+        message: `Several products match "${productName}"; please choose one by SKU`,
+        candidates
+      });
     }
     
     res.status(201).json({
@@ -218,6 +232,9 @@ router.post('/order', async (req, res, next) => {
  *   post:
  *     summary: Process inventory-related intents from user messages
  *     tags: [Chat Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -239,13 +256,22 @@ router.post('/order', async (req, res, next) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Processed intent and response
+ *         description: |
+ *           Processed intent and response. The intent is one of inventory_check, price_check,
+ *           order_intent, checkout, cancel_order, order_status, talk_to_human or other; it is
+ *           extracted as JSON in the provider's JSON mode and checked against a schema, and
+ *           the model is asked again when its answer does not match.
+ *           When a product matches several items in the catalog,
+ *           the response asks which one was meant and "clarification" lists the candidates;
+ *           the session remembers the question and the next message can answer it.
  *       400:
  *         description: Invalid input data
+ *       401:
+ *         description: Not authorized for this bot or session
  *       404:
  *         description: Bot not found
  */
-router.post('/intent', async (req, res, next) => {
+router.post('/intent', protectWithApiKey('orders'), async (req, res, next) => {
   try {
     const { botId, message, userId, sessionId } = req.body;
     
@@ -265,171 +291,302 @@ router.post('/intent', async (req, res, next) => {
     }
     
     // Get or create session
-    let session;
-    if (sessionId) {
-      session = await Session.findById(sessionId);
-      if (!session) {
-        return next(new ErrorResponse(`Session with ID ${sessionId} not found`, 404));
-      }
-    } else {
+    let session = await checkOrderAccess(req, botConfig, sessionId);
+    if (!session) {
       session = await Session.create({
         configId: botId,
         userId
       });
     }
     
-    // Prepare system prompt for intent detection
-    const intentDetectionPrompt = `
-    You are an inventory management assistant. Analyze the user message and extract the following information:
-    1. Intent: Is the user asking about product availability (inventory_check) or trying to place an order (order_intent)?
-    2. Product Name: What product is the user asking about?
-    3. Quantity: If the user is trying to place an order, what quantity are they requesting?
-    
-    The user may ask in Hindi or English. You must be able to understand both languages and extract the relevant information regardless of the language used.
-    
-    Examples in Hindi:
-    - "क्या आपके पास लैपटॉप है?" (Intent: inventory_check, Product: laptop)
-    - "मुझे 2 मोबाइल फोन चाहिए" (Intent: order_intent, Product: mobile phone, Quantity: 2)
-    
-    Examples in English:
-    - "Do you have laptops in stock?" (Intent: inventory_check, Product: laptop)
-    - "I want to order 3 printers" (Intent: order_intent, Product: printer, Quantity: 3)
+    const result = await inventoryIntentHandler.handle({ config: botConfig, session, message });
     
-    Respond in JSON format only with the following structure:
-    {
-      "intent": "inventory_check" or "order_intent" or "other",
-      "productName": "extracted product name",
-      "quantity": number or null if not specified
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Load a session and its bot configuration for the cart endpoints
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} - { session, botConfig }
+ */
+const getCartSession = async (sessionId) => {
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    throw new ErrorResponse(`Session with ID ${sessionId} not found`, 404);
+  }
+
+  const botConfig = await Config.findById(session.configId);
+  if (!botConfig) {
+    throw new ErrorResponse(`Bot with ID ${session.configId} not found`, 404);
+  }
+
+  if (!botConfig.inventoryEnabled) {
+    throw new ErrorResponse(`Inventory is not enabled for this bot`, 400);
+  }
+
+  return { session, botConfig };
+};
+
+/**
+ * @swagger
+ * /api/chat/inventory/cart/{sessionId}:
+ *   get:
+ *     summary: Get the cart for a chat session
+ *     tags: [Chat Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cart line items and totals
+ *       401:
+ *         description: Not authorized for this bot or session
+ *       404:
+ *         description: Session not found
+ */
+router.get('/cart/:sessionId', protectSession('orders'), async (req, res, next) => {
+  try {
+    const { session } = await getCartSession(req.params.sessionId);
+    const cart = await cartService.getCart(session._id);
+
+    res.status(200).json({
+      success: true,
+      data: cartService.formatCart(cart)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/chat/inventory/cart/{sessionId}/items:
+ *   post:
+ *     summary: Add a product to the session's cart
+ *     tags: [Chat Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - qty
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               productName:
+ *                 type: string
+ *                 description: Used to find the product when no SKU is given
+ *               qty:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Product added to the cart
+ *       400:
+ *         description: Invalid input data
+ *       401:
+ *         description: Not authorized for this bot or session
+ *       404:
+ *         description: Session or product not found
+ */
+router.post('/cart/:sessionId/items', protectSession('orders'), async (req, res, next) => {
+  try {
+    const { sku, productName } = req.body;
+    const qty = parseInt(req.body.qty, 10);
+
+    if ((!sku && !productName) || !qty || qty < 1) {
+      return next(new ErrorResponse('Please provide a SKU or product name and a quantity of at least 1', 400));
     }
-    `;
-    
-    // Use AI to detect intent and extract entities
-    const intentAnalysisMessages = [
-      { role: 'system', content: intentDetectionPrompt },
-      { role: 'user', content: message }
-    ];
-    
-    const intentAnalysis = await aiClientManager.generateResponse(
-      session._id.toString(),
-      intentAnalysisMessages,
-      { system_prompt: intentDetectionPrompt }
-    );
-    
-    let intentData;
-    try {
-      intentData = JSON.parse(intentAnalysis.content);
-    } catch (err) {
-      intentData = {
-        intent: 'other',
-        productName: null,
-        quantity: null
-      };
+
+    const { session, botConfig } = await getCartSession(req.params.sessionId);
+    const result = await cartService.addItem({ config: botConfig, session, sku, productName, qty });
+
+    if (!result.added) {
+      return next(new ErrorResponse(result.message, 404));
     }
-    
-    let response = '';
-    
-    // Detect language (simple check for Hindi characters)
-    const containsHindi = /[\u0900-\u097F]/.test(message);
-    const isHindi = containsHindi;
-    
-    // Process based on intent
-    if (intentData.intent === 'inventory_check' && intentData.productName) {
-      // Check product availability
-      const products = await ProductInventory.find({ botId });
-      
-      if (products.length === 0) {
-        response = isHindi
-          ? 'मुझे खेद है, इस समय इन्वेंटरी में कोई प्रोडक्ट उपलब्ध नहीं है।'
-          : 'I\'m sorry, there are no products available in the inventory at this time.';
-      } else {
-        // Use fuzzy search to find closest matching product
-        const searcher = new FuzzySearch(products, ['productName'], {
-          caseSensitive: false,
-          sort: true
-        });
-        
-        const searchResults = searcher.search(intentData.productName);
-        
-        if (searchResults.length === 0) {
-          response = isHindi
-            ? `मुझे खेद है, "${intentData.productName}" नाम का कोई प्रोडक्ट नहीं मिला। कृपया दूसरे प्रोडक्ट के बारे में पूछें।`
-            : `I'm sorry, no product named "${intentData.productName}" was found. Please ask about another product.`;
-        } else {
-          const product = searchResults[0];
-          if (product.availableStock > 0) {
-            response = isHindi
-              ? `हां, ${product.productName} उपलब्ध है। वर्तमान में ${product.availableStock} ${product.unit} स्टॉक में हैं। कितने चाहिए?`
-              : `Yes, ${product.productName} is available. There are currently ${product.availableStock} ${product.unit} in stock. How many would you like?`;
-          } else {
-            response = isHindi
-              ? `मुझे खेद है, ${product.productName} वर्तमान में स्टॉक में नहीं है।`
-              : `I'm sorry, ${product.productName} is currently out of stock.`;
-          }
-        }
-      }
-    } else if (intentData.intent === 'order_intent' && intentData.productName && intentData.quantity) {
-      // Process order intent
-      const products = await ProductInventory.find({ botId });
-      
-      if (products.length === 0) {
-        response = isHindi
-          ? 'मुझे खेद है, इस समय इन्वेंटरी में कोई प्रोडक्ट उपलब्ध नहीं है।'
-          : 'I\'m sorry, there are no products available in the inventory at this time.';
-      } else {
-        // Use fuzzy search to find closest matching product
-        const searcher = new FuzzySearch(products, ['productName'], {
-          caseSensitive: false,
-          sort: true
-        });
-        
-        const searchResults = searcher.search(intentData.productName);
-        
-        if (searchResults.length === 0) {
-          response = isHindi
-            ? `मुझे खेद है, "${intentData.productName}" नाम का कोई प्रोडक्ट नहीं मिला। कृपया दूसरे प्रोडक्ट के बारे में पूछें।`
-            : `I'm sorry, no product named "${intentData.productName}" was found. Please ask about another product.`;
-        } else {
-          const product = searchResults[0];
-          
-          if (product.availableStock >= intentData.quantity) {
-            // Create order request
-            await OrderRequest.create({
-              botId,
-              productName: product.productName,
-              requestedQty: intentData.quantity,
-              userQuery: message,
-              userId,
-              sessionId: session._id,
-              status: 'confirmed'
-            });
-            
-            response = isHindi
-              ? `आपका ऑर्डर रिकॉर्ड कर लिया गया है। ${intentData.quantity} ${product.unit} ${product.productName} के लिए आपका ऑर्डर कन्फर्म हो गया है। हमारी टीम जल्द ही आपसे संपर्क करेगी।`
-              : `Your order has been recorded. Your order for ${intentData.quantity} ${product.unit} of ${product.productName} has been confirmed. Our team will contact you soon.`;
-          } else if (product.availableStock > 0) {
-            response = isHindi
-              ? `मुझे खेद है, ${product.productName} के केवल ${product.availableStock} ${product.unit} ही उपलब्ध हैं। क्या आप कम मात्रा में ऑर्डर करना चाहेंगे?`
-              : `I'm sorry, only ${product.availableStock} ${product.unit} of ${product.productName} are available. Would you like to order a smaller quantity?`;
-          } else {
-            response = isHindi
-              ? `मुझे खेद है, ${product.productName} वर्तमान में स्टॉक में नहीं है।`
-              : `I'm sorry, ${product.productName} is currently out of stock.`;
-          }
-        }
-      }
-    } else {
-      // Unknown intent or missing information
-      response = isHindi
-        ? 'मैं आपकी सहायता करने के लिए हूं। आप किसी प्रोडक्ट की उपलब्धता के बारे में पूछ सकते हैं या ऑर्डर प्लेस कर सकते हैं।'
-        : 'I am here to help you. You can ask about product availability or place an order.';
+
+    res.status(200).json({
+      success: true,
+      data: cartService.formatCart(result.cart)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/chat/inventory/cart/{sessionId}/items/{sku}:
+ *   patch:
+ *     summary: Change the quantity of a cart line (0 removes it)
+ *     tags: [Chat Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - qty
+ *             properties:
+ *               qty:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Cart updated
+ *       400:
+ *         description: Invalid input data
+ *       401:
+ *         description: Not authorized for this bot or session
+ *       404:
+ *         description: Session or cart line not found
+ *   delete:
+ *     summary: Remove a line from the cart
+ *     tags: [Chat Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Line removed
+ *       401:
+ *         description: Not authorized for this bot or session
+ *       404:
+ *         description: Session or cart line not found
+ */
+router.patch('/cart/:sessionId/items/:sku', protectSession('orders'), async (req, res, next) => {
+  try {
+    const qty = parseInt(req.body.qty, 10);
+    if (Number.isNaN(qty) || qty < 0) {
+      return next(new ErrorResponse('Please provide a quantity of 0 or more', 400));
     }
-    
+
+    const { session } = await getCartSession(req.params.sessionId);
+    const cart = await cartService.updateItem(session._id, req.params.sku, qty);
+
+    if (!cart) {
+      return next(new ErrorResponse(`SKU ${req.params.sku} is not in the cart`, 404));
+    }
+
     res.status(200).json({
       success: true,
-      data: {
-        intent: intentData,
-        response
-      }
+      data: cartService.formatCart(cart)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete('/cart/:sessionId/items/:sku', protectSession('orders'), async (req, res, next) => {
+  try {
+    const { session } = await getCartSession(req.params.sessionId);
+    const cart = await cartService.removeItem(session._id, req.params.sku);
+
+    if (!cart) {
+      return next(new ErrorResponse(`SKU ${req.params.sku} is not in the cart`, 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: cartService.formatCart(cart)
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api/chat/inventory/cart/{sessionId}/checkout:
+ *   post:
+ *     summary: Turn the session's cart into one multi-line order
+ *     tags: [Chat Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userQuery:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Order created; confirmed with reserved stock when every line is available
+ *       400:
+ *         description: The cart is empty
+ *       401:
+ *         description: Not authorized for this bot or session
+ *       404:
+ *         description: Session not found
+ */
+router.post('/cart/:sessionId/checkout', protectSession('orders'), async (req, res, next) => {
+  try {
+    const { session } = await getCartSession(req.params.sessionId);
+    const order = await cartService.checkout({ session, userQuery: req.body.userQuery });
+
+    if (!order) {
+      return next(new ErrorResponse('The cart is empty', 400));
+    }
+
+    res.status(201).json({
+      success: true,
+      data: order
     });
   } catch (err) {
     next(err);
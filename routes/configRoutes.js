@@ -6,6 +6,10 @@ const { ErrorResponse } = require('../middleware/errorHandler');
 const projectConfigManager = require('../utils/projectConfigManager');
 const { upload, extractTextFromPDF } = require('../middleware/fileUpload');
 const promptEnhancer = require('../utils/promptEnhancer');
+const knowledgeBase = require('../utils/knowledgeBase');
+const messageCatalog = require('../utils/messageCatalog');
+const providerRegistry = require('../utils/providerRegistry');
+const circuitBreaker = require('../utils/circuitBreaker');
 const path = require('path');
 
 /**
@@ -45,24 +49,129 @@ const path = require('path');
  *                     enum: [formal, casual, friendly, professional, technical]
  *                   language:
  *                     type: string
+ *                     description: Default reply language, e.g. en, hi, mr, ta, gu or hi-Latn (Hinglish)
  *               channels:
  *                 type: array
  *                 items:
  *                   type: string
+ *                 description: Channels the bot answers on, e.g. web, whatsapp, telegram, slack
+ *               public:
+ *                 type: boolean
+ *                 description: Let anonymous visitors start their own sessions via POST /api/sessions/public
+ *               handoff:
+ *                 type: object
+ *                 description: Hand sessions to agents when users ask for a person or the bot cannot answer
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   unsureReplies:
+ *                     type: integer
+ *                     description: Unsure bot replies in a row before handing off (default 2, 0 never)
+ *               widget:
+ *                 type: object
+ *                 description: Website chat widget, embedded with <script src="/widget.js" data-config-id="...">
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   allowedOrigins:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Sites that may embed the widget, e.g. https://shop.example.com, or *
+ *                   theme:
+ *                     type: object
+ *                     properties:
+ *                       primaryColor:
+ *                         type: string
+ *                         description: "#RRGGBB"
+ *                       position:
+ *                         type: string
+ *                         enum: [bottom-right, bottom-left]
+ *                       title:
+ *                         type: string
+ *                       greeting:
+ *                         type: string
+ *                       placeholder:
+ *                         type: string
+ *               channelSettings:
+ *                 type: object
+ *                 description: Messaging channel credentials; responses show hasAccessToken, hasBotToken, ... instead of the secrets
+ *                 properties:
+ *                   whatsapp:
+ *                     type: object
+ *                     properties:
+ *                       phoneNumberId:
+ *                         type: string
+ *                       accessToken:
+ *                         type: string
+ *                       appSecret:
+ *                         type: string
+ *                       verifyToken:
+ *                         type: string
+ *                   telegram:
+ *                     type: object
+ *                     properties:
+ *                       botToken:
+ *                         type: string
+ *                       secretToken:
+ *                         type: string
+ *                   slack:
+ *                     type: object
+ *                     properties:
+ *                       botToken:
+ *                         type: string
+ *                       signingSecret:
+ *                         type: string
  *               integrations:
  *                 type: array
  *                 items:
  *                   type: string
+ *               quotas:
+ *                 type: object
+ *                 description: Usage limits; leave a quota unset for no limit
+ *                 properties:
+ *                   messagesPerUserPerDay:
+ *                     type: integer
+ *                     description: Bot replies each user may get per UTC day
+ *                   tokensPerMonth:
+ *                     type: integer
+ *                     description: Tokens the bot may use per calendar month
+ *                   monthlySpendLimit:
+ *                     type: number
+ *                     description: Hard cap on the estimated monthly cost, in the pricing table's currency
+ *                   limitMessage:
+ *                     type: string
+ *                     description: Shown to the user once a quota has run out
  *               ai:
  *                 type: object
  *                 properties:
  *                   provider:
  *                     type: string
- *                     enum: [mistral, openai]
- *                     description: AI provider to use (mistral or openai)
+ *                     enum: [mistral, openai, anthropic, ollama, openai-compatible]
+ *                     description: AI provider to use; GET /api/configs/providers lists the registered providers
  *                   model:
  *                     type: string
- *                     description: Model name to use (e.g., mistral-small, gpt-3.5-turbo)
+ *                     description: Model name to use (e.g., mistral-small, gpt-3.5-turbo, claude-3-5-haiku-latest, llama3.1)
+ *                   baseUrl:
+ *                     type: string
+ *                     description: Provider API base URL, e.g. http://localhost:11434/v1 for Ollama or a llama.cpp server (admins only)
+ *                   apiKey:
+ *                     type: string
+ *                     description: Provider API key for this bot only; responses show hasApiKey instead
+ *                   fallbacks:
+ *                     type: array
+ *                     description: Providers tried in order when the ones before them fail
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         provider:
+ *                           type: string
+ *                         model:
+ *                           type: string
+ *                         baseUrl:
+ *                           type: string
+ *                         apiKey:
+ *                           type: string
  *                   temperature:
  *                     type: number
  *                     minimum: 0
@@ -71,6 +180,9 @@ const path = require('path');
  *                   max_tokens:
  *                     type: integer
  *                     description: Maximum tokens to generate in the response
+ *                   contextWindow:
+ *                     type: integer
+ *                     description: Model context window in tokens, if the model is not recognised by name
  *     responses:
  *       201:
  *         description: Configuration created successfully
@@ -81,6 +193,10 @@ const path = require('path');
  */
 router.post('/', protect, async (req, res, next) => {
   try {
+    if (req.user.role !== 'admin' && Config.setsNewBaseUrl(req.body, null)) {
+      return next(new ErrorResponse('Only admins can set an AI base URL', 403));
+    }
+    
     const config = await Config.create(req.body);
     res.status(201).json({
       success: true,
@@ -95,7 +211,8 @@ router.post('/', protect, async (req, res, next) => {
  * @swagger
  * /api/configs/upload-pdf/{configId}:
  *   post:
- *     summary: Upload a PDF file for a configuration
+ *     summary: Upload a PDF file to a configuration's knowledge base
+ *     description: The document is chunked and indexed so relevant passages can be retrieved for each user message. Uploading again adds another document.
  *     tags: [Configurations]
  *     security:
  *       - bearerAuth: []
@@ -143,33 +260,37 @@ router.post('/upload-pdf/:configId', protect, upload.single('pdf'), async (req,
     // Extract text from PDF
     const pdfText = await extractTextFromPDF(req.file.path);
 
+    if (!pdfText || !pdfText.trim()) {
+      return next(new ErrorResponse('No readable text found in the PDF file', 400));
+    }
+
+    // Chunk and index the document in the knowledge base
+    const document = await knowledgeBase.addDocument(config._id, req.file, pdfText);
+
     // Get configuration details
     const configName = config.name;
     const configPurpose = config.purpose;
     const configDomain = config.domain;
     const configTone = config.tone;
     
-    // Generate a system prompt based on both the PDF content and configuration details
+    // Generate a system prompt based on the configuration; document passages are retrieved per message
     const systemPrompt = `You are a specialized assistant named "${configName}" with the primary purpose of ${configPurpose}. You specialize in the ${configDomain.join(', ')} domain(s) and communicate in a ${configTone?.style || 'professional'} tone using ${configTone?.language || 'English'} language.
 
-You have been trained EXCLUSIVELY on the following document. You MUST deeply understand and internalize this content to provide accurate and helpful responses:
-
-${pdfText.substring(0, 2000)}...
+You have access to a knowledge base built from the documents uploaded for you. For each user message, the most relevant excerpts are provided with numbered sources. You MUST deeply understand this content to provide accurate and helpful responses.
 
 When answering questions:
-1. ALWAYS analyze both the document content AND the context of your configuration (purpose: ${configPurpose}, domain: ${configDomain.join(', ')}) to provide comprehensive responses
-2. Use the document's specific terminology, facts, and information as your primary knowledge source
-3. Apply your understanding of the ${configDomain.join(', ')} domain to interpret the document content in the most relevant way
-4. Maintain the document's factual accuracy while explaining concepts in a ${configTone?.style || 'professional'} manner
-5. For questions directly related to the document, provide detailed answers citing specific information
-6. For questions partially related to the document, combine document knowledge with your understanding of the configuration context
-7. For completely unrelated topics, politely explain that you're specialized in ${configPurpose} with knowledge from the specific document provided
+1. ALWAYS analyze both the knowledge base excerpts AND the context of your configuration (purpose: ${configPurpose}, domain: ${configDomain.join(', ')}) to provide comprehensive responses
+2. Use the documents' specific terminology, facts, and information as your primary knowledge source
+3. Cite the excerpts you use with their source number in square brackets, e.g. [1]
+4. Maintain the documents' factual accuracy while explaining concepts in a ${configTone?.style || 'professional'} manner
+5. For questions partially related to the documents, combine document knowledge with your understanding of the configuration context
+6. If no excerpt answers the question, say that the documents do not cover it instead of guessing
+7. For completely unrelated topics, politely explain that you're specialized in ${configPurpose}
 
-Your goal is to be an expert on this document while using your configuration context (purpose, domain, tone) to present this knowledge in the most helpful and relevant way possible. You should appear as if you've thoroughly studied both the document AND the configuration details to provide the most valuable assistance.`;
+Your goal is to be an expert on these documents while using your configuration context (purpose, domain, tone) to present this knowledge in the most helpful and relevant way possible.`;
 
-    // Update configuration with PDF file path and content
+    // Keep track of the latest uploaded file for backward compatibility
     config.pdfFilePath = req.file.path;
-    config.pdfContent = pdfText.substring(0, 10000); // Store first 10000 chars of PDF content
     config.system_prompt = systemPrompt;
 
     await config.save();
@@ -178,8 +299,10 @@ Your goal is to be an expert on this document while using your configuration con
       success: true,
       data: {
         configId: config._id,
+        documentId: document._id,
         fileName: req.file.filename,
         fileSize: req.file.size,
+        chunkCount: document.chunkCount,
         contentPreview: pdfText.substring(0, 200) + '...'
       }
     });
@@ -362,6 +485,32 @@ router.get('/', protect, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/configs/providers:
+ *   get:
+ *     summary: List the AI providers a configuration can use in ai.provider
+ *     tags: [Configurations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered providers with a description, whether they need an API key and their circuit breaker state
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/providers', protect, (req, res) => {
+  const providers = providerRegistry.list().map(provider => ({
+    ...provider,
+    circuit: circuitBreaker.getState(provider.name)
+  }));
+  res.status(200).json({
+    success: true,
+    count: providers.length,
+    data: providers
+  });
+});
+
 /**
  * @swagger
  * /api/configs/{id}:
@@ -401,6 +550,100 @@ router.get('/:id', protect, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/configs/{id}/documents:
+ *   get:
+ *     summary: List the documents in a configuration's knowledge base
+ *     tags: [Configurations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of knowledge base documents
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Configuration not found
+ */
+router.get('/:id/documents', protect, async (req, res, next) => {
+  try {
+    const config = await Config.findById(req.params.id);
+    
+    if (!config) {
+      return next(new ErrorResponse(`Configuration not found with id of ${req.params.id}`, 404));
+    }
+    
+    const documents = await knowledgeBase.listDocuments(config._id);
+    
+    res.status(200).json({
+      success: true,
+      count: documents.length,
+      data: documents
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/configs/{id}/documents/{documentId}:
+ *   delete:
+ *     summary: Remove a document from a configuration's knowledge base
+ *     tags: [Configurations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Document and its indexed chunks deleted
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Configuration or document not found
+ */
+router.delete('/:id/documents/:documentId', protect, async (req, res, next) => {
+  try {
+    const { id, documentId } = req.params;
+    
+    const config = await Config.findById(id);
+    
+    if (!config) {
+      return next(new ErrorResponse(`Configuration not found with id of ${id}`, 404));
+    }
+    
+    const removed = await knowledgeBase.removeDocument(config._id, documentId);
+    
+    if (!removed) {
+      return next(new ErrorResponse(`Document not found with id of ${documentId}`, 404));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/configs/{id}/toggle-inventory-access:
@@ -471,11 +714,207 @@ router.patch('/:id/toggle-inventory-access', protect, async (req, res, next) =>
   }
 });
 
+/**
+ * @swagger
+ * /api/configs/{id}/inventory-messages:
+ *   get:
+ *     summary: Get the inventory reply templates for a configuration
+ *     description: Returns the built-in locales and template keys, the bot's default locale and its template overrides
+ *     tags: [Configurations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Locales, template keys and overrides
+ *       404:
+ *         description: Configuration not found
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/:id/inventory-messages', protect, async (req, res, next) => {
+  try {
+    const config = await Config.findById(req.params.id);
+    
+    if (!config) {
+      return next(new ErrorResponse(`Configuration not found with id of ${req.params.id}`, 404));
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        defaultLocale: messageCatalog.getDefaultLocale(config),
+        locales: messageCatalog.locales,
+        keys: messageCatalog.keys,
+        overrides: messageCatalog.getAllOverrides(config)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/configs/{id}/inventory-messages/{locale}:
+ *   put:
+ *     summary: Override inventory reply templates for one locale
+ *     description: |
+ *       Merges the given templates into the bot's overrides for the locale. Templates use
+ *       {placeholder} values such as {product}, {qty} and {unit}; a null template removes
+ *       that override. A locale that is not built in can be added this way and selected
+ *       with tone.language.
+ *     tags: [Configurations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Locale code, e.g. hi, mr, ta, gu or hi-Latn (Hinglish)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - messages
+ *             properties:
+ *               messages:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                   nullable: true
+ *                 example:
+ *                   outOfStock: "Sorry, {product} is sold out. It will be back next week."
+ *     responses:
+ *       200:
+ *         description: Overrides updated successfully
+ *       400:
+ *         description: Invalid locale or template keys
+ *       404:
+ *         description: Configuration not found
+ *       401:
+ *         description: Not authorized
+ */
+router.put('/:id/inventory-messages/:locale', protect, async (req, res, next) => {
+  try {
+    const { locale } = req.params;
+    const { messages } = req.body;
+    
+    const validationError = messageCatalog.validateOverrides(locale, messages);
+    if (validationError) {
+      return next(new ErrorResponse(validationError, 400));
+    }
+    
+    const config = await Config.findById(req.params.id);
+    
+    if (!config) {
+      return next(new ErrorResponse(`Configuration not found with id of ${req.params.id}`, 404));
+    }
+    
+    const templates = { ...messageCatalog.getAllOverrides(config)[locale] };
+    Object.entries(messages).forEach(([key, template]) => {
+      if (template === null || template.trim() === '') {
+        delete templates[key];
+      } else {
+        templates[key] = template;
+      }
+    });
+    
+    if (!config.inventory.messages) {
+      config.inventory.messages = {};
+    }
+    
+    if (Object.keys(templates).length > 0) {
+      config.inventory.messages.set(locale, templates);
+    } else {
+      config.inventory.messages.delete(locale);
+    }
+    
+    await config.save();
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        configId: config._id,
+        locale,
+        messages: templates
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/configs/{id}/inventory-messages/{locale}:
+ *   delete:
+ *     summary: Remove all inventory reply template overrides for one locale
+ *     tags: [Configurations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Overrides removed successfully
+ *       404:
+ *         description: Configuration not found
+ *       401:
+ *         description: Not authorized
+ */
+router.delete('/:id/inventory-messages/:locale', protect, async (req, res, next) => {
+  try {
+    const config = await Config.findById(req.params.id);
+    
+    if (!config) {
+      return next(new ErrorResponse(`Configuration not found with id of ${req.params.id}`, 404));
+    }
+    
+    if (config.inventory.messages) {
+      config.inventory.messages.delete(req.params.locale);
+      await config.save();
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/configs/{id}:
  *   put:
  *     summary: Update a configuration
+ *     description: Nested settings are merged, so send only what changes; secrets that are not sent are kept. Arrays are replaced.
  *     tags: [Configurations]
  *     security:
  *       - bearerAuth: []
@@ -508,10 +947,79 @@ router.patch('/:id/toggle-inventory-access', protect, async (req, res, next) =>
  *                     enum: [formal, casual, friendly, professional, technical]
  *                   language:
  *                     type: string
+ *                     description: Default reply language, e.g. en, hi, mr, ta, gu or hi-Latn (Hinglish)
  *               channels:
  *                 type: array
  *                 items:
  *                   type: string
+ *                 description: Channels the bot answers on, e.g. web, whatsapp, telegram, slack
+ *               public:
+ *                 type: boolean
+ *                 description: Let anonymous visitors start their own sessions via POST /api/sessions/public
+ *               handoff:
+ *                 type: object
+ *                 description: Hand sessions to agents when users ask for a person or the bot cannot answer
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   unsureReplies:
+ *                     type: integer
+ *                     description: Unsure bot replies in a row before handing off (default 2, 0 never)
+ *               widget:
+ *                 type: object
+ *                 description: Website chat widget, embedded with <script src="/widget.js" data-config-id="...">
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                   allowedOrigins:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Sites that may embed the widget, e.g. https://shop.example.com, or *
+ *                   theme:
+ *                     type: object
+ *                     properties:
+ *                       primaryColor:
+ *                         type: string
+ *                         description: "#RRGGBB"
+ *                       position:
+ *                         type: string
+ *                         enum: [bottom-right, bottom-left]
+ *                       title:
+ *                         type: string
+ *                       greeting:
+ *                         type: string
+ *                       placeholder:
+ *                         type: string
+ *               channelSettings:
+ *                 type: object
+ *                 description: Messaging channel credentials; responses show hasAccessToken, hasBotToken, ... instead of the secrets
+ *                 properties:
+ *                   whatsapp:
+ *                     type: object
+ *                     properties:
+ *                       phoneNumberId:
+ *                         type: string
+ *                       accessToken:
+ *                         type: string
+ *                       appSecret:
+ *                         type: string
+ *                       verifyToken:
+ *                         type: string
+ *                   telegram:
+ *                     type: object
+ *                     properties:
+ *                       botToken:
+ *                         type: string
+ *                       secretToken:
+ *                         type: string
+ *                   slack:
+ *                     type: object
+ *                     properties:
+ *                       botToken:
+ *                         type: string
+ *                       signingSecret:
+ *                         type: string
  *               integrations:
  *                 type: array
  *                 items:
@@ -522,16 +1030,60 @@ router.patch('/:id/toggle-inventory-access', protect, async (req, res, next) =>
  *                   inventoryAccess:
  *                     type: boolean
  *                     description: Enable product inventory access for this chatbot
+ *               inventory:
+ *                 type: object
+ *                 properties:
+ *                   sharedCatalogs:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: IDs of other chatbots whose product catalogs this chatbot may also read
+ *               quotas:
+ *                 type: object
+ *                 description: Usage limits; leave a quota unset for no limit
+ *                 properties:
+ *                   messagesPerUserPerDay:
+ *                     type: integer
+ *                     description: Bot replies each user may get per UTC day
+ *                   tokensPerMonth:
+ *                     type: integer
+ *                     description: Tokens the bot may use per calendar month
+ *                   monthlySpendLimit:
+ *                     type: number
+ *                     description: Hard cap on the estimated monthly cost, in the pricing table's currency
+ *                   limitMessage:
+ *                     type: string
+ *                     description: Shown to the user once a quota has run out
  *               ai:
  *                 type: object
  *                 properties:
  *                   provider:
  *                     type: string
- *                     enum: [mistral, openai]
- *                     description: AI provider to use (mistral or openai)
+ *                     enum: [mistral, openai, anthropic, ollama, openai-compatible]
+ *                     description: AI provider to use; GET /api/configs/providers lists the registered providers
  *                   model:
  *                     type: string
- *                     description: Model name to use (e.g., mistral-small, gpt-3.5-turbo)
+ *                     description: Model name to use (e.g., mistral-small, gpt-3.5-turbo, claude-3-5-haiku-latest, llama3.1)
+ *                   baseUrl:
+ *                     type: string
+ *                     description: Provider API base URL, e.g. http://localhost:11434/v1 for Ollama or a llama.cpp server (admins only)
+ *                   apiKey:
+ *                     type: string
+ *                     description: Provider API key for this bot only; responses show hasApiKey instead
+ *                   fallbacks:
+ *                     type: array
+ *                     description: Providers tried in order when the ones before them fail
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         provider:
+ *                           type: string
+ *                         model:
+ *                           type: string
+ *                         baseUrl:
+ *                           type: string
+ *                         apiKey:
+ *                           type: string
  *                   temperature:
  *                     type: number
  *                     minimum: 0
@@ -540,9 +1092,14 @@ router.patch('/:id/toggle-inventory-access', protect, async (req, res, next) =>
  *                   max_tokens:
  *                     type: integer
  *                     description: Maximum tokens to generate in the response
+ *                   contextWindow:
+ *                     type: integer
+ *                     description: Model context window in tokens, if the model is not recognised by name
  *     responses:
  *       200:
  *         description: Configuration updated successfully
+ *       403:
+ *         description: Only admins can set an AI base URL
  *       404:
  *         description: Configuration not found
  *       401:
@@ -556,7 +1113,13 @@ router.put('/:id', protect, async (req, res, next) => {
       return next(new ErrorResponse(`Configuration not found with id of ${req.params.id}`, 404));
     }
     
-    config = await Config.findByIdAndUpdate(req.params.id, req.body, {
+    // The server calls ai.baseUrl, so only admins may point it somewhere new
+    if (req.user.role !== 'admin' && Config.setsNewBaseUrl(req.body, config)) {
+      return next(new ErrorResponse('Only admins can set an AI base URL', 403));
+    }
+    
+    // Merge nested settings and keep secrets that were not sent
+    config = await Config.findByIdAndUpdate(req.params.id, { $set: Config.buildUpdate(req.body, config) }, {
       new: true,
       runValidators: true
     });
@@ -600,6 +1163,9 @@ router.delete('/:id', protect, authorize('admin'), async (req, res, next) => {
       return next(new ErrorResponse(`Configuration not found with id of ${req.params.id}`, 404));
     }
     
+    // Remove the configuration's knowledge base
+    await knowledgeBase.removeAllDocuments(config._id);
+    
     await config.deleteOne();
     
     res.status(200).json({
@@ -719,6 +1285,7 @@ router.get('/projects/:projectId', protect, async (req, res, next) => {
  *                     enum: [formal, casual, friendly, professional, technical]
  *                   language:
  *                     type: string
+ *                     description: Default reply language, e.g. en, hi, mr, ta, gu or hi-Latn (Hinglish)
  *               channels:
  *                 type: array
  *                 items:
@@ -732,9 +1299,13 @@ router.get('/projects/:projectId', protect, async (req, res, next) => {
  *                properties:
  *                  provider:
  *                    type: string
- *                    enum: [mistral, openai]
+ *                    enum: [mistral, openai, anthropic, ollama, openai-compatible]
  *                  model:
  *                    type: string
+ *                  baseUrl:
+ *                    type: string
+ *                  apiKey:
+ *                    type: string
  *                  temperature:
  *                    type: number
  *                  max_tokens:
@@ -0,0 +1,93 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../models/User');
+const Config = require('../models/Config');
+const { errorHandler } = require('../middleware/errorHandler');
+const configRoutes = require('./configRoutes');
+
+const USER_ID = '65a000000000000000000011';
+const ADMIN_ID = '65a000000000000000000012';
+const CONFIG_ID = '65a000000000000000000001';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/configs', configRoutes);
+app.use(errorHandler);
+
+const tokenFor = (id) => jwt.sign({ id }, process.env.JWT_SECRET);
+
+const stored = {
+  _id: CONFIG_ID,
+  name: 'Shop bot',
+  ai: {
+    provider: 'openai',
+    model: 'gpt-4o-mini',
+    baseUrl: 'https://api.openai.com/v1',
+    fallbacks: [{ provider: 'ollama', model: 'llama3', baseUrl: 'http://ollama.internal:11434' }]
+  }
+};
+
+const update = (body, userId = USER_ID) => request(app)
+  .put(`/api/configs/${CONFIG_ID}`)
+  .set('Authorization', `Bearer ${tokenFor(userId)}`)
+  .send(body);
+
+beforeEach(() => {
+  jest.spyOn(User, 'findById').mockImplementation(async (id) => ({ id, role: id === ADMIN_ID ? 'admin' : 'user' }));
+  jest.spyOn(Config, 'findById').mockResolvedValue(stored);
+  jest.spyOn(Config, 'findByIdAndUpdate').mockImplementation(async (id, change) => ({ _id: id, change }));
+  jest.spyOn(Config, 'create').mockImplementation(async (fields) => fields);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('AI base URLs', () => {
+  const attacker = 'http://169.254.169.254/latest';
+
+  it.each([
+    ['a nested ai.baseUrl', { ai: { baseUrl: attacker } }],
+    ['a dotted ai.baseUrl key', { 'ai.baseUrl': attacker }],
+    ['a dotted fallback key inside ai', { ai: { 'fallbacks.0.baseUrl': attacker } }],
+    ['a dotted fallback key at the top level', { 'ai.fallbacks.1.baseUrl': attacker }],
+    ['a dotted fallback entry', { 'ai.fallbacks.0': { provider: 'ollama', baseUrl: attacker } }],
+    ['a dotted fallbacks list', { 'ai.fallbacks': [{ provider: 'ollama', model: 'llama3', baseUrl: attacker }] }],
+    ['a nested fallbacks list', { ai: { fallbacks: [{ provider: 'ollama', model: 'llama3', baseUrl: attacker }] } }]
+  ])('refuses a new base URL sent as %s unless the user is an admin', async (shape, body) => {
+    const refused = await update(body);
+    const allowed = await update(body, ADMIN_ID);
+
+    expect(refused.status).toBe(403);
+    expect(refused.body.message).toBe('Only admins can set an AI base URL');
+    expect(allowed.status).toBe(200);
+    expect(Config.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a dotted base URL key when a configuration is created', async () => {
+    const res = await request(app)
+      .post('/api/configs')
+      .set('Authorization', `Bearer ${tokenFor(USER_ID)}`)
+      .send({ name: 'New bot', 'ai.baseUrl': attacker });
+
+    expect(res.status).toBe(403);
+    expect(Config.create).not.toHaveBeenCalled();
+  });
+
+  it('lets any owner resend the base URLs the configuration already uses', async () => {
+    const res = await update({
+      ai: {
+        baseUrl: 'https://api.openai.com/v1',
+        temperature: 0.3,
+        fallbacks: [{ provider: 'ollama', model: 'llama3', baseUrl: 'http://ollama.internal:11434' }]
+      }
+    });
+
+    expect(res.status).toBe(200);
+    expect(Config.findByIdAndUpdate.mock.calls[0][1].$set).toMatchObject({ 'ai.temperature': 0.3 });
+  });
+});
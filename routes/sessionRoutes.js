@@ -1,13 +1,117 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { protect, authorize, protectVisitor } = require('../middleware/auth');
+const { blockBots, visitorSessionLimiter, visitorMessageLimiter, checkVisitorMessage } = require('../middleware/visitorGuard');
 const Session = require('../models/Session');
 const Message = require('../models/Message');
 const Config = require('../models/Config');
-const User = require('../models/User');
 const { ErrorResponse } = require('../middleware/errorHandler');
-const aiClientManager = require('../utils/aiClientManager');
 const projectConfigManager = require('../utils/projectConfigManager');
+const { initSSE, sendSSE } = require('../utils/streamUtils');
+const conversationEngine = require('../utils/conversationEngine');
+const visitorAuth = require('../utils/visitorAuth');
+const realtimeHub = require('../utils/realtimeHub');
+const conversationExporter = require('../utils/conversationExporter');
+const { parseDate } = require('../utils/queryUtils');
+/**
+ * Run a message through the conversation engine and stream the reply as Server-Sent Events.
+ * Emits `token` events with { content }, then a single `done` event with
+ * { messageId, status, reply, model, provider, usage, sources, toolCalls }, or an `error` event with { message }.
+ * While a person is answering the session there are no tokens and reply and messageId are null.
+ * Refusals and errors before the first event are sent as a normal JSON response.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next middleware
+ * @param {Object} session - The session document
+ * @param {Object} config - The session's configuration, when already loaded
+ */
+const streamBotReply = async (req, res, next, session, config = null) => {
+  const { message, language } = req.body;
+  
+  // Keep reading the upstream stream if the client goes away so the reply is still saved.
+  // The request emits 'close' once its body has been read, so watch the response instead.
+  let clientClosed = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientClosed = true;
+    }
+  });
+  
+  // The event stream starts with the first token, so a refused quota can still use its status code
+  const startStream = () => {
+    if (!res.headersSent) {
+      initSSE(res);
+    }
+  };
+  
+  try {
+    const turn = await conversationEngine.handleMessage({
+      session,
+      config,
+      message,
+      language,
+      onChunk: ({ content }) => {
+        startStream();
+        if (!clientClosed) {
+          sendSSE(res, 'token', { content });
+        }
+      }
+    });
+    
+    if (turn.refusal) {
+      return res.status(turn.refusal.statusCode).json(turn.refusal.body);
+    }
+    
+    startStream();
+    sendSSE(res, 'done', {
+      messageId: turn.botMessage ? turn.botMessage._id : null,
+      status: turn.session.status,
+      reply: turn.reply,
+      model: turn.response?.model,
+      provider: turn.response?.provider,
+      usage: turn.response?.usage || null,
+      sources: turn.sources,
+      toolCalls: turn.response?.toolCalls || []
+    });
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      return next(error);
+    }
+    console.error(`Error streaming response for session ${session._id}:`, error);
+    sendSSE(res, 'error', { message: error.message });
+    res.end();
+  }
+};
+
+/**
+ * Check the format asked for in an export request
+ * @param {string} format - The format query parameter
+ * @returns {string} - The format, json by default
+ */
+const exportFormat = (format = 'json') => {
+  if (!conversationExporter.formats.includes(format)) {
+    throw new ErrorResponse(`Export format must be one of ${conversationExporter.formats.join(', ')}`, 400);
+  }
+  return format;
+};
+
+/**
+ * Send an export as a file download
+ * @param {Object} res - Express response
+ * @param {Object} data - The export, from the conversation exporter
+ * @param {string} format - json, csv, markdown or pdf
+ * @param {string} name - File name without the extension
+ */
+const sendExport = async (res, data, format, name) => {
+  const { contentType, extension } = conversationExporter.describe(format);
+  const body = await conversationExporter.render(data, format);
+
+  res.attachment(`${name}.${extension}`);
+  res.set('Content-Type', contentType);
+  res.status(200).send(body);
+};
 
 /**
  * @swagger
@@ -173,37 +277,20 @@ router.post('/project/:projectId', protect, async (req, res, next) => {
  *         description: Not authorized
  *       404:
  *         description: Session not found
+ *       402:
+ *         description: The bot's monthly spend limit has been reached
+ *       429:
+ *         description: A message or token quota has run out; "reply" holds the bot's limit message
  */
 router.post('/:sessionId/messages', protect, async (req, res, next) => {
-  // Function to include product inventory data in the context
-  const includeInventoryData = async (session, config) => {
-    try {
-      // Always include inventory data regardless of config settings
-      // Get product inventory data for this bot from the productinventories collection
-      const inventoryProducts = await global.InventoryProduct.find({})
-        .select('productName sku availableStock unit')
-        .limit(200) // Increased limit to provide more comprehensive inventory access
-        .lean();
-      
-      if (inventoryProducts && inventoryProducts.length > 0) {
-        // Format inventory data for AI context with clear instructions
-        const inventoryContext = `\nCurrent Product Inventory Information:\n${inventoryProducts.map(p => 
-          `- ${p.productName} (SKU: ${p.sku}): ${p.availableStock} ${p.unit} available`
-        ).join('\n')}\n\nInstructions for handling inventory queries:\n1. Respond in the same language as the user (Hindi or English)\n2. For inventory checks, provide accurate stock information\n3. For order requests, confirm if the requested quantity is available\n4. If a product is out of stock or not in the inventory, politely inform the user\n5. Suggest alternatives if available when a requested product is out of stock`;
-        
-        return inventoryContext;
-      }
-      return '';
-    } catch (error) {
-      console.error('Error fetching product inventory data:', error);
-      return '';
-    }
-  };
-  
   try {
     const { sessionId } = req.params;
     const { message, language } = req.body;
     
+    if (!message || !message.trim()) {
+      return next(new ErrorResponse('Please provide a message', 400));
+    }
+    
     // Check if session exists
     const session = await Session.findById(sessionId);
     if (!session) {
@@ -215,86 +302,92 @@ router.post('/:sessionId/messages', protect, async (req, res, next) => {
       return next(new ErrorResponse('Not authorized to access this session', 401));
     }
     
-    // Update session lastActive timestamp
-    session.lastActive = Date.now();
-    await session.save();
+    // Refuse the message if the bot or this user has used up a quota; otherwise answer it
+    const turn = await conversationEngine.handleMessage({ session, message, language });
+    if (turn.refusal) {
+      return res.status(turn.refusal.statusCode).json(turn.refusal.body);
+    }
     
-    // Save user message
-    await Message.create({
-      sessionId,
-      role: 'user',
-      content: message
+    res.status(200).json({
+      success: true,
+      data: {
+        reply: turn.reply,
+        messageId: turn.botMessage ? turn.botMessage._id : null,
+        status: turn.session.status,
+        sources: turn.sources,
+        toolCalls: turn.response?.toolCalls || []
+      }
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/messages/stream:
+ *   post:
+ *     summary: Send a message and stream the AI response as Server-Sent Events
+ *     description: |
+ *       Responds with `text/event-stream`. Emits `token` events with `{ content }` as the reply is generated,
+ *       then a `done` event with `{ messageId, reply, model, usage, sources, toolCalls }` once the bot message is saved.
+ *       Failures after the stream has started are sent as an `error` event with `{ message }`.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 description: User message content
+ *     responses:
+ *       200:
+ *         description: Stream of AI response events
+ *       400:
+ *         description: Message is missing
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Session not found
+ *       402:
+ *         description: The bot's monthly spend limit has been reached
+ *       429:
+ *         description: A message or token quota has run out; "reply" holds the bot's limit message
+ */
+router.post('/:sessionId/messages/stream', protect, async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { message, language } = req.body;
     
-    // Get conversation history
-    const history = await Message.find({ sessionId })
-      .sort({ timestamp: 1 })
-      .limit(10); // Limit to last 10 messages for context
-    
-    // Get configuration for this session
-    const config = await Config.findById(session.configId);
-    
-    // Add user language to config if provided
-    if (language) {
-      if (!config.ai) {
-        config.ai = {};
-      }
-      config.ai.userLanguage = language;
+    if (!message || !message.trim()) {
+      return next(new ErrorResponse('Please provide a message', 400));
     }
     
-    // Ensure system_prompt is passed to AI client
-    if (!config.system_prompt) {
-      // If no system prompt is defined, create a default one based on purpose
-      if (config.purpose) {
-        config.system_prompt = `You are an AI assistant focused on: ${config.purpose}. Provide helpful, accurate, and relevant responses.`;
-      } else {
-        config.system_prompt = "You are a friendly and helpful AI assistant. Always greet the user appropriately when they say hello, hi, namaste, or any other greeting. Respond to basic greetings and questions like \"how are you\" in a conversational manner.";
-      }
+    // Check if session exists
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      return next(new ErrorResponse(`Session not found with id of ${sessionId}`, 404));
     }
     
-    // Log the configuration being used
-    console.log(`Using configuration for session ${sessionId}:`, config);
-    
-    // Check if we should include inventory data
-    const inventoryContext = await includeInventoryData(session, config);
-    
-    // Prepare messages for AI, potentially including inventory context
-    const aiMessages = history.map(msg => {
-      // For the last user message, append inventory context if available
-      if (msg.role === 'user' && msg === history[history.length - 1] && inventoryContext) {
-        return {
-          role: msg.role,
-          content: `${msg.content}\n\n[System Note: The following inventory information is available for reference]${inventoryContext}`
-        };
-      }
-      return {
-        role: msg.role,
-        content: msg.content
-      };
-    });
-    
-    // Generate AI response using the AI client manager
-    // This will automatically select the appropriate AI provider based on config
-    const aiResponse = await aiClientManager.generateResponse(
-      sessionId,
-      aiMessages,
-      config
-    );
-    
-    // Save bot message
-    const botMessage = await Message.create({
-      sessionId,
-      role: 'bot',
-      content: aiResponse.reply
-    });
+    // Check if user owns this session
+    if (String(session.userId) !== String(req.user.id)) {
+      return next(new ErrorResponse('Not authorized to access this session', 401));
+    }
     
-    res.status(200).json({
-      success: true,
-      data: {
-        reply: aiResponse.reply,
-        messageId: botMessage._id
-      }
-    });
+    await streamBotReply(req, res, next, session);
   } catch (error) {
     next(error);
   }
@@ -401,6 +494,59 @@ router.get('/:sessionId/messages', protect, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/sessions/{sessionId}/export:
+ *   get:
+ *     summary: Download a session's conversation with its metadata
+ *     description: Includes the configuration name, the configured and the answering AI models, and timestamps.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, markdown, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: The export as a file download
+ *       400:
+ *         description: Unknown format
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Session not found
+ */
+router.get('/:sessionId/export', protect, async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const format = exportFormat(req.query.format);
+
+    const session = await Session.findById(sessionId).select('-memory -inventoryClarification');
+    if (!session) {
+      return next(new ErrorResponse(`Session not found with id of ${sessionId}`, 404));
+    }
+
+    // Owners export their own sessions, admins any session
+    if (String(session.userId) !== String(req.user.id) && req.user.role !== 'admin') {
+      return next(new ErrorResponse('Not authorized to access this session', 401));
+    }
+
+    const data = await conversationExporter.build([session], { sessionId });
+    await sendExport(res, data, format, `conversation-${sessionId}`);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/sessions:
@@ -437,6 +583,79 @@ router.get('/', protect, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/sessions/export:
+ *   get:
+ *     summary: Download the conversations of several sessions with their metadata
+ *     description: |
+ *       Sessions active between from and to, newest first, up to EXPORT_MAX_SESSIONS (default 500);
+ *       "truncated" in the export says when more matched. Users export their own sessions, admins
+ *       anyone's.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, markdown, pdf]
+ *           default: json
+ *       - in: query
+ *         name: configId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Admins only; users always get their own sessions
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: The export as a file download
+ *       400:
+ *         description: Unknown format or invalid filter
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Only admins can export other users' sessions
+ */
+router.get('/export', protect, async (req, res, next) => {
+  try {
+    const { configId, userId, from, to } = req.query;
+    const format = exportFormat(req.query.format);
+
+    if (configId && !mongoose.isValidObjectId(configId)) {
+      return next(new ErrorResponse(`Invalid configuration id ${configId}`, 400));
+    }
+    if (req.user.role !== 'admin' && userId && userId !== String(req.user.id)) {
+      return next(new ErrorResponse('Only admins can export other users\' sessions', 403));
+    }
+
+    const data = await conversationExporter.collect({
+      configId,
+      userId: req.user.role === 'admin' ? userId : String(req.user.id),
+      from: parseDate(from, 'from'),
+      to: parseDate(to, 'to', true)
+    });
+
+    await sendExport(res, data, format, `conversations-${new Date().toISOString().slice(0, 10)}`);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/sessions/{sessionId}:
@@ -528,6 +747,7 @@ router.delete('/:sessionId', protect, async (req, res, next) => {
     
     // Delete session
     await session.deleteOne();
+    realtimeHub.publishSession('session.deleted', session);
     
     res.status(200).json({
       success: true,
@@ -538,12 +758,93 @@ router.delete('/:sessionId', protect, async (req, res, next) => {
   }
 });
 
+/**
+ * Load a configuration that anonymous visitors may chat with
+ * @param {string} configId - Configuration ID
+ * @returns {Promise<Object>} - The configuration
+ */
+const loadPublicConfig = async (configId) => {
+  const config = await Config.findById(configId);
+  if (!config || !config.public) {
+    throw new ErrorResponse(`No public bot found with id of ${configId}`, 404);
+  }
+  return config;
+};
+
+/**
+ * @swagger
+ * /api/sessions/public:
+ *   post:
+ *     summary: Start an anonymous visitor session with a public bot (no authentication required)
+ *     description: |
+ *       Only for configurations with `public: true`. Returns the session ID and a visitor token;
+ *       send the token as Authorization Bearer on the session's /api/sessions/public/{sessionId} routes.
+ *       Limited to VISITOR_SESSIONS_PER_HOUR sessions per IP address.
+ *     tags: [Public Sessions]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - configId
+ *             properties:
+ *               configId:
+ *                 type: string
+ *               website:
+ *                 type: string
+ *                 description: Honeypot; must be left empty
+ *     responses:
+ *       201:
+ *         description: Session ID, visitor token and the bot's name
+ *       403:
+ *         description: The request looks automated
+ *       404:
+ *         description: Public bot not found
+ *       429:
+ *         description: Too many sessions started from this IP
+ */
+router.post('/public', blockBots, visitorSessionLimiter, async (req, res, next) => {
+  try {
+    const { configId } = req.body;
+    
+    if (!configId) {
+      return next(new ErrorResponse('Please provide a configuration ID', 400));
+    }
+    
+    const config = await loadPublicConfig(configId);
+    
+    const session = await Session.create({
+      configId: config._id,
+      userId: visitorAuth.newVisitorId(),
+      channel: 'web'
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        sessionId: session._id,
+        visitorToken: visitorAuth.issue(session),
+        configId: config._id,
+        name: config.businessName || config.name,
+        purpose: config.purpose
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/sessions/public/{sessionId}:
  *   get:
- *     summary: Get a public session by ID (no authentication required)
+ *     summary: Get the visitor's own session
  *     tags: [Public Sessions]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: sessionId
@@ -553,24 +854,17 @@ router.delete('/:sessionId', protect, async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Session details
+ *       401:
+ *         description: Missing or invalid visitor token
  *       404:
- *         description: Session not found
+ *         description: The session's bot is no longer public
  */
-router.get('/public/:sessionId', async (req, res, next) => {
+router.get('/public/:sessionId', protectVisitor, async (req, res, next) => {
   try {
-    const { sessionId } = req.params;
-    
-    // Get session
-    const session = await Session.findById(sessionId).populate('configId', 'name purpose');
-    
-    if (!session) {
-      return next(new ErrorResponse(`Session not found with id of ${sessionId}`, 404));
-    }
+    const session = await req.visitorSession.populate('configId', 'name purpose public');
     
-    // Check if session belongs to an admin user
-    const user = await User.findById(session.userId).select('role');
-    if (!user || user.role !== 'admin') {
-      return next(new ErrorResponse(`This session is not publicly accessible`, 403));
+    if (!session.configId || !session.configId.public) {
+      return next(new ErrorResponse('This bot is no longer public', 404));
     }
     
     res.status(200).json({
@@ -586,8 +880,10 @@ router.get('/public/:sessionId', async (req, res, next) => {
  * @swagger
  * /api/sessions/public/{sessionId}/messages:
  *   get:
- *     summary: Get conversation history for a public session (no authentication required)
+ *     summary: Get conversation history of the visitor's own session
  *     tags: [Public Sessions]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: sessionId
@@ -597,29 +893,18 @@ router.get('/public/:sessionId', async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Conversation history
- *       403:
- *         description: Session not publicly accessible
+ *       401:
+ *         description: Missing or invalid visitor token
  *       404:
- *         description: Session not found
+ *         description: The session's bot is no longer public
  */
-router.get('/public/:sessionId/messages', async (req, res, next) => {
+router.get('/public/:sessionId/messages', protectVisitor, async (req, res, next) => {
   try {
-    const { sessionId } = req.params;
-    
-    // Check if session exists
-    const session = await Session.findById(sessionId);
-    if (!session) {
-      return next(new ErrorResponse(`Session not found with id of ${sessionId}`, 404));
-    }
-    
-    // Check if session belongs to an admin user
-    const user = await User.findById(session.userId).select('role');
-    if (!user || user.role !== 'admin') {
-      return next(new ErrorResponse(`This session is not publicly accessible`, 403));
-    }
+    const session = req.visitorSession;
+    await loadPublicConfig(session.configId);
     
     // Get messages for this session
-    const messages = await Message.find({ sessionId }).sort({ timestamp: 1 });
+    const messages = await Message.find({ sessionId: session._id }).sort({ timestamp: 1 });
     
     res.status(200).json({
       success: true,
@@ -635,8 +920,11 @@ router.get('/public/:sessionId/messages', async (req, res, next) => {
  * @swagger
  * /api/sessions/public/{sessionId}/messages:
  *   post:
- *     summary: Send a message to a public session (no authentication required)
+ *     summary: Send a message to the visitor's own session
+ *     description: Limited to VISITOR_MESSAGES_PER_MINUTE messages per visitor and VISITOR_MAX_MESSAGE_LENGTH characters per message.
  *     tags: [Public Sessions]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: sessionId
@@ -655,132 +943,46 @@ router.get('/public/:sessionId/messages', async (req, res, next) => {
  *               message:
  *                 type: string
  *                 description: User message content
+ *               website:
+ *                 type: string
+ *                 description: Honeypot; must be left empty
  *     responses:
  *       200:
  *         description: AI response
+ *       400:
+ *         description: Message is missing or too long
+ *       401:
+ *         description: Missing or invalid visitor token
  *       403:
- *         description: Session not publicly accessible
+ *         description: The request looks automated
  *       404:
- *         description: Session not found
+ *         description: The session's bot is no longer public
+ *       402:
+ *         description: The bot's monthly spend limit has been reached
+ *       429:
+ *         description: The visitor is sending too fast, or a quota has run out ("reply" holds the bot's limit message)
  */
-router.post('/public/:sessionId/messages', async (req, res, next) => {
+router.post('/public/:sessionId/messages', blockBots, protectVisitor, visitorMessageLimiter, checkVisitorMessage, async (req, res, next) => {
   try {
-    const { sessionId } = req.params;
+    const session = req.visitorSession;
     const { message, language } = req.body;
     
-    // Check if session exists
-    const session = await Session.findById(sessionId);
-    if (!session) {
-      return next(new ErrorResponse(`Session not found with id of ${sessionId}`, 404));
-    }
-    
-    // Check if session belongs to an admin user
-    const user = await User.findById(session.userId).select('role');
-    if (!user || user.role !== 'admin') {
-      return next(new ErrorResponse(`This session is not publicly accessible`, 403));
-    }
-    
-    // Update session lastActive timestamp
-    session.lastActive = Date.now();
-    await session.save();
-    
-    // Save user message
-    await Message.create({
-      sessionId,
-      role: 'user',
-      content: message
-    });
-    
-    // Get conversation history
-    const history = await Message.find({ sessionId })
-      .sort({ timestamp: 1 })
-      .limit(10); // Limit to last 10 messages for context
-    
-    // Get configuration for this session
-    const config = await Config.findById(session.configId);
-    
-    // Add user language to config if provided
-    if (language) {
-      if (!config.ai) {
-        config.ai = {};
-      }
-      config.ai.userLanguage = language;
-    }
+    const config = await loadPublicConfig(session.configId);
     
-    // Ensure system_prompt is passed to AI client
-    if (!config.system_prompt) {
-      // If no system prompt is defined, create a default one based on purpose
-      if (config.purpose) {
-        config.system_prompt = `You are an AI assistant focused on: ${config.purpose}. Provide helpful, accurate, and relevant responses.`;
-      } else {
-        config.system_prompt = "You are a friendly and helpful AI assistant. Always greet the user appropriately when they say hello, hi, namaste, or any other greeting. Respond to basic greetings and questions like \"how are you\" in a conversational manner.";
-      }
+    // Refuse the message if the bot or this visitor has used up a quota; otherwise answer it
+    const turn = await conversationEngine.handleMessage({ session, config, message, language });
+    if (turn.refusal) {
+      return res.status(turn.refusal.statusCode).json(turn.refusal.body);
     }
     
-    // Get inventory data for context
-    const getInventoryData = async () => {
-      try {
-        // Get product inventory data from the productinventories collection
-        const inventoryProducts = await global.InventoryProduct.find({})
-          .select('productName sku availableStock unit')
-          .limit(200)
-          .lean();
-        
-        if (inventoryProducts && inventoryProducts.length > 0) {
-          // Format inventory data for AI context
-          const inventoryContext = `\nCurrent Product Inventory Information:\n${inventoryProducts.map(p => 
-            `- ${p.productName} (SKU: ${p.sku}): ${p.availableStock} ${p.unit} available`
-          ).join('\n')}\n\nInstructions for handling inventory queries:\n1. Respond in the same language as the user (Hindi or English)\n2. For inventory checks, provide accurate stock information\n3. For order requests, confirm if the requested quantity is available\n4. If a product is out of stock or not in the inventory, politely inform the user\n5. Suggest alternatives if available when a requested product is out of stock`;
-          
-          return inventoryContext;
-        }
-        return '';
-      } catch (error) {
-        console.error('Error fetching product inventory data:', error);
-        return '';
-      }
-    };
-    
-    // Get inventory context
-    const inventoryContext = await getInventoryData();
-    
-    // Prepare messages for AI, including inventory context
-    const aiMessages = history.map((msg, index) => {
-      // For the last user message, append inventory context if available
-      if (msg.role === 'user' && index === history.length - 1 && inventoryContext) {
-        return {
-          role: msg.role,
-          content: `${msg.content}\n\n[System Note: The following inventory information is available for reference]${inventoryContext}`
-        };
-      }
-      return {
-        role: msg.role,
-        content: msg.content
-      };
-    });
-    
-    // Generate AI response using the AI client manager
-    const aiResponse = await aiClientManager.generateResponse(
-      sessionId,
-      aiMessages,
-      {
-        ...config,
-        inventoryAccess: true // Ensure inventory access is enabled
-      }
-    );
-    
-    // Save bot message
-    const botMessage = await Message.create({
-      sessionId,
-      role: 'bot',
-      content: aiResponse.reply
-    });
-    
     res.status(200).json({
       success: true,
       data: {
-        reply: aiResponse.reply,
-        messageId: botMessage._id
+        reply: turn.reply,
+        messageId: turn.botMessage ? turn.botMessage._id : null,
+        status: turn.session.status,
+        sources: turn.sources,
+        toolCalls: turn.response?.toolCalls || []
       }
     });
   } catch (error) {
@@ -788,4 +990,61 @@ router.post('/public/:sessionId/messages', async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/sessions/public/{sessionId}/messages/stream:
+ *   post:
+ *     summary: Send a message to the visitor's own session and stream the AI response as Server-Sent Events
+ *     description: Uses the same event format as `/api/sessions/{sessionId}/messages/stream`, and the same limits as the non-streaming route.
+ *     tags: [Public Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 description: User message content
+ *               website:
+ *                 type: string
+ *                 description: Honeypot; must be left empty
+ *     responses:
+ *       200:
+ *         description: Stream of AI response events
+ *       400:
+ *         description: Message is missing or too long
+ *       401:
+ *         description: Missing or invalid visitor token
+ *       403:
+ *         description: The request looks automated
+ *       404:
+ *         description: The session's bot is no longer public
+ *       402:
+ *         description: The bot's monthly spend limit has been reached
+ *       429:
+ *         description: The visitor is sending too fast, or a quota has run out ("reply" holds the bot's limit message)
+ */
+router.post('/public/:sessionId/messages/stream', blockBots, protectVisitor, visitorMessageLimiter, checkVisitorMessage, async (req, res, next) => {
+  try {
+    const session = req.visitorSession;
+    const config = await loadPublicConfig(session.configId);
+    
+    await streamBotReply(req, res, next, session, config);
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,59 @@
+jest.mock('../utils/conversationEngine', () => ({ handleMessage: jest.fn() }));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const conversationEngine = require('../utils/conversationEngine');
+const { errorHandler } = require('../middleware/errorHandler');
+const sessionRoutes = require('./sessionRoutes');
+
+const USER_ID = '65a000000000000000000011';
+const SESSION_ID = '65a000000000000000000021';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/sessions', sessionRoutes);
+app.use(errorHandler);
+
+const token = () => jwt.sign({ id: USER_ID }, process.env.JWT_SECRET);
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+beforeEach(() => {
+  const session = { _id: SESSION_ID, userId: USER_ID, status: 'active' };
+  jest.spyOn(User, 'findById').mockResolvedValue({ id: USER_ID, role: 'user' });
+  jest.spyOn(Session, 'findById').mockResolvedValue(session);
+
+  // Tokens arrive after the request body has been read, the way a provider stream would
+  conversationEngine.handleMessage.mockImplementation(async ({ onChunk }) => {
+    await wait(100);
+    onChunk({ content: 'We have ' });
+    await wait(20);
+    onChunk({ content: '12 bulbs.' });
+    return { session, reply: 'We have 12 bulbs.', botMessage: { _id: 'm1' }, response: { model: 'gpt-4o-mini' }, sources: [] };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('streaming a reply', () => {
+  it('sends token events before the done event', async () => {
+    const res = await request(app)
+      .post(`/api/sessions/${SESSION_ID}/messages/stream`)
+      .set('Authorization', `Bearer ${token()}`)
+      .send({ message: 'Do you have bulbs?' });
+
+    const events = res.text.split('\n').filter(line => line.startsWith('event: '));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/event-stream');
+    expect(events).toEqual(['event: token', 'event: token', 'event: done']);
+    expect(res.text).toContain('data: {"content":"We have "}');
+  });
+});
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { protect, authorize } = require('../middleware/auth');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const usageTracker = require('../utils/usageTracker');
+const { parseDate } = require('../utils/queryUtils');
+
+/**
+ * @swagger
+ * /api/admin/usage/{groupBy}:
+ *   get:
+ *     summary: Aggregate AI token usage, latency and estimated cost of bot replies
+ *     description: |
+ *       Costs are estimated from the price table in config/pricing.json (or AI_PRICING_FILE).
+ *       Days are UTC.
+ *     tags: [Usage]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupBy
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [config, user, day, model, provider]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: configId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Usage per group with messages, token counts, cost and average latency (ms), and the totals
+ *       400:
+ *         description: Invalid grouping or filter
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/:groupBy', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const { groupBy } = req.params;
+    const { from, to, configId, userId, model, provider } = req.query;
+
+    if (!usageTracker.groupings.includes(groupBy)) {
+      return next(new ErrorResponse(`Usage can be grouped by ${usageTracker.groupings.join(', ')}`, 400));
+    }
+
+    if (configId && !mongoose.isValidObjectId(configId)) {
+      return next(new ErrorResponse(`Invalid configuration id ${configId}`, 400));
+    }
+
+    const usage = await usageTracker.summarize(groupBy, {
+      from: parseDate(from, 'from'),
+      to: parseDate(to, 'to', true),
+      configId,
+      userId,
+      model,
+      provider
+    });
+
+    res.status(200).json({
+      success: true,
+      groupBy,
+      count: usage.groups.length,
+      data: usage
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
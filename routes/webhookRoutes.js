@@ -1,12 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const fetch = require('node-fetch');
-const { protect } = require('../middleware/auth');
+const { protectWithApiKey, canAccessConfig } = require('../middleware/auth');
 const Session = require('../models/Session');
-const Message = require('../models/Message');
 const Config = require('../models/Config');
 const { ErrorResponse } = require('../middleware/errorHandler');
-const aiClientManager = require('../utils/aiClientManager');
+const conversationEngine = require('../utils/conversationEngine');
 
 /**
  * @swagger
@@ -16,6 +14,7 @@ const aiClientManager = require('../utils/aiClientManager');
  *     tags: [Webhook]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -23,13 +22,12 @@ const aiClientManager = require('../utils/aiClientManager');
  *           schema:
  *             type: object
  *             required:
- *               - configId
  *               - userId
  *               - message
  *             properties:
  *               configId:
  *                 type: string
- *                 description: ID of the chatbot configuration to use
+ *                 description: ID of the chatbot configuration to use; defaults to the API key's configuration
  *               userId:
  *                 type: string
  *                 description: External user identifier
@@ -49,18 +47,31 @@ const aiClientManager = require('../utils/aiClientManager');
  *         description: Invalid input data
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: The API key lacks the chat scope or belongs to another configuration
  *       404:
  *         description: Configuration or session not found
+ *       402:
+ *         description: The bot's monthly spend limit has been reached
+ *       429:
+ *         description: A message or token quota has run out; "reply" holds the bot's limit message
  */
-router.post('/', protect, async (req, res, next) => {
+router.post('/', protectWithApiKey('chat'), async (req, res, next) => {
   try {
-    const { configId, userId, message, sessionId, channel = 'api' } = req.body;
+    const { userId, message, sessionId, channel = 'api' } = req.body;
+    
+    // API keys belong to one configuration, so callers using a key may leave configId out
+    const configId = req.body.configId || (req.apiKey && req.apiKey.configId);
     
     // Validate required fields
     if (!configId || !userId || !message) {
       return next(new ErrorResponse('Please provide configId, userId, and message', 400));
     }
     
+    if (!canAccessConfig(req, configId)) {
+      return next(new ErrorResponse(`This API key cannot access configuration ${configId}`, 403));
+    }
+    
     // Check if configuration exists
     const config = await Config.findById(configId);
     if (!config) {
@@ -75,102 +86,33 @@ router.post('/', protect, async (req, res, next) => {
       if (!session) {
         return next(new ErrorResponse(`Session not found with id of ${sessionId}`, 404));
       }
-      
-      // Update session last activity
-      session.lastActivity = Date.now();
-      await session.save();
+
+      // A session only ever talks to its own bot (and that bot's inventory)
+      if (session.configId.toString() !== config._id.toString()) {
+        return next(new ErrorResponse(`Session ${sessionId} does not belong to configuration ${configId}`, 400));
+      }
     } else {
       // Create new session
       session = await Session.create({
         configId,
-        userId
+        userId,
+        channel
       });
     }
     
-    // Save user message
-    const userMessage = await Message.create({
-      sessionId: session._id,
-      role: 'user',
-      content: message
-    });
-    
-    // Get conversation history
-    const history = await Message.find({ sessionId: session._id })
-      .sort({ timestamp: 1 })
-      .limit(10); // Limit to last 10 messages for context
-    
-    // Configuration is already retrieved above, no need to fetch again
-    
-    // Log the configuration being used
-    console.log(`Using configuration for webhook session ${session._id}:`, config);
-    
-    // Check if this is an inventory-related query and if inventory is enabled
-    let aiResponse;
-    
-    if (config.inventoryEnabled) {
-      try {
-        // Try to detect inventory intent
-        const inventoryIntentResponse = await fetch(`${req.protocol}://${req.get('host')}/api/chat/inventory/intent`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            botId: configId,
-            message,
-            sessionId: session._id,
-            userId
-          })
-        });
-        
-        const inventoryResult = await inventoryIntentResponse.json();
-        
-        // If inventory intent was detected and processed successfully
-        if (inventoryResult.success && inventoryResult.intent !== 'other') {
-          // Use the inventory response
-          aiResponse = {
-            reply: inventoryResult.message
-          };
-        } else {
-          // No inventory intent detected, proceed with normal AI response
-          aiResponse = await aiClientManager.generateResponse(
-            session._id,
-            history,
-            config
-          );
-        }
-      } catch (inventoryError) {
-        console.error('Error processing inventory intent:', inventoryError);
-        
-        // Fallback to normal AI response
-        aiResponse = await aiClientManager.generateResponse(
-          session._id,
-          history,
-          config
-        );
-      }
-    } else {
-      // Inventory not enabled, proceed with normal AI response
-      aiResponse = await aiClientManager.generateResponse(
-        session._id,
-        history,
-        config
-      );
+    // Inventory questions get the templated intent replies; quotas, knowledge and tools apply as in the web chat
+    const turn = await conversationEngine.handleMessage({ session, config, message, channel });
+    if (turn.refusal) {
+      return res.status(turn.refusal.statusCode).json(turn.refusal.body);
     }
     
-    // Save bot message
-    const botMessage = await Message.create({
-      sessionId: session._id,
-      role: 'bot',
-      content: aiResponse.reply
-    });
-    
     res.status(200).json({
       success: true,
       data: {
         sessionId: session._id,
-        reply: aiResponse.reply,
-        messageId: botMessage._id,
+        reply: turn.reply,
+        messageId: turn.botMessage ? turn.botMessage._id : null,
+        status: turn.session.status,
         channel
       }
     });
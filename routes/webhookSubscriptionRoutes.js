@@ -0,0 +1,373 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { protect, authorize } = require('../middleware/auth');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const Config = require('../models/Config');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookDispatcher = require('../utils/webhookDispatcher');
+
+/**
+ * @swagger
+ * /api/admin/webhooks/events:
+ *   get:
+ *     summary: List the events webhooks can subscribe to
+ *     tags: [Webhook Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Event names
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/events', protect, authorize('admin'), (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: webhookDispatcher.events
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{configId}:
+ *   post:
+ *     summary: Subscribe a URL to a configuration's events
+ *     description: |
+ *       Deliveries are POSTed as { id, event, createdAt, configId, data } and signed in the
+ *       X-Webhook-Signature header as t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">.
+ *       The secret is only returned in this response.
+ *     tags: [Webhook Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [order.created, order.status_changed, session.started, message.created]
+ *               secret:
+ *                 type: string
+ *                 description: Signing secret; one is generated when omitted
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Subscription created, including its secret
+ *       400:
+ *         description: Invalid input data
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Configuration not found
+ */
+router.post('/:configId', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const { configId } = req.params;
+    const { url, events, secret, description, active } = req.body;
+
+    const config = await Config.findById(configId);
+    if (!config) {
+      return next(new ErrorResponse(`Configuration not found with id of ${configId}`, 404));
+    }
+
+    const subscription = await WebhookSubscription.create({
+      configId,
+      url,
+      events,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      description,
+      active
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...subscription.toObject(),
+        // Shown once so the receiver can verify signatures
+        secret: subscription.secret
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{configId}:
+ *   get:
+ *     summary: List a configuration's webhook subscriptions
+ *     tags: [Webhook Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscriptions, without their secrets
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/:configId', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({ configId: req.params.configId }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: subscriptions.length,
+      data: subscriptions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/subscriptions/{id}:
+ *   put:
+ *     summary: Update a webhook subscription
+ *     tags: [Webhook Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               secret:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Subscription updated
+ *       400:
+ *         description: Invalid input data
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Subscription not found
+ */
+router.put('/subscriptions/:id', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return next(new ErrorResponse(`Webhook subscription not found with id of ${req.params.id}`, 404));
+    }
+
+    ['url', 'events', 'secret', 'description', 'active'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        subscription[field] = req.body[field];
+      }
+    });
+    await subscription.save();
+
+    res.status(200).json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/subscriptions/{id}:
+ *   delete:
+ *     summary: Delete a webhook subscription
+ *     description: Its pending deliveries are not retried any more; the delivery log is kept.
+ *     tags: [Webhook Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription deleted
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Subscription not found
+ */
+router.delete('/subscriptions/:id', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return next(new ErrorResponse(`Webhook subscription not found with id of ${req.params.id}`, 404));
+    }
+
+    await subscription.deleteOne();
+    await WebhookDelivery.updateMany(
+      { subscriptionId: subscription._id, status: 'pending' },
+      { $set: { status: 'failed', lastError: 'Subscription was removed or deactivated' } }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/subscriptions/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log of a webhook subscription, newest first
+ *     tags: [Webhook Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Deliveries with their payload, status and attempts
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/subscriptions/:id/deliveries', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const { status, event } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const query = { subscriptionId: req.params.id };
+    if (status) {
+      query.status = status;
+    }
+    if (event) {
+      query.event = event;
+    }
+
+    const deliveries = await WebhookDelivery.find(query).sort({ createdAt: -1 }).limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      data: deliveries
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/deliveries/{id}/replay:
+ *   post:
+ *     summary: Send a delivery again
+ *     description: Creates a new delivery with the same payload and event ID (so receivers can deduplicate) and sends it at once.
+ *     tags: [Webhook Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The new delivery after its first attempt
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Delivery not found
+ */
+router.post('/deliveries/:id/replay', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const delivery = await webhookDispatcher.replay(req.params.id);
+    if (!delivery) {
+      return next(new ErrorResponse(`Webhook delivery not found with id of ${req.params.id}`, 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
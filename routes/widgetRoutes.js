@@ -0,0 +1,267 @@
+const express = require('express');
+const router = express.Router();
+const { protectVisitor } = require('../middleware/auth');
+const { blockBots, visitorSessionLimiter, visitorMessageLimiter, checkVisitorMessage } = require('../middleware/visitorGuard');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const Config = require('../models/Config');
+const Session = require('../models/Session');
+const Message = require('../models/Message');
+const conversationEngine = require('../utils/conversationEngine');
+const visitorAuth = require('../utils/visitorAuth');
+
+/**
+ * Load a configuration whose widget may be used from the request's origin, and
+ * allow that origin to read the response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} configId - Configuration ID
+ * @returns {Promise<Object>} - The configuration
+ */
+const loadWidgetConfig = async (req, res, configId) => {
+  const config = await Config.findById(configId);
+  if (!config || !config.widget?.enabled) {
+    throw new ErrorResponse(`Chat widget not found for configuration ${configId}`, 404);
+  }
+
+  const origin = req.get('origin');
+  const allowed = config.widget.allowedOrigins || [];
+  if (!allowed.includes('*') && !(origin && allowed.includes(origin))) {
+    throw new ErrorResponse(`The chat widget of configuration ${configId} may not be used from ${origin || 'this page'}`, 403);
+  }
+
+  if (origin) {
+    res.set('Access-Control-Allow-Origin', origin);
+    res.vary('Origin');
+  }
+  return config;
+};
+
+/**
+ * Settings the widget needs to draw itself
+ * @param {Object} config - The configuration
+ * @returns {Object} - { configId, name, theme }
+ */
+const widgetSettings = (config) => {
+  const theme = config.widget.theme || {};
+
+  return {
+    configId: config._id,
+    name: config.businessName || config.name,
+    theme: {
+      primaryColor: theme.primaryColor,
+      position: theme.position,
+      title: theme.title || config.businessName || config.name,
+      greeting: theme.greeting || null,
+      placeholder: theme.placeholder || 'Type a message...'
+    }
+  };
+};
+
+/**
+ * @swagger
+ * /api/widget/{configId}:
+ *   get:
+ *     summary: Chat widget settings and theme
+ *     description: Only answered for enabled widgets, from an origin in widget.allowedOrigins.
+ *     tags: [Widget]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Widget name and theme
+ *       403:
+ *         description: Origin not allowed
+ *       404:
+ *         description: Widget not enabled
+ */
+router.get('/:configId', async (req, res, next) => {
+  try {
+    const config = await loadWidgetConfig(req, res, req.params.configId);
+
+    res.status(200).json({
+      success: true,
+      data: widgetSettings(config)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/widget/{configId}/sessions:
+ *   post:
+ *     summary: Start an anonymous visitor session
+ *     description: Returns the session ID and a visitor token to send as Authorization Bearer on the session's routes.
+ *     tags: [Widget]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Session ID, visitor token and widget settings
+ *       403:
+ *         description: Origin not allowed, or the request looks automated
+ *       404:
+ *         description: Widget not enabled
+ *       429:
+ *         description: Too many sessions started from this IP
+ */
+router.post('/:configId/sessions', blockBots, visitorSessionLimiter, async (req, res, next) => {
+  try {
+    const config = await loadWidgetConfig(req, res, req.params.configId);
+
+    const session = await Session.create({
+      configId: config._id,
+      userId: visitorAuth.newVisitorId(),
+      channel: 'widget'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        sessionId: session._id,
+        visitorToken: visitorAuth.issue(session),
+        ...widgetSettings(config)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/widget/{configId}/sessions/{sessionId}/messages:
+ *   get:
+ *     summary: Conversation history of the visitor's session
+ *     tags: [Widget]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Messages, oldest first
+ *       401:
+ *         description: Missing or invalid visitor token
+ *       403:
+ *         description: Origin not allowed
+ */
+router.get('/:configId/sessions/:sessionId/messages', protectVisitor, async (req, res, next) => {
+  try {
+    const config = await loadWidgetConfig(req, res, req.params.configId);
+    const session = req.visitorSession;
+
+    if (String(session.configId) !== String(config._id)) {
+      return next(new ErrorResponse('This session belongs to another configuration', 403));
+    }
+
+    const messages = await Message.find({ sessionId: session._id })
+      .sort({ timestamp: 1 })
+      .select('role content sources timestamp');
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      data: messages
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/widget/{configId}/sessions/{sessionId}/messages:
+ *   post:
+ *     summary: Send a visitor message and get the bot's reply
+ *     tags: [Widget]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The bot's reply
+ *       400:
+ *         description: Message is missing or too long
+ *       401:
+ *         description: Missing or invalid visitor token
+ *       403:
+ *         description: Origin not allowed, or the request looks automated
+ *       402:
+ *         description: The bot's monthly spend limit has been reached
+ *       429:
+ *         description: The visitor is sending too fast, or a quota has run out ("reply" holds the bot's limit message)
+ */
+router.post('/:configId/sessions/:sessionId/messages', blockBots, protectVisitor, visitorMessageLimiter, checkVisitorMessage, async (req, res, next) => {
+  try {
+    const config = await loadWidgetConfig(req, res, req.params.configId);
+    const session = req.visitorSession;
+    const { message, language } = req.body;
+
+    if (String(session.configId) !== String(config._id)) {
+      return next(new ErrorResponse('This session belongs to another configuration', 403));
+    }
+
+    const turn = await conversationEngine.handleMessage({ session, config, message, language, channel: 'widget' });
+    if (turn.refusal) {
+      return res.status(turn.refusal.statusCode).json(turn.refusal.body);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reply: turn.reply,
+        messageId: turn.botMessage ? turn.botMessage._id : null,
+        status: turn.session.status,
+        sources: turn.sources
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,4 +1,5 @@
 const express = require('express');
+const path = require('path');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -18,7 +19,16 @@ const webhookRoutes = require('./routes/webhookRoutes');
 const authRoutes = require('./routes/authRoutes');
 const adminInventoryRoutes = require('./routes/adminInventoryRoutes');
 const chatInventoryRoutes = require('./routes/chatInventoryRoutes');
+const usageRoutes = require('./routes/usageRoutes');
+const channelRoutes = require('./routes/channelRoutes');
+const webhookSubscriptionRoutes = require('./routes/webhookSubscriptionRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const widgetRoutes = require('./routes/widgetRoutes');
+const agentRoutes = require('./routes/agentRoutes');
 const projectConfigManager = require('./utils/projectConfigManager');
+const inventoryService = require('./utils/inventoryService');
+const webhookDispatcher = require('./utils/webhookDispatcher');
+const realtimeHub = require('./utils/realtimeHub');
 
 // Initialize Express app
 const app = express();
@@ -27,13 +37,20 @@ const app = express();
 const limiter = rateLimit({
   windowMs: process.env.RATE_LIMIT_WINDOW_MS || 60000, // 1 minute
   max: process.env.RATE_LIMIT_MAX_REQUESTS || 60, // limit each IP to 60 requests per windowMs
-  message: 'Too many requests from this IP, please try again after a minute'
+  message: 'Too many requests from this IP, please try again after a minute',
+  // Channel webhooks come from a few shared platform IPs and are signed, so they are not limited per IP
+  skip: (req) => req.path.startsWith('/api/channels/')
 });
 
 // Apply middleware
 app.use(helmet()); // Security headers
 app.use(cors()); // Enable CORS
-app.use(express.json()); // Parse JSON bodies
+// Parse JSON bodies, keeping the raw body because channel webhooks are signed over the exact bytes received
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 app.use(morgan('dev')); // HTTP request logger
 app.use(limiter); // Apply rate limiting
@@ -60,6 +77,12 @@ const swaggerOptions = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
         },
+        // Per-configuration keys for server-to-server calls (also accepted as a Bearer token)
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+        },
       },
     },
     security: [
@@ -90,6 +113,7 @@ mongoose
     // Set up ProductInventory model with inventory connection
     const productinventories = require('./models/ProductInventory');
     const OrderRequest = require('./models/OrderRequest');
+    const Cart = require('./models/Cart');
     
     // Make inventory connection available globally
     global.inventoryDb = inventoryConnection;
@@ -97,6 +121,13 @@ mongoose
     // Register ProductInventory model on inventory connection
     global.InventoryProduct = inventoryConnection.model('productinventories', productinventories.schema);
     global.InventoryOrder = inventoryConnection.model('OrderRequest', OrderRequest.schema);
+    global.InventoryCart = inventoryConnection.model('Cart', Cart.schema);
+    
+    // Release stock held by confirmed orders that were never fulfilled
+    inventoryService.startReservationSweeper();
+    
+    // Retry outbound webhook deliveries that failed
+    webhookDispatcher.startRetrySweeper();
     
     console.log('Inventory database connected for product information using:', process.env.INVENTORY_MONGO_URI || process.env.MONGO_URI);
   })
@@ -109,11 +140,23 @@ app.use('/api/webhook', webhookRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/admin/inventory', adminInventoryRoutes);
 app.use('/api/chat/inventory', chatInventoryRoutes);
+app.use('/api/admin/usage', usageRoutes);
+app.use('/api/channels', channelRoutes);
+app.use('/api/admin/webhooks', webhookSubscriptionRoutes);
+app.use('/api/admin/api-keys', apiKeyRoutes);
+app.use('/api/widget', widgetRoutes);
+app.use('/api/agent', agentRoutes);
+
+// Website chat widget script; other sites load it with a <script> tag, so it must not be same-origin only
+app.get('/widget.js', (req, res) => {
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.sendFile(path.join(__dirname, 'public', 'widget.js'));
+});
 
 // Serve static assets in production
 if (process.env.NODE_ENV === 'production') {
   // Set static folder
-  const path = require('path');
   app.use(express.static(path.join(__dirname, 'client/build')));
 
   app.get('*', (req, res) => {
@@ -138,7 +181,7 @@ app.use((err, req, res, next) => {
 
 // Start server
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, async () => {
+const server = app.listen(PORT, async () => {
   console.log(`Server running on port ${PORT}`);
   
   // Load project configurations and sync with database
@@ -151,4 +194,7 @@ app.listen(PORT, async () => {
   }
 });
 
+// Live updates for the agent inbox
+realtimeHub.attach(server);
+
 module.exports = app; // Export for testing
\ No newline at end of file
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+
+/**
+ * A small in-memory stand-in for a Mongoose model, for tests that cannot reach MongoDB.
+ * It covers the queries the inventory and cart services make: equality, $gte, $lte, $in
+ * and $exists filters (dotted paths included), $set/$inc/$setOnInsert updates (with
+ * items.N.field and items.$[].field paths), and find().select().sort().limit().lean() chains.
+ * Each operation matches and writes in one step after yielding once, so concurrent calls
+ * interleave the way separate requests would but every single update stays atomic.
+ */
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// A function value is called with the current value, for $inc
+const setPath = (doc, path, value) => {
+  const [key, ...rest] = path.split('.');
+  if (key === '$[]') {
+    (doc || []).forEach(element => setPath(element, rest.join('.'), value));
+    return;
+  }
+  if (rest.length === 0) {
+    doc[key] = typeof value === 'function' ? value(doc[key]) : value;
+    return;
+  }
+  if (doc[key] == null) doc[key] = {};
+  setPath(doc[key], rest.join('.'), value);
+};
+
+const same = (a, b) => String(a) === String(b);
+
+const matchesCondition = (value, condition) => {
+  if (condition && typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date) &&
+      !mongoose.isValidObjectId(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$gte': return value !== undefined && value !== null && value >= operand;
+        case '$lte': return value !== undefined && value !== null && value <= operand;
+        case '$gt': return value !== undefined && value !== null && value > operand;
+        case '$lt': return value !== undefined && value !== null && value < operand;
+        case '$in': return operand.some(candidate => same(candidate, value));
+        case '$nin': return !operand.some(candidate => same(candidate, value));
+        case '$exists': return (value !== undefined) === Boolean(operand);
+        default: throw new Error(`memoryModel does not support ${operator}`);
+      }
+    });
+  }
+  if (condition === null) return value === null || value === undefined;
+  if (condition instanceof Date) return value instanceof Date && value.getTime() === condition.getTime();
+  return same(value, condition);
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([path, condition]) => matchesCondition(getPath(doc, path), condition));
+
+// Dates are kept as Date objects so range filters compare them
+const revive = (doc, dateFields) => {
+  dateFields.forEach(field => {
+    const value = getPath(doc, field);
+    if (value !== undefined && value !== null) setPath(doc, field, new Date(value));
+  });
+  return doc;
+};
+
+/**
+ * Create an in-memory model
+ * @param {Object} options
+ * @param {Object} options.defaults - Field values new documents start with
+ * @param {Array} options.dateFields - Fields holding dates
+ * @returns {Object} - The model, with its documents in model.docs
+ */
+const memoryModel = ({ defaults = {}, dateFields = [] } = {}) => {
+  const docs = [];
+
+  const copy = (doc) => (doc ? revive(clone(doc), dateFields) : null);
+
+  const query = (run) => {
+    let sort = null;
+    let limit = null;
+    const chain = {
+      select: () => chain,
+      lean: () => chain,
+      populate: () => chain,
+      // { field: 1 | -1 } or a field name, descending with a leading -
+      sort: (spec) => {
+        sort = typeof spec === 'string' ? { [spec.replace(/^-/, '')]: spec.startsWith('-') ? -1 : 1 } : spec;
+        return chain;
+      },
+      limit: (n) => { limit = n; return chain; },
+      then: (resolve, reject) => Promise.resolve().then(() => {
+        let result = run();
+        if (Array.isArray(result)) {
+          if (sort) {
+            const [[field, direction]] = Object.entries(sort);
+            result = [...result].sort((a, b) => (getPath(a, field) > getPath(b, field) ? direction : -direction));
+          }
+          if (limit) result = result.slice(0, limit);
+        }
+        return result;
+      }).then(resolve, reject)
+    };
+    return chain;
+  };
+
+  const applyUpdate = (doc, update) => {
+    const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+    Object.entries(operators.$set || {}).forEach(([path, value]) => setPath(doc, path, clone(value)));
+    Object.entries(operators.$inc || {}).forEach(([path, amount]) => setPath(doc, path, current => (current || 0) + amount));
+    revive(doc, dateFields);
+  };
+
+  const insert = (data) => {
+    const doc = revive({ ...clone(defaults), ...clone(data) }, dateFields);
+    doc._id = doc._id || new mongoose.Types.ObjectId().toString();
+    docs.push(doc);
+    return doc;
+  };
+
+  return {
+    docs,
+
+    create: async (data) => {
+      await Promise.resolve();
+      return copy(insert(data));
+    },
+
+    find: (filter) => query(() => docs.filter(doc => matches(doc, filter)).map(copy)),
+
+    findOne: (filter) => query(() => copy(docs.find(doc => matches(doc, filter)))),
+
+    findById: (id) => query(() => copy(docs.find(doc => same(doc._id, id)))),
+
+    exists: async (filter) => {
+      await Promise.resolve();
+      const doc = docs.find(candidate => matches(candidate, filter));
+      return doc ? { _id: doc._id } : null;
+    },
+
+    countDocuments: async (filter) => {
+      await Promise.resolve();
+      return docs.filter(doc => matches(doc, filter)).length;
+    },
+
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      await Promise.resolve();
+      let doc = docs.find(candidate => matches(candidate, filter));
+      if (!doc) {
+        if (!options.upsert) return null;
+        doc = insert({ ...Object.fromEntries(Object.entries(filter).filter(([, value]) => typeof value !== 'object')), ...update.$setOnInsert });
+      }
+      const previous = copy(doc);
+      applyUpdate(doc, update);
+      return options.new ? copy(doc) : previous;
+    },
+
+    findByIdAndUpdate: async (id, update, options = {}) => {
+      await Promise.resolve();
+      const doc = docs.find(candidate => same(candidate._id, id));
+      if (!doc) return null;
+      const previous = copy(doc);
+      applyUpdate(doc, update);
+      return options.new ? copy(doc) : previous;
+    },
+
+    findOneAndDelete: async (filter) => {
+      await Promise.resolve();
+      const index = docs.findIndex(doc => matches(doc, filter));
+      if (index === -1) return null;
+      return copy(docs.splice(index, 1)[0]);
+    },
+
+    updateOne: async (filter, update) => {
+      await Promise.resolve();
+      const doc = docs.find(candidate => matches(candidate, filter));
+      if (doc) applyUpdate(doc, update);
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    },
+
+    deleteOne: async (filter) => {
+      await Promise.resolve();
+      const index = docs.findIndex(doc => matches(doc, filter));
+      if (index !== -1) docs.splice(index, 1);
+      return { deletedCount: index === -1 ? 0 : 1 };
+    }
+  };
+};
+
+module.exports = memoryModel;
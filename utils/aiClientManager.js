@@ -1,15 +1,19 @@
-const MistralClient = require('./mistralClient');
-const OpenAIClient = require('./openaiClient');
+const providerRegistry = require('./providerRegistry');
+const circuitBreaker = require('./circuitBreaker');
 
 class AIClientManager {
   constructor() {
-    this.clients = {
-      mistral: MistralClient,
-      openai: OpenAIClient
-    };
+    // Providers are looked up by name; new ones are added with providerRegistry.register()
+    this.providers = providerRegistry;
+    
+    // Providers that keep failing are skipped until their cooldown has passed
+    this.circuitBreaker = circuitBreaker;
     
     // Default provider
-    this.defaultProvider = 'mistral';
+    this.defaultProvider = process.env.AI_DEFAULT_PROVIDER || 'mistral';
+    
+    // Maximum model round-trips spent on tool calls before forcing a final answer
+    this.maxToolRounds = 3;
   }
 
   /**
@@ -21,19 +25,19 @@ class AIClientManager {
     // If no config or no AI config, use default
     if (!config || !config.ai || !config.ai.provider) {
       console.log(`Using default AI provider: ${this.defaultProvider}`);
-      return this.clients[this.defaultProvider];
+      return this.providers.get(this.defaultProvider);
     }
 
     const provider = config.ai.provider.toLowerCase();
     
     // Check if the requested provider exists
-    if (!this.clients[provider]) {
+    if (!this.providers.has(provider)) {
       console.warn(`Provider ${provider} not available, falling back to ${this.defaultProvider}`);
-      return this.clients[this.defaultProvider];
+      return this.providers.get(this.defaultProvider);
     }
 
     console.log(`Using AI provider: ${provider}`);
-    return this.clients[provider];
+    return this.providers.get(provider);
   }
 
   /**
@@ -41,11 +45,10 @@ class AIClientManager {
    * @param {string} sessionId - The session ID
    * @param {Array} messages - Array of message objects with role and content
    * @param {Object} config - Configuration object with AI settings
-   * @returns {Promise<Object>} - The AI response
+   * @param {Object} toolkit - Optional tools the model may call ({ definitions, execute })
+   * @returns {Promise<Object>} - The AI response, with the executed toolCalls when a toolkit is given
    */
-  async generateResponse(sessionId, messages, config = {}) {
-    const client = this.getClient(config);
-    
+  async generateResponse(sessionId, messages, config = {}, toolkit = null) {
     // Always enable inventory access for all bots
     // This ensures all bots can access the productinventories collection
     const inventoryAccess = true;
@@ -53,13 +56,66 @@ class AIClientManager {
     // Extract AI-specific options from config
     const options = {
       inventoryAccess,
-      model: config.ai?.model,
       temperature: config.ai?.temperature,
       max_tokens: config.ai?.max_tokens,
+      userLanguage: config.ai?.userLanguage,
       system_prompt: config.system_prompt
     };
     
-    return client.generateResponse(sessionId, messages, options);
+    if (!toolkit) {
+      return this._withFailover(config, (client, target) =>
+        client.generateResponse(sessionId, messages, { ...options, ...target.options })
+      );
+    }
+    
+    return this._runToolLoop(messages, toolkit, (conversation, toolChoice) =>
+      this._withFailover(config, (client, target) =>
+        client.generateResponse(sessionId, conversation, {
+          ...options,
+          ...target.options,
+          tools: toolkit.definitions,
+          tool_choice: toolChoice
+        })
+      )
+    );
+  }
+
+  /**
+   * Generate a JSON object using the provider's JSON mode, e.g. to extract structured data
+   * @param {string} sessionId - The session ID
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Object} config - Configuration object with AI settings; system_prompt describes the JSON wanted
+   * @returns {Promise<Object>} - The AI response, with the JSON text in reply
+   */
+  async generateJsonResponse(sessionId, messages, config = {}) {
+    // Deterministic output and no inventory instructions, which would compete with the JSON format
+    return this._withFailover(config, (client, target) =>
+      client.generateResponse(sessionId, messages, {
+        ...target.options,
+        temperature: 0,
+        max_tokens: config.ai?.max_tokens,
+        system_prompt: config.system_prompt,
+        response_format: { type: 'json_object' }
+      })
+    );
+  }
+
+  /**
+   * Generate a response without inventory instructions or tools, e.g. to summarize a conversation
+   * @param {string} sessionId - The session ID
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Object} config - Configuration object with AI settings; system_prompt describes the task
+   * @returns {Promise<Object>} - The AI response
+   */
+  async generatePlainResponse(sessionId, messages, config = {}) {
+    return this._withFailover(config, (client, target) =>
+      client.generateResponse(sessionId, messages, {
+        ...target.options,
+        temperature: config.ai?.temperature,
+        max_tokens: config.ai?.max_tokens,
+        system_prompt: config.system_prompt
+      })
+    );
   }
 
   /**
@@ -67,22 +123,220 @@ class AIClientManager {
    * @param {string} sessionId - The session ID
    * @param {Array} messages - Array of message objects with role and content
    * @param {Object} config - Configuration object with AI settings
-   * @param {Function} onChunk - Callback function for each chunk of the streaming response
-   * @returns {Promise<void>}
+   * @param {Function} onChunk - Callback function called with { content } for each token
+   * @param {Object} toolkit - Optional tools the model may call ({ definitions, execute })
+   * @returns {Promise<Object>} - The full AI response once the stream has ended
    */
-  async generateStreamingResponse(sessionId, messages, config = {}, onChunk) {
-    const client = this.getClient(config);
-    
+  async generateStreamingResponse(sessionId, messages, config = {}, onChunk, toolkit = null) {
     // Extract AI-specific options from config
     const options = {
-      model: config.ai?.model,
+      inventoryAccess: true,
       temperature: config.ai?.temperature,
       max_tokens: config.ai?.max_tokens,
+      userLanguage: config.ai?.userLanguage,
       system_prompt: config.system_prompt,
       stream: true
     };
     
-    return client.generateStreamingResponse(sessionId, messages, options, onChunk);
+    // Once tokens have reached the client, another provider cannot take over the reply
+    let streamed = false;
+    const forwardChunk = (chunk) => {
+      streamed = true;
+      onChunk(chunk);
+    };
+    const canFailover = () => !streamed;
+    
+    if (!toolkit) {
+      return this._withFailover(config, (client, target) =>
+        client.generateStreamingResponse(sessionId, messages, { ...options, ...target.options }, forwardChunk),
+        canFailover
+      );
+    }
+    
+    return this._runToolLoop(messages, toolkit, (conversation, toolChoice) =>
+      this._withFailover(config, (client, target) =>
+        client.generateStreamingResponse(sessionId, conversation, {
+          ...options,
+          ...target.options,
+          tools: toolkit.definitions,
+          tool_choice: toolChoice
+        }, forwardChunk),
+        canFailover
+      )
+    );
+  }
+
+  /**
+   * The providers to try for a configuration: ai.provider first, then ai.fallbacks in order
+   * @param {Object} config - Configuration object with AI settings
+   * @returns {Array} - [{ provider, key, options: { model, apiKey, baseUrl } }]
+   */
+  getProviderChain(config = {}) {
+    const ai = config.ai || {};
+    const primary = ai.provider && this.providers.has(ai.provider)
+      ? ai
+      : { provider: this.defaultProvider, model: ai.model, apiKey: ai.apiKey, baseUrl: ai.baseUrl };
+    
+    if (ai.provider && primary !== ai) {
+      console.warn(`Provider ${ai.provider} not available, falling back to ${this.defaultProvider}`);
+    }
+    
+    const fallbacks = (ai.fallbacks || []).filter(fallback => {
+      if (this.providers.has(fallback.provider)) return true;
+      console.warn(`Fallback provider ${fallback.provider} not available, skipping it`);
+      return false;
+    });
+    
+    return [primary, ...fallbacks].map(entry => {
+      const provider = entry.provider.toLowerCase();
+      return {
+        provider,
+        key: entry.baseUrl ? `${provider}@${entry.baseUrl}` : provider,
+        options: { model: entry.model, apiKey: entry.apiKey, baseUrl: entry.baseUrl }
+      };
+    });
+  }
+
+  /**
+   * Call the configuration's providers in order until one answers
+   * @private
+   * @param {Object} config - Configuration object with AI settings
+   * @param {Function} callProvider - Calls a client with (client, target) and returns its response
+   * @param {Function} canFailover - Whether another provider may still be tried after a failure
+   * @returns {Promise<Object>} - The response, with the provider that answered and the failed attempts
+   */
+  async _withFailover(config, callProvider, canFailover = () => true) {
+    const chain = this.getProviderChain(config);
+    
+    // When every circuit is open, try the chain anyway rather than fail without asking
+    let targets = chain.filter(target => this.circuitBreaker.isAvailable(target.key));
+    if (targets.length === 0) {
+      console.warn('All AI providers for this configuration are unhealthy, trying them anyway');
+      targets = chain;
+    }
+    
+    const failures = [];
+    for (const target of targets) {
+      try {
+        console.log(`Using AI provider: ${target.provider}`);
+        const startTime = Date.now();
+        const response = await callProvider(this.providers.get(target.provider), target);
+        this.circuitBreaker.recordSuccess(target.key);
+        
+        return {
+          ...response,
+          provider: target.provider,
+          // Includes the client's retries, i.e. how long the user waited on this provider
+          latency: Date.now() - startTime,
+          failedProviders: failures
+        };
+      } catch (error) {
+        if (this._isProviderFailure(error)) {
+          this.circuitBreaker.recordFailure(target.key, error);
+        } else {
+          // The provider answered; the request itself was rejected
+          this.circuitBreaker.recordSuccess(target.key);
+        }
+        
+        failures.push({ provider: target.provider, model: target.options.model, error: error.message });
+        
+        if (target === targets[targets.length - 1] || !canFailover()) {
+          throw error;
+        }
+        console.warn(`AI provider ${target.provider} failed (${error.message}), trying the next one`);
+      }
+    }
+  }
+
+  /**
+   * Whether an error means the provider is unhealthy, as opposed to rejecting the request
+   * @private
+   * @param {Error} error - Error thrown by a client; clients keep the HTTP error as its cause
+   * @returns {boolean}
+   */
+  _isProviderFailure(error) {
+    const status = error.cause?.response?.status;
+    return !status || status === 429 || status >= 500;
+  }
+
+  /**
+   * Call the model, run any tools it requests and feed the results back until it answers
+   * @private
+   * @param {Array} messages - Conversation messages
+   * @param {Object} toolkit - Tools the model may call ({ definitions, execute })
+   * @param {Function} callModel - Calls the provider with (conversation, toolChoice)
+   * @returns {Promise<Object>} - The final AI response with combined usage and latency, and the executed toolCalls
+   */
+  async _runToolLoop(messages, toolkit, callModel) {
+    const conversation = [...messages];
+    const toolCalls = [];
+    const failedProviders = [];
+    let usage = null;
+    let latency = 0;
+    
+    for (let round = 0; round <= this.maxToolRounds; round++) {
+      // On the last round, ask for an answer without further tool calls
+      const toolChoice = round === this.maxToolRounds ? 'none' : 'auto';
+      const response = await callModel(conversation, toolChoice);
+      usage = this._addUsage(usage, response.usage);
+      latency += response.latency || 0;
+      failedProviders.push(...(response.failedProviders || []));
+      
+      if (!response.toolCalls || response.toolCalls.length === 0) {
+        return { ...response, usage, latency, toolCalls, failedProviders };
+      }
+      
+      // Record the assistant's tool request, then answer each call
+      conversation.push({
+        role: 'assistant',
+        content: response.reply || '',
+        tool_calls: response.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: call.arguments }
+        }))
+      });
+      
+      for (const call of response.toolCalls) {
+        let args = {};
+        try {
+          args = call.arguments ? JSON.parse(call.arguments) : {};
+        } catch (error) {
+          console.warn(`Invalid arguments for tool ${call.name}: ${call.arguments}`);
+        }
+        
+        const result = await toolkit.execute(call.name, args);
+        console.log(`Tool ${call.name} called with`, args);
+        
+        toolCalls.push({ id: call.id, name: call.name, arguments: args, result });
+        conversation.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          name: call.name,
+          content: JSON.stringify(result)
+        });
+      }
+    }
+    
+    throw new Error('Failed to generate AI response: tool call limit reached');
+  }
+
+  /**
+   * Add token usage from another model call
+   * @private
+   * @param {Object} total - Usage so far (or null)
+   * @param {Object} usage - Usage from the latest call
+   * @returns {Object} - Combined usage
+   */
+  _addUsage(total, usage) {
+    if (!usage) return total;
+    if (!total) return { ...usage };
+    
+    return {
+      prompt_tokens: (total.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+      completion_tokens: (total.completion_tokens || 0) + (usage.completion_tokens || 0),
+      total_tokens: (total.total_tokens || 0) + (usage.total_tokens || 0)
+    };
   }
 }
 
@@ -0,0 +1,364 @@
+const axios = require('axios');
+const { collectAnthropicStream } = require('./streamUtils');
+
+/**
+ * Client for the Anthropic Messages API. Conversations, tools and tool calls
+ * use the same shapes as the chat completions clients and are converted here.
+ */
+class AnthropicClient {
+  /**
+   * @param {Object} settings - Connection defaults, overridden per request by the apiKey and baseUrl options
+   * @param {string} settings.apiUrl - Base URL of the API
+   * @param {string} settings.apiKey - API key
+   * @param {string} settings.defaultModel - Model used when the config does not set one
+   */
+  constructor(settings = {}) {
+    this.name = 'Anthropic';
+    this.apiKey = 'apiKey' in settings ? settings.apiKey : process.env.ANTHROPIC_API_KEY;
+    this.apiUrl = settings.apiUrl || process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1';
+    this.apiVersion = '2023-06-01';
+    this.defaultModel = settings.defaultModel || 'claude-3-5-haiku-latest';
+    this.client = this._createHttpClient(this.apiUrl, this.apiKey);
+  }
+
+  /**
+   * Generate a response from the Messages API
+   * @param {string} sessionId - The session ID
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Object} options - Additional options for the API call
+   * @returns {Promise<Object>} - The AI response
+   */
+  async generateResponse(sessionId, messages, options = {}) {
+    try {
+      const startTime = Date.now();
+      const jsonMode = options.response_format?.type === 'json_object';
+
+      const response = await this._postWithRetry(options, this._buildRequest(messages, options, false));
+
+      const latency = Date.now() - startTime;
+      console.log(`Anthropic API call completed in ${latency}ms for session ${sessionId}`);
+
+      const blocks = response.data.content || [];
+      const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+
+      return {
+        // In JSON mode the reply was prefilled with the opening brace
+        reply: jsonMode ? `{${text}` : text,
+        model: response.data.model,
+        usage: this._normalizeUsage(response.data.usage),
+        toolCalls: blocks
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, arguments: JSON.stringify(block.input || {}) })),
+        latency
+      };
+    } catch (error) {
+      this._handleError(error, 'response');
+    }
+  }
+
+  /**
+   * Generate a streaming response from the Messages API
+   * @param {string} sessionId - The session ID
+   * @param {Array} messages - Array of message objects with role and content
+   * @param {Object} options - Additional options for the API call
+   * @param {Function} onChunk - Callback function for each chunk of the stream
+   * @returns {Promise<Object>} - The full AI response once the stream has ended
+   */
+  async generateStreamingResponse(sessionId, messages, options = {}, onChunk) {
+    try {
+      const startTime = Date.now();
+
+      const response = await this._postWithRetry(options, this._buildRequest(messages, options, true), {
+        responseType: 'stream'
+      });
+
+      const result = await collectAnthropicStream(response.data, onChunk);
+
+      const latency = Date.now() - startTime;
+      console.log(`Anthropic streaming API call completed in ${latency}ms for session ${sessionId}`);
+
+      return {
+        reply: result.reply,
+        model: result.model || options.model || this.defaultModel,
+        usage: result.usage,
+        toolCalls: result.toolCalls,
+        latency
+      };
+    } catch (error) {
+      this._handleError(error, 'streaming response');
+    }
+  }
+
+  /**
+   * Build the Messages API request body
+   * @private
+   * @param {Array} messages - Conversation messages
+   * @param {Object} options - Options passed to the generate methods
+   * @param {boolean} stream - Whether to stream the response
+   * @returns {Object} - Request body
+   */
+  _buildRequest(messages, options, stream) {
+    const conversation = this._formatMessages(messages);
+
+    // The Messages API has no JSON mode; starting the answer with "{" has the same effect
+    if (options.response_format?.type === 'json_object') {
+      conversation.push({ role: 'assistant', content: '{' });
+    }
+
+    return {
+      model: options.model || this.defaultModel,
+      system: this._buildSystemPrompt(options),
+      messages: conversation,
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.max_tokens || 1000,
+      stream,
+      ...this._toolOptions(options)
+    };
+  }
+
+  /**
+   * Send a request, retrying rate limits, overloads and network errors with backoff
+   * @private
+   * @param {Object} options - Options passed to the generate methods
+   * @param {Object} body - Request body
+   * @param {Object} requestConfig - Extra axios request settings
+   * @returns {Promise<Object>} - The axios response
+   */
+  async _postWithRetry(options, body, requestConfig = {}) {
+    const maxRetries = 3;
+    let retries = 0;
+
+    while (true) {
+      try {
+        return await this._getHttpClient(options).post('/messages', body, requestConfig);
+      } catch (error) {
+        retries++;
+        if (!this._shouldRetryRequest(error) || retries >= maxRetries) {
+          throw error;
+        }
+
+        console.log(`Retrying Anthropic request (${retries}/${maxRetries}) after error: ${error.message}`);
+
+        // Exponential backoff with jitter
+        const delay = Math.min(1000 * Math.pow(2, retries) + Math.random() * 1000, 10000);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Log an API error and rethrow it with a readable message
+   * @private
+   * @param {Error} error - The error that occurred
+   * @param {string} kind - 'response' or 'streaming response', for the message
+   */
+  _handleError(error, kind) {
+    console.error(`Error generating Anthropic ${kind}:`, error.response?.data || error.message);
+
+    if (error.response) {
+      if (error.response.status === 401) {
+        throw new Error('Anthropic API key is invalid or expired', { cause: error });
+      } else if (error.response.status === 429) {
+        throw new Error('Anthropic API rate limit exceeded. Please try again later.', { cause: error });
+      } else if (error.response.status >= 500) {
+        throw new Error('Anthropic API server error. Please try again later.', { cause: error });
+      }
+    } else if (error.request) {
+      throw new Error('No response received from Anthropic API. Please check your network connection.', { cause: error });
+    }
+
+    throw new Error(`Failed to generate Anthropic ${kind}: ${error.message}`, { cause: error });
+  }
+
+  /**
+   * Create an HTTP client for an API base URL
+   * @private
+   * @param {string} baseURL - Base URL of the API
+   * @param {string} apiKey - API key
+   * @returns {Object} - axios instance
+   */
+  _createHttpClient(baseURL, apiKey) {
+    return axios.create({
+      baseURL,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey || '',
+        'anthropic-version': this.apiVersion
+      }
+    });
+  }
+
+  /**
+   * HTTP client for a request, using the config's own base URL and API key when it sets them
+   * @private
+   * @param {Object} options - Options passed to the generate methods
+   * @returns {Object} - axios instance
+   */
+  _getHttpClient(options = {}) {
+    if (!options.baseUrl && !options.apiKey) {
+      return this.client;
+    }
+
+    // A config's own base URL never receives the server-wide API key
+    const apiKey = options.baseUrl ? options.apiKey : options.apiKey || this.apiKey;
+    return this._createHttpClient(options.baseUrl || this.apiUrl, apiKey);
+  }
+
+  /**
+   * Build the system prompt sent with the conversation
+   * @private
+   * @param {Object} options - Options passed to the generate methods
+   * @returns {string} - The system prompt
+   */
+  _buildSystemPrompt(options = {}) {
+    // Use custom system prompt from config if available
+    let systemPrompt = "You are a helpful AI assistant.";
+
+    // If config has a system_prompt, use it
+    if (options.system_prompt) {
+      systemPrompt = options.system_prompt;
+    }
+    // If user language is provided, add language instruction to system prompt
+    else if (options.userLanguage) {
+      systemPrompt = `You are a friendly and helpful AI assistant. Always greet the user appropriately when they say hello, hi, namaste, or any other greeting. Respond to basic greetings and questions like "how are you" in a conversational manner. Please respond in the same language as the user. If the user speaks in Hindi, respond in Hindi. If they speak in English, respond in English. If they speak in any other language, try to respond in that same language.`;
+    }
+
+    // Add product inventory access information to system prompt
+    if (options.inventoryAccess) {
+      systemPrompt += `\n\nIMPORTANT INSTRUCTION: You have access to the product inventory information from the 'productinventories' collection. You MUST ONLY provide information about products that are available in the inventory data. If a user asks about a product or any information that is not in the inventory data, you MUST respond that you don't have that information or the product is not available in your inventory. DO NOT provide any information from your general knowledge about products, specifications, or any other details that are not explicitly mentioned in the inventory data provided to you. Always check if the product exists in the inventory before responding.\n\nWhen a user asks about product availability, you should respond in the same language as the user. If the user speaks in Hindi, respond in Hindi. If they speak in English, respond in English.\n\nFor product inventory queries, you can help users with:\n1. Checking if a product is available in stock\n2. Providing information about available quantity\n3. Helping place orders for available products\n4. Suggesting alternatives if a product is out of stock\n\nThe product inventory database contains information such as product name, SKU, category, description, attributes (for example size, colour or wattage), variants, price, available stock, and unit of measurement. You may answer questions about any of these details when a tool returned them.`;
+    }
+
+    // Explain when to use the inventory tools if they are offered
+    if (options.tools && options.tools.length > 0) {
+      systemPrompt += `\n\nYou can look up products, prices and stock levels, manage the customer's cart and place orders with the tools provided. Only call a tool when the user's message needs inventory data or an order, and never invent product details that a tool did not return.`;
+    }
+
+    return systemPrompt;
+  }
+
+  /**
+   * Convert conversation messages to Messages API turns.
+   * Tool results become tool_result blocks in a user turn, and consecutive
+   * turns of the same role are merged because the API needs them to alternate.
+   * @private
+   * @param {Array} messages - Messages with role bot/user, or assistant tool calls and tool results
+   * @returns {Array} - Messages for the API request
+   */
+  _formatMessages(messages) {
+    const toBlocks = content => (typeof content === 'string'
+      ? (content ? [{ type: 'text', text: content }] : [])
+      : content);
+
+    const formatted = [];
+
+    for (const msg of messages) {
+      let turn;
+
+      if (msg.role === 'tool') {
+        // Result of a tool call requested by the model
+        turn = {
+          role: 'user',
+          content: [{ type: 'tool_result', tool_use_id: msg.tool_call_id, content: msg.content }]
+        };
+      } else if (msg.tool_calls) {
+        // Assistant turn that requested tool calls
+        turn = {
+          role: 'assistant',
+          content: [
+            ...toBlocks(msg.content || ''),
+            ...msg.tool_calls.map(call => ({
+              type: 'tool_use',
+              id: call.id,
+              name: call.function.name,
+              input: this._parseArguments(call.function.arguments)
+            }))
+          ]
+        };
+      } else {
+        turn = {
+          role: msg.role === 'bot' ? 'assistant' : 'user',
+          content: msg.content
+        };
+      }
+
+      const previous = formatted[formatted.length - 1];
+      if (previous && previous.role === turn.role) {
+        previous.content = [...toBlocks(previous.content), ...toBlocks(turn.content)];
+      } else {
+        formatted.push(turn);
+      }
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Build the tool-calling request fields from OpenAI-format tool definitions
+   * @private
+   * @param {Object} options - Options passed to the generate methods
+   * @returns {Object} - tools and tool_choice, or an empty object when no tools are offered
+   */
+  _toolOptions(options = {}) {
+    if (!options.tools || options.tools.length === 0) {
+      return {};
+    }
+
+    return {
+      tools: options.tools.map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters
+      })),
+      tool_choice: { type: options.tool_choice === 'none' ? 'none' : 'auto' }
+    };
+  }
+
+  /**
+   * Parse tool call arguments sent back to the API as tool_use input
+   * @private
+   * @param {string|Object} args - Arguments as a JSON string or object
+   * @returns {Object} - Parsed arguments
+   */
+  _parseArguments(args) {
+    if (args && typeof args === 'object') return args;
+
+    try {
+      return args ? JSON.parse(args) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Convert Messages API usage to the prompt/completion token format used elsewhere
+   * @private
+   * @param {Object} usage - { input_tokens, output_tokens }
+   * @returns {Object|null} - { prompt_tokens, completion_tokens, total_tokens }
+   */
+  _normalizeUsage(usage) {
+    if (!usage) return null;
+
+    const prompt = usage.input_tokens || 0;
+    const completion = usage.output_tokens || 0;
+    return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+  }
+
+  /**
+   * Determine if a request should be retried based on the error
+   * @private
+   * @param {Error} error - The error that occurred
+   * @returns {boolean} - Whether the request should be retried
+   */
+  _shouldRetryRequest(error) {
+    if (error.response) {
+      // Retry on rate limiting (429) and server errors or overload (5xx, 529)
+      return error.response.status === 429 || error.response.status >= 500;
+    }
+
+    // Retry on network errors
+    return ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'].includes(error.code);
+  }
+}
+
+// Export the class; the provider registry creates the instances
+module.exports = AnthropicClient;
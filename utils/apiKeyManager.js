@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+
+// Every key starts with this, so keys can be told from JWTs and found by secret scanners
+const KEY_PREFIX = 'cbk_';
+
+/**
+ * Issues and checks the per-configuration API keys used by server-to-server
+ * integrations. Keys are random, so a plain SHA-256 is enough to store them;
+ * the key itself is only returned when it is created or rotated.
+ */
+class ApiKeyManager {
+  constructor() {
+    // lastUsedAt is written at most this often per key
+    this.touchIntervalMs = 60 * 1000;
+  }
+
+  /**
+   * Scopes a key can be given
+   * @returns {Array} - Scope names
+   */
+  get scopes() {
+    return ApiKey.SCOPES;
+  }
+
+  /**
+   * Hash a key for storage and lookup
+   * @param {string} key - The API key
+   * @returns {string} - Hex SHA-256
+   */
+  hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Read the API key sent with a request, from X-API-Key or an Authorization: Bearer header
+   * @param {Object} req - Express request
+   * @returns {string|null} - The key, or null when the request has none
+   */
+  extractKey(req) {
+    const header = req.get('x-api-key');
+    if (header) {
+      return header.trim();
+    }
+
+    const authorization = req.get('authorization') || '';
+    const [scheme, token] = authorization.split(' ');
+    return scheme === 'Bearer' && token && token.startsWith(KEY_PREFIX) ? token : null;
+  }
+
+  /**
+   * Create a key for a configuration
+   * @param {Object} params
+   * @param {string} params.configId - Configuration the key acts for
+   * @param {string} params.name - Label, e.g. the integration using it
+   * @param {Array} params.scopes - Scopes granted
+   * @param {Date} params.expiresAt - Optional expiry
+   * @param {string} params.createdBy - User ID of the admin creating it
+   * @param {string} params.rotatedFrom - ID of the key this one replaces
+   * @returns {Promise<Object>} - { apiKey, key }; the key is not stored and cannot be shown again
+   */
+  async create({ configId, name, scopes, expiresAt, createdBy, rotatedFrom }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      configId,
+      name,
+      scopes,
+      expiresAt,
+      createdBy,
+      rotatedFrom,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      keyHash: this.hash(key)
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Replace a key with a new one with the same configuration, name and scopes
+   * @param {Object} apiKey - The key being replaced
+   * @param {number} gracePeriodMinutes - How long the old key keeps working; 0 revokes it at once
+   * @param {string} userId - User ID of the admin rotating it
+   * @returns {Promise<Object>} - { apiKey, key } for the new key
+   */
+  async rotate(apiKey, gracePeriodMinutes = 0, userId = undefined) {
+    const created = await this.create({
+      configId: apiKey.configId,
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      expiresAt: apiKey.expiresAt,
+      createdBy: userId,
+      rotatedFrom: apiKey._id
+    });
+
+    if (gracePeriodMinutes > 0) {
+      const graceEnd = new Date(Date.now() + gracePeriodMinutes * 60 * 1000);
+      if (!apiKey.expiresAt || apiKey.expiresAt > graceEnd) {
+        apiKey.expiresAt = graceEnd;
+      }
+    } else {
+      apiKey.revokedAt = new Date();
+    }
+    await apiKey.save();
+
+    return created;
+  }
+
+  /**
+   * Find the active key matching a raw key
+   * @param {string} key - The API key sent with the request
+   * @returns {Promise<Object|null>} - The key document, or null when unknown, revoked or expired
+   */
+  async authenticate(key) {
+    if (!key || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: this.hash(key) });
+    if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+      return null;
+    }
+    return apiKey;
+  }
+
+  /**
+   * Record that a key was used, without holding up the request
+   * @param {Object} apiKey - The key document
+   * @param {string} ip - Client IP address
+   */
+  recordUse(apiKey, ip) {
+    if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < this.touchIntervalMs) {
+      return;
+    }
+
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip } })
+      .catch(error => console.error(`Error recording use of API key ${apiKey._id}:`, error));
+  }
+}
+
+// Export a singleton instance
+module.exports = new ApiKeyManager();
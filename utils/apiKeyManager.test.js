@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const apiKeyManager = require('./apiKeyManager');
+
+const CONFIG_ID = '65a000000000000000000001';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('API key hashing', () => {
+  it('stores only the SHA-256 of a new key and its prefix', async () => {
+    jest.spyOn(ApiKey, 'create').mockImplementation(async (fields) => ({ _id: 'k1', ...fields }));
+
+    const { apiKey, key } = await apiKeyManager.create({ configId: CONFIG_ID, name: 'ERP', scopes: ['chat'] });
+
+    expect(key).toMatch(/^cbk_[A-Za-z0-9_-]{32}$/);
+    expect(apiKey.keyHash).toBe(sha256(key));
+    expect(apiKey.prefix).toBe(key.slice(0, 10));
+    expect(JSON.stringify(ApiKey.create.mock.calls[0][0])).not.toContain(key);
+  });
+
+  it('gives every key a different value', async () => {
+    jest.spyOn(ApiKey, 'create').mockImplementation(async (fields) => fields);
+
+    const first = await apiKeyManager.create({ configId: CONFIG_ID, name: 'A', scopes: ['chat'] });
+    const second = await apiKeyManager.create({ configId: CONFIG_ID, name: 'B', scopes: ['chat'] });
+
+    expect(first.key).not.toBe(second.key);
+    expect(first.apiKey.keyHash).not.toBe(second.apiKey.keyHash);
+  });
+
+  it('never returns the hash when a key is serialized', () => {
+    const apiKey = new ApiKey({ configId: CONFIG_ID, name: 'ERP', scopes: ['chat'], prefix: 'cbk_abcdef', keyHash: 'secret-hash' });
+
+    expect(apiKey.toJSON()).not.toHaveProperty('keyHash');
+  });
+
+  it('only accepts known scopes', () => {
+    const apiKey = new ApiKey({ configId: CONFIG_ID, name: 'ERP', scopes: ['chat', 'admin'], prefix: 'cbk_abcdef', keyHash: 'h' });
+
+    expect(apiKey.validateSync().errors.scopes.message).toBe('Scopes must be one of chat, inventory:read, inventory:write, orders');
+  });
+});
+
+describe('API key authentication', () => {
+  const stored = (fields = {}) => ({ _id: 'k1', configId: CONFIG_ID, scopes: ['chat'], ...fields });
+
+  it('looks a key up by its hash', async () => {
+    jest.spyOn(ApiKey, 'findOne').mockResolvedValue(stored());
+
+    expect(await apiKeyManager.authenticate('cbk_secret')).toMatchObject({ _id: 'k1' });
+    expect(ApiKey.findOne).toHaveBeenCalledWith({ keyHash: sha256('cbk_secret') });
+  });
+
+  it('refuses unknown, revoked and expired keys', async () => {
+    const findOne = jest.spyOn(ApiKey, 'findOne');
+
+    findOne.mockResolvedValueOnce(null);
+    expect(await apiKeyManager.authenticate('cbk_unknown')).toBeNull();
+
+    findOne.mockResolvedValueOnce(stored({ revokedAt: new Date() }));
+    expect(await apiKeyManager.authenticate('cbk_revoked')).toBeNull();
+
+    findOne.mockResolvedValueOnce(stored({ expiresAt: new Date(Date.now() - 1000) }));
+    expect(await apiKeyManager.authenticate('cbk_expired')).toBeNull();
+
+    findOne.mockResolvedValueOnce(stored({ expiresAt: new Date(Date.now() + 60000) }));
+    expect(await apiKeyManager.authenticate('cbk_valid')).not.toBeNull();
+  });
+
+  it('does not look up values that are not API keys, such as JWTs', async () => {
+    jest.spyOn(ApiKey, 'findOne');
+
+    expect(await apiKeyManager.authenticate('eyJhbGciOiJIUzI1NiJ9.e30.sig')).toBeNull();
+    expect(ApiKey.findOne).not.toHaveBeenCalled();
+  });
+
+  it('reads the key from X-API-Key or a Bearer header', () => {
+    const req = (headers) => ({ get: (name) => headers[name.toLowerCase()] });
+
+    expect(apiKeyManager.extractKey(req({ 'x-api-key': ' cbk_one ' }))).toBe('cbk_one');
+    expect(apiKeyManager.extractKey(req({ authorization: 'Bearer cbk_two' }))).toBe('cbk_two');
+    expect(apiKeyManager.extractKey(req({ authorization: 'Bearer eyJhbGciOi.jwt' }))).toBeNull();
+  });
+});
+
+describe('API key rotation', () => {
+  it('keeps the old key working for the grace period only', async () => {
+    jest.spyOn(ApiKey, 'create').mockImplementation(async (fields) => ({ _id: 'k2', ...fields }));
+    const old = { _id: 'k1', configId: CONFIG_ID, name: 'ERP', scopes: ['orders'], save: jest.fn().mockResolvedValue() };
+
+    const { apiKey } = await apiKeyManager.rotate(old, 15, 'admin-1');
+
+    expect(apiKey).toMatchObject({ configId: CONFIG_ID, name: 'ERP', scopes: ['orders'], rotatedFrom: 'k1' });
+    expect(old.revokedAt).toBeUndefined();
+    expect(old.expiresAt.getTime()).toBeGreaterThan(Date.now() + 14 * 60 * 1000);
+    expect(old.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 15 * 60 * 1000);
+    expect(old.save).toHaveBeenCalled();
+  });
+
+  it('revokes the old key at once without a grace period', async () => {
+    jest.spyOn(ApiKey, 'create').mockImplementation(async (fields) => fields);
+    const old = { _id: 'k1', configId: CONFIG_ID, name: 'ERP', scopes: ['orders'], save: jest.fn().mockResolvedValue() };
+
+    await apiKeyManager.rotate(old);
+
+    expect(old.revokedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,180 @@
+const inventoryService = require('./inventoryService');
+
+/**
+ * Per-session shopping carts that build up over a conversation and are
+ * checked out into one multi-line order. The Cart model is registered on the
+ * inventory connection in server.js and read from the global at call time.
+ */
+class CartService {
+  get Cart() {
+    return global.InventoryCart;
+  }
+
+  /**
+   * Get the cart for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} - The cart, or null when nothing has been added yet
+   */
+  async getCart(sessionId) {
+    return this.Cart.findOne({ sessionId });
+  }
+
+  /**
+   * Add a product to the session's cart, increasing the quantity when the SKU is already in it
+   * @param {Object} params - Cart parameters
+   * @param {Object} params.config - The bot configuration
+   * @param {Object} params.session - The session document
+   * @param {string} params.sku - Exact product SKU
+   * @param {string} params.productName - Product name to match (used when no SKU matches)
+   * @param {number} params.qty - Quantity to add
+   * @returns {Promise<Object>} - { added, cart, product }, or { added: false, message } with candidates when ambiguous
+   */
+  async addItem({ config, session, sku, productName, qty }) {
+    const { product, candidates, ambiguous } = await inventoryService.resolveProduct(
+      inventoryService.getCatalogBotIds(config),
+      { sku, productName }
+    );
+
+    if (ambiguous) {
+      return {
+        added: false,
+        ambiguous,
+        message: `Several products match "${productName}"; ask the user which one they mean`,
+        candidates: inventoryService.formatCandidates(candidates)
+      };
+    }
+
+    if (!product) {
+      return { added: false, message: `No product matching "${sku || productName}" was found` };
+    }
+
+    const cart = await this.Cart.findOneAndUpdate(
+      { sessionId: session._id },
+      { $setOnInsert: { botId: config._id, userId: session.userId, createdAt: Date.now() } },
+      { upsert: true, new: true }
+    );
+
+    const line = cart.items.find(item => item.sku === product.sku && String(item.productId) === String(product._id));
+    if (line) {
+      line.qty += qty;
+    } else {
+      cart.items.push({
+        productId: product._id,
+        sku: product.sku,
+        productName: product.productName,
+        qty,
+        unit: product.unit
+      });
+    }
+
+    await cart.save();
+
+    return { added: true, cart, product: inventoryService.formatProduct(product) };
+  }
+
+  /**
+   * Set the quantity of a cart line; a quantity of 0 removes the line
+   * @param {string} sessionId - Session ID
+   * @param {string} sku - SKU of the line to change
+   * @param {number} qty - New quantity
+   * @returns {Promise<Object|null>} - The updated cart, or null when the line is not in the cart
+   */
+  async updateItem(sessionId, sku, qty) {
+    const cart = await this.getCart(sessionId);
+    const line = cart ? cart.items.find(item => item.sku === sku) : null;
+    if (!line) {
+      return null;
+    }
+
+    if (qty > 0) {
+      line.qty = qty;
+    } else {
+      cart.items = cart.items.filter(item => item !== line);
+    }
+
+    return cart.save();
+  }
+
+  /**
+   * Remove a line from the cart
+   * @param {string} sessionId - Session ID
+   * @param {string} sku - SKU of the line to remove
+   * @returns {Promise<Object|null>} - The updated cart, or null when the line is not in the cart
+   */
+  async removeItem(sessionId, sku) {
+    return this.updateItem(sessionId, sku, 0);
+  }
+
+  /**
+   * Empty the session's cart
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async clear(sessionId) {
+    await this.Cart.deleteOne({ sessionId });
+  }
+
+  /**
+   * Turn the session's cart into one multi-line order and empty the cart
+   * @param {Object} params - Checkout parameters
+   * @param {Object} params.session - The session document
+   * @param {string} params.userQuery - The user message that triggered the checkout
+   * @returns {Promise<Object|null>} - The created order, or null when the cart is empty
+   */
+  async checkout({ session, userQuery }) {
+    // Claim the cart by removing it first, so concurrent checkouts cannot order it twice
+    const cart = await this.Cart.findOneAndDelete({ sessionId: session._id, 'items.0': { $exists: true } });
+    if (!cart) {
+      return null;
+    }
+
+    try {
+      return await inventoryService.createOrder({
+        botId: cart.botId,
+        items: cart.items.map(item => ({
+          productId: item.productId,
+          sku: item.sku,
+          productName: item.productName,
+          qty: item.qty,
+          unit: item.unit
+        })),
+        userQuery: userQuery || 'Cart checkout',
+        userId: session.userId,
+        sessionId: session._id
+      });
+    } catch (error) {
+      // Give the cart back so the user can try again
+      await this.Cart.create({
+        botId: cart.botId,
+        sessionId: cart.sessionId,
+        userId: cart.userId,
+        items: cart.items,
+        createdAt: cart.createdAt
+      }).catch(restoreError => console.error(`Error restoring cart for session ${session._id}:`, restoreError.message));
+      throw error;
+    }
+  }
+
+  /**
+   * Shape a cart for API and tool responses
+   * @param {Object|null} cart - Cart document
+   * @returns {Object} - Line items and totals
+   */
+  formatCart(cart) {
+    const items = cart ? cart.items.map(item => ({
+      sku: item.sku,
+      productName: item.productName,
+      qty: item.qty,
+      unit: item.unit
+    })) : [];
+
+    return {
+      items,
+      lineCount: items.length,
+      totalQty: items.reduce((total, item) => total + item.qty, 0)
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new CartService();
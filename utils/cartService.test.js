@@ -0,0 +1,78 @@
+jest.mock('./webhookDispatcher', () => ({ emit: jest.fn() }));
+jest.mock('./realtimeHub', () => ({ publishOrder: jest.fn() }));
+
+const memoryModel = require('../test/memoryModel');
+const inventoryService = require('./inventoryService');
+const cartService = require('./cartService');
+
+const BOT_ID = '65a000000000000000000001';
+const session = { _id: '65a0000000000000000000aa', userId: 'visitor-1' };
+
+let bulb;
+
+beforeEach(async () => {
+  global.InventoryProduct = memoryModel();
+  global.InventoryOrder = memoryModel({
+    defaults: { status: 'pending', stockReserved: false, items: [] },
+    dateFields: ['reservationExpiresAt', 'timestamp']
+  });
+  global.InventoryCart = memoryModel({ defaults: { items: [] }, dateFields: ['createdAt'] });
+
+  bulb = await global.InventoryProduct.create({
+    botId: BOT_ID, sku: 'BULB-9W', productName: '9W LED Bulb', unit: 'pcs', availableStock: 10, reservedStock: 0
+  });
+  await global.InventoryCart.create({
+    botId: BOT_ID,
+    sessionId: session._id,
+    userId: session.userId,
+    items: [{ productId: bulb._id, sku: bulb.sku, productName: bulb.productName, qty: 3, unit: 'pcs' }]
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  delete global.InventoryProduct;
+  delete global.InventoryOrder;
+  delete global.InventoryCart;
+});
+
+describe('cart checkout', () => {
+  it('turns the cart into one confirmed order and empties it', async () => {
+    const order = await cartService.checkout({ session, userQuery: 'checkout' });
+
+    expect(order).toMatchObject({ status: 'confirmed', userId: 'visitor-1', userQuery: 'checkout' });
+    expect(order.items).toHaveLength(1);
+    expect(await cartService.getCart(session._id)).toBeNull();
+  });
+
+  it('orders the cart only once when checkouts run at the same time', async () => {
+    const results = await Promise.all([1, 2, 3].map(() => cartService.checkout({ session })));
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(global.InventoryOrder.docs).toHaveLength(1);
+    expect(global.InventoryProduct.docs[0]).toMatchObject({ availableStock: 7, reservedStock: 3 });
+  });
+
+  it('returns null for an empty cart', async () => {
+    await cartService.clear(session._id);
+
+    expect(await cartService.checkout({ session })).toBeNull();
+    expect(global.InventoryOrder.docs).toHaveLength(0);
+  });
+
+  it('gives the cart back when the order cannot be created', async () => {
+    jest.spyOn(inventoryService, 'createOrder').mockRejectedValue(new Error('database unavailable'));
+
+    await expect(cartService.checkout({ session })).rejects.toThrow('database unavailable');
+
+    const cart = await cartService.getCart(session._id);
+    expect(cartService.formatCart(cart)).toEqual({
+      items: [{ sku: 'BULB-9W', productName: '9W LED Bulb', qty: 3, unit: 'pcs' }],
+      lineCount: 1,
+      totalQty: 3
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const Config = require('../models/Config');
+const Session = require('../models/Session');
+const conversationEngine = require('./conversationEngine');
+const { splitText } = require('./channelUtils');
+const WhatsAppChannel = require('./whatsappChannel');
+const TelegramChannel = require('./telegramChannel');
+const SlackChannel = require('./slackChannel');
+
+// How many delivered message IDs are remembered to drop the platforms' retries
+const MAX_SEEN_MESSAGES = 1000;
+
+/**
+ * Messaging channels a bot can answer on through /api/channels. A channel
+ * adapter is any object with isConfigured(settings), verifySubscription(query, settings),
+ * verifyRequest(req, settings), handshake(body), parseMessages(body) and
+ * sendMessage(settings, message, text), plus a maxLength for replies.
+ */
+class ChannelManager {
+  constructor() {
+    this.channels = new Map();
+    this.seen = new Set();
+
+    this.register(new WhatsAppChannel());
+    this.register(new TelegramChannel());
+    this.register(new SlackChannel());
+  }
+
+  /**
+   * Add a channel adapter, replacing any adapter with the same name
+   * @param {Object} adapter - Channel adapter
+   * @returns {ChannelManager} - The manager, for chaining
+   */
+  register(adapter) {
+    const methods = ['isConfigured', 'verifySubscription', 'verifyRequest', 'handshake', 'parseMessages', 'sendMessage'];
+    const missing = methods.filter(method => typeof adapter?.[method] !== 'function');
+    if (!adapter?.name || missing.length > 0) {
+      throw new Error(`Channel adapter ${adapter?.name || '(unnamed)'} must have a name and implement ${missing.join(', ')}`);
+    }
+
+    this.channels.set(adapter.name.toLowerCase(), adapter);
+    return this;
+  }
+
+  /**
+   * Get a channel adapter
+   * @param {string} name - Channel name
+   * @returns {Object|null} - The adapter, or null when the channel is not registered
+   */
+  get(name) {
+    return this.channels.get(String(name).toLowerCase()) || null;
+  }
+
+  /**
+   * Names of the registered channels
+   * @returns {Array}
+   */
+  list() {
+    return [...this.channels.keys()];
+  }
+
+  /**
+   * Remember a delivered message; platforms redeliver webhooks they think timed out
+   * @param {string} channel - Channel name
+   * @param {string} messageId - The platform's message or event ID
+   * @returns {boolean} - Whether the message was seen before
+   */
+  isDuplicate(channel, messageId) {
+    if (!messageId) {
+      return false;
+    }
+
+    const key = `${channel}:${messageId}`;
+    if (this.seen.has(key)) {
+      return true;
+    }
+
+    this.seen.add(key);
+    if (this.seen.size > MAX_SEEN_MESSAGES) {
+      // Sets iterate in insertion order, so this drops the oldest
+      this.seen.delete(this.seen.values().next().value);
+    }
+    return false;
+  }
+
+  /**
+   * Answer an inbound channel message and send the reply back through the channel
+   * @param {Object} config - The bot's configuration
+   * @param {string} channel - Channel name
+   * @param {Object} message - Message from the adapter's parseMessages
+   * @returns {Promise<Object>} - The conversation turn
+   */
+  async handleMessage(config, channel, message) {
+    const adapter = this.get(channel);
+    const settings = config.channelSettings?.[channel];
+
+    const session = await this._findSession(config, channel, message);
+    // Agents reply later, so remember where this conversation's messages go
+    session.channelAddress = { chatId: message.chatId, threadId: message.threadId };
+
+    const turn = await conversationEngine.handleMessage({ session, config, message: message.text, channel });
+    if (turn.paused) {
+      console.log(`Session ${session._id} on ${channel} is waiting for an agent`);
+      return turn;
+    }
+
+    // A refused message still gets the bot's limit message
+    const reply = turn.refusal ? turn.refusal.body.reply : turn.reply;
+
+    for (const part of splitText(reply, adapter.maxLength || 4096)) {
+      await adapter.sendMessage(settings, message, part);
+    }
+
+    console.log(`Replied on ${channel} for session ${session._id}`);
+    return turn;
+  }
+
+  /**
+   * Send a message that did not come from the bot, e.g. an agent's, to a channel session
+   * @param {Object} session - The session document
+   * @param {string} text - The message
+   * @param {Object} config - The session's configuration, when already loaded
+   * @returns {Promise<boolean>} - Whether it was sent; false for sessions not on a messaging channel
+   */
+  async deliver(session, text, config = null) {
+    const adapter = this.get(session.channel);
+    if (!adapter || !session.channelAddress?.chatId) {
+      return false;
+    }
+
+    config = config || await Config.findById(session.configId);
+    const settings = config?.channelSettings?.[session.channel];
+    if (!adapter.isConfigured(settings)) {
+      console.warn(`Cannot send to ${session.channel} session ${session._id}: the channel is not configured`);
+      return false;
+    }
+
+    for (const part of splitText(text, adapter.maxLength || 4096)) {
+      await adapter.sendMessage(settings, session.channelAddress, part);
+    }
+    return true;
+  }
+
+  /**
+   * Find the session of a channel conversation, starting one on the first message
+   * @private
+   * @param {Object} config - The bot's configuration
+   * @param {string} channel - Channel name
+   * @param {Object} message - Message from the adapter's parseMessages
+   * @returns {Promise<Object>} - The session document
+   */
+  async _findSession(config, channel, message) {
+    const session = await Session.findOne({
+      configId: config._id,
+      channel,
+      externalId: message.externalId
+    }).sort({ lastActivity: -1 });
+
+    if (session) {
+      return session;
+    }
+
+    return Session.create({
+      configId: config._id,
+      // Quotas count per user, so the user ID is the person on the channel
+      userId: `${channel}:${message.userId}`,
+      channel,
+      externalId: message.externalId
+    });
+  }
+}
+
+// Export a singleton instance
+module.exports = new ChannelManager();
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+/**
+ * Helpers shared by the messaging channel adapters: webhook signature checks
+ * and splitting replies that are longer than a channel accepts.
+ */
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} expected - The value computed or stored on our side
+ * @param {string} received - The value sent with the request
+ * @returns {boolean} - Whether they match
+ */
+const safeCompare = (expected, received) => {
+  if (typeof expected !== 'string' || typeof received !== 'string') {
+    return false;
+  }
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Hex HMAC-SHA256 of a payload
+ * @param {string} secret - Signing secret
+ * @param {Buffer|string} payload - Signed content
+ * @returns {string} - Hex digest
+ */
+const hmacSha256 = (secret, payload) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+/**
+ * Split a reply into parts no longer than a channel's message limit, at paragraph,
+ * line or word breaks where possible
+ * @param {string} text - The reply
+ * @param {number} maxLength - Longest message the channel accepts
+ * @returns {Array} - Message texts, in order
+ */
+const splitText = (text, maxLength) => {
+  const parts = [];
+  let rest = String(text || '').trim();
+
+  while (rest.length > maxLength) {
+    const window = rest.slice(0, maxLength);
+    const breakAt = [window.lastIndexOf('\n\n'), window.lastIndexOf('\n'), window.lastIndexOf(' ')]
+      .find(index => index > maxLength / 2);
+    const end = breakAt !== undefined ? breakAt : maxLength;
+
+    parts.push(rest.slice(0, end).trim());
+    rest = rest.slice(end).trim();
+  }
+
+  if (rest) {
+    parts.push(rest);
+  }
+  return parts;
+};
+
+module.exports = {
+  safeCompare,
+  hmacSha256,
+  splitText
+};
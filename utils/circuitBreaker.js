@@ -0,0 +1,85 @@
+/**
+ * Tracks failures per AI provider endpoint. After AI_CIRCUIT_FAILURE_THRESHOLD
+ * failures in a row the circuit opens and the provider is skipped for
+ * AI_CIRCUIT_COOLDOWN_SECONDS. After that requests are let through again
+ * (half-open): a success closes the circuit, a failure opens it for another cooldown.
+ */
+class CircuitBreaker {
+  constructor() {
+    this.failureThreshold = parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD, 10) || 3;
+    this.cooldownMs = (parseInt(process.env.AI_CIRCUIT_COOLDOWN_SECONDS, 10) || 60) * 1000;
+    this.circuits = new Map();
+  }
+
+  /**
+   * Whether requests may be sent to a provider
+   * @param {string} key - Provider key, e.g. "mistral" or "ollama@http://gpu-box:11434/v1"
+   * @returns {boolean}
+   */
+  isAvailable(key) {
+    const circuit = this.circuits.get(key);
+    if (!circuit || !circuit.openedAt) {
+      return true;
+    }
+
+    return Date.now() - circuit.openedAt >= this.cooldownMs;
+  }
+
+  /**
+   * Record a successful request, closing the circuit
+   * @param {string} key - Provider key
+   */
+  recordSuccess(key) {
+    const circuit = this.circuits.get(key);
+    if (circuit && circuit.openedAt) {
+      console.log(`AI provider ${key} recovered, circuit closed`);
+    }
+    this.circuits.delete(key);
+  }
+
+  /**
+   * Record a failed request, opening the circuit once the threshold is reached
+   * @param {string} key - Provider key
+   * @param {Error} error - The error the provider returned
+   */
+  recordFailure(key, error) {
+    const circuit = this.circuits.get(key) || { failures: 0, openedAt: null };
+    circuit.failures += 1;
+    circuit.lastError = error?.message;
+
+    if (circuit.failures >= this.failureThreshold) {
+      if (!circuit.openedAt) {
+        console.warn(`AI provider ${key} failed ${circuit.failures} times, circuit open for ${this.cooldownMs / 1000}s`);
+      }
+      // A failure while half-open starts a new cooldown
+      circuit.openedAt = Date.now();
+    }
+
+    this.circuits.set(key, circuit);
+  }
+
+  /**
+   * Describe a provider's circuit
+   * @param {string} key - Provider key
+   * @returns {Object} - { state: closed|open|half-open, failures, retryAt, lastError }
+   */
+  getState(key) {
+    const circuit = this.circuits.get(key);
+    if (!circuit) {
+      return { state: 'closed', failures: 0, retryAt: null, lastError: null };
+    }
+
+    let state = 'closed';
+    let retryAt = null;
+    if (circuit.openedAt) {
+      const reopenAt = circuit.openedAt + this.cooldownMs;
+      state = Date.now() < reopenAt ? 'open' : 'half-open';
+      retryAt = new Date(reopenAt);
+    }
+
+    return { state, failures: circuit.failures, retryAt, lastError: circuit.lastError || null };
+  }
+}
+
+// Export a singleton instance
+module.exports = new CircuitBreaker();
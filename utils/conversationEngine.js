@@ -0,0 +1,382 @@
+const Config = require('../models/Config');
+const Message = require('../models/Message');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const aiClientManager = require('./aiClientManager');
+const conversationMemory = require('./conversationMemory');
+const knowledgeBase = require('./knowledgeBase');
+const quotaManager = require('./quotaManager');
+const usageTracker = require('./usageTracker');
+const webhookDispatcher = require('./webhookDispatcher');
+const handoffManager = require('./handoffManager');
+const realtimeHub = require('./realtimeHub');
+const inventoryIntentHandler = require('./inventoryIntentHandler');
+const { createInventoryToolkit } = require('./inventoryTools');
+
+const STAGES = ['preProcess', 'context', 'postProcess'];
+
+// Channels with a chat UI, where the model answers inventory questions with tools
+const CHAT_CHANNELS = ['web', 'widget'];
+
+/**
+ * Keep the bot quiet while the session waits for or is with a person;
+ * a closed session goes back to the bot when the user writes again
+ * @param {Object} turn - The conversation turn
+ */
+const handoffState = async (turn) => {
+  if (turn.session.status === 'closed') {
+    await handoffManager.transition(turn.session, 'bot');
+  } else if (handoffManager.isPaused(turn.session)) {
+    turn.paused = true;
+  }
+};
+
+/**
+ * Refuse the message if the bot or this user has used up a quota; messages for a person are not counted
+ * @param {Object} turn - The conversation turn
+ */
+const checkQuota = async (turn) => {
+  if (turn.paused) return;
+
+  const exceeded = await quotaManager.check(turn.config, turn.session.userId);
+  if (exceeded) {
+    turn.refusal = { statusCode: exceeded.statusCode, body: quotaManager.errorBody(exceeded) };
+  }
+};
+
+/**
+ * Fall back to a system prompt built from the bot's purpose
+ * @param {Object} turn - The conversation turn
+ */
+const defaultSystemPrompt = async (turn) => {
+  if (turn.systemPrompt) return;
+
+  turn.systemPrompt = turn.config.purpose
+    ? `You are an AI assistant focused on: ${turn.config.purpose}. Provide helpful, accurate, and relevant responses.`
+    : "You are a friendly and helpful AI assistant. Always greet the user appropriately when they say hello, hi, namaste, or any other greeting. Respond to basic greetings and questions like \"how are you\" in a conversational manner.";
+};
+
+/**
+ * Hand the session to a person when the user asks for one
+ * @param {Object} turn - The conversation turn
+ */
+const humanRequest = async (turn) => {
+  if (!handoffManager.isEnabled(turn.config) || !handoffManager.isHumanRequest(turn.message)) return;
+
+  await handoffManager.requestHuman(turn.session, 'user_request');
+  turn.reply = handoffManager.notice(turn.config, turn.message);
+};
+
+/**
+ * External channels answer inventory questions with the templated intent flow;
+ * the web chat and widget rely on tool calling instead
+ * @param {Object} turn - The conversation turn
+ */
+const inventoryIntentReply = async (turn) => {
+  if (!turn.config.inventoryEnabled || CHAT_CHANNELS.includes(turn.channel)) return;
+
+  try {
+    const result = await inventoryIntentHandler.handle({
+      config: turn.config,
+      session: turn.session,
+      message: turn.message
+    });
+
+    if (result.intent.intent !== 'other') {
+      turn.intent = result;
+      turn.reply = result.response;
+    }
+  } catch (error) {
+    // Fall back to a normal AI reply
+    console.error('Error processing inventory intent:', error);
+  }
+};
+
+/**
+ * Add the knowledge base excerpts relevant to the message
+ * @param {Object} turn - The conversation turn
+ */
+const knowledgeContext = async (turn) => {
+  const knowledge = await knowledgeBase.buildContext(turn.config, turn.message);
+  turn.sources.push(...knowledge.sources);
+  if (knowledge.context) {
+    turn.contextNotes.push(`[System Note: The following knowledge base excerpts are available for reference]${knowledge.context}`);
+  }
+};
+
+/**
+ * Offer inventory tools to bots with inventory enabled; the model calls them only when needed
+ * @param {Object} turn - The conversation turn
+ */
+const inventoryTools = async (turn) => {
+  if (!turn.config.inventoryEnabled) return;
+  turn.toolkit = createInventoryToolkit({ config: turn.config, session: turn.session, userQuery: turn.message });
+};
+
+/**
+ * Hand the session to a person when the inventory flow heard a request for one, or
+ * when the bot has not been able to answer config.handoff.unsureReplies times in a row
+ * @param {Object} turn - The conversation turn
+ */
+const unsureHandoff = async (turn) => {
+  const { session, config } = turn;
+  if (!turn.botMessage || session.status !== 'bot' || !handoffManager.isEnabled(config)) return;
+
+  if (turn.intent?.intent?.intent === 'talk_to_human') {
+    await handoffManager.requestHuman(session, 'user_request');
+    return;
+  }
+
+  // Templated replies always answer
+  if (!turn.response) return;
+
+  if (!handoffManager.isUnsure(turn.reply)) {
+    if (session.unsureReplies > 0) {
+      session.unsureReplies = 0;
+      await session.save();
+    }
+    return;
+  }
+
+  const limit = config.handoff.unsureReplies;
+  if (limit > 0 && (session.unsureReplies || 0) + 1 >= limit) {
+    await handoffManager.requestHuman(session, 'low_confidence');
+
+    // The reply may have been streamed already; the notice still reaches the user with the final reply
+    turn.reply = `${turn.reply}\n\n${handoffManager.notice(config, turn.message)}`;
+    turn.botMessage.content = turn.reply;
+    await turn.botMessage.save();
+  } else {
+    session.unsureReplies = (session.unsureReplies || 0) + 1;
+    await session.save();
+  }
+};
+
+/**
+ * Show the bot as typing to everyone watching the session while the reply is prepared;
+ * clients drop the indicator on the bot's message or when it expires, and it is cleared if the turn fails
+ * @param {Object} turn - The conversation turn
+ */
+const botTyping = async (turn) => {
+  realtimeHub.typing(turn.session._id, 'bot', true);
+};
+
+/**
+ * Send the turn's messages to everyone watching the session
+ * @param {Object} turn - The conversation turn
+ */
+const realtimeMessages = async (turn) => {
+  if (turn.botMessage) {
+    realtimeHub.typing(turn.session._id, 'bot', false);
+  }
+  [turn.userMessage, turn.botMessage]
+    .filter(Boolean)
+    .forEach(message => handoffManager.publishMessage(turn.session, message));
+};
+
+/**
+ * Notify webhook subscribers of the user's message and the bot's reply
+ * @param {Object} turn - The conversation turn
+ */
+const messageWebhooks = async (turn) => {
+  for (const message of [turn.userMessage, turn.botMessage].filter(Boolean)) {
+    await webhookDispatcher.emit(turn.config._id, 'message.created', {
+      message: {
+        _id: message._id,
+        sessionId: message.sessionId,
+        role: message.role,
+        content: message.content,
+        timestamp: message.timestamp
+      },
+      channel: turn.channel
+    });
+  }
+};
+
+/**
+ * Runs one user message through to a saved bot reply, for every channel.
+ *
+ * Hooks are async functions that receive the turn and run in the order they were added:
+ * - preProcess: before the user message is saved; set turn.refusal = { statusCode, body } to reject it,
+ *   or turn.paused to save it without a reply (a person is answering the session)
+ * - context: add to turn.sources, turn.contextNotes (appended to the user's message), turn.toolkit
+ *   or turn.systemPrompt; setting turn.reply answers without calling the AI and skips later providers
+ * - postProcess: after the bot message (if any) is saved; errors are logged and do not fail the turn
+ */
+class ConversationEngine {
+  constructor() {
+    this.hooks = { preProcess: [], context: [], postProcess: [] };
+
+    this.use('preProcess', handoffState);
+    this.use('preProcess', checkQuota);
+    this.use('preProcess', defaultSystemPrompt);
+    this.use('context', botTyping);
+    this.use('context', humanRequest);
+    this.use('context', inventoryIntentReply);
+    this.use('context', knowledgeContext);
+    this.use('context', inventoryTools);
+    this.use('postProcess', unsureHandoff);
+    this.use('postProcess', realtimeMessages);
+    this.use('postProcess', messageWebhooks);
+  }
+
+  /**
+   * Add a hook to a stage of the pipeline
+   * @param {string} stage - preProcess, context or postProcess
+   * @param {Function} hook - Async function called with the turn
+   * @returns {ConversationEngine} - The engine, for chaining
+   */
+  use(stage, hook) {
+    if (!STAGES.includes(stage)) {
+      throw new Error(`Unknown conversation stage ${stage}; use one of ${STAGES.join(', ')}`);
+    }
+    if (typeof hook !== 'function') {
+      throw new Error('A conversation hook must be a function');
+    }
+
+    this.hooks[stage].push(hook);
+    return this;
+  }
+
+  /**
+   * Answer a user message
+   * @param {Object} options
+   * @param {Object} options.session - The session document
+   * @param {string} options.message - The user's message
+   * @param {Object} options.config - The session's configuration, when the caller has loaded it already
+   * @param {string} options.language - Optional user language hint
+   * @param {string} options.channel - Where the message came from, e.g. web, whatsapp or api
+   * @param {Function} options.onChunk - Streams the AI reply when given, called with { content }
+   * @returns {Promise<Object>} - The turn: refusal when a preProcess hook rejected the message, paused
+   *   (with no reply or botMessage) when a person is answering the session, otherwise reply, botMessage,
+   *   sources, response (the AI response, if the AI was called) and intent
+   */
+  async handleMessage({ session, message, config = null, language = null, channel = 'web', onChunk = null }) {
+    if (!config) {
+      config = await Config.findById(session.configId);
+      if (!config) {
+        throw new ErrorResponse(`Configuration not found with id of ${session.configId}`, 404);
+      }
+    }
+
+    const turn = {
+      session,
+      config,
+      message,
+      language,
+      channel,
+      systemPrompt: config.system_prompt,
+      sources: [],
+      contextNotes: [],
+      toolkit: null,
+      reply: null,
+      response: null,
+      intent: null,
+      refusal: null,
+      paused: false
+    };
+
+    for (const hook of this.hooks.preProcess) {
+      await hook(turn);
+      if (turn.refusal) return turn;
+    }
+
+    // Saving the session updates its lastActivity
+    await session.save();
+    turn.userMessage = await Message.create({
+      sessionId: session._id,
+      role: 'user',
+      content: message
+    });
+
+    if (turn.paused) {
+      await this._postProcess(turn);
+      return turn;
+    }
+
+    try {
+      for (const hook of this.hooks.context) {
+        await hook(turn);
+        if (turn.reply !== null) break;
+      }
+
+      console.log(`Using configuration ${config._id} (${config.name}) for ${channel} session ${session._id}`);
+
+      if (turn.reply === null) {
+        turn.response = await this._generate(turn, onChunk);
+        turn.reply = turn.response.reply;
+      }
+
+      turn.botMessage = await Message.create({
+        sessionId: session._id,
+        role: 'bot',
+        content: turn.reply,
+        sources: turn.sources.length > 0 ? turn.sources : undefined,
+        toolCalls: turn.response?.toolCalls?.length > 0 ? turn.response.toolCalls : undefined,
+        metadata: usageTracker.messageMetadata(turn.response || {}, session)
+      });
+    } catch (error) {
+      // There will be no bot message to clear the typing indicator the botTyping hook showed
+      realtimeHub.typing(session._id, 'bot', false);
+      throw error;
+    }
+
+    await this._postProcess(turn);
+    return turn;
+  }
+
+  /**
+   * Run the postProcess hooks, logging their errors
+   * @private
+   * @param {Object} turn - The conversation turn
+   */
+  async _postProcess(turn) {
+    for (const hook of this.hooks.postProcess) {
+      try {
+        await hook(turn);
+      } catch (error) {
+        console.error(`Error in conversation post-processing for session ${turn.session._id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Build the model's context and generate the reply
+   * @private
+   * @param {Object} turn - The conversation turn
+   * @param {Function} onChunk - Streams the reply when given
+   * @returns {Promise<Object>} - The AI response
+   */
+  async _generate(turn, onChunk) {
+    const { session, config, toolkit } = turn;
+
+    // Recent turns that fit the model's context window, with older turns summarized
+    const { messages: history, summary } = await conversationMemory.buildHistory({
+      session,
+      config,
+      reserved: [turn.systemPrompt, ...turn.contextNotes, toolkit ? JSON.stringify(toolkit.definitions) : '']
+    });
+
+    // Context notes go with the user's latest message
+    const aiMessages = history.map((msg, index) => {
+      if (msg.role === 'user' && index === history.length - 1 && turn.contextNotes.length > 0) {
+        return { role: msg.role, content: [msg.content, ...turn.contextNotes].join('\n\n') };
+      }
+      return msg;
+    });
+
+    // The user's language hint goes to the providers as ai.userLanguage
+    const ai = config.toObject ? config.toObject().ai : config.ai;
+    const aiConfig = {
+      ai: turn.language ? { ...ai, userLanguage: turn.language } : ai,
+      system_prompt: conversationMemory.withSummary(turn.systemPrompt, summary)
+    };
+
+    if (onChunk) {
+      return aiClientManager.generateStreamingResponse(session._id.toString(), aiMessages, aiConfig, onChunk, toolkit);
+    }
+    return aiClientManager.generateResponse(session._id.toString(), aiMessages, aiConfig, toolkit);
+  }
+}
+
+// Export a singleton instance
+module.exports = new ConversationEngine();
@@ -0,0 +1,61 @@
+jest.mock('./aiClientManager', () => ({ generateResponse: jest.fn(), generateStreamingResponse: jest.fn() }));
+jest.mock('./conversationMemory', () => ({
+  buildHistory: jest.fn().mockResolvedValue({ messages: [{ role: 'user', content: 'hi' }], summary: null }),
+  withSummary: (prompt) => prompt
+}));
+jest.mock('./knowledgeBase', () => ({ buildContext: jest.fn().mockResolvedValue({ context: '', sources: [] }) }));
+jest.mock('./quotaManager', () => ({ check: jest.fn().mockResolvedValue(null) }));
+jest.mock('./webhookDispatcher', () => ({ emit: jest.fn().mockResolvedValue() }));
+jest.mock('./realtimeHub', () => ({ typing: jest.fn() }));
+jest.mock('./handoffManager', () => ({
+  isPaused: () => false,
+  isEnabled: () => false,
+  publishMessage: jest.fn()
+}));
+
+const Message = require('../models/Message');
+const aiClientManager = require('./aiClientManager');
+const realtimeHub = require('./realtimeHub');
+const conversationEngine = require('./conversationEngine');
+
+const config = { _id: '65a000000000000000000001', name: 'Shop bot', system_prompt: 'Be brief.', ai: { provider: 'openai' } };
+
+const newSession = () => ({ _id: '65a000000000000000000021', userId: 'user-1', status: 'bot', save: jest.fn().mockResolvedValue() });
+
+beforeEach(() => {
+  jest.spyOn(Message, 'create').mockImplementation(async (fields) => ({ _id: `m-${fields.role}`, ...fields }));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  realtimeHub.typing.mockClear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('bot typing indicator', () => {
+  it('is shown while the reply is generated and cleared with the reply', async () => {
+    aiClientManager.generateResponse.mockResolvedValueOnce({ reply: 'Hello!', model: 'gpt-4o-mini' });
+    const session = newSession();
+
+    const turn = await conversationEngine.handleMessage({ session, config, message: 'hi' });
+
+    expect(turn.reply).toBe('Hello!');
+    expect(realtimeHub.typing.mock.calls).toEqual([
+      [session._id, 'bot', true],
+      [session._id, 'bot', false]
+    ]);
+  });
+
+  it('is cleared when generating the reply fails', async () => {
+    aiClientManager.generateResponse.mockRejectedValueOnce(new Error('All AI providers failed'));
+    const session = newSession();
+
+    await expect(conversationEngine.handleMessage({ session, config, message: 'hi' })).rejects.toThrow('All AI providers failed');
+
+    expect(realtimeHub.typing.mock.calls).toEqual([
+      [session._id, 'bot', true],
+      [session._id, 'bot', false]
+    ]);
+    expect(Message.create).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,320 @@
+const PDFDocument = require('pdfkit');
+const Session = require('../models/Session');
+const Message = require('../models/Message');
+const Config = require('../models/Config');
+
+// Content type and file extension of each export format
+const FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// How each message role is named in transcripts
+const SPEAKERS = {
+  user: 'User',
+  bot: 'Assistant',
+  agent: 'Agent'
+};
+
+// One CSV row per message, with its session's metadata repeated
+const CSV_COLUMNS = [
+  'sessionId', 'configId', 'configName', 'userId', 'channel', 'status', 'sessionStartedAt',
+  'messageId', 'timestamp', 'role', 'content', 'provider', 'model', 'totalTokens'
+];
+
+// Leading characters that make spreadsheets read a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field when it holds a comma, quote or line break; text that a spreadsheet
+ * would run as a formula (message content is written by anyone) is prefixed with '
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * ISO timestamp, or an empty string for a missing date
+ * @param {Date} date - The date
+ * @returns {string}
+ */
+const iso = (date) => (date ? new Date(date).toISOString() : '');
+
+/**
+ * Exports conversations with their metadata (configuration name, AI provider and model,
+ * timestamps) as JSON, CSV, a Markdown transcript or a PDF transcript.
+ */
+class ConversationExporter {
+  constructor() {
+    this.formats = Object.keys(FORMATS);
+    // Most sessions in one export; larger exports take the most recent and say so
+    this.maxSessions = parseInt(process.env.EXPORT_MAX_SESSIONS, 10) || 500;
+    // A TrueType font for the PDF; the built-in Helvetica only covers Latin scripts
+    this.pdfFont = process.env.EXPORT_PDF_FONT || null;
+  }
+
+  /**
+   * Content type and file extension of a format
+   * @param {string} format - json, csv, markdown or pdf
+   * @returns {Object} - { contentType, extension }
+   */
+  describe(format) {
+    return FORMATS[format];
+  }
+
+  /**
+   * Build the query for sessions matching export filters
+   * @param {Object} filters
+   * @param {string} filters.configId - Only sessions with this configuration
+   * @param {string} filters.userId - Only sessions of this user (or visitor)
+   * @param {Date} filters.from - Only sessions active on or after this date
+   * @param {Date} filters.to - Only sessions started on or before this date
+   * @returns {Object} - Mongo query
+   */
+  buildQuery({ configId, userId, from, to } = {}) {
+    const query = {};
+    if (configId) query.configId = configId;
+    if (userId) query.userId = userId;
+    if (from) query.lastActivity = { $gte: from };
+    if (to) query.startedAt = { $lte: to };
+    return query;
+  }
+
+  /**
+   * Load the sessions matching filters with their configurations and messages
+   * @param {Object} filters - See buildQuery
+   * @returns {Promise<Object>} - The export: { exportedAt, filters, sessionCount, messageCount, truncated, sessions }
+   */
+  async collect(filters = {}) {
+    const query = this.buildQuery(filters);
+    const total = await Session.countDocuments(query);
+    const sessions = await Session.find(query)
+      .sort({ lastActivity: -1 })
+      .limit(this.maxSessions)
+      .select('-memory -inventoryClarification');
+
+    return this.build(sessions, filters, total);
+  }
+
+  /**
+   * Put sessions, their configurations and messages together into an export
+   * @param {Array} sessions - Session documents
+   * @param {Object} filters - Filters the sessions were selected with, recorded in the export
+   * @param {number} total - How many sessions matched, when more than were loaded
+   * @returns {Promise<Object>} - The export
+   */
+  async build(sessions, filters = {}, total = sessions.length) {
+    const sessionIds = sessions.map(session => session._id);
+    const configIds = [...new Set(sessions.map(session => String(session.configId)))];
+
+    const [configs, messages] = await Promise.all([
+      Config.find({ _id: { $in: configIds } }).select('name businessName ai.provider ai.model'),
+      Message.find({ sessionId: { $in: sessionIds } }).sort({ timestamp: 1 })
+    ]);
+
+    const configsById = new Map(configs.map(config => [String(config._id), config]));
+    const messagesBySession = new Map(sessionIds.map(id => [String(id), []]));
+    messages.forEach(message => messagesBySession.get(String(message.sessionId)).push(message));
+
+    const exported = sessions.map((session) => {
+      const config = configsById.get(String(session.configId));
+      const sessionMessages = messagesBySession.get(String(session._id));
+
+      return {
+        _id: String(session._id),
+        config: {
+          _id: String(session.configId),
+          name: config ? config.name : null,
+          businessName: config ? config.businessName : null,
+          provider: config?.ai?.provider || null,
+          model: config?.ai?.model || null
+        },
+        // Models that actually answered, which differ from the configured one after a fallback
+        modelsUsed: [...new Set(sessionMessages.map(message => message.metadata?.model).filter(Boolean))],
+        userId: session.userId,
+        channel: session.channel,
+        status: session.status,
+        startedAt: session.startedAt,
+        lastActivity: session.lastActivity,
+        messageCount: sessionMessages.length,
+        messages: sessionMessages.map(message => ({
+          _id: String(message._id),
+          role: message.role,
+          content: message.content,
+          timestamp: message.timestamp,
+          agentId: message.agentId,
+          provider: message.metadata?.provider,
+          model: message.metadata?.model,
+          totalTokens: message.metadata?.totalTokens,
+          sources: message.sources
+        }))
+      };
+    });
+
+    return {
+      exportedAt: new Date(),
+      filters,
+      sessionCount: exported.length,
+      messageCount: messages.length,
+      truncated: total > exported.length,
+      sessions: exported
+    };
+  }
+
+  /**
+   * Write an export in a format
+   * @param {Object} data - The export, from collect or build
+   * @param {string} format - json, csv, markdown or pdf
+   * @returns {Promise<Buffer|string>} - The file contents
+   */
+  async render(data, format) {
+    switch (format) {
+      case 'json':
+        return JSON.stringify(data, null, 2);
+      case 'csv':
+        return this.toCSV(data);
+      case 'markdown':
+        return this.toMarkdown(data);
+      case 'pdf':
+        return this.toPDF(data);
+      default:
+        throw new Error(`Unknown export format ${format}`);
+    }
+  }
+
+  /**
+   * One row per message, with its session's metadata
+   * @param {Object} data - The export
+   * @returns {string}
+   */
+  toCSV(data) {
+    const rows = [CSV_COLUMNS.join(',')];
+
+    data.sessions.forEach((session) => {
+      session.messages.forEach((message) => {
+        rows.push([
+          session._id, session.config._id, session.config.name, session.userId, session.channel,
+          session.status, session.startedAt, message._id, message.timestamp, message.role,
+          message.content, message.provider, message.model, message.totalTokens
+        ].map(csvField).join(','));
+      });
+    });
+
+    return `${rows.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * A transcript per session, each headed by its metadata
+   * @param {Object} data - The export
+   * @returns {string}
+   */
+  toMarkdown(data) {
+    const lines = [
+      '# Conversation Export',
+      '',
+      `- Exported: ${iso(data.exportedAt)}`,
+      `- Sessions: ${data.sessionCount}${data.truncated ? ' (most recent only; narrow the filters for the rest)' : ''}`,
+      `- Messages: ${data.messageCount}`,
+      ''
+    ];
+
+    data.sessions.forEach((session) => {
+      lines.push(`## ${session.config.name || 'Chatbot'} - ${iso(session.startedAt)}`, '');
+      this._metadata(session).forEach(([label, value]) => lines.push(`- ${label}: ${value}`));
+      lines.push('');
+
+      if (session.messages.length === 0) {
+        lines.push('_No messages._', '');
+      }
+      session.messages.forEach((message) => {
+        lines.push(`**${SPEAKERS[message.role] || message.role}** (${iso(message.timestamp)})`, '', message.content, '');
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * The Markdown transcript's content laid out as a PDF
+   * @param {Object} data - The export
+   * @returns {Promise<Buffer>}
+   */
+  toPDF(data) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ margin: 50, info: { Title: 'Conversation Export' } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      if (this.pdfFont) {
+        doc.registerFont('body', this.pdfFont);
+      }
+      const font = (bold) => doc.font(this.pdfFont ? 'body' : bold ? 'Helvetica-Bold' : 'Helvetica');
+
+      font(true).fontSize(18).text('Conversation Export');
+      font(false).fontSize(10).fillColor('#555555')
+        .text(`Exported ${iso(data.exportedAt)} - ${data.sessionCount} sessions, ${data.messageCount} messages`)
+        .fillColor('#000000');
+      if (data.truncated) {
+        doc.text('Most recent sessions only; narrow the filters for the rest.');
+      }
+
+      data.sessions.forEach((session, index) => {
+        if (index > 0) {
+          doc.addPage();
+        } else {
+          doc.moveDown();
+        }
+
+        font(true).fontSize(14).text(`${session.config.name || 'Chatbot'} - ${iso(session.startedAt)}`);
+        font(false).fontSize(9).fillColor('#555555');
+        this._metadata(session).forEach(([label, value]) => doc.text(`${label}: ${value}`));
+        doc.fillColor('#000000').moveDown();
+
+        session.messages.forEach((message) => {
+          font(true).fontSize(10).text(`${SPEAKERS[message.role] || message.role}  `, { continued: true });
+          font(false).fontSize(8).fillColor('#777777').text(iso(message.timestamp));
+          font(false).fontSize(10).fillColor('#000000').text(message.content);
+          doc.moveDown(0.5);
+        });
+      });
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Labelled metadata of a session for transcripts
+   * @private
+   * @param {Object} session - An exported session
+   * @returns {Array} - [label, value] pairs
+   */
+  _metadata(session) {
+    return [
+      ['Session', session._id],
+      ['Configuration', `${session.config.name || 'unknown'} (${session.config._id})`],
+      ['Configured model', [session.config.provider, session.config.model].filter(Boolean).join(' / ') || 'default'],
+      ['Models used', session.modelsUsed.join(', ') || 'none'],
+      ['User', session.userId],
+      ['Channel', session.channel || 'web'],
+      ['Status', session.status || 'bot'],
+      ['Started', iso(session.startedAt)],
+      ['Last activity', iso(session.lastActivity)]
+    ];
+  }
+}
+
+// Export a singleton instance
+module.exports = new ConversationExporter();
@@ -0,0 +1,265 @@
+const Message = require('../models/Message');
+const aiClientManager = require('./aiClientManager');
+const usageTracker = require('./usageTracker');
+
+// Context window sizes in tokens, matched by model name prefix (longest first)
+const CONTEXT_WINDOWS = {
+  'mistral-small': 32000,
+  'mistral-medium': 32000,
+  'mistral-large': 128000,
+  'open-mistral-nemo': 128000,
+  'gpt-3.5-turbo': 16385,
+  'gpt-4o': 128000,
+  'gpt-4.1': 1000000,
+  'claude-3': 200000,
+  'llama3': 8192
+};
+
+const SUMMARY_PROMPT = `You maintain the memory of a customer conversation with a chatbot.
+Update the summary with the new messages. Keep names, products, quantities, prices, order
+references, the customer's preferences and anything still unresolved. Drop greetings and small
+talk. Write at most 200 words, in the language of the conversation, as plain text.`;
+
+// How each message role is named in the transcript given to the summarizer
+const TRANSCRIPT_SPEAKERS = {
+  user: 'Customer',
+  bot: 'Assistant',
+  agent: 'Agent'
+};
+
+/**
+ * Builds the conversation history sent to the model: the most recent turns that fit
+ * the model's context window once the system prompt and any knowledge base or tool
+ * context are accounted for. Turns that no longer fit are folded into a running
+ * summary stored on the session.
+ */
+class ConversationMemory {
+  constructor() {
+    // Tokens kept free for provider-side instructions and estimation error
+    this.safetyMargin = 500;
+    // When history overflows, compact it down to this share of the budget so the summary is not rewritten every turn
+    this.compactTarget = 0.75;
+    // Most messages read back for a single reply
+    this.maxMessages = 200;
+    this.defaultContextWindow = parseInt(process.env.DEFAULT_CONTEXT_WINDOW, 10) || 8192;
+    this.summaryMaxTokens = 400;
+  }
+
+  /**
+   * Rough token count of a text; no tokenizer is bundled, so this errs on the high side.
+   * Latin text averages about four characters per token, other scripts far fewer.
+   * @param {string} text - Text to measure
+   * @returns {number} - Estimated tokens
+   */
+  estimateTokens(text) {
+    if (!text) {
+      return 0;
+    }
+
+    const value = String(text);
+    const nonAscii = (value.match(/[^\x00-\x7F]/g) || []).length;
+    return Math.ceil((value.length - nonAscii) / 4 + nonAscii / 1.5) + 4; // +4 for role and separators
+  }
+
+  /**
+   * Context window of the configuration's model
+   * @param {Object} config - Configuration object with AI settings
+   * @returns {number} - Tokens
+   */
+  getContextWindow(config = {}) {
+    if (config.ai?.contextWindow) {
+      return config.ai.contextWindow;
+    }
+
+    const model = config.ai?.model || '';
+    const prefix = Object.keys(CONTEXT_WINDOWS)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? CONTEXT_WINDOWS[prefix] : this.defaultContextWindow;
+  }
+
+  /**
+   * Load the recent history of a session that fits the model's context window,
+   * summarizing older turns into session.memory when they no longer fit
+   * @param {Object} options
+   * @param {Object} options.session - The session document (its memory is updated and saved)
+   * @param {Object} options.config - Configuration object with AI settings
+   * @param {Array} options.reserved - Other text sent with the request (system prompt, knowledge, tool definitions)
+   * @returns {Promise<Object>} - { messages: [{ role, content }] oldest first, summary }
+   */
+  async buildHistory({ session, config = {}, reserved = [] }) {
+    const memory = session.memory || {};
+    const query = { sessionId: session._id };
+    if (memory.summarizedUntil) {
+      query.timestamp = { $gt: memory.summarizedUntil };
+    }
+
+    // Newest first, so a long session never pushes its latest turns out of the query
+    const recent = await Message.find(query)
+      .sort({ timestamp: -1 })
+      .limit(this.maxMessages);
+
+    const budget = this.getContextWindow(config) -
+      (config.ai?.max_tokens || 1000) -
+      this.safetyMargin -
+      reserved.reduce((total, text) => total + this.estimateTokens(text), 0) -
+      // Room for the summary, which may be rewritten below
+      Math.max(this.estimateTokens(memory.summary), this.summaryMaxTokens);
+
+    let kept = this._takeWithin(recent, budget);
+    let summary = memory.summary || null;
+    let caughtUp = true;
+
+    // A full page may leave unsummarized messages behind it, e.g. after a long agent conversation
+    if (recent.length === this.maxMessages) {
+      ({ summary, caughtUp } = await this._summarizeOlder(session, config, summary, recent));
+    }
+
+    if (kept.length < recent.length) {
+      // Compact to leave room for the next few turns before summarizing again
+      kept = this._takeWithin(recent, Math.floor(budget * this.compactTarget));
+      // Older messages that could not be summarized come first, so wait for the next turn
+      if (caughtUp) {
+        const overflow = recent.slice(kept.length).reverse();
+        summary = await this._summarize(session, config, summary, overflow);
+      }
+    }
+
+    return {
+      // Agents spoke for the bot, so their messages are the assistant's turns
+      messages: kept.reverse().map(msg => ({ role: msg.role === 'agent' ? 'bot' : msg.role, content: msg.content })),
+      summary
+    };
+  }
+
+  /**
+   * System prompt with the conversation summary added
+   * @param {string} systemPrompt - The configuration's system prompt
+   * @param {string} summary - Summary of the earlier conversation
+   * @returns {string} - The system prompt to send
+   */
+  withSummary(systemPrompt, summary) {
+    if (!summary) {
+      return systemPrompt;
+    }
+    return `${systemPrompt || ''}\n\nSummary of the earlier conversation with this customer:\n${summary}`;
+  }
+
+  /**
+   * Newest messages whose estimated tokens fit a budget; the latest message is always kept
+   * @private
+   * @param {Array} messages - Messages, newest first
+   * @param {number} budget - Tokens available
+   * @returns {Array} - The messages kept, newest first
+   */
+  _takeWithin(messages, budget) {
+    const kept = [];
+    let used = 0;
+
+    for (const msg of messages) {
+      used += this.estimateTokens(msg.content);
+      if (used > budget && kept.length > 0) {
+        break;
+      }
+      kept.push(msg);
+    }
+    return kept;
+  }
+
+  /**
+   * Fold the unsummarized messages older than those loaded for the context window into
+   * the session's summary, oldest first and at most maxMessages per summary call
+   * @private
+   * @param {Object} session - The session document
+   * @param {Object} config - Configuration object with AI settings
+   * @param {string} summary - The summary so far
+   * @param {Array} recent - The messages loaded for the context window, newest first
+   * @returns {Promise<Object>} - { summary, caughtUp } where caughtUp is false when summarizing failed
+   */
+  async _summarizeOlder(session, config, summary, recent) {
+    const oldest = recent[recent.length - 1];
+    const loaded = recent.map(msg => msg._id);
+
+    for (;;) {
+      const query = { sessionId: session._id, _id: { $nin: loaded }, timestamp: { $lte: oldest.timestamp } };
+      if (session.memory?.summarizedUntil) {
+        query.timestamp.$gt = session.memory.summarizedUntil;
+      }
+
+      const batch = await Message.find(query)
+        .sort({ timestamp: 1 })
+        .limit(this.maxMessages);
+      if (batch.length === 0) {
+        return { summary, caughtUp: true };
+      }
+
+      summary = await this._summarize(session, config, summary, batch);
+
+      const until = batch[batch.length - 1].timestamp;
+      if (new Date(session.memory?.summarizedUntil).getTime() !== new Date(until).getTime()) {
+        return { summary, caughtUp: false };
+      }
+      if (batch.length < this.maxMessages) {
+        return { summary, caughtUp: true };
+      }
+    }
+  }
+
+  /**
+   * Fold messages that dropped out of the context window into the session's summary
+   * @private
+   * @param {Object} session - The session document
+   * @param {Object} config - Configuration object with AI settings
+   * @param {string} summary - The summary so far
+   * @param {Array} messages - Messages to add, oldest first
+   * @returns {Promise<string>} - The new summary, or the old one if summarizing failed
+   */
+  async _summarize(session, config, summary, messages) {
+    if (messages.length === 0) {
+      return summary;
+    }
+
+    const transcript = messages
+      .map(msg => `${TRANSCRIPT_SPEAKERS[msg.role] || 'Customer'}: ${msg.content}`)
+      .join('\n');
+
+    try {
+      const response = await aiClientManager.generatePlainResponse(session._id, [{
+        role: 'user',
+        content: `Summary so far:\n${summary || '(none)'}\n\nNew messages:\n${transcript}`
+      }], {
+        ai: { ...(config.toObject ? config.toObject().ai : config.ai), max_tokens: this.summaryMaxTokens },
+        system_prompt: SUMMARY_PROMPT
+      });
+      await usageTracker.recordCall(response, {
+        configId: session.configId?._id || session.configId,
+        sessionId: session._id,
+        userId: session.userId,
+        purpose: 'summary'
+      });
+
+      const newSummary = (response.reply || '').trim();
+      if (!newSummary) {
+        return summary;
+      }
+
+      session.memory = {
+        summary: newSummary,
+        summarizedUntil: messages[messages.length - 1].timestamp,
+        summarizedMessages: (session.memory?.summarizedMessages || 0) + messages.length,
+        updatedAt: new Date()
+      };
+      await session.save();
+
+      console.log(`Summarized ${messages.length} older messages for session ${session._id}`);
+      return newSummary;
+    } catch (error) {
+      // The reply can still go ahead with the recent turns only
+      console.error(`Error summarizing conversation for session ${session._id}:`, error.message);
+      return summary;
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new ConversationMemory();
@@ -0,0 +1,240 @@
+const Session = require('../models/Session');
+const Message = require('../models/Message');
+const { ErrorResponse } = require('../middleware/errorHandler');
+const messageCatalog = require('./messageCatalog');
+const realtimeHub = require('./realtimeHub');
+const webhookDispatcher = require('./webhookDispatcher');
+
+// Statuses a session may move to from each status
+const TRANSITIONS = {
+  bot: ['pending_human', 'human', 'closed'],
+  pending_human: ['human', 'bot', 'closed'],
+  human: ['bot', 'closed'],
+  closed: ['bot']
+};
+
+// Statuses in which the bot stays quiet and user messages wait for a person
+const PAUSED_STATUSES = ['pending_human', 'human'];
+
+// Messages asking for a person, in the languages of the message catalog
+const HUMAN_REQUEST_PATTERNS = [
+  /\b(talk|speak|chat|connect me)\b.*\b(human|person|agent|someone|representative|staff|owner)\b/i,
+  /\b(real|live) (person|human|agent)\b/i,
+  /\bcustomer (service|care|support)\b/i,
+  /\b(insaan|insan|aadmi|kisi)\b.*\b(baat|connect)\b/i,
+  /(इंसान|व्यक्ति|एजेंट|किसी).*(बात|जोड़)/,
+  /(माणूस|व्यक्ती|एजंट).*(बोल|जोड)/
+];
+
+// Replies in which the bot admits it cannot answer
+const UNSURE_PATTERNS = [
+  /\bI('m| am) not sure\b/i,
+  /\bI (don't|do not) (know|have (that|this|enough|any) information)\b/i,
+  /\bI('m| am) (unable|not able) to (help|answer|find)\b/i,
+  /\bI (can't|cannot) (help|answer|find)\b/i
+];
+
+/**
+ * Moves sessions between the bot and the people answering for it. A session is
+ * answered by the bot until it is handed off: the user asks for a person, the bot
+ * fails to answer too many times in a row, or an agent takes over. While it waits
+ * for a person (pending_human) or a person has it (human) the bot stays quiet.
+ */
+class HandoffManager {
+  /**
+   * Whether the bot stays quiet in a session
+   * @param {Object} session - The session document
+   * @returns {boolean}
+   */
+  isPaused(session) {
+    return PAUSED_STATUSES.includes(session.status);
+  }
+
+  /**
+   * Whether a message asks for a person
+   * @param {string} message - The user's message
+   * @returns {boolean}
+   */
+  isHumanRequest(message = '') {
+    return HUMAN_REQUEST_PATTERNS.some(pattern => pattern.test(message));
+  }
+
+  /**
+   * Whether a bot reply admits it cannot answer
+   * @param {string} reply - The bot's reply
+   * @returns {boolean}
+   */
+  isUnsure(reply = '') {
+    return UNSURE_PATTERNS.some(pattern => pattern.test(reply));
+  }
+
+  /**
+   * Whether the bot hands sessions off by itself, when users ask for a person or it cannot answer
+   * @param {Object} config - The bot configuration
+   * @returns {boolean}
+   */
+  isEnabled(config) {
+    return Boolean(config.handoff?.enabled);
+  }
+
+  /**
+   * What the bot tells the user when it hands the session off
+   * @param {Object} config - The bot configuration
+   * @param {string} message - The user's message, for its language
+   * @returns {string}
+   */
+  notice(config, message) {
+    return messageCatalog.t('humanHandoff', messageCatalog.resolveLocale(config, message), {}, config);
+  }
+
+  /**
+   * Move a session to another status. The update only applies if nobody changed the
+   * session's status in the meantime, so two agents cannot take the same session.
+   * @param {Object} session - The session document; updated in place
+   * @param {string} to - bot, pending_human, human or closed
+   * @param {Object} options
+   * @param {string} options.reason - Why a person is needed: user_request, low_confidence or admin
+   * @param {Object} options.agent - The agent taking the session, for human
+   * @returns {Promise<Object>} - The session
+   */
+  async transition(session, to, { reason = 'admin', agent = null } = {}) {
+    const from = session.status || 'bot';
+    if (!(TRANSITIONS[from] || []).includes(to)) {
+      throw new ErrorResponse(`A session that is ${from} cannot move to ${to}`, 409);
+    }
+
+    const now = new Date();
+    const previous = session.handoff ? session.handoff.toObject() : null;
+    const update = { status: to, unsureReplies: 0 };
+
+    if (to === 'pending_human') {
+      update.handoff = { reason, requestedAt: now };
+    } else if (to === 'human') {
+      update.handoff = from === 'pending_human'
+        ? { ...previous, agentId: agent._id, assignedAt: now }
+        : { reason, requestedAt: now, agentId: agent._id, assignedAt: now };
+    } else if (previous && from !== 'closed') {
+      update.handoff = { ...previous, endedAt: now };
+    }
+
+    const updated = await Session.findOneAndUpdate(
+      { _id: session._id, status: from },
+      { $set: update },
+      { new: true }
+    );
+    if (!updated) {
+      throw new ErrorResponse(`Session ${session._id} was changed by someone else; reload it and try again`, 409);
+    }
+
+    // Keep the caller's document current
+    session.status = updated.status;
+    session.handoff = updated.handoff;
+    session.unsureReplies = updated.unsureReplies;
+
+    console.log(`Session ${session._id} moved from ${from} to ${to}${agent ? ` (agent ${agent._id})` : ''}`);
+    this._announce(updated, from);
+    return session;
+  }
+
+  /**
+   * Ask for a person to take over a session the bot is answering
+   * @param {Object} session - The session document
+   * @param {string} reason - user_request or low_confidence
+   * @returns {Promise<Object>} - The session
+   */
+  async requestHuman(session, reason) {
+    return this.transition(session, 'pending_human', { reason });
+  }
+
+  /**
+   * Save a message an agent wrote in a session they have taken, and deliver it to the user
+   * @param {Object} session - The session document
+   * @param {Object} agent - The agent (a user document)
+   * @param {string} content - The message
+   * @returns {Promise<Object>} - The saved message
+   */
+  async sendAgentMessage(session, agent, content) {
+    if (session.status !== 'human') {
+      throw new ErrorResponse('Take the session before replying to it', 409);
+    }
+    if (String(session.handoff?.agentId) !== String(agent._id) && agent.role !== 'admin') {
+      throw new ErrorResponse('Another agent is answering this session', 403);
+    }
+
+    const message = await Message.create({
+      sessionId: session._id,
+      role: 'agent',
+      content,
+      agentId: agent._id
+    });
+    await Session.updateOne({ _id: session._id }, { $set: { lastActivity: message.timestamp } });
+
+    // Channel sessions get the message on their platform; the channel manager loads the engine, so it is required lazily
+    await require('./channelManager').deliver(session, content);
+
+    this.publishMessage(session, message);
+    await webhookDispatcher.emit(session.configId, 'message.created', {
+      message: {
+        _id: message._id,
+        sessionId: message.sessionId,
+        role: message.role,
+        content: message.content,
+        timestamp: message.timestamp
+      },
+      channel: session.channel
+    });
+
+    return message;
+  }
+
+  /**
+   * Send a new message to everyone watching its session or configuration, and to the inbox while the session is handed off
+   * @param {Object} session - The session document
+   * @param {Object} message - The message document
+   */
+  publishMessage(session, message) {
+    const data = {
+      sessionId: session._id,
+      configId: session.configId,
+      status: session.status,
+      message: {
+        _id: message._id,
+        role: message.role,
+        content: message.content,
+        agentId: message.agentId,
+        timestamp: message.timestamp
+      }
+    };
+
+    realtimeHub.broadcast(`session:${session._id}`, 'message.created', data);
+    realtimeHub.broadcast(`config:${session.configId}`, 'message.created', data);
+    if (this.isPaused(session)) {
+      realtimeHub.broadcast('inbox', 'message.created', data);
+    }
+  }
+
+  /**
+   * Tell the inbox, the session's watchers and the session lists that a session changed status
+   * @private
+   * @param {Object} session - The updated session
+   * @param {string} previousStatus - Its status before
+   */
+  _announce(session, previousStatus) {
+    const data = {
+      sessionId: session._id,
+      configId: session.configId,
+      userId: session.userId,
+      channel: session.channel,
+      status: session.status,
+      previousStatus,
+      handoff: session.handoff
+    };
+
+    realtimeHub.broadcast('inbox', 'session.status_changed', data);
+    realtimeHub.broadcast(`session:${session._id}`, 'session.status_changed', data);
+    realtimeHub.publishSession('session.updated', session);
+  }
+}
+
+// Export a singleton instance
+module.exports = new HandoffManager();
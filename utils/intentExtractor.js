@@ -0,0 +1,217 @@
+const aiClientManager = require('./aiClientManager');
+const usageTracker = require('./usageTracker');
+
+// Intents the inventory assistant can act on
+const INTENTS = [
+  'inventory_check',
+  'price_check',
+  'order_intent',
+  'checkout',
+  'cancel_order',
+  'order_status',
+  'talk_to_human',
+  'other'
+];
+
+// JSON Schema of an extraction result; sent to the model and enforced by validate()
+const INTENT_SCHEMA = {
+  type: 'object',
+  required: ['intent', 'items'],
+  additionalProperties: false,
+  properties: {
+    intent: {
+      type: 'string',
+      enum: INTENTS
+    },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['productName', 'quantity'],
+        additionalProperties: false,
+        properties: {
+          productName: { type: 'string', minLength: 1 },
+          quantity: { type: ['integer', 'null'], minimum: 1 }
+        }
+      }
+    },
+    orderReference: {
+      type: ['string', 'null'],
+      description: 'Order number the user mentions, e.g. "#A1B2C3"'
+    }
+  }
+};
+
+const INTENT_PROMPT = `You are an inventory management assistant. Analyze the user message and extract:
+1. Intent, one of:
+   - inventory_check: asking whether a product is available or in stock
+   - price_check: asking how much a product costs
+   - order_intent: adding products to their order
+   - checkout: asking to place the order for everything in their cart
+   - cancel_order: asking to cancel an order they placed
+   - order_status: asking about the status of an order they placed
+   - talk_to_human: asking to talk to a person, agent or the shop owner
+   - other: anything else
+2. Items: every product the user mentions, with the quantity when one is given. A single message can mention several products.
+3. Order reference: the order number, when the user mentions one.
+
+The user may ask in English, Hindi, Marathi, Tamil, Gujarati or Hinglish (Hindi written in English letters). You must be able to understand all of these languages and extract the relevant information regardless of the language used. Give product names in English, as they are searched in the product catalog.
+
+Examples:
+- "Do you have laptops in stock?" -> {"intent": "inventory_check", "items": [{"productName": "laptop", "quantity": null}], "orderReference": null}
+- "I want 2 bulbs and 5 switches, and also add a fan" -> {"intent": "order_intent", "items": [{"productName": "bulb", "quantity": 2}, {"productName": "switch", "quantity": 5}, {"productName": "fan", "quantity": 1}], "orderReference": null}
+- "10 बल्ब कितने के होंगे?" -> {"intent": "price_check", "items": [{"productName": "bulb", "quantity": 10}], "orderReference": null}
+- "ऑर्डर कन्फर्म करें" -> {"intent": "checkout", "items": [], "orderReference": null}
+- "मला 3 बल्ब हवे आहेत" -> {"intent": "order_intent", "items": [{"productName": "bulb", "quantity": 3}], "orderReference": null}
+- "mera order #A1B2C3 cancel karo" -> {"intent": "cancel_order", "items": [], "orderReference": "A1B2C3"}
+- "Where is my order?" -> {"intent": "order_status", "items": [], "orderReference": null}
+- "Can I speak to a real person?" -> {"intent": "talk_to_human", "items": [], "orderReference": null}
+
+Respond with a single JSON object only, with no other text, that matches this JSON Schema:
+${JSON.stringify(INTENT_SCHEMA)}`;
+
+class IntentExtractor {
+  constructor() {
+    // Model calls per message, including re-asks after invalid output
+    this.maxAttempts = 3;
+  }
+
+  /**
+   * Intents an extraction can return
+   * @returns {Array<string>}
+   */
+  get intents() {
+    return INTENTS;
+  }
+
+  /**
+   * JSON Schema of an extraction result
+   * @returns {Object}
+   */
+  get schema() {
+    return INTENT_SCHEMA;
+  }
+
+  /**
+   * Extract the intent, products and order reference from a user message
+   * @param {Object} params - Extraction parameters
+   * @param {string} params.sessionId - The session ID
+   * @param {Object} params.config - The bot configuration (its AI provider and model are used)
+   * @param {string} params.message - The user's message
+   * @param {string} params.userId - The session's user, whom each attempt's usage is recorded for
+   * @returns {Promise<Object>} - { intent, items, orderReference, attempts, valid }; intent is 'other' when no valid answer was given
+   */
+  async extract({ sessionId, config, message, userId }) {
+    const conversation = [{ role: 'user', content: message }];
+    let errors = [];
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const response = await aiClientManager.generateJsonResponse(sessionId, conversation, {
+        ai: config ? config.ai : undefined,
+        system_prompt: INTENT_PROMPT
+      });
+      await usageTracker.recordCall(response, { configId: config?._id, sessionId, userId, purpose: 'intent' });
+
+      const result = this.validate(this.parse(response.reply));
+      if (result.errors.length === 0) {
+        return { ...result.value, attempts: attempt, valid: true };
+      }
+
+      errors = result.errors;
+      console.warn(`Invalid intent extraction for session ${sessionId} (attempt ${attempt}/${this.maxAttempts}): ${errors.join('; ')}`);
+
+      // Show the model its answer and what was wrong with it, then ask again
+      conversation.push(
+        { role: 'bot', content: response.reply || '' },
+        { role: 'user', content: `That answer is not valid: ${errors.join('; ')}. Reply again with only a JSON object that matches the schema.` }
+      );
+    }
+
+    return { intent: 'other', items: [], orderReference: null, attempts: this.maxAttempts, valid: false, errors };
+  }
+
+  /**
+   * Parse a model reply as JSON, tolerating code fences and text around the object
+   * @param {string} reply - The model's reply
+   * @returns {*} - The parsed value, or undefined when the reply holds no JSON object
+   */
+  parse(reply = '') {
+    const text = String(reply).trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      const start = text.indexOf('{');
+      const end = text.lastIndexOf('}');
+      if (start === -1 || end <= start) return undefined;
+
+      try {
+        return JSON.parse(text.slice(start, end + 1));
+      } catch (innerErr) {
+        return undefined;
+      }
+    }
+  }
+
+  /**
+   * Check an extraction result against INTENT_SCHEMA.
+   * Numeric strings are accepted as quantities, a missing orderReference is null and
+   * unknown properties are dropped rather than sent back to the model.
+   * @param {*} data - Parsed model output
+   * @returns {Object} - { value, errors } where value is the normalised result when errors is empty
+   */
+  validate(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { value: null, errors: ['the answer must be a JSON object'] };
+    }
+
+    if (!INTENTS.includes(data.intent)) {
+      errors.push(`"intent" must be one of ${INTENTS.join(', ')}`);
+    }
+
+    const items = [];
+    if (!Array.isArray(data.items)) {
+      errors.push('"items" must be an array');
+    } else {
+      data.items.forEach((item, i) => {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+          errors.push(`items[${i}] must be an object`);
+          return;
+        }
+
+        const productName = typeof item.productName === 'string' ? item.productName.trim() : '';
+        if (!productName) {
+          errors.push(`items[${i}].productName must be a non-empty string`);
+        }
+
+        let quantity = item.quantity === undefined ? null : item.quantity;
+        if (typeof quantity === 'string' && /^\d+$/.test(quantity.trim())) {
+          quantity = parseInt(quantity, 10);
+        }
+        if (quantity !== null && (!Number.isInteger(quantity) || quantity < 1)) {
+          errors.push(`items[${i}].quantity must be a whole number of at least 1, or null`);
+        }
+
+        items.push({ productName, quantity });
+      });
+    }
+
+    let orderReference = data.orderReference === undefined ? null : data.orderReference;
+    if (typeof orderReference === 'number') {
+      orderReference = String(orderReference);
+    }
+    if (orderReference !== null && typeof orderReference !== 'string') {
+      errors.push('"orderReference" must be a string or null');
+    }
+
+    return {
+      value: errors.length === 0 ? { intent: data.intent, items, orderReference: orderReference ? orderReference.trim() : null } : null,
+      errors
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new IntentExtractor();
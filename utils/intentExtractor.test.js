@@ -0,0 +1,149 @@
+jest.mock('./aiClientManager', () => ({ generateJsonResponse: jest.fn() }));
+jest.mock('./usageTracker', () => ({ recordCall: jest.fn().mockResolvedValue(null) }));
+
+const aiClientManager = require('./aiClientManager');
+const usageTracker = require('./usageTracker');
+const intentExtractor = require('./intentExtractor');
+
+const config = { _id: '65a000000000000000000001', ai: { provider: 'openai', model: 'gpt-4o-mini' } };
+
+const reply = (content) => ({ reply: content, provider: 'openai', model: 'gpt-4o-mini' });
+
+beforeEach(() => {
+  aiClientManager.generateJsonResponse.mockReset();
+  usageTracker.recordCall.mockClear();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('intent schema validation', () => {
+  it('accepts a result that matches the schema', () => {
+    const { value, errors } = intentExtractor.validate({
+      intent: 'order_intent',
+      items: [{ productName: ' bulb ', quantity: 2 }, { productName: 'fan', quantity: null }],
+      orderReference: null
+    });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({
+      intent: 'order_intent',
+      items: [{ productName: 'bulb', quantity: 2 }, { productName: 'fan', quantity: null }],
+      orderReference: null
+    });
+  });
+
+  it('normalises numeric strings, a missing order reference and unknown properties', () => {
+    const { value, errors } = intentExtractor.validate({
+      intent: 'order_status',
+      items: [{ productName: 'switch', quantity: '5', colour: 'white' }],
+      orderReference: 123456,
+      confidence: 0.9
+    });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ intent: 'order_status', items: [{ productName: 'switch', quantity: 5 }], orderReference: '123456' });
+    expect(intentExtractor.validate({ intent: 'checkout', items: [] }).value.orderReference).toBeNull();
+  });
+
+  it('reports every way a result breaks the schema', () => {
+    const { value, errors } = intentExtractor.validate({
+      intent: 'buy',
+      items: [{ productName: '', quantity: 0 }, 'bulb'],
+      orderReference: { id: 1 }
+    });
+
+    expect(value).toBeNull();
+    expect(errors).toEqual([
+      '"intent" must be one of inventory_check, price_check, order_intent, checkout, cancel_order, order_status, talk_to_human, other',
+      'items[0].productName must be a non-empty string',
+      'items[0].quantity must be a whole number of at least 1, or null',
+      'items[1] must be an object',
+      '"orderReference" must be a string or null'
+    ]);
+  });
+
+  it('rejects answers that are not objects', () => {
+    expect(intentExtractor.validate([]).errors).toEqual(['the answer must be a JSON object']);
+    expect(intentExtractor.validate(undefined).errors).toEqual(['the answer must be a JSON object']);
+    expect(intentExtractor.validate({ intent: 'other' }).errors).toEqual(['"items" must be an array']);
+  });
+
+  it('reads JSON wrapped in code fences or surrounding text', () => {
+    expect(intentExtractor.parse('```json\n{"intent": "other"}\n```')).toEqual({ intent: 'other' });
+    expect(intentExtractor.parse('Here you go: {"intent": "checkout"} Thanks')).toEqual({ intent: 'checkout' });
+    expect(intentExtractor.parse('no json here')).toBeUndefined();
+  });
+});
+
+describe('intent extraction', () => {
+  it('returns the first valid answer', async () => {
+    aiClientManager.generateJsonResponse.mockResolvedValueOnce(
+      reply('{"intent": "price_check", "items": [{"productName": "bulb", "quantity": 10}], "orderReference": null}')
+    );
+
+    const result = await intentExtractor.extract({ sessionId: 's1', config, message: '10 bulbs price?', userId: 'u1' });
+
+    expect(result).toEqual({
+      intent: 'price_check',
+      items: [{ productName: 'bulb', quantity: 10 }],
+      orderReference: null,
+      attempts: 1,
+      valid: true
+    });
+    expect(aiClientManager.generateJsonResponse).toHaveBeenCalledWith('s1', [{ role: 'user', content: '10 bulbs price?' }], {
+      ai: config.ai,
+      system_prompt: expect.any(String)
+    });
+  });
+
+  it('asks again with the validation errors when the answer is invalid', async () => {
+    aiClientManager.generateJsonResponse
+      .mockResolvedValueOnce(reply('{"intent": "buy", "items": []}'))
+      .mockResolvedValueOnce(reply('{"intent": "order_intent", "items": [{"productName": "fan", "quantity": 1}]}'));
+
+    const result = await intentExtractor.extract({ sessionId: 's1', config, message: 'add a fan', userId: 'u1' });
+
+    expect(result).toMatchObject({ intent: 'order_intent', attempts: 2, valid: true });
+
+    const retryConversation = aiClientManager.generateJsonResponse.mock.calls[1][1];
+    expect(retryConversation).toHaveLength(3);
+    expect(retryConversation[1]).toEqual({ role: 'bot', content: '{"intent": "buy", "items": []}' });
+    expect(retryConversation[2].role).toBe('user');
+    expect(retryConversation[2].content).toContain('"intent" must be one of');
+  });
+
+  it('falls back to "other" after the last invalid attempt', async () => {
+    aiClientManager.generateJsonResponse.mockResolvedValue(reply('I think they want a bulb'));
+
+    const result = await intentExtractor.extract({ sessionId: 's1', config, message: 'bulb?', userId: 'u1' });
+
+    expect(aiClientManager.generateJsonResponse).toHaveBeenCalledTimes(intentExtractor.maxAttempts);
+    expect(result).toEqual({
+      intent: 'other',
+      items: [],
+      orderReference: null,
+      attempts: intentExtractor.maxAttempts,
+      valid: false,
+      errors: ['the answer must be a JSON object']
+    });
+  });
+
+  it('records the usage of every attempt against the configuration', async () => {
+    aiClientManager.generateJsonResponse
+      .mockResolvedValueOnce(reply('not json'))
+      .mockResolvedValueOnce(reply('{"intent": "checkout", "items": []}'));
+
+    await intentExtractor.extract({ sessionId: 's1', config, message: 'place my order', userId: 'u1' });
+
+    expect(usageTracker.recordCall).toHaveBeenCalledTimes(2);
+    expect(usageTracker.recordCall).toHaveBeenCalledWith(expect.objectContaining({ reply: 'not json' }), {
+      configId: config._id,
+      sessionId: 's1',
+      userId: 'u1',
+      purpose: 'intent'
+    });
+  });
+});
@@ -0,0 +1,294 @@
+const inventoryService = require('./inventoryService');
+const cartService = require('./cartService');
+const messageCatalog = require('./messageCatalog');
+const intentExtractor = require('./intentExtractor');
+
+// How long a "which product did you mean" question waits for the user's answer
+const CLARIFICATION_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Message catalog key for an order status label
+ * @param {string} status - Order status, e.g. 'pending'
+ * @returns {string} - e.g. 'statusPending'
+ */
+const statusKey = (status) => `status${status.charAt(0).toUpperCase()}${status.slice(1)}`;
+
+/**
+ * Describe a candidate product with its attribute values so variants can be told apart
+ * @param {Object} product - Formatted product
+ * @returns {string} - e.g. "LED Bulb 9W (Warm White)"
+ */
+const candidateLabel = (product) => {
+  const values = Object.values(product.attributes || {});
+  return values.length > 0 ? `${product.productName} (${values.join(', ')})` : product.productName;
+};
+
+/**
+ * Build the clarification question for an ambiguous item
+ * @param {Object} item - { productName, candidates }
+ * @param {string} locale - Locale of the reply
+ * @param {Object} config - The bot configuration, for its template overrides
+ * @returns {string} - e.g. 'Did you mean 1) A, 2) B or 3) C?'
+ */
+const askClarification = (item, locale, config) => {
+  const options = item.candidates.map((candidate, i) => `${i + 1}) ${candidate.productName}`);
+  
+  return messageCatalog.t('clarifyQuestion', locale, {
+    product: item.productName,
+    options: messageCatalog.formatList(options, locale, config)
+  }, config);
+};
+
+/**
+ * Work out which candidate the user picked in reply to a clarification question
+ * @param {Array} candidates - { sku, productName } offered to the user
+ * @param {string} message - The user's reply, e.g. "2", "the second one", "warm white" or a SKU
+ * @returns {Object|null} - The chosen candidate, or null when the reply is not an answer
+ */
+const pickCandidate = (candidates, message) => {
+  const text = message.trim().toLowerCase();
+  
+  const bySku = candidates.find(candidate => candidate.sku && text.includes(candidate.sku.toLowerCase()));
+  if (bySku) return bySku;
+  
+  const number = text.match(/^\D*?(\d+)\D*$/);
+  if (number && candidates[parseInt(number[1], 10) - 1]) {
+    return candidates[parseInt(number[1], 10) - 1];
+  }
+  
+  const ordinal = text.split(/[\s,.!?।]+/)
+    .map(word => messageCatalog.ordinalIndex(word))
+    .find(index => index !== -1);
+  if (ordinal !== undefined && candidates[ordinal]) {
+    return candidates[ordinal];
+  }
+  
+  // Otherwise the reply has to clearly match one of the candidate descriptions
+  const { product } = inventoryService.resolveMatch(candidates, message);
+  return product;
+};
+
+/**
+ * Answers inventory messages with templated replies in the customer's language:
+ * stock and price checks, cart and checkout, order status and cancellation and
+ * requests for a person. Used by POST /api/chat/inventory/intent and by the
+ * conversation engine for external channels.
+ */
+class InventoryIntentHandler {
+  /**
+   * Extract the intent of a message and carry it out
+   * @param {Object} options
+   * @param {Object} options.config - The bot configuration (inventory enabled)
+   * @param {Object} options.session - The chat session; clarification questions are stored on it
+   * @param {string} options.message - The user's message
+   * @returns {Promise<Object>} - { intent, language, response, clarification }
+   */
+  async handle({ config, session, message }) {
+    // Reply in the language of the message, or the bot's default language when it is unclear
+    const locale = messageCatalog.resolveLocale(config, message);
+    const t = (key, params) => messageCatalog.t(key, locale, params, config);
+    const priceLocale = messageCatalog.intlLocale(locale);
+    
+    // "2 pcs LED Bulb, 5 pcs Switch (total ₹1,250.00)"
+    const summarizeOrder = (order) => {
+      const itemList = order.items.map(item => `${item.qty} ${item.unit} ${item.productName}`).join(', ');
+      return typeof order.total === 'number'
+        ? t('orderSummaryTotal', { items: itemList, total: inventoryService.formatPrice(order.total, order.currency, priceLocale) })
+        : itemList;
+    };
+    
+    let intentData = null;
+    
+    // If the last turn asked the user to pick a product, try to read this message as the answer
+    const pending = session.inventoryClarification;
+    if (pending && pending.items && pending.items.length > 0) {
+      const [current, ...remaining] = pending.items;
+      const isFresh = Date.now() - new Date(pending.askedAt).getTime() < CLARIFICATION_TTL_MS;
+      const choice = isFresh ? pickCandidate(current.candidates, message) : null;
+      
+      if (choice) {
+        intentData = {
+          intent: pending.intent,
+          items: [
+            { productName: choice.productName, sku: choice.sku, quantity: current.quantity },
+            // Items still to be clarified are matched again, which asks about the next one
+            ...remaining.map(item => ({ productName: item.productName, quantity: item.quantity }))
+          ]
+        };
+      }
+      
+      // Answered or not, the question is closed; a new question is saved below if needed
+      session.inventoryClarification = undefined;
+      await session.save();
+    }
+    
+    if (!intentData) {
+      // Use AI to detect the intent and extract products as schema-checked JSON
+      intentData = await intentExtractor.extract({
+        sessionId: session._id.toString(),
+        config: config,
+        message,
+        userId: session.userId
+      });
+    }
+    
+    const { items } = intentData;
+    
+    let response = '';
+    
+    const catalogBotIds = inventoryService.getCatalogBotIds(config);
+    
+    // Items that matched several products and need the user to choose
+    const ambiguousItems = [];
+    const addAmbiguous = (item, candidates) => ambiguousItems.push({
+      productName: item.productName,
+      quantity: parseInt(item.quantity, 10) || undefined,
+      candidates: candidates.map(candidate => ({ sku: candidate.sku, productName: candidateLabel(candidate) }))
+    });
+    
+    // Process based on intent
+    if (intentData.intent === 'inventory_check' && items.length > 0) {
+      // Check product availability
+      const hasProducts = await inventoryService.Product.exists(inventoryService.catalogFilter(catalogBotIds));
+      
+      if (!hasProducts) {
+        response = t('stockEmpty');
+      } else {
+        const lines = [];
+        
+        for (const item of items) {
+          const result = await inventoryService.checkStock(catalogBotIds, item.sku || item.productName);
+          
+          if (result.ambiguous) {
+            addAmbiguous(item, result.candidates);
+          } else if (!result.found) {
+            lines.push(t('stockNotFound', { product: item.productName }));
+          } else if (result.product.availableStock > 0) {
+            const { product } = result;
+            lines.push(t('stockAvailable', { product: product.productName, qty: product.availableStock, unit: product.unit }));
+          } else {
+            lines.push(t('outOfStock', { product: result.product.productName }));
+          }
+        }
+        
+        response = lines.join('\n');
+      }
+    } else if (intentData.intent === 'price_check' && items.length > 0) {
+      // Quote each product for the requested quantity (1 when none was given)
+      const lines = [];
+      
+      for (const item of items) {
+        const qty = parseInt(item.quantity, 10) || 1;
+        const result = await inventoryService.quotePrice(catalogBotIds, { sku: item.sku, productName: item.productName }, qty);
+        
+        if (result.ambiguous) {
+          addAmbiguous(item, result.candidates);
+        } else if (!result.found) {
+          lines.push(t('productNotFound', { product: item.productName }));
+        } else if (!result.quote) {
+          lines.push(t('priceUnavailable', { product: result.product.productName }));
+        } else {
+          const { quote, product } = result;
+          
+          lines.push(t(quote.taxRate ? 'priceQuoteWithTax' : 'priceQuote', {
+            qty,
+            unit: product.unit,
+            product: product.productName,
+            total: inventoryService.formatPrice(quote.lineTotal, quote.currency, priceLocale),
+            unitPrice: inventoryService.formatPrice(quote.unitPrice, quote.currency, priceLocale),
+            taxRate: quote.taxRate
+          }));
+        }
+      }
+      
+      response = lines.join('\n');
+    } else if (intentData.intent === 'order_intent' && items.length > 0) {
+      // Add every mentioned product to the session's cart
+      const lines = [];
+      
+      for (const item of items) {
+        const qty = parseInt(item.quantity, 10) || 1;
+        const result = await cartService.addItem({ config: config, session, sku: item.sku, productName: item.productName, qty });
+        
+        if (result.ambiguous) {
+          addAmbiguous(item, result.candidates);
+        } else if (!result.added) {
+          lines.push(t('productNotFound', { product: item.productName }));
+        } else if (result.product.availableStock < qty) {
+          lines.push(t('cartAddedLowStock', {
+            qty,
+            unit: result.product.unit,
+            product: result.product.productName,
+            available: result.product.availableStock
+          }));
+        } else {
+          lines.push(t('cartAdded', { qty, unit: result.product.unit, product: result.product.productName }));
+        }
+      }
+      
+      if (ambiguousItems.length === 0) {
+        lines.push(t('cartAnythingElse'));
+      }
+      response = lines.join('\n');
+    } else if (intentData.intent === 'checkout') {
+      // Turn the cart into one multi-line order
+      const order = await cartService.checkout({ session, userQuery: message });
+      
+      if (!order) {
+        response = t('cartEmpty');
+      } else {
+        response = t(order.status === 'confirmed' ? 'orderConfirmed' : 'orderPending', { summary: summarizeOrder(order) });
+      }
+    } else if (intentData.intent === 'cancel_order' || intentData.intent === 'order_status') {
+      // Orders placed in this conversation: the one referenced, or the latest
+      let order = await inventoryService.findSessionOrder(session._id, intentData.orderReference);
+      
+      if (!order) {
+        response = t('orderNotFound');
+      } else {
+        order = await inventoryService.ensureOrderItems(order);
+        const reference = inventoryService.orderReference(order);
+        
+        if (intentData.intent === 'order_status') {
+          response = t('orderStatus', { reference, summary: summarizeOrder(order), status: t(statusKey(order.status)) });
+        } else {
+          const cancelled = await inventoryService.cancelOrder(order._id);
+          inventoryService.notifyStatusChange(cancelled, order.status);
+          response = cancelled
+            ? t('orderCancelled', { reference, summary: summarizeOrder(cancelled) })
+            : t('orderNotCancellable', { reference, status: t(statusKey(order.status)) });
+        }
+      }
+    } else if (intentData.intent === 'talk_to_human') {
+      console.log(`Session ${session._id} asked to talk to a person`);
+      response = t('humanHandoff');
+    } else {
+      // Unknown intent or missing information
+      response = t('fallback');
+    }
+    
+    // Ask about the first unclear product and remember the question for the next message
+    let clarification;
+    if (ambiguousItems.length > 0) {
+      clarification = ambiguousItems[0];
+      session.inventoryClarification = {
+        intent: intentData.intent,
+        items: ambiguousItems,
+        askedAt: new Date()
+      };
+      await session.save();
+      
+      response = [response, askClarification(clarification, locale, config)].filter(Boolean).join('\n');
+    }
+    
+    return {
+      intent: intentData,
+      language: locale,
+      response,
+      clarification
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new InventoryIntentHandler();
@@ -0,0 +1,89 @@
+jest.mock('./webhookDispatcher', () => ({ emit: jest.fn() }));
+jest.mock('./realtimeHub', () => ({ publishOrder: jest.fn() }));
+jest.mock('./intentExtractor', () => ({ extract: jest.fn() }));
+
+const memoryModel = require('../test/memoryModel');
+const intentExtractor = require('./intentExtractor');
+const inventoryIntentHandler = require('./inventoryIntentHandler');
+
+const BOT_ID = '65a000000000000000000001';
+const config = { _id: BOT_ID, tone: { language: 'en' } };
+
+let session;
+
+beforeEach(async () => {
+  global.InventoryProduct = memoryModel();
+  global.InventoryOrder = memoryModel();
+  global.InventoryCart = memoryModel({ defaults: { items: [] } });
+
+  await global.InventoryProduct.create({
+    botId: BOT_ID, sku: 'BULB-9W-WW', productName: 'LED Bulb 9W', unit: 'pcs', availableStock: 12,
+    attributes: { colour: 'Warm White' }
+  });
+  await global.InventoryProduct.create({
+    botId: BOT_ID, sku: 'BULB-9W-CW', productName: 'LED Bulb 9W', unit: 'pcs', availableStock: 3,
+    attributes: { colour: 'Cool White' }
+  });
+
+  session = { _id: '65a0000000000000000000aa', userId: 'visitor-1', save: jest.fn().mockResolvedValue() };
+  intentExtractor.extract.mockReset();
+});
+
+afterAll(() => {
+  delete global.InventoryProduct;
+  delete global.InventoryOrder;
+  delete global.InventoryCart;
+});
+
+describe('clarifying ambiguous products', () => {
+  const askAboutBulbs = () => {
+    intentExtractor.extract.mockResolvedValueOnce({
+      intent: 'inventory_check',
+      items: [{ productName: 'bulb', quantity: null }],
+      orderReference: null
+    });
+    return inventoryIntentHandler.handle({ config, session, message: 'Do you have bulbs?' });
+  };
+
+  it('asks which product was meant and remembers the question on the session', async () => {
+    const result = await askAboutBulbs();
+
+    expect(result.response).toContain('Did you mean 1) LED Bulb 9W (Warm White) or 2) LED Bulb 9W (Cool White)?');
+    expect(session.inventoryClarification).toMatchObject({
+      intent: 'inventory_check',
+      items: [{ productName: 'bulb', candidates: [{ sku: 'BULB-9W-WW' }, { sku: 'BULB-9W-CW' }] }]
+    });
+    expect(session.save).toHaveBeenCalled();
+  });
+
+  it('reads the next message as the answer without asking the model again', async () => {
+    await askAboutBulbs();
+
+    const result = await inventoryIntentHandler.handle({ config, session, message: 'the second one' });
+
+    expect(intentExtractor.extract).toHaveBeenCalledTimes(1);
+    expect(result.response).toContain('currently 3 pcs in stock');
+    expect(result.clarification).toBeUndefined();
+    expect(session.inventoryClarification).toBeUndefined();
+  });
+
+  it('accepts a candidate described by its attributes', async () => {
+    await askAboutBulbs();
+
+    const result = await inventoryIntentHandler.handle({ config, session, message: 'warm white please' });
+
+    expect(intentExtractor.extract).toHaveBeenCalledTimes(1);
+    expect(result.response).toContain('currently 12 pcs in stock');
+  });
+
+  it('treats a message that is not an answer as a new request', async () => {
+    await askAboutBulbs();
+    intentExtractor.extract.mockResolvedValueOnce({ intent: 'talk_to_human', items: [], orderReference: null });
+
+    const result = await inventoryIntentHandler.handle({ config, session, message: 'Can I talk to someone?' });
+
+    expect(intentExtractor.extract).toHaveBeenCalledTimes(2);
+    expect(result.intent.intent).toBe('talk_to_human');
+    expect(session.inventoryClarification).toBeUndefined();
+  });
+});
@@ -0,0 +1,878 @@
+const FuzzySearch = require('fuzzy-search');
+const webhookDispatcher = require('./webhookDispatcher');
+const realtimeHub = require('./realtimeHub');
+
+// Filler words in product questions that should not count towards a match
+const SEARCH_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'any', 'do', 'for', 'have', 'i', 'in', 'is', 'it', 'me', 'of', 'or',
+  'please', 'some', 'the', 'there', 'with', 'you'
+]);
+
+/**
+ * Shared inventory logic used by the chat inventory routes and the AI tools.
+ * Models are read from the globals set up in server.js on the inventory connection,
+ * at call time, because the connection is only ready after startup.
+ */
+class InventoryService {
+  constructor() {
+    // How long a confirmed order holds its stock before it must be fulfilled
+    this.reservationTtlMinutes = parseInt(process.env.INVENTORY_RESERVATION_TTL_MINUTES, 10) || 30;
+    this.reservationSweepIntervalMs = 60 * 1000;
+    this.reservationSweeper = null;
+
+    // Product matching: a match is only used without asking when it scores at least
+    // the threshold and beats the runner-up by the margin
+    this.matchThreshold = parseFloat(process.env.INVENTORY_MATCH_THRESHOLD) || 0.6;
+    this.matchMargin = 0.15;
+    this.fuzzyMatchScore = 0.4;
+    this.maxCandidates = 5;
+  }
+
+  get Product() {
+    return global.InventoryProduct;
+  }
+
+  get Order() {
+    return global.InventoryOrder;
+  }
+
+  /**
+   * Get the bot IDs whose products a bot may read: its own catalog plus any shared catalogs
+   * @param {Object} config - The bot configuration
+   * @returns {Array} - Bot IDs, starting with the bot's own ID
+   */
+  getCatalogBotIds(config) {
+    const shared = config.inventory?.sharedCatalogs || [];
+    const ids = [config._id, ...shared].map(id => String(id));
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Build the product query for one bot ID or a list of catalog bot IDs
+   * @param {string|Array} botIds - Bot ID or catalog bot IDs
+   * @returns {Object} - Mongo filter on botId
+   */
+  catalogFilter(botIds) {
+    return Array.isArray(botIds) ? { botId: { $in: botIds } } : { botId: botIds };
+  }
+
+  /**
+   * Split text into lowercased search tokens, reducing simple plurals ("bulbs" -> "bulb")
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} - Tokens
+   */
+  tokenize(text = '') {
+    const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return words
+      .filter(word => !SEARCH_STOP_WORDS.has(word))
+      .map(word => (word.length > 3 ? word.replace(/(?<=[^s])(es|s)$/, '') : word));
+  }
+
+  /**
+   * Get a product's attributes as a plain object
+   * @param {Object} product - Product document
+   * @returns {Object} - Attribute names to values
+   */
+  getAttributes(product) {
+    if (!product.attributes) return {};
+    return product.attributes instanceof Map
+      ? Object.fromEntries(product.attributes)
+      : { ...product.attributes };
+  }
+
+  /**
+   * Rank products against a free-text query using their name, SKU, attributes, category and description
+   * @param {Array} products - Products to search
+   * @param {string} query - Product name or description, e.g. "9W LED bulb in warm white"
+   * @returns {Array} - { product, score } for matching products, best first, with scores from 0 to 1
+   */
+  rankProducts(products, query) {
+    const queryTokens = [...new Set(this.tokenize(query))];
+    if (queryTokens.length === 0) return [];
+
+    const ranked = products.map(product => {
+      const fields = [
+        { tokens: this.tokenize(`${product.productName} ${product.sku}`), weight: 3 },
+        { tokens: this.tokenize(Object.values(this.getAttributes(product)).join(' ')), weight: 2 },
+        { tokens: this.tokenize(product.category), weight: 1 },
+        { tokens: this.tokenize(product.description), weight: 0.5 }
+      ];
+
+      let matched = 0;
+      let weighted = 0;
+      queryTokens.forEach(token => {
+        const field = fields.find(f => f.tokens.includes(token));
+        if (field) {
+          matched++;
+          weighted += field.weight;
+        }
+      });
+
+      // Mostly how much of the query matched, then how strongly (name beats description)
+      const coverage = matched / queryTokens.length;
+      const strength = weighted / (3 * queryTokens.length);
+      return { product, score: this._round(0.7 * coverage + 0.3 * strength) };
+    });
+
+    return ranked
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score || a.product.productName.localeCompare(b.product.productName));
+  }
+
+  /**
+   * Score products against a query, falling back to a fuzzy name match for typos and partial names
+   * @param {Array} products - Products to search
+   * @param {string} query - Product name or query
+   * @returns {Array} - { product, score } best first
+   */
+  scoreProducts(products, query) {
+    if (!query) return [];
+
+    const ranked = this.rankProducts(products, query);
+    if (ranked.length > 0) return ranked;
+
+    const searcher = new FuzzySearch(products, ['productName'], {
+      caseSensitive: false,
+      sort: true
+    });
+
+    return searcher.search(query).map(product => ({ product, score: this.fuzzyMatchScore }));
+  }
+
+  /**
+   * Match a query to one product, or report the candidates when the match is not clear
+   * @param {Array} products - Products to search
+   * @param {string} query - Product name or query
+   * @returns {Object} - { product, candidates, ambiguous } where product is null unless the match is confident
+   */
+  resolveMatch(products, query) {
+    const candidates = this.scoreProducts(products, query).slice(0, this.maxCandidates);
+    if (candidates.length === 0) {
+      return { product: null, candidates, ambiguous: false };
+    }
+
+    // An exact name or SKU is always what the user meant
+    const normalized = String(query).trim().toLowerCase();
+    const exact = products.find(product =>
+      product.productName.toLowerCase() === normalized || product.sku.toLowerCase() === normalized
+    );
+    if (exact) {
+      return { product: exact, candidates, ambiguous: false };
+    }
+
+    const [top, runnerUp] = candidates;
+    const confident = top.score >= this.matchThreshold &&
+      (!runnerUp || top.score - runnerUp.score >= this.matchMargin);
+
+    return { product: confident ? top.product : null, candidates, ambiguous: !confident };
+  }
+
+  /**
+   * Shape match candidates for API and tool responses
+   * @param {Array} candidates - { product, score }
+   * @returns {Array} - Public product fields with the match score
+   */
+  formatCandidates(candidates) {
+    return candidates.map(({ product, score }) => ({ ...this.formatProduct(product), score }));
+  }
+
+  /**
+   * Keep the products in a category and with the given attribute values (case-insensitive)
+   * @param {Array} products - Products to filter
+   * @param {Object} filters - { category, attributes }
+   * @returns {Array} - Matching products
+   */
+  filterProducts(products, { category, attributes } = {}) {
+    const normalize = value => String(value).trim().toLowerCase();
+    const wanted = Object.entries(attributes || {}).filter(([, value]) => value !== undefined && value !== '');
+
+    return products.filter(product => {
+      if (category && normalize(product.category || '') !== normalize(category)) {
+        return false;
+      }
+
+      const productAttributes = this.getAttributes(product);
+      return wanted.every(([name, value]) => {
+        const key = Object.keys(productAttributes).find(k => normalize(k) === normalize(name));
+        return key !== undefined && normalize(productAttributes[key]) === normalize(value);
+      });
+    });
+  }
+
+  /**
+   * Shape a product for API and tool responses
+   * @param {Object} product - Product document
+   * @returns {Object} - Public product fields
+   */
+  formatProduct(product) {
+    return {
+      productName: product.productName,
+      sku: product.sku,
+      availableStock: product.availableStock,
+      unit: product.unit,
+      price: product.price,
+      currency: product.currency,
+      taxRate: product.taxRate,
+      priceTiers: product.priceTiers && product.priceTiers.length > 0
+        ? product.priceTiers.map(tier => ({ minQty: tier.minQty, price: tier.price }))
+        : undefined,
+      category: product.category,
+      description: product.description,
+      attributes: Object.keys(this.getAttributes(product)).length > 0 ? this.getAttributes(product) : undefined,
+      parentSku: product.parentSku,
+      imageUrls: product.imageUrls && product.imageUrls.length > 0 ? [...product.imageUrls] : undefined
+    };
+  }
+
+  /**
+   * Get the unit price for a quantity, applying the best bulk tier the quantity reaches
+   * @param {Object} product - Product document
+   * @param {number} qty - Quantity
+   * @returns {number|null} - Unit price before tax, or null when the product has no price
+   */
+  getUnitPrice(product, qty) {
+    const tier = (product.priceTiers || [])
+      .filter(t => qty >= t.minQty)
+      .sort((a, b) => b.minQty - a.minQty)[0];
+
+    if (tier) return tier.price;
+    return typeof product.price === 'number' ? product.price : null;
+  }
+
+  /**
+   * Price a quantity of a product
+   * @param {Object} product - Product document
+   * @param {number} qty - Quantity
+   * @returns {Object|null} - { unitPrice, taxRate, subtotal, taxAmount, lineTotal, currency }, or null when unpriced
+   */
+  priceLine(product, qty) {
+    const unitPrice = this.getUnitPrice(product, qty);
+    if (unitPrice === null) return null;
+
+    const taxRate = product.taxRate || 0;
+    const subtotal = this._round(unitPrice * qty);
+    const taxAmount = this._round(subtotal * taxRate / 100);
+
+    return {
+      unitPrice,
+      taxRate,
+      subtotal,
+      taxAmount,
+      lineTotal: this._round(subtotal + taxAmount),
+      currency: product.currency || 'INR'
+    };
+  }
+
+  /**
+   * Quote the price of a quantity of a product in a bot's catalog
+   * @param {string|Array} botIds - The bot (config) ID, or the catalog bot IDs it may read
+   * @param {Object} criteria - { sku, productName }
+   * @param {number} qty - Quantity to quote
+   * @returns {Promise<Object>} - { found, product, qty, quote }, or { found: false, message } with candidates when ambiguous
+   */
+  async quotePrice(botIds, criteria, qty = 1) {
+    const { product, candidates, ambiguous } = await this.resolveProduct(botIds, criteria);
+    if (ambiguous) {
+      return this._clarification(candidates);
+    }
+    if (!product) {
+      return { found: false, message: 'No matching products found' };
+    }
+
+    const quote = this.priceLine(product, qty);
+    return {
+      found: true,
+      product: this.formatProduct(product),
+      qty,
+      quote,
+      message: quote ? undefined : 'This product has no price set'
+    };
+  }
+
+  /**
+   * Format an amount of money for a user-facing message
+   * @param {number} amount - Amount
+   * @param {string} currency - ISO currency code
+   * @param {string} locale - BCP 47 locale, e.g. 'en-IN' or 'hi-IN'
+   * @returns {string} - Formatted amount, e.g. '₹1,180.00'
+   */
+  formatPrice(amount, currency = 'INR', locale = 'en-IN') {
+    try {
+      return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+    } catch (error) {
+      return `${amount.toFixed(2)} ${currency}`;
+    }
+  }
+
+  /**
+   * Check product availability for a bot
+   * @param {string|Array} botIds - The bot (config) ID, or the catalog bot IDs it may read
+   * @param {string} query - Product name or query
+   * @param {Object} filters - Optional { category, attributes } the product must have
+   * @param {number} limit - Number of scored candidates to return
+   * @returns {Promise<Object>} - { found, product, variants, candidates }, or { found: false, ambiguous, message, candidates }
+   */
+  async checkStock(botIds, query, filters = {}, limit = this.maxCandidates) {
+    const allProducts = await this.Product.find(this.catalogFilter(botIds));
+
+    if (allProducts.length === 0) {
+      return { found: false, message: 'No products available in inventory' };
+    }
+
+    const products = this.filterProducts(allProducts, filters);
+
+    let match;
+    if (query) {
+      match = this.resolveMatch(products, query);
+    } else {
+      // Filters alone are clear when they leave exactly one product
+      const candidates = products.map(product => ({ product, score: 1 }));
+      match = { product: products.length === 1 ? products[0] : null, candidates, ambiguous: products.length > 1 };
+    }
+
+    const candidates = this.formatCandidates(match.candidates.slice(0, limit));
+
+    if (match.ambiguous) {
+      return { ...this._clarification(match.candidates), candidates };
+    }
+
+    if (!match.product) {
+      return { found: false, message: 'No matching products found', candidates };
+    }
+
+    const bestMatch = match.product;
+
+    // A parent product answers with its variants (e.g. each wattage and colour)
+    const variants = allProducts.filter(product =>
+      product.parentSku === bestMatch.sku && String(product.botId) === String(bestMatch.botId)
+    );
+
+    return {
+      found: true,
+      product: this.formatProduct(bestMatch),
+      variants: variants.length > 0 ? variants.map(variant => this.formatProduct(variant)) : undefined,
+      candidates
+    };
+  }
+
+  /**
+   * List products for a bot, optionally filtered by text, category and attributes
+   * @param {string|Array} botIds - The bot (config) ID, or the catalog bot IDs it may read
+   * @param {string} filter - Optional name, SKU, attribute or description filter
+   * @param {Object} options - { category, attributes, limit }
+   * @returns {Promise<Array>} - Matching products
+   */
+  async listProducts(botIds, filter, { category, attributes, limit = 20 } = {}) {
+    const products = this.filterProducts(
+      await this.Product.find(this.catalogFilter(botIds)).sort('productName'),
+      { category, attributes }
+    );
+
+    let matches = products;
+    if (filter) {
+      matches = this.rankProducts(products, filter).map(match => match.product);
+
+      if (matches.length === 0) {
+        const searcher = new FuzzySearch(products, ['productName', 'sku'], {
+          caseSensitive: false,
+          sort: true
+        });
+        matches = searcher.search(filter);
+      }
+    }
+
+    return matches.slice(0, limit).map(product => this.formatProduct(product));
+  }
+
+  /**
+   * List the categories used in a catalog
+   * @param {string|Array} botIds - The bot (config) ID, or the catalog bot IDs it may read
+   * @returns {Promise<Array<string>>} - Category names
+   */
+  async listCategories(botIds) {
+    const categories = await this.Product.distinct('category', this.catalogFilter(botIds));
+    return categories.filter(Boolean).sort();
+  }
+
+  /**
+   * Find one product in a catalog by exact SKU, falling back to a confident name match
+   * @param {string|Array} botIds - The bot (config) ID, or the catalog bot IDs it may read
+   * @param {Object} criteria - { sku, productName, category, attributes }
+   * @returns {Promise<Object>} - { product, candidates, ambiguous } where product is null when nothing matches clearly
+   */
+  async resolveProduct(botIds, { sku, productName, category, attributes }) {
+    const catalog = this.catalogFilter(botIds);
+
+    if (sku) {
+      const product = await this.Product.findOne({ ...catalog, sku });
+      if (product) return { product, candidates: [{ product, score: 1 }], ambiguous: false };
+    }
+
+    if (productName) {
+      const products = this.filterProducts(await this.Product.find(catalog), { category, attributes });
+      return this.resolveMatch(products, productName);
+    }
+
+    return { product: null, candidates: [], ambiguous: false };
+  }
+
+  /**
+   * Build the order summary fields from its line items
+   * @param {Array} items - Order line items
+   * @returns {Object} - { productName, requestedQty }
+   */
+  summarizeItems(items) {
+    return {
+      productName: items.map(item => item.productName).join(', '),
+      requestedQty: items.reduce((total, item) => total + item.qty, 0)
+    };
+  }
+
+  /**
+   * Price order line items from their current products and compute the order totals.
+   * Lines whose product is missing or unpriced are left without prices.
+   * @param {Array} items - Line items ({ productId, qty, ... })
+   * @returns {Promise<Object>} - { items, totals } where totals has currency, subtotal, taxTotal and total
+   */
+  async priceItems(items) {
+    const productIds = items.filter(item => item.productId).map(item => item.productId);
+    const products = productIds.length > 0 ? await this.Product.find({ _id: { $in: productIds } }) : [];
+    const productsById = new Map(products.map(product => [String(product._id), product]));
+
+    let currency;
+    const pricedItems = items.map(item => {
+      const plain = typeof item.toObject === 'function' ? item.toObject() : { ...item };
+      const product = item.productId ? productsById.get(String(item.productId)) : null;
+      const line = product ? this.priceLine(product, item.qty) : null;
+
+      if (!line) {
+        return { ...plain, unitPrice: undefined, taxRate: undefined, subtotal: undefined, taxAmount: undefined, lineTotal: undefined };
+      }
+
+      // Orders are quoted in the currency of their first priced line
+      currency = currency || line.currency;
+      const { currency: lineCurrency, ...prices } = line;
+      if (lineCurrency !== currency) {
+        console.warn(`Order line ${item.sku} is priced in ${lineCurrency}, not the order currency ${currency}`);
+      }
+
+      return { ...plain, ...prices };
+    });
+
+    const pricedLines = pricedItems.filter(item => typeof item.lineTotal === 'number');
+    if (pricedLines.length === 0) {
+      return { items: pricedItems, totals: { currency: undefined, subtotal: undefined, taxTotal: undefined, total: undefined } };
+    }
+
+    const sum = (field) => this._round(pricedLines.reduce((total, item) => total + item[field], 0));
+    return {
+      items: pricedItems,
+      totals: {
+        currency,
+        subtotal: sum('subtotal'),
+        taxTotal: sum('taxAmount'),
+        total: sum('lineTotal')
+      }
+    };
+  }
+
+  /**
+   * Re-price an order after its line items changed
+   * @param {Object} order - Order request document with items
+   * @returns {Promise<Object>} - The order (not saved)
+   */
+  async repriceOrder(order) {
+    const priced = await this.priceItems(order.items);
+
+    priced.items.forEach((item, index) => {
+      order.items[index].set({
+        unitPrice: item.unitPrice,
+        taxRate: item.taxRate,
+        subtotal: item.subtotal,
+        taxAmount: item.taxAmount,
+        lineTotal: item.lineTotal
+      });
+    });
+    order.set({ ...this.summarizeItems(order.items), ...priced.totals });
+
+    return order;
+  }
+
+  /**
+   * Record an order request, reserving stock and confirming it when the product has enough
+   * @param {Object} params - Order parameters
+   * @param {string} params.botId - The bot (config) ID the order is recorded for
+   * @param {Array} params.catalogBotIds - Catalog bot IDs to match products in (defaults to botId)
+   * @param {string} params.productName - Product name to match (used when no SKU matches)
+   * @param {string} params.sku - Exact product SKU
+   * @param {number} params.requestedQty - Requested quantity
+   * @param {string} params.userQuery - Original user message
+   * @param {string} params.userId - User identifier
+   * @param {string} params.sessionId - Session ID
+   * @returns {Promise<Object>} - { order, product } where product is null when nothing matched,
+   *   or { order: null, ambiguous: true, candidates } when the product is not clear
+   */
+  async placeOrder({ botId, catalogBotIds, productName, sku, requestedQty, userQuery, userId, sessionId }) {
+    const { product: matchedProduct, candidates, ambiguous } = await this.resolveProduct(
+      catalogBotIds || botId,
+      { sku, productName }
+    );
+
+    // Never order a guess; the caller has to ask which product was meant
+    if (ambiguous) {
+      return { order: null, product: null, ambiguous, candidates: this.formatCandidates(candidates) };
+    }
+
+    const item = matchedProduct
+      ? {
+        productId: matchedProduct._id,
+        sku: matchedProduct.sku,
+        productName: matchedProduct.productName,
+        qty: requestedQty,
+        unit: matchedProduct.unit
+      }
+      : { sku, productName: productName || sku, qty: requestedQty };
+
+    const order = await this.createOrder({ botId, items: [item], userQuery, userId, sessionId });
+
+    if (!matchedProduct) {
+      return { order, product: null };
+    }
+
+    const product = await this.Product.findById(matchedProduct._id);
+    return { order, product: this.formatProduct(product || matchedProduct) };
+  }
+
+  /**
+   * Create an order from line items and try to reserve its stock.
+   * The order is confirmed when every line could be reserved, otherwise it stays pending for review.
+   * @param {Object} params - Order parameters
+   * @param {string} params.botId - The bot (config) ID the order is recorded for
+   * @param {Array} params.items - Line items ({ productId, sku, productName, qty, unit })
+   * @param {string} params.userQuery - Original user message
+   * @param {string} params.userId - User identifier
+   * @param {string} params.sessionId - Session ID
+   * @returns {Promise<Object>} - The created order
+   */
+  async createOrder({ botId, items, userQuery, userId, sessionId }) {
+    const priced = await this.priceItems(items);
+
+    const order = await this.Order.create({
+      botId,
+      ...this.summarizeItems(priced.items),
+      ...priced.totals,
+      items: priced.items,
+      userQuery,
+      userId,
+      sessionId,
+      status: 'pending'
+    });
+
+    const reserved = await this.reserveStock(order);
+    const created = reserved || order;
+
+    webhookDispatcher.emit(botId, 'order.created', { order: created });
+    realtimeHub.publishOrder('order.created', created);
+    return created;
+  }
+
+  /**
+   * Notify webhook subscribers and the bot's dashboards that an order's status changed
+   * @param {Object} order - The order after the change
+   * @param {string} previousStatus - Its status before the change
+   */
+  notifyStatusChange(order, previousStatus) {
+    if (!order || order.status === previousStatus) {
+      return;
+    }
+
+    webhookDispatcher.emit(order.botId, 'order.status_changed', {
+      order,
+      previousStatus,
+      status: order.status
+    });
+    realtimeHub.publishOrder('order.status_changed', order, { previousStatus });
+  }
+
+  /**
+   * Make sure an order has line items, converting single-product orders recorded before carts existed
+   * @param {Object} order - Order request document
+   * @returns {Promise<Object>} - The order with its line items
+   */
+  async ensureOrderItems(order) {
+    if (order.items && order.items.length > 0) {
+      return order;
+    }
+
+    const product = await this.Product.findOne({ botId: order.botId, productName: order.productName });
+    order.items = [{
+      productId: product ? product._id : undefined,
+      sku: product ? product.sku : undefined,
+      productName: order.productName,
+      qty: order.requestedQty,
+      unit: product ? product.unit : undefined
+    }];
+    await this.repriceOrder(order);
+
+    return order.save();
+  }
+
+  /**
+   * Hold stock for every line of an order and mark it confirmed.
+   * Stock is taken with a conditional $inc, so concurrent orders can never oversell.
+   * If any line cannot be reserved, the lines already reserved are released again.
+   * @param {Object} order - Order request document
+   * @returns {Promise<Object|null>} - The updated order, or null when a product is missing or stock is insufficient
+   */
+  async reserveStock(order) {
+    if (order.stockReserved) {
+      return order;
+    }
+
+    order = await this.ensureOrderItems(order);
+    if (order.items.some(item => !item.productId)) {
+      return null;
+    }
+
+    const reserved = [];
+    for (const item of order.items) {
+      const product = await this.Product.findOneAndUpdate(
+        { _id: item.productId, availableStock: { $gte: item.qty } },
+        { $inc: { availableStock: -item.qty, reservedStock: item.qty }, $set: { updatedAt: Date.now() } },
+        { new: true }
+      );
+
+      if (!product) {
+        await this._restockItems(reserved);
+        return null;
+      }
+
+      reserved.push({ productId: item.productId, reservedQty: item.qty });
+    }
+
+    const update = {
+      status: 'confirmed',
+      stockReserved: true,
+      reservationExpiresAt: new Date(Date.now() + this.reservationTtlMinutes * 60 * 1000)
+    };
+    order.items.forEach((item, index) => {
+      update[`items.${index}.reservedQty`] = item.qty;
+    });
+
+    const reservedOrder = await this.Order.findOneAndUpdate(
+      { _id: order._id, stockReserved: false },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!reservedOrder) {
+      // Another request reserved this order first, so give the stock back
+      await this._restockItems(reserved);
+      return this.Order.findById(order._id);
+    }
+
+    return reservedOrder;
+  }
+
+  /**
+   * Release an order's reservation (if it holds one) and set its new status
+   * @param {string} orderId - Order request ID
+   * @param {string} status - New status, e.g. 'rejected', 'cancelled', 'expired' or 'pending'
+   * @param {Object} conditions - Extra conditions the order must still match
+   * @returns {Promise<Object|null>} - The updated order, or null when it did not match
+   */
+  async releaseReservation(orderId, status, conditions = {}) {
+    // Clearing stockReserved in the same update makes sure the stock is only returned once
+    const previous = await this.Order.findOneAndUpdate(
+      { ...conditions, _id: orderId, stockReserved: true },
+      { $set: { status, stockReserved: false, reservationExpiresAt: null, 'items.$[].reservedQty': 0 } },
+      { new: false }
+    );
+
+    if (previous) {
+      await this._restockItems(previous.items);
+      return this.Order.findById(orderId);
+    }
+
+    if (Object.keys(conditions).length > 0) {
+      return null;
+    }
+
+    return this.Order.findByIdAndUpdate(orderId, { $set: { status } }, { new: true });
+  }
+
+  /**
+   * Cancel an order that has not been fulfilled or closed yet, returning any reserved stock
+   * @param {string} orderId - Order request ID
+   * @returns {Promise<Object|null>} - The cancelled order, or null when it can no longer be cancelled
+   */
+  async cancelOrder(orderId) {
+    const open = { status: { $in: ['pending', 'confirmed'] } };
+
+    const released = await this.releaseReservation(orderId, 'cancelled', open);
+    if (released) {
+      return released;
+    }
+
+    return this.Order.findOneAndUpdate(
+      { ...open, _id: orderId, stockReserved: false },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Find an order placed in a session
+   * @param {string} sessionId - Session ID
+   * @param {string} reference - Optional order reference or ID; the latest order is returned without one
+   * @returns {Promise<Object|null>} - The order, or null when none matches
+   */
+  async findSessionOrder(sessionId, reference = null) {
+    const orders = await this.Order.find({ sessionId }).sort({ timestamp: -1 }).limit(20);
+    if (!reference) {
+      return orders[0] || null;
+    }
+
+    const wanted = reference.replace(/^#/, '').trim().toLowerCase();
+    return orders.find(order => String(order._id).toLowerCase().endsWith(wanted)) || null;
+  }
+
+  /**
+   * Short reference shown to customers for an order
+   * @param {Object} order - Order request document
+   * @returns {string} - e.g. "#A1B2C3"
+   */
+  orderReference(order) {
+    return `#${String(order._id).slice(-6).toUpperCase()}`;
+  }
+
+  /**
+   * Mark an order fulfilled, consuming its reservation.
+   * Orders without a reservation (pending or expired) reserve stock first.
+   * @param {Object} order - Order request document
+   * @returns {Promise<Object|null>} - The updated order, or null when stock is insufficient
+   */
+  async fulfilOrder(order) {
+    if (order.status === 'fulfilled') {
+      return order;
+    }
+
+    if (!order.stockReserved) {
+      order = await this.reserveStock(order);
+      if (!order) {
+        return null;
+      }
+    }
+
+    const previous = await this.Order.findOneAndUpdate(
+      { _id: order._id, stockReserved: true },
+      { $set: { status: 'fulfilled', stockReserved: false, reservationExpiresAt: null, 'items.$[].reservedQty': 0 } },
+      { new: false }
+    );
+
+    if (previous) {
+      for (const item of previous.items) {
+        if (!item.reservedQty) continue;
+        await this.Product.updateOne(
+          { _id: item.productId },
+          { $inc: { reservedStock: -item.reservedQty }, $set: { updatedAt: Date.now() } }
+        );
+      }
+    }
+
+    return this.Order.findById(order._id);
+  }
+
+  /**
+   * Release every reservation that has passed its expiry time
+   * @returns {Promise<number>} - Number of reservations released
+   */
+  async releaseExpiredReservations() {
+    if (!this.Order) return 0;
+
+    const now = new Date();
+    const expired = await this.Order.find({
+      status: 'confirmed',
+      stockReserved: true,
+      reservationExpiresAt: { $lte: now }
+    }).select('_id');
+
+    let released = 0;
+    for (const order of expired) {
+      // Re-check the expiry so an order fulfilled or re-reserved meanwhile is left alone
+      const updated = await this.releaseReservation(order._id, 'expired', {
+        status: 'confirmed',
+        reservationExpiresAt: { $lte: now }
+      });
+      if (updated) {
+        this.notifyStatusChange(updated, 'confirmed');
+        released++;
+      }
+    }
+
+    if (released > 0) {
+      console.log(`Released ${released} expired inventory reservation(s)`);
+    }
+
+    return released;
+  }
+
+  /**
+   * Start releasing expired reservations periodically
+   */
+  startReservationSweeper() {
+    if (this.reservationSweeper) return;
+
+    this.reservationSweeper = setInterval(() => {
+      this.releaseExpiredReservations()
+        .catch(error => console.error('Error releasing expired reservations:', error));
+    }, this.reservationSweepIntervalMs);
+
+    // Do not keep the process alive just for the sweeper
+    this.reservationSweeper.unref();
+  }
+
+  /**
+   * Build the "which product did you mean" result for an ambiguous match
+   * @private
+   * @param {Array} candidates - { product, score }
+   * @returns {Object} - { found: false, ambiguous: true, message, candidates }
+   */
+  _clarification(candidates) {
+    return {
+      found: false,
+      ambiguous: true,
+      message: 'Several products match; ask the user which one they mean',
+      candidates: this.formatCandidates(candidates)
+    };
+  }
+
+  /**
+   * Round an amount of money to 2 decimals
+   * @private
+   * @param {number} amount - Amount
+   * @returns {number} - Rounded amount
+   */
+  _round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Return reserved units to the products' available stock
+   * @private
+   * @param {Array} items - Lines with productId and reservedQty
+   */
+  async _restockItems(items) {
+    for (const item of items) {
+      if (!item.productId || !item.reservedQty) continue;
+
+      await this.Product.updateOne(
+        { _id: item.productId },
+        { $inc: { availableStock: item.reservedQty, reservedStock: -item.reservedQty }, $set: { updatedAt: Date.now() } }
+      );
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new InventoryService();
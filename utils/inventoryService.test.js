@@ -0,0 +1,238 @@
+jest.mock('./webhookDispatcher', () => ({ emit: jest.fn() }));
+jest.mock('./realtimeHub', () => ({ publishOrder: jest.fn() }));
+
+const memoryModel = require('../test/memoryModel');
+const inventoryService = require('./inventoryService');
+
+const BOT_ID = '65a000000000000000000001';
+
+const addProduct = (fields) => global.InventoryProduct.create({
+  botId: BOT_ID,
+  unit: 'pcs',
+  reservedStock: 0,
+  ...fields
+});
+
+const productById = (id) => global.InventoryProduct.docs.find(product => product._id === id);
+
+beforeEach(() => {
+  global.InventoryProduct = memoryModel();
+  global.InventoryOrder = memoryModel({
+    defaults: { status: 'pending', stockReserved: false, items: [] },
+    dateFields: ['reservationExpiresAt', 'timestamp']
+  });
+});
+
+afterAll(() => {
+  delete global.InventoryProduct;
+  delete global.InventoryOrder;
+});
+
+describe('stock reservation', () => {
+  it('confirms an order and moves its quantity from available to reserved stock', async () => {
+    const bulb = await addProduct({ sku: 'BULB-9W', productName: '9W LED Bulb', availableStock: 10, price: 100 });
+
+    const order = await inventoryService.createOrder({
+      botId: BOT_ID,
+      items: [{ productId: bulb._id, sku: bulb.sku, productName: bulb.productName, qty: 4 }],
+      userId: 'user-1'
+    });
+
+    expect(order.status).toBe('confirmed');
+    expect(order.stockReserved).toBe(true);
+    expect(order.items[0].reservedQty).toBe(4);
+    expect(order.reservationExpiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(productById(bulb._id)).toMatchObject({ availableStock: 6, reservedStock: 4 });
+  });
+
+  it('leaves an order pending and reserves nothing when one line is short of stock', async () => {
+    const bulb = await addProduct({ sku: 'BULB-9W', productName: '9W LED Bulb', availableStock: 10 });
+    const tube = await addProduct({ sku: 'TUBE-20W', productName: '20W Tube Light', availableStock: 1 });
+
+    const order = await inventoryService.createOrder({
+      botId: BOT_ID,
+      items: [
+        { productId: bulb._id, sku: bulb.sku, productName: bulb.productName, qty: 3 },
+        { productId: tube._id, sku: tube.sku, productName: tube.productName, qty: 2 }
+      ]
+    });
+
+    expect(order.status).toBe('pending');
+    expect(order.stockReserved).toBe(false);
+    expect(productById(bulb._id)).toMatchObject({ availableStock: 10, reservedStock: 0 });
+    expect(productById(tube._id)).toMatchObject({ availableStock: 1, reservedStock: 0 });
+  });
+
+  it('never oversells when orders for the last units arrive at the same time', async () => {
+    const bulb = await addProduct({ sku: 'BULB-9W', productName: '9W LED Bulb', availableStock: 5 });
+    const item = { productId: bulb._id, sku: bulb.sku, productName: bulb.productName, qty: 2 };
+
+    const orders = await Promise.all(
+      [1, 2, 3, 4].map(() => inventoryService.createOrder({ botId: BOT_ID, items: [item] }))
+    );
+
+    expect(orders.filter(order => order.status === 'confirmed')).toHaveLength(2);
+    expect(productById(bulb._id)).toMatchObject({ availableStock: 1, reservedStock: 4 });
+  });
+});
+
+describe('releasing reservations', () => {
+  const reservedOrder = async (qty = 3) => {
+    const bulb = await addProduct({ sku: 'BULB-9W', productName: '9W LED Bulb', availableStock: 10 });
+    const order = await inventoryService.createOrder({
+      botId: BOT_ID,
+      items: [{ productId: bulb._id, sku: bulb.sku, productName: bulb.productName, qty }]
+    });
+    return { bulb, order };
+  };
+
+  it('returns the stock when an order is cancelled', async () => {
+    const { bulb, order } = await reservedOrder();
+
+    const cancelled = await inventoryService.cancelOrder(order._id);
+
+    expect(cancelled.status).toBe('cancelled');
+    expect(cancelled.stockReserved).toBe(false);
+    expect(productById(bulb._id)).toMatchObject({ availableStock: 10, reservedStock: 0 });
+  });
+
+  it('returns the stock only once when an order is released twice', async () => {
+    const { bulb, order } = await reservedOrder();
+
+    await Promise.all([
+      inventoryService.releaseReservation(order._id, 'rejected'),
+      inventoryService.releaseReservation(order._id, 'rejected')
+    ]);
+
+    expect(productById(bulb._id)).toMatchObject({ availableStock: 10, reservedStock: 0 });
+  });
+
+  it('consumes the reservation when an order is fulfilled', async () => {
+    const { bulb, order } = await reservedOrder();
+
+    const fulfilled = await inventoryService.fulfilOrder(order);
+
+    expect(fulfilled.status).toBe('fulfilled');
+    expect(productById(bulb._id)).toMatchObject({ availableStock: 7, reservedStock: 0 });
+  });
+});
+
+describe('reservation expiry', () => {
+  const expire = (orderId) => {
+    const stored = global.InventoryOrder.docs.find(order => order._id === orderId);
+    stored.reservationExpiresAt = new Date(Date.now() - 1000);
+  };
+
+  it('releases reservations that have passed their expiry time', async () => {
+    const bulb = await addProduct({ sku: 'BULB-9W', productName: '9W LED Bulb', availableStock: 10 });
+    const item = { productId: bulb._id, sku: bulb.sku, productName: bulb.productName, qty: 2 };
+    const stale = await inventoryService.createOrder({ botId: BOT_ID, items: [item] });
+    const fresh = await inventoryService.createOrder({ botId: BOT_ID, items: [item] });
+    expire(stale._id);
+
+    const released = await inventoryService.releaseExpiredReservations();
+
+    expect(released).toBe(1);
+    expect(await global.InventoryOrder.findById(stale._id)).toMatchObject({ status: 'expired', stockReserved: false });
+    expect(await global.InventoryOrder.findById(fresh._id)).toMatchObject({ status: 'confirmed', stockReserved: true });
+    expect(productById(bulb._id)).toMatchObject({ availableStock: 8, reservedStock: 2 });
+  });
+
+  it('leaves an expired order alone once it has been fulfilled', async () => {
+    const bulb = await addProduct({ sku: 'BULB-9W', productName: '9W LED Bulb', availableStock: 10 });
+    const order = await inventoryService.createOrder({
+      botId: BOT_ID,
+      items: [{ productId: bulb._id, sku: bulb.sku, productName: bulb.productName, qty: 2 }]
+    });
+    await inventoryService.fulfilOrder(order);
+    expire(order._id);
+
+    expect(await inventoryService.releaseExpiredReservations()).toBe(0);
+    expect(productById(bulb._id)).toMatchObject({ availableStock: 8, reservedStock: 0 });
+  });
+});
+
+describe('product matching', () => {
+  const catalog = [
+    {
+      _id: 'p1', sku: 'BULB-9W-WW', productName: 'LED Bulb 9W Warm White', category: 'Lighting',
+      attributes: { wattage: '9W', colour: 'Warm White' }
+    },
+    {
+      _id: 'p2', sku: 'BULB-9W-CW', productName: 'LED Bulb 9W Cool White', category: 'Lighting',
+      attributes: { wattage: '9W', colour: 'Cool White' }
+    },
+    {
+      _id: 'p3', sku: 'TUBE-20W', productName: 'Tube Light 20W', category: 'Lighting',
+      description: 'Bright white batten for offices'
+    }
+  ];
+
+  afterEach(() => {
+    inventoryService.matchThreshold = 0.6;
+  });
+
+  it('ranks products by how much of the query they match, then by where it matched', () => {
+    const ranked = inventoryService.rankProducts(catalog, 'warm white bulb');
+
+    expect(ranked.map(match => match.product.sku)).toEqual(['BULB-9W-WW', 'BULB-9W-CW', 'TUBE-20W']);
+    expect(ranked[0].score).toBe(1);
+    expect(ranked[1].score).toBeLessThan(ranked[0].score);
+    expect(ranked[2].score).toBeLessThan(ranked[1].score);
+  });
+
+  it('uses a clear best match without asking', () => {
+    const match = inventoryService.resolveMatch(catalog, 'warm white bulb');
+
+    expect(match.ambiguous).toBe(false);
+    expect(match.product.sku).toBe('BULB-9W-WW');
+  });
+
+  it('asks which product was meant when the best matches are too close', () => {
+    const match = inventoryService.resolveMatch(catalog, 'bulb');
+
+    expect(match.ambiguous).toBe(true);
+    expect(match.product).toBeNull();
+    expect(match.candidates.map(candidate => candidate.product.sku)).toEqual(['BULB-9W-CW', 'BULB-9W-WW']);
+  });
+
+  it('asks when the only match scores below the threshold', () => {
+    const match = inventoryService.resolveMatch(catalog, 'tube socket');
+
+    expect(match.candidates).toHaveLength(1);
+    expect(match.candidates[0].score).toBeLessThan(inventoryService.matchThreshold);
+    expect(match.ambiguous).toBe(true);
+    expect(match.product).toBeNull();
+  });
+
+  it('follows a lower configured threshold', () => {
+    inventoryService.matchThreshold = 0.4;
+
+    expect(inventoryService.resolveMatch(catalog, 'tube socket').product.sku).toBe('TUBE-20W');
+  });
+
+  it('always takes an exact product name or SKU', () => {
+    expect(inventoryService.resolveMatch(catalog, 'bulb-9w-cw').product.sku).toBe('BULB-9W-CW');
+    expect(inventoryService.resolveMatch(catalog, 'Tube Light 20W').product.sku).toBe('TUBE-20W');
+  });
+
+  it('returns the top candidates with their scores from a stock check', async () => {
+    await Promise.all(catalog.map(({ _id, ...product }) => addProduct({ ...product, availableStock: 5 })));
+
+    const result = await inventoryService.checkStock([BOT_ID], 'white', {}, 2);
+
+    expect(result).toMatchObject({ found: false, ambiguous: true });
+    expect(result.candidates).toHaveLength(2);
+    result.candidates.forEach(candidate => expect(typeof candidate.score).toBe('number'));
+  });
+
+  it('does not place an order for an ambiguous product', async () => {
+    await Promise.all(catalog.map(({ _id, ...product }) => addProduct({ ...product, availableStock: 5 })));
+
+    const result = await inventoryService.placeOrder({ botId: BOT_ID, productName: 'bulb', requestedQty: 1 });
+
+    expect(result).toMatchObject({ order: null, ambiguous: true });
+    expect(result.candidates.map(candidate => candidate.sku).sort()).toEqual(['BULB-9W-CW', 'BULB-9W-WW']);
+    expect(global.InventoryOrder.docs).toHaveLength(0);
+  });
+});
@@ -0,0 +1,353 @@
+const inventoryService = require('./inventoryService');
+const cartService = require('./cartService');
+
+// Tool definitions in the OpenAI function-calling format (also accepted by Mistral)
+const TOOL_DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'check_stock',
+      description: 'Check whether a product is in stock and how many units are available. Use this when the user asks about availability of a specific product.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'Product name or description to look up, e.g. "9W LED bulb in warm white"'
+          },
+          category: {
+            type: 'string',
+            description: 'Optional category the product must be in'
+          },
+          attributes: {
+            type: 'object',
+            description: 'Optional attribute values the product must have, e.g. { "colour": "warm white" }',
+            additionalProperties: { type: 'string' }
+          }
+        },
+        required: ['query']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_price',
+      description: 'Get the price of a product for a quantity, including bulk pricing and tax. Use this when the user asks how much a product costs, e.g. "how much for 10?".',
+      parameters: {
+        type: 'object',
+        properties: {
+          sku: {
+            type: 'string',
+            description: 'SKU of the product, when known'
+          },
+          query: {
+            type: 'string',
+            description: 'Product name to look up when the SKU is not known'
+          },
+          qty: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Quantity to price (default 1)'
+          }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_products',
+      description: 'List products in the inventory, optionally filtered by name, SKU, category or attributes. Use this when the user wants to browse what is available.',
+      parameters: {
+        type: 'object',
+        properties: {
+          filter: {
+            type: 'string',
+            description: 'Optional name, SKU or description filter'
+          },
+          category: {
+            type: 'string',
+            description: 'Optional category, as returned by list_categories'
+          },
+          attributes: {
+            type: 'object',
+            description: 'Optional attribute values, e.g. { "wattage": "9W" }',
+            additionalProperties: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_categories',
+      description: 'List the product categories in the inventory.',
+      parameters: {
+        type: 'object',
+        properties: {}
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'place_order',
+      description: 'Place an order for a single product right away. Only call this after the user has clearly asked to order one specific product and quantity. When the user orders several products, use add_to_cart and checkout instead. Use the SKU returned by check_stock or list_products.',
+      parameters: {
+        type: 'object',
+        properties: {
+          sku: {
+            type: 'string',
+            description: 'SKU of the product to order'
+          },
+          qty: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Quantity to order'
+          }
+        },
+        required: ['sku', 'qty']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'add_to_cart',
+      description: 'Add one or more products to the customer\'s cart. Use this when the user wants to buy products, e.g. "2 bulbs and 5 switches". The cart is kept across the conversation until checkout.',
+      parameters: {
+        type: 'object',
+        properties: {
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                sku: {
+                  type: 'string',
+                  description: 'SKU of the product, when known'
+                },
+                query: {
+                  type: 'string',
+                  description: 'Product name to look up when the SKU is not known'
+                },
+                qty: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'Quantity to add'
+                }
+              },
+              required: ['qty']
+            }
+          }
+        },
+        required: ['items']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'update_cart',
+      description: 'Change the quantity of a product already in the cart. A quantity of 0 removes it.',
+      parameters: {
+        type: 'object',
+        properties: {
+          sku: {
+            type: 'string',
+            description: 'SKU of the cart line to change'
+          },
+          qty: {
+            type: 'integer',
+            minimum: 0,
+            description: 'New quantity'
+          }
+        },
+        required: ['sku', 'qty']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'view_cart',
+      description: 'Show the products currently in the customer\'s cart.',
+      parameters: {
+        type: 'object',
+        properties: {}
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'checkout',
+      description: 'Place one order for everything in the cart. Only call this after the user has confirmed they want to check out.',
+      parameters: {
+        type: 'object',
+        properties: {}
+      }
+    }
+  }
+];
+
+/**
+ * Create the inventory toolkit for one conversation turn
+ * @param {Object} context - Conversation context
+ * @param {Object} context.config - The bot configuration
+ * @param {Object} context.session - The session document
+ * @param {string} context.userQuery - The user message that triggered the turn
+ * @returns {Object} - { definitions, execute } for aiClientManager
+ */
+const createInventoryToolkit = ({ config, session, userQuery }) => {
+  const botId = config._id;
+
+  // Only this bot's products, plus catalogs it is explicitly configured to share
+  const catalogBotIds = inventoryService.getCatalogBotIds(config);
+
+  const handlers = {
+    check_stock: async ({ query, category, attributes }) =>
+      inventoryService.checkStock(catalogBotIds, query, { category, attributes }),
+
+    get_price: async ({ sku, query, qty } = {}) => {
+      if (!sku && !query) {
+        return { found: false, message: 'A SKU or product name is required' };
+      }
+      return inventoryService.quotePrice(catalogBotIds, { sku, productName: query }, parseInt(qty, 10) || 1);
+    },
+
+    list_products: async ({ filter, category, attributes } = {}) => {
+      const products = await inventoryService.listProducts(catalogBotIds, filter, { category, attributes });
+      return { count: products.length, products };
+    },
+
+    list_categories: async () => ({ categories: await inventoryService.listCategories(catalogBotIds) }),
+
+    place_order: async ({ sku, qty }) => {
+      const requestedQty = parseInt(qty, 10);
+      if (!sku || !requestedQty || requestedQty < 1) {
+        return { success: false, message: 'A SKU and a quantity of at least 1 are required' };
+      }
+
+      const { order, product, ambiguous, candidates } = await inventoryService.placeOrder({
+        botId,
+        catalogBotIds,
+        sku,
+        requestedQty,
+        userQuery,
+        userId: session.userId,
+        sessionId: session._id
+      });
+
+      if (ambiguous) {
+        return { success: false, message: 'Several products match; ask the user which one they mean', candidates };
+      }
+
+      return {
+        success: true,
+        orderId: order._id,
+        status: order.status,
+        productName: order.productName,
+        requestedQty: order.requestedQty,
+        total: order.total,
+        currency: order.currency,
+        availableStock: product ? product.availableStock : null,
+        message: order.status === 'confirmed'
+          ? 'Order confirmed and stock reserved'
+          : 'Order recorded as pending because the product was not found or stock is insufficient'
+      };
+    },
+
+    add_to_cart: async ({ items } = {}) => {
+      if (!Array.isArray(items) || items.length === 0) {
+        return { success: false, message: 'At least one item is required' };
+      }
+
+      const results = [];
+      for (const { sku, query, qty } of items) {
+        const requestedQty = parseInt(qty, 10);
+        if (!requestedQty || requestedQty < 1) {
+          results.push({ item: sku || query, added: false, message: 'Quantity must be at least 1' });
+          continue;
+        }
+
+        const result = await cartService.addItem({ config, session, sku, productName: query, qty: requestedQty });
+        results.push(result.added
+          ? { item: sku || query, added: true, product: result.product }
+          : { item: sku || query, added: false, message: result.message, candidates: result.candidates });
+      }
+
+      const cart = await cartService.getCart(session._id);
+      return { success: results.some(result => result.added), results, cart: cartService.formatCart(cart) };
+    },
+
+    update_cart: async ({ sku, qty }) => {
+      const cart = await cartService.updateItem(session._id, sku, parseInt(qty, 10) || 0);
+      if (!cart) {
+        return { success: false, message: `SKU ${sku} is not in the cart` };
+      }
+      return { success: true, cart: cartService.formatCart(cart) };
+    },
+
+    view_cart: async () => cartService.formatCart(await cartService.getCart(session._id)),
+
+    checkout: async () => {
+      const order = await cartService.checkout({ session, userQuery });
+      if (!order) {
+        return { success: false, message: 'The cart is empty' };
+      }
+
+      return {
+        success: true,
+        orderId: order._id,
+        status: order.status,
+        items: order.items.map(item => ({
+          sku: item.sku,
+          productName: item.productName,
+          qty: item.qty,
+          unit: item.unit,
+          unitPrice: item.unitPrice,
+          lineTotal: item.lineTotal
+        })),
+        subtotal: order.subtotal,
+        taxTotal: order.taxTotal,
+        total: order.total,
+        currency: order.currency,
+        message: order.status === 'confirmed'
+          ? 'Order confirmed and stock reserved'
+          : 'Order recorded as pending because some products are out of stock'
+      };
+    }
+  };
+
+  return {
+    definitions: TOOL_DEFINITIONS,
+
+    /**
+     * Run a tool call requested by the model
+     * @param {string} name - Tool name
+     * @param {Object} args - Parsed tool arguments
+     * @returns {Promise<Object>} - JSON-serialisable tool result
+     */
+    execute: async (name, args) => {
+      const handler = handlers[name];
+      if (!handler) {
+        return { error: `Unknown tool: ${name}` };
+      }
+
+      try {
+        return await handler(args || {});
+      } catch (error) {
+        console.error(`Error running inventory tool ${name}:`, error);
+        return { error: `Tool ${name} failed: ${error.message}` };
+      }
+    }
+  };
+};
+
+module.exports = {
+  TOOL_DEFINITIONS,
+  createInventoryToolkit
+};
@@ -0,0 +1,334 @@
+const fs = require('fs');
+const KnowledgeDocument = require('../models/KnowledgeDocument');
+const KnowledgeChunk = require('../models/KnowledgeChunk');
+
+// Common English words that carry no meaning for retrieval
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on',
+  'or', 'our', 'so', 'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was',
+  'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+class KnowledgeBase {
+  constructor() {
+    this.chunkSize = parseInt(process.env.KNOWLEDGE_CHUNK_SIZE, 10) || 1000;
+    this.chunkOverlap = parseInt(process.env.KNOWLEDGE_CHUNK_OVERLAP, 10) || 200;
+    this.defaultTopK = 4;
+
+    // BM25 parameters
+    this.k1 = 1.2;
+    this.b = 0.75;
+
+    // In-memory BM25 index per config, rebuilt lazily after documents change; the Map's
+    // insertion order doubles as recency, so the least recently searched config is evicted first
+    this.indexes = new Map();
+    this.maxIndexes = parseInt(process.env.KNOWLEDGE_INDEX_CACHE_SIZE, 10) || 50;
+  }
+
+  /**
+   * Split text into normalised search terms
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} - Lowercased terms without stop words
+   */
+  tokenize(text = '') {
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return words.filter(word => word.length > 1 && !STOP_WORDS.has(word));
+  }
+
+  /**
+   * Split a document into overlapping chunks, preferring paragraph and sentence boundaries
+   * @param {string} text - Full document text
+   * @returns {Array<string>} - Chunks of roughly `chunkSize` characters
+   */
+  chunkText(text = '') {
+    const normalized = text.replace(/\r\n/g, '\n').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+    if (!normalized) return [];
+
+    const chunks = [];
+    let start = 0;
+
+    while (start < normalized.length) {
+      let end = Math.min(start + this.chunkSize, normalized.length);
+
+      // Try not to cut through a paragraph or sentence
+      if (end < normalized.length) {
+        const window = normalized.slice(start, end);
+        const breakAt = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('. '), window.lastIndexOf('\n'));
+        if (breakAt > this.chunkSize / 2) {
+          end = start + breakAt + 1;
+        }
+      }
+
+      const chunk = normalized.slice(start, end).trim();
+      if (chunk) chunks.push(chunk);
+
+      if (end >= normalized.length) break;
+
+      // Overlap with the previous chunk, starting on a word boundary
+      const overlapStart = Math.max(end - this.chunkOverlap, start + 1);
+      const nextSpace = normalized.indexOf(' ', overlapStart);
+      start = nextSpace !== -1 && nextSpace < end ? nextSpace + 1 : overlapStart;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Chunk and index a document for a configuration
+   * @param {string} configId - The configuration ID
+   * @param {Object} file - Uploaded file info (filename, originalname, path, size)
+   * @param {string} text - Extracted document text
+   * @returns {Promise<Object>} - The created knowledge document
+   */
+  async addDocument(configId, file, text) {
+    const chunks = this.chunkText(text);
+
+    // The document is saved after its chunks, so a search never indexes it half-written
+    const document = new KnowledgeDocument({
+      configId,
+      fileName: file.filename,
+      originalName: file.originalname,
+      filePath: file.path,
+      fileSize: file.size,
+      characterCount: text.length,
+      chunkCount: chunks.length
+    });
+
+    if (chunks.length > 0) {
+      await KnowledgeChunk.insertMany(chunks.map((chunk, index) => ({
+        configId,
+        documentId: document._id,
+        index,
+        text: chunk,
+        terms: this.tokenize(chunk)
+      })));
+    }
+
+    try {
+      await document.save();
+    } catch (error) {
+      await KnowledgeChunk.deleteMany({ documentId: document._id });
+      throw error;
+    }
+
+    this.invalidate(configId);
+    return document;
+  }
+
+  /**
+   * List the documents in a configuration's knowledge base
+   * @param {string} configId - The configuration ID
+   * @returns {Promise<Array>} - Knowledge documents, newest first
+   */
+  async listDocuments(configId) {
+    return KnowledgeDocument.find({ configId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Remove a document, its chunks and its uploaded file
+   * @param {string} configId - The configuration ID
+   * @param {string} documentId - The knowledge document ID
+   * @returns {Promise<boolean>} - Whether the document existed
+   */
+  async removeDocument(configId, documentId) {
+    const document = await KnowledgeDocument.findOne({ _id: documentId, configId });
+    if (!document) return false;
+
+    await KnowledgeChunk.deleteMany({ documentId: document._id });
+    await document.deleteOne();
+    this._removeFile(document.filePath);
+
+    this.invalidate(configId);
+    return true;
+  }
+
+  /**
+   * Remove every document for a configuration
+   * @param {string} configId - The configuration ID
+   * @returns {Promise<void>}
+   */
+  async removeAllDocuments(configId) {
+    const documents = await KnowledgeDocument.find({ configId });
+
+    await KnowledgeChunk.deleteMany({ configId });
+    await KnowledgeDocument.deleteMany({ configId });
+    documents.forEach(document => this._removeFile(document.filePath));
+
+    this.invalidate(configId);
+  }
+
+  /**
+   * Drop a configuration's cached index so the next search rebuilds it
+   * @param {string} configId - The configuration ID
+   */
+  invalidate(configId) {
+    this.indexes.delete(String(configId));
+  }
+
+  /**
+   * Find the chunks most relevant to a query using BM25
+   * @param {string} configId - The configuration ID
+   * @param {string} query - The user's question
+   * @param {number} topK - Maximum number of chunks to return
+   * @returns {Promise<Array>} - Matching chunks with score, fileName and chunk index
+   */
+  async search(configId, query, topK = this.defaultTopK) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const index = await this._getIndex(configId);
+    if (index.chunks.length === 0) return [];
+
+    const results = [];
+
+    for (const chunk of index.chunks) {
+      let score = 0;
+
+      for (const term of queryTerms) {
+        const tf = chunk.termFrequencies.get(term);
+        if (!tf) continue;
+
+        const df = index.documentFrequencies.get(term) || 0;
+        const idf = Math.log(1 + (index.chunks.length - df + 0.5) / (df + 0.5));
+        const norm = tf + this.k1 * (1 - this.b + this.b * (chunk.length / index.averageLength));
+        score += idf * ((tf * (this.k1 + 1)) / norm);
+      }
+
+      if (score > 0) {
+        results.push({ ...chunk.meta, score });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, topK);
+  }
+
+  /**
+   * Build a numbered context block for the AI with the top matching chunks
+   * @param {Object} config - Configuration document
+   * @param {string} query - The user's question
+   * @returns {Promise<Object>} - { context, sources } where context is '' when nothing matched
+   */
+  async buildContext(config, query) {
+    try {
+      const topK = config.knowledge?.topK || this.defaultTopK;
+      const matches = await this.search(config._id, query, topK);
+
+      if (matches.length === 0) {
+        return { context: '', sources: [] };
+      }
+
+      const sources = matches.map((match, i) => ({
+        citation: i + 1,
+        documentId: match.documentId,
+        fileName: match.fileName,
+        chunkIndex: match.chunkIndex
+      }));
+
+      const excerpts = matches.map((match, i) =>
+        `[${i + 1}] (Source: ${match.fileName}, chunk ${match.chunkIndex + 1})\n${match.text}`
+      ).join('\n\n');
+
+      const context = `\nRelevant Knowledge Base Excerpts:\n${excerpts}\n\nInstructions for using the knowledge base:\n1. Answer from these excerpts when they are relevant to the question\n2. Cite every excerpt you use with its number in square brackets, e.g. [1]\n3. If the excerpts do not contain the answer, say so instead of guessing`;
+
+      return { context, sources };
+    } catch (error) {
+      console.error('Error searching knowledge base:', error);
+      return { context: '', sources: [] };
+    }
+  }
+
+  /**
+   * Load (or reuse) the BM25 index for a configuration. A cached index is reused only while
+   * the configuration's documents are unchanged, which also catches changes made by other
+   * server processes or directly in the database.
+   * @private
+   * @param {string} configId - The configuration ID
+   * @returns {Promise<Object>} - Index with chunks, document frequencies and average length
+   */
+  async _getIndex(configId) {
+    const key = String(configId);
+    const version = await this._getVersion(configId);
+
+    const cached = this.indexes.get(key);
+    if (cached && cached.version === version) {
+      // Mark as most recently used
+      this.indexes.delete(key);
+      this.indexes.set(key, cached);
+      return cached;
+    }
+
+    const [chunks, documents] = await Promise.all([
+      KnowledgeChunk.find({ configId }).select('documentId index text terms').lean(),
+      KnowledgeDocument.find({ configId }).select('originalName fileName').lean()
+    ]);
+
+    const documentNames = new Map(documents.map(doc => [String(doc._id), doc.originalName || doc.fileName]));
+    const documentFrequencies = new Map();
+    let totalLength = 0;
+
+    const indexedChunks = chunks.map(chunk => {
+      const termFrequencies = new Map();
+      chunk.terms.forEach(term => termFrequencies.set(term, (termFrequencies.get(term) || 0) + 1));
+      termFrequencies.forEach((count, term) => documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1));
+      totalLength += chunk.terms.length;
+
+      return {
+        length: chunk.terms.length,
+        termFrequencies,
+        meta: {
+          documentId: chunk.documentId,
+          fileName: documentNames.get(String(chunk.documentId)) || 'document',
+          chunkIndex: chunk.index,
+          text: chunk.text
+        }
+      };
+    });
+
+    const index = {
+      version,
+      chunks: indexedChunks,
+      documentFrequencies,
+      averageLength: indexedChunks.length > 0 ? totalLength / indexedChunks.length : 0
+    };
+
+    this.indexes.delete(key);
+    this.indexes.set(key, index);
+    while (this.indexes.size > this.maxIndexes) {
+      this.indexes.delete(this.indexes.keys().next().value);
+    }
+    return index;
+  }
+
+  /**
+   * Stamp of a configuration's documents that changes when one is added, updated or removed
+   * @private
+   * @param {string} configId - The configuration ID
+   * @returns {Promise<string>} - Document count and latest update time
+   */
+  async _getVersion(configId) {
+    const [count, latest] = await Promise.all([
+      KnowledgeDocument.countDocuments({ configId }),
+      KnowledgeDocument.findOne({ configId }).sort({ updatedAt: -1 }).select('updatedAt').lean()
+    ]);
+    return `${count}:${latest ? new Date(latest.updatedAt).getTime() : 0}`;
+  }
+
+  /**
+   * Delete an uploaded file if it still exists
+   * @private
+   * @param {string} filePath - Path of the uploaded file
+   */
+  _removeFile(filePath) {
+    try {
+      if (filePath && fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    } catch (error) {
+      console.error(`Error removing knowledge base file ${filePath}:`, error);
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new KnowledgeBase();
@@ -0,0 +1,447 @@
+/**
+ * Reply templates for the inventory intent flow in every supported locale,
+ * plus the language detection used to pick one. Templates use {placeholder}
+ * values and can be overridden per bot in config.inventory.messages.
+ */
+
+// Built-in locales. `intl` is the locale used for number and currency formatting.
+const LOCALES = {
+  en: {
+    name: 'English',
+    intl: 'en-IN',
+    ordinals: [['first', '1st'], ['second', '2nd'], ['third', '3rd'], ['fourth', '4th'], ['fifth', '5th']],
+    messages: {
+      stockEmpty: 'I\'m sorry, there are no products available in the inventory at this time.',
+      stockNotFound: 'I\'m sorry, no product named "{product}" was found. Please ask about another product.',
+      stockAvailable: 'Yes, {product} is available. There are currently {qty} {unit} in stock. How many would you like?',
+      outOfStock: 'I\'m sorry, {product} is currently out of stock.',
+      productNotFound: 'I\'m sorry, no product named "{product}" was found.',
+      priceUnavailable: 'The price of {product} is not available yet. Our team will share it with you.',
+      priceQuote: '{qty} {unit} of {product} cost {total} ({unitPrice} per {unit}).',
+      priceQuoteWithTax: '{qty} {unit} of {product} cost {total} ({unitPrice} per {unit}, including {taxRate}% tax).',
+      cartAdded: 'Added {qty} {unit} of {product} to your cart.',
+      cartAddedLowStock: 'Added {qty} {unit} of {product} to your cart, but only {available} {unit} are available right now.',
+      cartAnythingElse: 'Would you like anything else, or shall I place the order?',
+      cartEmpty: 'Your cart is empty. Which products would you like to order?',
+      orderSummaryTotal: '{items} (total {total})',
+      orderConfirmed: 'Your order has been recorded. Your order for {summary} has been confirmed. Our team will contact you soon.',
+      orderPending: 'Your order for {summary} has been recorded, but some products are not available in the requested quantity. Our team will review it and contact you soon.',
+      orderNotFound: 'I could not find an order from this conversation.',
+      orderCancelled: 'Your order {reference} for {summary} has been cancelled.',
+      orderNotCancellable: 'Your order {reference} is {status} and can no longer be cancelled. Our team can help you with it.',
+      orderStatus: 'Your order {reference} for {summary} is {status}.',
+      statusPending: 'awaiting confirmation',
+      statusConfirmed: 'confirmed',
+      statusFulfilled: 'fulfilled',
+      statusRejected: 'rejected',
+      statusCancelled: 'cancelled',
+      statusExpired: 'expired',
+      humanHandoff: 'I will connect you with a member of our team. Please wait, someone will reply here shortly.',
+      fallback: 'I am here to help you. You can ask about product availability or place an order.',
+      clarifyQuestion: 'Several products match "{product}". Did you mean {options}?',
+      listOr: 'or'
+    }
+  },
+  hi: {
+    name: 'Hindi',
+    intl: 'hi-IN',
+    ordinals: [['पहला', 'पहले', 'पहली'], ['दूसरा', 'दूसरे', 'दूसरी'], ['तीसरा', 'तीसरे', 'तीसरी'], ['चौथा', 'चौथे', 'चौथी'], ['पांचवां', 'पांचवें', 'पांचवीं']],
+    messages: {
+      stockEmpty: 'मुझे खेद है, इस समय इन्वेंटरी में कोई प्रोडक्ट उपलब्ध नहीं है।',
+      stockNotFound: 'मुझे खेद है, "{product}" नाम का कोई प्रोडक्ट नहीं मिला। कृपया दूसरे प्रोडक्ट के बारे में पूछें।',
+      stockAvailable: 'हां, {product} उपलब्ध है। वर्तमान में {qty} {unit} स्टॉक में हैं। कितने चाहिए?',
+      outOfStock: 'मुझे खेद है, {product} वर्तमान में स्टॉक में नहीं है।',
+      productNotFound: 'मुझे खेद है, "{product}" नाम का कोई प्रोडक्ट नहीं मिला।',
+      priceUnavailable: '{product} की कीमत अभी उपलब्ध नहीं है। हमारी टीम आपको कीमत बताएगी।',
+      priceQuote: '{qty} {unit} {product} की कीमत {total} है ({unitPrice} प्रति {unit})।',
+      priceQuoteWithTax: '{qty} {unit} {product} की कीमत {total} है ({unitPrice} प्रति {unit}, {taxRate}% टैक्स सहित)।',
+      cartAdded: '{qty} {unit} {product} कार्ट में जोड़ दिए गए।',
+      cartAddedLowStock: '{qty} {unit} {product} कार्ट में जोड़ दिए गए, लेकिन अभी केवल {available} {unit} उपलब्ध हैं।',
+      cartAnythingElse: 'और कुछ चाहिए, या ऑर्डर कन्फर्म करूं?',
+      cartEmpty: 'आपकी कार्ट खाली है। आप किसी प्रोडक्ट का ऑर्डर देना चाहेंगे?',
+      orderSummaryTotal: '{items} (कुल {total})',
+      orderConfirmed: 'आपका ऑर्डर रिकॉर्ड कर लिया गया है। {summary} के लिए आपका ऑर्डर कन्फर्म हो गया है। हमारी टीम जल्द ही आपसे संपर्क करेगी।',
+      orderPending: 'आपका ऑर्डर ({summary}) रिकॉर्ड कर लिया गया है, लेकिन कुछ प्रोडक्ट पर्याप्त स्टॉक में नहीं हैं। हमारी टीम इसकी समीक्षा करके आपसे संपर्क करेगी।',
+      orderNotFound: 'मुझे इस बातचीत से कोई ऑर्डर नहीं मिला।',
+      orderCancelled: 'आपका ऑर्डर {reference} ({summary}) रद्द कर दिया गया है।',
+      orderNotCancellable: 'आपका ऑर्डर {reference} {status} है और अब रद्द नहीं किया जा सकता। हमारी टीम इसमें आपकी मदद कर सकती है।',
+      orderStatus: 'आपका ऑर्डर {reference} ({summary}) {status} है।',
+      statusPending: 'पुष्टि की प्रतीक्षा में',
+      statusConfirmed: 'कन्फर्म',
+      statusFulfilled: 'पूरा हो चुका',
+      statusRejected: 'अस्वीकृत',
+      statusCancelled: 'रद्द',
+      statusExpired: 'समाप्त',
+      humanHandoff: 'मैं आपको हमारी टीम के किसी सदस्य से जोड़ रहा हूं। कृपया प्रतीक्षा करें, कोई जल्द ही यहां जवाब देगा।',
+      fallback: 'मैं आपकी सहायता करने के लिए हूं। आप किसी प्रोडक्ट की उपलब्धता के बारे में पूछ सकते हैं या ऑर्डर प्लेस कर सकते हैं।',
+      clarifyQuestion: '"{product}" से कई प्रोडक्ट मिलते हैं। क्या आपका मतलब {options} है?',
+      listOr: 'या'
+    }
+  },
+  mr: {
+    name: 'Marathi',
+    intl: 'mr-IN',
+    ordinals: [['पहिला', 'पहिले', 'पहिली'], ['दुसरा', 'दुसरे', 'दुसरी'], ['तिसरा', 'तिसरे', 'तिसरी'], ['चौथा', 'चौथे', 'चौथी'], ['पाचवा', 'पाचवे', 'पाचवी']],
+    messages: {
+      stockEmpty: 'क्षमस्व, सध्या इन्व्हेंटरीमध्ये कोणतेही प्रॉडक्ट उपलब्ध नाही.',
+      stockNotFound: 'क्षमस्व, "{product}" नावाचे कोणतेही प्रॉडक्ट सापडले नाही. कृपया दुसऱ्या प्रॉडक्टबद्दल विचारा.',
+      stockAvailable: 'हो, {product} उपलब्ध आहे. सध्या {qty} {unit} स्टॉकमध्ये आहेत. तुम्हाला किती हवे आहेत?',
+      outOfStock: 'क्षमस्व, {product} सध्या स्टॉकमध्ये नाही.',
+      productNotFound: 'क्षमस्व, "{product}" नावाचे कोणतेही प्रॉडक्ट सापडले नाही.',
+      priceUnavailable: '{product} ची किंमत अद्याप उपलब्ध नाही. आमची टीम तुम्हाला किंमत कळवेल.',
+      priceQuote: '{qty} {unit} {product} ची किंमत {total} आहे ({unitPrice} प्रति {unit}).',
+      priceQuoteWithTax: '{qty} {unit} {product} ची किंमत {total} आहे ({unitPrice} प्रति {unit}, {taxRate}% करासह).',
+      cartAdded: '{qty} {unit} {product} कार्टमध्ये जोडले.',
+      cartAddedLowStock: '{qty} {unit} {product} कार्टमध्ये जोडले, पण सध्या फक्त {available} {unit} उपलब्ध आहेत.',
+      cartAnythingElse: 'आणखी काही हवे आहे का, की ऑर्डर कन्फर्म करू?',
+      cartEmpty: 'तुमची कार्ट रिकामी आहे. तुम्हाला कोणते प्रॉडक्ट ऑर्डर करायचे आहेत?',
+      orderSummaryTotal: '{items} (एकूण {total})',
+      orderConfirmed: 'तुमची ऑर्डर नोंदवली गेली आहे. {summary} साठी तुमची ऑर्डर कन्फर्म झाली आहे. आमची टीम लवकरच तुमच्याशी संपर्क साधेल.',
+      orderPending: 'तुमची ऑर्डर ({summary}) नोंदवली गेली आहे, पण काही प्रॉडक्ट पुरेशा स्टॉकमध्ये नाहीत. आमची टीम तपासून लवकरच तुमच्याशी संपर्क साधेल.',
+      orderNotFound: 'या संभाषणातून कोणतीही ऑर्डर सापडली नाही.',
+      orderCancelled: 'तुमची ऑर्डर {reference} ({summary}) रद्द केली आहे.',
+      orderNotCancellable: 'तुमची ऑर्डर {reference} {status} आहे आणि आता रद्द करता येणार नाही. आमची टीम तुम्हाला मदत करू शकते.',
+      orderStatus: 'तुमची ऑर्डर {reference} ({summary}) {status} आहे.',
+      statusPending: 'पुष्टीच्या प्रतीक्षेत',
+      statusConfirmed: 'कन्फर्म',
+      statusFulfilled: 'पूर्ण झालेली',
+      statusRejected: 'नाकारलेली',
+      statusCancelled: 'रद्द',
+      statusExpired: 'कालबाह्य',
+      humanHandoff: 'मी तुम्हाला आमच्या टीममधील एका सदस्याशी जोडत आहे. कृपया थांबा, लवकरच कोणीतरी इथे उत्तर देईल.',
+      fallback: 'मी तुमच्या मदतीसाठी आहे. तुम्ही प्रॉडक्टच्या उपलब्धतेबद्दल विचारू शकता किंवा ऑर्डर देऊ शकता.',
+      clarifyQuestion: '"{product}" शी अनेक प्रॉडक्ट जुळतात. तुम्हाला {options} म्हणायचे आहे का?',
+      listOr: 'किंवा'
+    }
+  },
+  ta: {
+    name: 'Tamil',
+    intl: 'ta-IN',
+    ordinals: [['முதல்', 'முதலாவது'], ['இரண்டாவது', 'இரண்டாம்'], ['மூன்றாவது', 'மூன்றாம்'], ['நான்காவது', 'நான்காம்'], ['ஐந்தாவது', 'ஐந்தாம்']],
+    messages: {
+      stockEmpty: 'மன்னிக்கவும், தற்போது சரக்கில் எந்தப் பொருளும் இல்லை.',
+      stockNotFound: 'மன்னிக்கவும், "{product}" என்ற பெயரில் எந்தப் பொருளும் கிடைக்கவில்லை. வேறு பொருளைப் பற்றிக் கேளுங்கள்.',
+      stockAvailable: 'ஆம், {product} கிடைக்கிறது. தற்போது {qty} {unit} கையிருப்பில் உள்ளன. உங்களுக்கு எத்தனை வேண்டும்?',
+      outOfStock: 'மன்னிக்கவும், {product} தற்போது கையிருப்பில் இல்லை.',
+      productNotFound: 'மன்னிக்கவும், "{product}" என்ற பெயரில் எந்தப் பொருளும் கிடைக்கவில்லை.',
+      priceUnavailable: '{product} இன் விலை இன்னும் கிடைக்கவில்லை. எங்கள் குழு உங்களுக்குத் தெரிவிக்கும்.',
+      priceQuote: '{qty} {unit} {product} விலை {total} ({unit} ஒன்றுக்கு {unitPrice}).',
+      priceQuoteWithTax: '{qty} {unit} {product} விலை {total} ({unit} ஒன்றுக்கு {unitPrice}, {taxRate}% வரி உட்பட).',
+      cartAdded: '{qty} {unit} {product} உங்கள் கார்ட்டில் சேர்க்கப்பட்டது.',
+      cartAddedLowStock: '{qty} {unit} {product} உங்கள் கார்ட்டில் சேர்க்கப்பட்டது, ஆனால் தற்போது {available} {unit} மட்டுமே கிடைக்கின்றன.',
+      cartAnythingElse: 'வேறு ஏதாவது வேண்டுமா, அல்லது ஆர்டரை உறுதிப்படுத்தட்டுமா?',
+      cartEmpty: 'உங்கள் கார்ட் காலியாக உள்ளது. எந்தப் பொருட்களை ஆர்டர் செய்ய விரும்புகிறீர்கள்?',
+      orderSummaryTotal: '{items} (மொத்தம் {total})',
+      orderConfirmed: 'உங்கள் ஆர்டர் பதிவு செய்யப்பட்டது. {summary} க்கான உங்கள் ஆர்டர் உறுதிப்படுத்தப்பட்டது. எங்கள் குழு விரைவில் உங்களைத் தொடர்பு கொள்ளும்.',
+      orderPending: 'உங்கள் ஆர்டர் ({summary}) பதிவு செய்யப்பட்டது, ஆனால் சில பொருட்கள் கேட்ட அளவில் கையிருப்பில் இல்லை. எங்கள் குழு சரிபார்த்து விரைவில் உங்களைத் தொடர்பு கொள்ளும்.',
+      orderNotFound: 'இந்த உரையாடலில் எந்த ஆர்டரும் கிடைக்கவில்லை.',
+      orderCancelled: 'உங்கள் ஆர்டர் {reference} ({summary}) ரத்து செய்யப்பட்டது.',
+      orderNotCancellable: 'உங்கள் ஆர்டர் {reference} {status} நிலையில் உள்ளது, இனி ரத்து செய்ய முடியாது. எங்கள் குழு உங்களுக்கு உதவும்.',
+      orderStatus: 'உங்கள் ஆர்டர் {reference} ({summary}) {status} நிலையில் உள்ளது.',
+      statusPending: 'உறுதிப்படுத்தலுக்குக் காத்திருக்கும்',
+      statusConfirmed: 'உறுதிப்படுத்தப்பட்ட',
+      statusFulfilled: 'நிறைவேற்றப்பட்ட',
+      statusRejected: 'நிராகரிக்கப்பட்ட',
+      statusCancelled: 'ரத்து செய்யப்பட்ட',
+      statusExpired: 'காலாவதியான',
+      humanHandoff: 'உங்களை எங்கள் குழு உறுப்பினருடன் இணைக்கிறேன். சற்று காத்திருங்கள், விரைவில் ஒருவர் இங்கே பதிலளிப்பார்.',
+      fallback: 'உங்களுக்கு உதவ நான் இங்கே இருக்கிறேன். பொருட்களின் கையிருப்பு பற்றிக் கேட்கலாம் அல்லது ஆர்டர் செய்யலாம்.',
+      clarifyQuestion: '"{product}" உடன் பல பொருட்கள் பொருந்துகின்றன. நீங்கள் குறிப்பிடுவது {options}?',
+      listOr: 'அல்லது'
+    }
+  },
+  gu: {
+    name: 'Gujarati',
+    intl: 'gu-IN',
+    ordinals: [['પહેલું', 'પહેલો', 'પહેલી'], ['બીજું', 'બીજો', 'બીજી'], ['ત્રીજું', 'ત્રીજો', 'ત્રીજી'], ['ચોથું', 'ચોથો', 'ચોથી'], ['પાંચમું', 'પાંચમો', 'પાંચમી']],
+    messages: {
+      stockEmpty: 'માફ કરશો, આ સમયે ઇન્વેન્ટરીમાં કોઈ પ્રોડક્ટ ઉપલબ્ધ નથી.',
+      stockNotFound: 'માફ કરશો, "{product}" નામની કોઈ પ્રોડક્ટ મળી નથી. કૃપા કરીને બીજી પ્રોડક્ટ વિશે પૂછો.',
+      stockAvailable: 'હા, {product} ઉપલબ્ધ છે. હાલમાં {qty} {unit} સ્ટોકમાં છે. તમારે કેટલા જોઈએ છે?',
+      outOfStock: 'માફ કરશો, {product} હાલમાં સ્ટોકમાં નથી.',
+      productNotFound: 'માફ કરશો, "{product}" નામની કોઈ પ્રોડક્ટ મળી નથી.',
+      priceUnavailable: '{product} ની કિંમત હજી ઉપલબ્ધ નથી. અમારી ટીમ તમને કિંમત જણાવશે.',
+      priceQuote: '{qty} {unit} {product} ની કિંમત {total} છે ({unitPrice} પ્રતિ {unit}).',
+      priceQuoteWithTax: '{qty} {unit} {product} ની કિંમત {total} છે ({unitPrice} પ્રતિ {unit}, {taxRate}% ટેક્સ સહિત).',
+      cartAdded: '{qty} {unit} {product} કાર્ટમાં ઉમેર્યા.',
+      cartAddedLowStock: '{qty} {unit} {product} કાર્ટમાં ઉમેર્યા, પરંતુ હાલમાં ફક્ત {available} {unit} ઉપલબ્ધ છે.',
+      cartAnythingElse: 'બીજું કંઈ જોઈએ છે, કે ઓર્ડર કન્ફર્મ કરું?',
+      cartEmpty: 'તમારી કાર્ટ ખાલી છે. તમે કઈ પ્રોડક્ટ ઓર્ડર કરવા માંગો છો?',
+      orderSummaryTotal: '{items} (કુલ {total})',
+      orderConfirmed: 'તમારો ઓર્ડર નોંધાઈ ગયો છે. {summary} માટેનો તમારો ઓર્ડર કન્ફર્મ થઈ ગયો છે. અમારી ટીમ ટૂંક સમયમાં તમારો સંપર્ક કરશે.',
+      orderPending: 'તમારો ઓર્ડર ({summary}) નોંધાઈ ગયો છે, પરંતુ કેટલીક પ્રોડક્ટ પૂરતા સ્ટોકમાં નથી. અમારી ટીમ તેની સમીક્ષા કરીને ટૂંક સમયમાં તમારો સંપર્ક કરશે.',
+      orderNotFound: 'આ વાતચીતમાંથી કોઈ ઓર્ડર મળ્યો નથી.',
+      orderCancelled: 'તમારો ઓર્ડર {reference} ({summary}) રદ કરવામાં આવ્યો છે.',
+      orderNotCancellable: 'તમારો ઓર્ડર {reference} {status} છે અને હવે રદ કરી શકાતો નથી. અમારી ટીમ તમને મદદ કરી શકે છે.',
+      orderStatus: 'તમારો ઓર્ડર {reference} ({summary}) {status} છે.',
+      statusPending: 'પુષ્ટિની રાહ જોઈ રહ્યો',
+      statusConfirmed: 'કન્ફર્મ',
+      statusFulfilled: 'પૂર્ણ',
+      statusRejected: 'નામંજૂર',
+      statusCancelled: 'રદ',
+      statusExpired: 'સમાપ્ત',
+      humanHandoff: 'હું તમને અમારી ટીમના સભ્ય સાથે જોડું છું. કૃપા કરીને રાહ જુઓ, ટૂંક સમયમાં કોઈ અહીં જવાબ આપશે.',
+      fallback: 'હું તમારી મદદ માટે અહીં છું. તમે પ્રોડક્ટની ઉપલબ્ધતા વિશે પૂછી શકો છો અથવા ઓર્ડર આપી શકો છો.',
+      clarifyQuestion: '"{product}" સાથે ઘણી પ્રોડક્ટ મેળ ખાય છે. શું તમારો મતલબ {options} છે?',
+      listOr: 'અથવા'
+    }
+  },
+  // Hinglish: Hindi written in Latin script
+  'hi-Latn': {
+    name: 'Hinglish',
+    intl: 'en-IN',
+    ordinals: [['pehla', 'pehle', 'pehli', 'pahla'], ['dusra', 'doosra', 'dusre', 'dusri'], ['teesra', 'tisra', 'teesre', 'teesri'], ['chautha', 'chauthe', 'chauthi'], ['panchva', 'paanchva', 'panchve']],
+    messages: {
+      stockEmpty: 'Sorry, abhi inventory mein koi product available nahi hai.',
+      stockNotFound: 'Sorry, "{product}" naam ka koi product nahi mila. Kripya kisi aur product ke baare mein poochhiye.',
+      stockAvailable: 'Haan, {product} available hai. Abhi {qty} {unit} stock mein hain. Kitne chahiye?',
+      outOfStock: 'Sorry, {product} abhi stock mein nahi hai.',
+      productNotFound: 'Sorry, "{product}" naam ka koi product nahi mila.',
+      priceUnavailable: '{product} ka price abhi available nahi hai. Hamari team aapko price batayegi.',
+      priceQuote: '{qty} {unit} {product} ka price {total} hai ({unitPrice} per {unit}).',
+      priceQuoteWithTax: '{qty} {unit} {product} ka price {total} hai ({unitPrice} per {unit}, {taxRate}% tax ke saath).',
+      cartAdded: '{qty} {unit} {product} cart mein add kar diye.',
+      cartAddedLowStock: '{qty} {unit} {product} cart mein add kar diye, lekin abhi sirf {available} {unit} available hain.',
+      cartAnythingElse: 'Aur kuch chahiye, ya order confirm karoon?',
+      cartEmpty: 'Aapki cart khaali hai. Aap kaunse products order karna chahenge?',
+      orderSummaryTotal: '{items} (total {total})',
+      orderConfirmed: 'Aapka order record ho gaya hai. {summary} ke liye aapka order confirm ho gaya hai. Hamari team jaldi aapse contact karegi.',
+      orderPending: 'Aapka order ({summary}) record ho gaya hai, lekin kuch products poore stock mein nahi hain. Hamari team review karke jaldi aapse contact karegi.',
+      orderNotFound: 'Is conversation se koi order nahi mila.',
+      orderCancelled: 'Aapka order {reference} ({summary}) cancel kar diya gaya hai.',
+      orderNotCancellable: 'Aapka order {reference} {status} hai aur ab cancel nahi ho sakta. Hamari team aapki madad kar sakti hai.',
+      orderStatus: 'Aapka order {reference} ({summary}) {status} hai.',
+      statusPending: 'confirmation ke intezaar mein',
+      statusConfirmed: 'confirmed',
+      statusFulfilled: 'fulfilled',
+      statusRejected: 'rejected',
+      statusCancelled: 'cancelled',
+      statusExpired: 'expired',
+      humanHandoff: 'Main aapko hamari team ke kisi member se connect kar raha hoon. Kripya wait kijiye, koi jaldi yahan reply karega.',
+      fallback: 'Main aapki madad ke liye yahan hoon. Aap kisi product ki availability ke baare mein pooch sakte hain ya order place kar sakte hain.',
+      clarifyQuestion: '"{product}" se kai products match hote hain. Kya aapka matlab {options} hai?',
+      listOr: 'ya'
+    }
+  }
+};
+
+// Names admins may use for tone.language instead of a locale code
+const LOCALE_ALIASES = {
+  english: 'en',
+  hindi: 'hi',
+  marathi: 'mr',
+  tamil: 'ta',
+  gujarati: 'gu',
+  hinglish: 'hi-Latn'
+};
+
+// Common words that tell Marathi apart from Hindi (both use Devanagari)
+const MARATHI_MARKERS = new Set([
+  'आहे', 'आहेत', 'मला', 'हवे', 'हवा', 'हवी', 'पाहिजे', 'किती', 'नाही', 'आणि', 'तुमच्याकडे', 'आम्हाला', 'करा', 'द्या', 'का'
+]);
+const HINDI_MARKERS = new Set([
+  'है', 'हैं', 'मुझे', 'चाहिए', 'क्या', 'कितने', 'कितना', 'नहीं', 'और', 'आपके', 'पास', 'करें', 'दीजिए', 'दो'
+]);
+
+// Romanised Hindi words that rarely appear in English text
+const HINGLISH_MARKERS = new Set([
+  'hai', 'hain', 'chahiye', 'kya', 'mujhe', 'muje', 'kitne', 'kitna', 'kitni', 'nahi', 'nahin', 'aur', 'aap', 'aapke',
+  'mera', 'meri', 'mere', 'karo', 'karna', 'kijiye', 'dena', 'dijiye', 'wala', 'wali', 'bhai', 'haan', 'ji', 'kaise', 'kaisa',
+  'kripya', 'abhi', 'ka', 'ki', 'ke', 'mein', 'hoga', 'honge', 'milega', 'milegi'
+]);
+const ENGLISH_MARKERS = new Set([
+  'the', 'is', 'are', 'do', 'does', 'you', 'have', 'how', 'much', 'many', 'want', 'need', 'please', 'what', 'price',
+  'order', 'stock', 'available', 'i', 'me', 'my', 'can', 'would', 'like', 'cost', 'and', 'of', 'for', 'add', 'place'
+]);
+
+class MessageCatalog {
+  constructor() {
+    this.defaultLocale = 'en';
+  }
+
+  /**
+   * Codes of the built-in locales
+   * @returns {Array<string>}
+   */
+  get locales() {
+    return Object.keys(LOCALES);
+  }
+
+  /**
+   * Template keys every locale provides
+   * @returns {Array<string>}
+   */
+  get keys() {
+    return Object.keys(LOCALES[this.defaultLocale].messages);
+  }
+
+  /**
+   * Turn a locale code or language name into a supported locale code
+   * @param {string} value - e.g. 'hi', 'hi-IN', 'Hindi', 'hinglish'
+   * @param {Array<string>} extraLocales - Locales a bot has added through overrides
+   * @returns {string|null} - The locale code, or null when it is not supported
+   */
+  normalizeLocale(value, extraLocales = []) {
+    if (!value || typeof value !== 'string') return null;
+
+    const wanted = value.trim().toLowerCase().replace('_', '-');
+    if (LOCALE_ALIASES[wanted]) return LOCALE_ALIASES[wanted];
+
+    const known = [...this.locales, ...extraLocales];
+    const exact = known.find(locale => locale.toLowerCase() === wanted);
+    if (exact) return exact;
+
+    // 'hi-IN' -> 'hi'
+    const base = wanted.split('-')[0];
+    return known.find(locale => locale.toLowerCase() === base) || null;
+  }
+
+  /**
+   * Guess the language of a message from its script and common words
+   * @param {string} text - The user's message
+   * @returns {string|null} - A locale code, or null when the message gives no clear signal (e.g. "2")
+   */
+  detectLanguage(text = '') {
+    if (/[\u0B80-\u0BFF]/.test(text)) return 'ta';
+    if (/[\u0A80-\u0AFF]/.test(text)) return 'gu';
+
+    const words = text.toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+
+    if (/[\u0900-\u097F]/.test(text)) {
+      const marathi = words.filter(word => MARATHI_MARKERS.has(word)).length;
+      const hindi = words.filter(word => HINDI_MARKERS.has(word)).length;
+      return marathi > hindi ? 'mr' : 'hi';
+    }
+
+    if (words.length === 0) return null;
+
+    const hinglish = words.filter(word => HINGLISH_MARKERS.has(word)).length;
+    const english = words.filter(word => ENGLISH_MARKERS.has(word)).length;
+
+    if (hinglish > english) return 'hi-Latn';
+    if (english > 0) return 'en';
+    return null;
+  }
+
+  /**
+   * Pick the locale for a bot's reply: the message's language, or the bot's default
+   * @param {Object} config - The bot configuration
+   * @param {string} message - The user's message
+   * @returns {string} - Locale code
+   */
+  resolveLocale(config, message) {
+    return this.detectLanguage(message) || this.getDefaultLocale(config);
+  }
+
+  /**
+   * The locale set by the bot's tone.language, falling back to English
+   * @param {Object} config - The bot configuration
+   * @returns {string} - Locale code
+   */
+  getDefaultLocale(config) {
+    const language = config && config.tone ? config.tone.language : null;
+    return this.normalizeLocale(language, Object.keys(this.getAllOverrides(config))) || this.defaultLocale;
+  }
+
+  /**
+   * A bot's template overrides for every locale
+   * @param {Object} config - The bot configuration
+   * @returns {Object} - { locale: { key: template } }
+   */
+  getAllOverrides(config) {
+    const messages = config && config.inventory ? config.inventory.messages : null;
+    if (!messages) return {};
+
+    // Maps on documents, plain objects on lean results
+    const toObject = value => (value instanceof Map ? Object.fromEntries(value) : { ...value });
+    return Object.fromEntries(Object.entries(toObject(messages)).map(([locale, templates]) => [locale, toObject(templates)]));
+  }
+
+  /**
+   * Render a template for a locale with its placeholders filled in
+   * @param {string} key - Template key, e.g. 'outOfStock'
+   * @param {string} locale - Locale code
+   * @param {Object} params - Placeholder values, e.g. { product: 'LED Bulb' }
+   * @param {Object} config - The bot configuration, for its overrides
+   * @returns {string} - The rendered message
+   */
+  t(key, locale, params = {}, config = null) {
+    const overrides = this.getAllOverrides(config);
+    const builtIn = LOCALES[locale] ? LOCALES[locale].messages : {};
+
+    const template = (overrides[locale] && overrides[locale][key])
+      || builtIn[key]
+      || LOCALES[this.defaultLocale].messages[key]
+      || key;
+
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+    );
+  }
+
+  /**
+   * Join options as "A, B or C" in a locale
+   * @param {Array<string>} items - Items to join
+   * @param {string} locale - Locale code
+   * @param {Object} config - The bot configuration, for its overrides
+   * @returns {string}
+   */
+  formatList(items, locale, config = null) {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')} ${this.t('listOr', locale, {}, config)} ${items[items.length - 1]}`;
+  }
+
+  /**
+   * Locale to use with Intl number and currency formatting
+   * @param {string} locale - Locale code
+   * @returns {string} - e.g. 'hi-IN'
+   */
+  intlLocale(locale) {
+    return LOCALES[locale] ? LOCALES[locale].intl : LOCALES[this.defaultLocale].intl;
+  }
+
+  /**
+   * Position named by an ordinal word in any supported language
+   * @param {string} word - e.g. 'second', 'दूसरा', 'dusra'
+   * @returns {number} - Zero-based position, or -1 when the word is not an ordinal
+   */
+  ordinalIndex(word) {
+    const wanted = word.toLowerCase();
+    for (const { ordinals } of Object.values(LOCALES)) {
+      const index = ordinals.findIndex(forms => forms.includes(wanted));
+      if (index !== -1) return index;
+    }
+    return -1;
+  }
+
+  /**
+   * Check a set of template overrides before saving them
+   * @param {string} locale - Locale code the overrides are for
+   * @param {Object} messages - { key: template }
+   * @returns {string|null} - An error message, or null when valid
+   */
+  validateOverrides(locale, messages) {
+    if (!/^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(locale)) {
+      return `Invalid locale "${locale}"; use a code such as "hi" or "hi-Latn"`;
+    }
+
+    if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+      return 'Please provide messages as an object of template keys to templates';
+    }
+
+    const unknown = Object.keys(messages).filter(key => !this.keys.includes(key));
+    if (unknown.length > 0) {
+      return `Unknown template keys: ${unknown.join(', ')}. Valid keys are: ${this.keys.join(', ')}`;
+    }
+
+    const invalid = Object.entries(messages).filter(([, template]) => template !== null && typeof template !== 'string');
+    if (invalid.length > 0) {
+      return `Templates must be strings (or null to remove an override): ${invalid.map(([key]) => key).join(', ')}`;
+    }
+
+    return null;
+  }
+}
+
+// Export a singleton instance
+module.exports = new MessageCatalog();
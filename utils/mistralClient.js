@@ -1,16 +1,11 @@
 const axios = require('axios');
+const { collectCompletionStream } = require('./streamUtils');
 
 class MistralClient {
   constructor() {
     this.apiKey = process.env.MISTRAL_API_KEY;
     this.apiUrl = process.env.MISTRAL_API_URL || 'https://api.mistral.ai/v1';
-    this.client = axios.create({
-      baseURL: this.apiUrl,
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
-      }
-    });
+    this.client = this._createHttpClient(this.apiUrl, this.apiKey);
   }
 
   /**
@@ -29,37 +24,22 @@ class MistralClient {
       let retries = 0;
       let response;
       
-      // Use custom system prompt from config if available, otherwise use default
-      let systemPrompt = "You are a helpful AI assistant.";
-      
-      // If config has a system_prompt, use it
-      if (options.system_prompt) {
-        systemPrompt = options.system_prompt;
-      }
-      // If user language is provided, add language instruction to system prompt
-      else if (options.userLanguage) {
-        systemPrompt = `You are a friendly and helpful AI assistant. Always greet the user appropriately when they say hello, hi, namaste, or any other greeting. Respond to basic greetings and questions like "how are you" in a conversational manner. Please respond in the same language as the user. If the user speaks in Hindi, respond in Hindi. If they speak in English, respond in English. If they speak in any other language, try to respond in that same language.`;
-      }
-      
-      // Add product inventory access information to system prompt
-      if (options.inventoryAccess) {
-        systemPrompt += `\n\nIMPORTANT INSTRUCTION: You have access to the product inventory information from the 'productinventories' collection. You MUST ONLY provide information about products that are available in the inventory data. If a user asks about a product or any information that is not in the inventory data, you MUST respond that you don't have that information or the product is not available in your inventory. DO NOT provide any information from your general knowledge about products, specifications, or any other details that are not explicitly mentioned in the inventory data provided to you. Always check if the product exists in the inventory before responding.\n\nWhen a user asks about product availability, you should respond in the same language as the user. If the user speaks in Hindi, respond in Hindi. If they speak in English, respond in English.\n\nFor product inventory queries, you can help users with:\n1. Checking if a product is available in stock\n2. Providing information about available quantity\n3. Helping place orders for available products\n4. Suggesting alternatives if a product is out of stock\n\nThe product inventory database contains information such as product name, SKU, available stock, and unit of measurement.`;
-      }
+      // Build the system prompt from config, language and inventory settings
+      const systemPrompt = this._buildSystemPrompt(options);
       
       while (retries < maxRetries) {
         try {
-          response = await this.client.post('/chat/completions', {
+          response = await this._getHttpClient(options).post('/chat/completions', {
             model: options.model || 'mistral-small',
             messages: [
               { role: 'system', content: systemPrompt },
-              ...messages.map(msg => ({
-                role: msg.role === 'bot' ? 'assistant' : 'user',
-                content: msg.content
-              }))
+              ...this._formatMessages(messages)
             ],
-            temperature: options.temperature || 0.7,
+            temperature: options.temperature ?? 0.7,
             max_tokens: options.max_tokens || 1000,
-            stream: options.stream || false
+            stream: options.stream || false,
+            ...this._toolOptions(options),
+            ...this._responseFormatOptions(options)
           });
           
           break; // Success, exit retry loop
@@ -94,9 +74,10 @@ class MistralClient {
       console.log(`Mistral API call completed in ${latency}ms for session ${sessionId}`);
       
       return {
-        reply: response.data.choices[0].message.content,
+        reply: response.data.choices[0].message.content || '',
         model: response.data.model,
         usage: response.data.usage,
+        toolCalls: this._normalizeToolCalls(response.data.choices[0].message.tool_calls),
         latency
       };
     } catch (error) {
@@ -114,19 +95,19 @@ class MistralClient {
         // The request was made and the server responded with a status code
         // that falls out of the range of 2xx
         if (error.response.status === 401) {
-          throw new Error('Authentication failed: Invalid API key');
+          throw new Error('Authentication failed: Invalid API key', { cause: error });
         } else if (error.response.status === 429) {
-          throw new Error('Rate limit exceeded: Too many requests');
+          throw new Error('Rate limit exceeded: Too many requests', { cause: error });
         } else if (error.response.status >= 500) {
-          throw new Error('Mistral API server error: Please try again later');
+          throw new Error('Mistral API server error: Please try again later', { cause: error });
         }
       } else if (error.request) {
         // The request was made but no response was received
-        throw new Error('No response from Mistral API: Network issue or service unavailable');
+        throw new Error('No response from Mistral API: Network issue or service unavailable', { cause: error });
       }
       
       // Generic error with more context
-      throw new Error(`Failed to generate AI response: ${error.message}`);
+      throw new Error(`Failed to generate AI response: ${error.message}`, { cause: error });
     }
   }
 
@@ -134,28 +115,33 @@ class MistralClient {
    * Generate a streaming response from Mistral AI
    * @param {string} sessionId - The session ID
    * @param {Array} messages - Array of message objects with role and content
-   * @param {function} onChunk - Callback function for each chunk of the stream
    * @param {Object} options - Additional options for the API call
-   * @returns {Promise<void>}
+   * @param {Function} onChunk - Callback function for each chunk of the stream
+   * @returns {Promise<Object>} - The full AI response once the stream has ended
    */
-  async generateStreamingResponse(sessionId, messages, onChunk, options = {}) {
+  async generateStreamingResponse(sessionId, messages, options = {}, onChunk) {
     try {
+      const startTime = Date.now();
+      
       // Configure request with retry logic
       const maxRetries = 3;
       let retries = 0;
       let response;
       
+      const systemPrompt = this._buildSystemPrompt(options);
+      
       while (retries < maxRetries) {
         try {
-          response = await this.client.post('/chat/completions', {
+          response = await this._getHttpClient(options).post('/chat/completions', {
             model: options.model || 'mistral-small',
-            messages: messages.map(msg => ({
-              role: msg.role === 'bot' ? 'assistant' : 'user',
-              content: msg.content
-            })),
-            temperature: options.temperature || 0.7,
+            messages: [
+              { role: 'system', content: systemPrompt },
+              ...this._formatMessages(messages)
+            ],
+            temperature: options.temperature ?? 0.7,
             max_tokens: options.max_tokens || 1000,
-            stream: true
+            stream: true,
+            ...this._toolOptions(options)
           }, {
             responseType: 'stream'
           });
@@ -185,34 +171,19 @@ class MistralClient {
         }
       }
 
-      response.data.on('data', (chunk) => {
-        // Parse the chunk and call the callback
-        const lines = chunk.toString().split('\n').filter(line => line.trim() !== '');
-        
-        for (const line of lines) {
-          if (line.includes('data:')) {
-            const data = line.replace('data:', '').trim();
-            if (data === '[DONE]') {
-              onChunk(null, true); // Signal completion
-            } else {
-              try {
-                const parsed = JSON.parse(data);
-                const content = parsed.choices[0]?.delta?.content;
-                if (content) {
-                  onChunk(content, false);
-                }
-              } catch (e) {
-                console.error('Error parsing streaming response:', e);
-              }
-            }
-          }
-        }
-      });
-
-      response.data.on('end', () => {
-        console.log(`Streaming completed for session ${sessionId}`);
-      });
-
+      // Mistral sends usage on the final chunk of the stream
+      const result = await collectCompletionStream(response.data, onChunk);
+      
+      const latency = Date.now() - startTime;
+      console.log(`Streaming completed in ${latency}ms for session ${sessionId}`);
+      
+      return {
+        reply: result.reply,
+        model: result.model || options.model || 'mistral-small',
+        usage: result.usage,
+        toolCalls: result.toolCalls,
+        latency
+      };
     } catch (error) {
       // Log detailed error information
       console.error('Error in streaming response:', error.response?.data || error.message);
@@ -228,20 +199,166 @@ class MistralClient {
         // The request was made and the server responded with a status code
         // that falls out of the range of 2xx
         if (error.response.status === 401) {
-          throw new Error('Authentication failed: Invalid API key');
+          throw new Error('Authentication failed: Invalid API key', { cause: error });
         } else if (error.response.status === 429) {
-          throw new Error('Rate limit exceeded: Too many requests');
+          throw new Error('Rate limit exceeded: Too many requests', { cause: error });
         } else if (error.response.status >= 500) {
-          throw new Error('Mistral API server error: Please try again later');
+          throw new Error('Mistral API server error: Please try again later', { cause: error });
         }
       } else if (error.request) {
         // The request was made but no response was received
-        throw new Error('No response from Mistral API: Network issue or service unavailable');
+        throw new Error('No response from Mistral API: Network issue or service unavailable', { cause: error });
       }
       
       // Generic error with more context
-      throw new Error(`Failed to generate streaming AI response: ${error.message}`);
+      throw new Error(`Failed to generate streaming AI response: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Create an HTTP client for an API base URL
+   * @private
+   * @param {string} baseURL - Base URL of the API
+   * @param {string} apiKey - API key
+   * @returns {Object} - axios instance
+   */
+  _createHttpClient(baseURL, apiKey) {
+    return axios.create({
+      baseURL,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      }
+    });
+  }
+
+  /**
+   * HTTP client for a request, using the config's own base URL and API key when it sets them
+   * @private
+   * @param {Object} options - Options passed to the generate methods
+   * @returns {Object} - axios instance
+   */
+  _getHttpClient(options = {}) {
+    if (!options.baseUrl && !options.apiKey) {
+      return this.client;
+    }
+
+    // A config's own base URL never receives the server-wide API key
+    const apiKey = options.baseUrl ? options.apiKey : options.apiKey || this.apiKey;
+    return this._createHttpClient(options.baseUrl || this.apiUrl, apiKey);
+  }
+
+  /**
+   * Build the system prompt sent ahead of the conversation
+   * @private
+   * @param {Object} options - Options passed to the generate methods
+   * @returns {string} - The system prompt
+   */
+  _buildSystemPrompt(options = {}) {
+    // Use custom system prompt from config if available, otherwise use default
+    let systemPrompt = "You are a helpful AI assistant.";
+    
+    // If config has a system_prompt, use it
+    if (options.system_prompt) {
+      systemPrompt = options.system_prompt;
+    }
+    // If user language is provided, add language instruction to system prompt
+    else if (options.userLanguage) {
+      systemPrompt = `You are a friendly and helpful AI assistant. Always greet the user appropriately when they say hello, hi, namaste, or any other greeting. Respond to basic greetings and questions like "how are you" in a conversational manner. Please respond in the same language as the user. If the user speaks in Hindi, respond in Hindi. If they speak in English, respond in English. If they speak in any other language, try to respond in that same language.`;
+    }
+    
+    // Add product inventory access information to system prompt
+    if (options.inventoryAccess) {
+      systemPrompt += `\n\nIMPORTANT INSTRUCTION: You have access to the product inventory information from the 'productinventories' collection. You MUST ONLY provide information about products that are available in the inventory data. If a user asks about a product or any information that is not in the inventory data, you MUST respond that you don't have that information or the product is not available in your inventory. DO NOT provide any information from your general knowledge about products, specifications, or any other details that are not explicitly mentioned in the inventory data provided to you. Always check if the product exists in the inventory before responding.\n\nWhen a user asks about product availability, you should respond in the same language as the user. If the user speaks in Hindi, respond in Hindi. If they speak in English, respond in English.\n\nFor product inventory queries, you can help users with:\n1. Checking if a product is available in stock\n2. Providing information about available quantity\n3. Helping place orders for available products\n4. Suggesting alternatives if a product is out of stock\n\nThe product inventory database contains information such as product name, SKU, category, description, attributes (for example size, colour or wattage), variants, price, available stock, and unit of measurement. You may answer questions about any of these details when a tool returned them.`;
+    }
+    
+    // Explain when to use the inventory tools if they are offered
+    if (options.tools && options.tools.length > 0) {
+      systemPrompt += `\n\nYou can look up products, prices and stock levels, manage the customer's cart and place orders with the tools provided. Only call a tool when the user's message needs inventory data or an order, and never invent product details that a tool did not return.`;
     }
+    
+    return systemPrompt;
+  }
+
+  /**
+   * Convert conversation messages to the chat completions format
+   * @private
+   * @param {Array} messages - Messages with role bot/user, or assistant tool calls and tool results
+   * @returns {Array} - Messages for the API request
+   */
+  _formatMessages(messages) {
+    return messages.map(msg => {
+      // Result of a tool call requested by the model
+      if (msg.role === 'tool') {
+        return {
+          role: 'tool',
+          tool_call_id: msg.tool_call_id,
+          name: msg.name,
+          content: msg.content
+        };
+      }
+      
+      // Assistant turn that requested tool calls
+      if (msg.tool_calls) {
+        return {
+          role: 'assistant',
+          content: msg.content || '',
+          tool_calls: msg.tool_calls
+        };
+      }
+      
+      return {
+        role: msg.role === 'bot' ? 'assistant' : 'user',
+        content: msg.content
+      };
+    });
+  }
+
+  /**
+   * Build the tool-calling request fields
+   * @private
+   * @param {Object} options - Options passed to the generate methods
+   * @returns {Object} - tools and tool_choice, or an empty object when no tools are offered
+   */
+  _toolOptions(options = {}) {
+    if (!options.tools || options.tools.length === 0) {
+      return {};
+    }
+    
+    return {
+      tools: options.tools,
+      tool_choice: options.tool_choice || 'auto'
+    };
+  }
+
+  /**
+   * Build the structured-output request field
+   * @private
+   * @param {Object} options - Options passed to the generate methods
+   * @returns {Object} - response_format (e.g. { type: 'json_object' }), or an empty object
+   */
+  _responseFormatOptions(options = {}) {
+    return options.response_format ? { response_format: options.response_format } : {};
+  }
+
+  /**
+   * Normalize tool calls from an API response
+   * @private
+   * @param {Array} toolCalls - tool_calls from the response message
+   * @returns {Array} - Tool calls as { id, name, arguments } with arguments as a JSON string
+   */
+  _normalizeToolCalls(toolCalls) {
+    if (!Array.isArray(toolCalls)) {
+      return [];
+    }
+    
+    return toolCalls.map(call => ({
+      id: call.id,
+      name: call.function?.name,
+      arguments: typeof call.function?.arguments === 'string'
+        ? call.function.arguments
+        : JSON.stringify(call.function?.arguments || {})
+    }));
   }
 
   /**
@@ -291,4 +408,5 @@ class MistralClient {
   }
 }
 
-module.exports = new MistralClient();
\ No newline at end of file
+// Export the class; the provider registry creates the instances
+module.exports = MistralClient;
\ No newline at end of file
@@ -1,20 +1,28 @@
 const axios = require('axios');
+const { collectCompletionStream } = require('./streamUtils');
 
+/**
+ * Client for the OpenAI chat completions API. Other servers that implement the
+ * same API (Ollama, llama.cpp, vLLM, ...) use it with their own base URL.
+ */
 class OpenAIClient {
-  constructor() {
-    this.apiKey = process.env.OPENAI_API_KEY;
-    this.apiUrl = process.env.OPENAI_API_URL || 'https://api.openai.com/v1';
-    this.client = axios.create({
-      baseURL: this.apiUrl,
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
-      }
-    });
+  /**
+   * @param {Object} settings - Connection defaults, overridden per request by the apiKey and baseUrl options
+   * @param {string} settings.name - Provider name used in logs and errors
+   * @param {string} settings.apiUrl - Base URL of the API
+   * @param {string} settings.apiKey - API key (optional for local servers)
+   * @param {string} settings.defaultModel - Model used when the config does not set one
+   */
+  constructor(settings = {}) {
+    this.name = settings.name || 'OpenAI';
+    this.apiKey = 'apiKey' in settings ? settings.apiKey : process.env.OPENAI_API_KEY;
+    this.apiUrl = 'apiUrl' in settings ? settings.apiUrl : (process.env.OPENAI_API_URL || 'https://api.openai.com/v1');
+    this.defaultModel = settings.defaultModel || 'gpt-3.5-turbo';
+    this.client = this.apiUrl ? this._createHttpClient(this.apiUrl, this.apiKey) : null;
   }
 
   /**
-   * Generate a response from OpenAI
+   * Generate a response from the chat completions API
    * @param {string} sessionId - The session ID
    * @param {Array} messages - Array of message objects with role and content
    * @param {Object} options - Additional options for the API call
@@ -29,37 +37,22 @@ class OpenAIClient {
       let retries = 0;
       let response;
       
+      // Build the system prompt from config, language and inventory settings
+      const systemPrompt = this._buildSystemPrompt(options);
+      
       while (retries < maxRetries) {
         try {
-          // Use custom system prompt from config if available
-          let systemPrompt = "You are a helpful AI assistant.";
-          
-          // If config has a system_prompt, use it
-          if (options.system_prompt) {
-            systemPrompt = options.system_prompt;
-          }
-          // If user language is provided, add language instruction to system prompt
-          else if (options.userLanguage) {
-            systemPrompt = `You are a friendly and helpful AI assistant. Always greet the user appropriately when they say hello, hi, namaste, or any other greeting. Respond to basic greetings and questions like "how are you" in a conversational manner. Please respond in the same language as the user. If the user speaks in Hindi, respond in Hindi. If they speak in English, respond in English. If they speak in any other language, try to respond in that same language.`;
-          }
-          
-          // Add product inventory access information to system prompt
-          if (options.inventoryAccess) {
-            systemPrompt += `\n\nIMPORTANT INSTRUCTION: You have access to the product inventory information from the 'productinventories' collection. You MUST ONLY provide information about products that are available in the inventory data. If a user asks about a product or any information that is not in the inventory data, you MUST respond that you don't have that information or the product is not available in your inventory. DO NOT provide any information from your general knowledge about products, specifications, or any other details that are not explicitly mentioned in the inventory data provided to you. Always check if the product exists in the inventory before responding.\n\nWhen a user asks about product availability, you should respond in the same language as the user. If the user speaks in Hindi, respond in Hindi. If they speak in English, respond in English.\n\nFor product inventory queries, you can help users with:\n1. Checking if a product is available in stock\n2. Providing information about available quantity\n3. Helping place orders for available products\n4. Suggesting alternatives if a product is out of stock\n\nThe product inventory database contains information such as product name, SKU, available stock, and unit of measurement.`;
-          }
-          
-          response = await this.client.post('/chat/completions', {
-            model: options.model || 'gpt-3.5-turbo',
+          response = await this._getHttpClient(options).post('/chat/completions', {
+            model: options.model || this.defaultModel,
             messages: [
               { role: 'system', content: systemPrompt },
-              ...messages.map(msg => ({
-                role: msg.role === 'bot' ? 'assistant' : 'user',
-                content: msg.content
-              }))
+              ...this._formatMessages(messages)
             ],
-            temperature: options.temperature || 0.7,
+            temperature: options.temperature ?? 0.7,
             max_tokens: options.max_tokens || 1000,
-            stream: options.stream || false
+            stream: options.stream || false,
+            ...this._toolOptions(options),
+            ...this._responseFormatOptions(options)
           });
           
           break; // Success, exit retry loop
@@ -77,7 +70,7 @@ class OpenAIClient {
           }
           
           // Log retry attempt
-          console.log(`Retrying OpenAI request (${retries}/${maxRetries}) after error: ${error.message}`);
+          console.log(`Retrying ${this.name} request (${retries}/${maxRetries}) after error: ${error.message}`);
           
           // Exponential backoff with jitter
           const delay = Math.min(1000 * Math.pow(2, retries) + Math.random() * 1000, 10000);
@@ -87,48 +80,49 @@ class OpenAIClient {
       
       // Log API call latency
       const latency = Date.now() - startTime;
-      console.log(`OpenAI API call completed in ${latency}ms`);
+      console.log(`${this.name} API call completed in ${latency}ms`);
       
       return {
-        reply: response.data.choices[0].message.content,
+        reply: response.data.choices[0].message.content || '',
         model: response.data.model,
-        usage: response.data.usage
+        usage: response.data.usage,
+        toolCalls: this._normalizeToolCalls(response.data.choices[0].message.tool_calls)
       };
     } catch (error) {
-      console.error('Error generating OpenAI response:', error);
+      console.error(`Error generating ${this.name} response:`, error);
       
       // Provide more specific error messages based on the error type
       if (error.response) {
         // The request was made and the server responded with a status code
         // that falls out of the range of 2xx
-        console.error('OpenAI API Error Status:', error.response.status);
-        console.error('OpenAI API Error Data:', error.response.data);
+        console.error(`${this.name} API Error Status:`, error.response.status);
+        console.error(`${this.name} API Error Data:`, error.response.data);
         
         if (error.response.status === 401) {
-          throw new Error('OpenAI API key is invalid or expired');
+          throw new Error(`${this.name} API key is invalid or expired`, { cause: error });
         } else if (error.response.status === 429) {
-          throw new Error('OpenAI API rate limit exceeded. Please try again later.');
+          throw new Error(`${this.name} API rate limit exceeded. Please try again later.`, { cause: error });
         } else if (error.response.status >= 500) {
-          throw new Error('OpenAI API server error. Please try again later.');
+          throw new Error(`${this.name} API server error. Please try again later.`, { cause: error });
         }
       } else if (error.request) {
         // The request was made but no response was received
-        console.error('OpenAI API No Response:', error.request);
-        throw new Error('No response received from OpenAI API. Please check your network connection.');
+        console.error(`${this.name} API No Response:`, error.request);
+        throw new Error(`No response received from ${this.name} API. Please check your network connection.`, { cause: error });
       }
       
       // Generic error for other cases
-      throw new Error('Failed to generate OpenAI response: ' + error.message);
+      throw new Error(`Failed to generate ${this.name} response: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Generate a streaming response from OpenAI
+   * Generate a streaming response from the chat completions API
    * @param {string} sessionId - The session ID
    * @param {Array} messages - Array of message objects with role and content
    * @param {Object} options - Additional options for the API call
    * @param {Function} onChunk - Callback function for each chunk of the streaming response
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} - The full AI response once the stream has ended
    */
   async generateStreamingResponse(sessionId, messages, options = {}, onChunk) {
     try {
@@ -137,52 +131,28 @@ class OpenAIClient {
       // Configure request with retry logic
       const maxRetries = 3;
       let retries = 0;
+      let response;
+      
+      const systemPrompt = this._buildSystemPrompt(options);
       
       while (retries < maxRetries) {
         try {
-          const response = await this.client.post('/chat/completions', {
-            model: options.model || 'gpt-3.5-turbo',
-            messages: messages.map(msg => ({
-              role: msg.role === 'bot' ? 'assistant' : 'user',
-              content: msg.content
-            })),
-            temperature: options.temperature || 0.7,
+          response = await this._getHttpClient(options).post('/chat/completions', {
+            model: options.model || this.defaultModel,
+            messages: [
+              { role: 'system', content: systemPrompt },
+              ...this._formatMessages(messages)
+            ],
+            temperature: options.temperature ?? 0.7,
             max_tokens: options.max_tokens || 1000,
-            stream: true
+            stream: true,
+            stream_options: { include_usage: true }, // Ask for usage on the final chunk
+            ...this._toolOptions(options)
           }, {
             responseType: 'stream'
           });
           
-          // Process the streaming response
-          response.data.on('data', (chunk) => {
-            const lines = chunk.toString().split('\n').filter(line => line.trim() !== '');
-            
-            for (const line of lines) {
-              if (line.includes('[DONE]')) {
-                onChunk({ done: true });
-                return;
-              }
-              
-              try {
-                const jsonData = JSON.parse(line.replace(/^data: /, '').trim());
-                const content = jsonData.choices[0]?.delta?.content;
-                
-                if (content) {
-                  onChunk({ content });
-                }
-              } catch (err) {
-                console.error('Error parsing streaming data:', err);
-              }
-            }
-          });
-          
-          response.data.on('end', () => {
-            const latency = Date.now() - startTime;
-            console.log(`OpenAI streaming API call completed in ${latency}ms`);
-            onChunk({ done: true });
-          });
-          
-          return; // Success, exit function
+          break; // Success, exit retry loop
         } catch (error) {
           // Check if we should retry based on the error type
           const shouldRetry = this._shouldRetryRequest(error);
@@ -197,41 +167,205 @@ class OpenAIClient {
           }
           
           // Log retry attempt
-          console.log(`Retrying OpenAI streaming request (${retries}/${maxRetries}) after error: ${error.message}`);
+          console.log(`Retrying ${this.name} streaming request (${retries}/${maxRetries}) after error: ${error.message}`);
           
           // Exponential backoff with jitter
           const delay = Math.min(1000 * Math.pow(2, retries) + Math.random() * 1000, 10000);
           await new Promise(resolve => setTimeout(resolve, delay));
         }
       }
+      
+      const result = await collectCompletionStream(response.data, onChunk);
+      
+      const latency = Date.now() - startTime;
+      console.log(`${this.name} streaming API call completed in ${latency}ms`);
+      
+      return {
+        reply: result.reply,
+        model: result.model || options.model || this.defaultModel,
+        usage: result.usage,
+        toolCalls: result.toolCalls,
+        latency
+      };
     } catch (error) {
-      console.error('Error generating OpenAI streaming response:', error);
+      console.error(`Error generating ${this.name} streaming response:`, error);
       
       // Provide more specific error messages based on the error type
       if (error.response) {
         // The request was made and the server responded with a status code
         // that falls out of the range of 2xx
-        console.error('OpenAI API Error Status:', error.response.status);
-        console.error('OpenAI API Error Data:', error.response.data);
+        console.error(`${this.name} API Error Status:`, error.response.status);
         
         if (error.response.status === 401) {
-          onChunk({ error: 'OpenAI API key is invalid or expired' });
+          throw new Error(`${this.name} API key is invalid or expired`, { cause: error });
         } else if (error.response.status === 429) {
-          onChunk({ error: 'OpenAI API rate limit exceeded. Please try again later.' });
+          throw new Error(`${this.name} API rate limit exceeded. Please try again later.`, { cause: error });
         } else if (error.response.status >= 500) {
-          onChunk({ error: 'OpenAI API server error. Please try again later.' });
-        } else {
-          onChunk({ error: `OpenAI API error: ${error.response.status}` });
+          throw new Error(`${this.name} API server error. Please try again later.`, { cause: error });
         }
       } else if (error.request) {
         // The request was made but no response was received
-        console.error('OpenAI API No Response:', error.request);
-        onChunk({ error: 'No response received from OpenAI API. Please check your network connection.' });
-      } else {
-        // Generic error for other cases
-        onChunk({ error: 'Failed to generate OpenAI streaming response: ' + error.message });
+        console.error(`${this.name} API No Response:`, error.request);
+        throw new Error(`No response received from ${this.name} API. Please check your network connection.`, { cause: error });
+      }
+      
+      // Generic error for other cases
+      throw new Error(`Failed to generate ${this.name} streaming response: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Create an HTTP client for an API base URL
+   * @private
+   * @param {string} baseURL - Base URL of the API
+   * @param {string} apiKey - API key, left out of the headers when empty
+   * @returns {Object} - axios instance
+   */
+  _createHttpClient(baseURL, apiKey) {
+    return axios.create({
+      baseURL,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+      }
+    });
+  }
+
+  /**
+   * HTTP client for a request, using the config's own base URL and API key when it sets them
+   * @private
+   * @param {Object} options - Options passed to the generate methods
+   * @returns {Object} - axios instance
+   */
+  _getHttpClient(options = {}) {
+    if (!options.baseUrl && !options.apiKey) {
+      if (!this.client) {
+        throw new Error(`No base URL configured for ${this.name}; set ai.baseUrl on the configuration`);
       }
+      return this.client;
     }
+
+    const baseUrl = options.baseUrl || this.apiUrl;
+    if (!baseUrl) {
+      throw new Error(`No base URL configured for ${this.name}; set ai.baseUrl on the configuration`);
+    }
+
+    // A config's own base URL never receives the server-wide API key
+    const apiKey = options.baseUrl ? options.apiKey : options.apiKey || this.apiKey;
+    return this._createHttpClient(baseUrl, apiKey);
+  }
+
+  /**
+   * Build the system prompt sent ahead of the conversation
+   * @private
+   * @param {Object} options - Options passed to the generate methods
+   * @returns {string} - The system prompt
+   */
+  _buildSystemPrompt(options = {}) {
+    // Use custom system prompt from config if available
+    let systemPrompt = "You are a helpful AI assistant.";
+    
+    // If config has a system_prompt, use it
+    if (options.system_prompt) {
+      systemPrompt = options.system_prompt;
+    }
+    // If user language is provided, add language instruction to system prompt
+    else if (options.userLanguage) {
+      systemPrompt = `You are a friendly and helpful AI assistant. Always greet the user appropriately when they say hello, hi, namaste, or any other greeting. Respond to basic greetings and questions like "how are you" in a conversational manner. Please respond in the same language as the user. If the user speaks in Hindi, respond in Hindi. If they speak in English, respond in English. If they speak in any other language, try to respond in that same language.`;
+    }
+    
+    // Add product inventory access information to system prompt
+    if (options.inventoryAccess) {
+      systemPrompt += `\n\nIMPORTANT INSTRUCTION: You have access to the product inventory information from the 'productinventories' collection. You MUST ONLY provide information about products that are available in the inventory data. If a user asks about a product or any information that is not in the inventory data, you MUST respond that you don't have that information or the product is not available in your inventory. DO NOT provide any information from your general knowledge about products, specifications, or any other details that are not explicitly mentioned in the inventory data provided to you. Always check if the product exists in the inventory before responding.\n\nWhen a user asks about product availability, you should respond in the same language as the user. If the user speaks in Hindi, respond in Hindi. If they speak in English, respond in English.\n\nFor product inventory queries, you can help users with:\n1. Checking if a product is available in stock\n2. Providing information about available quantity\n3. Helping place orders for available products\n4. Suggesting alternatives if a product is out of stock\n\nThe product inventory database contains information such as product name, SKU, category, description, attributes (for example size, colour or wattage), variants, price, available stock, and unit of measurement. You may answer questions about any of these details when a tool returned them.`;
+    }
+    
+    // Explain when to use the inventory tools if they are offered
+    if (options.tools && options.tools.length > 0) {
+      systemPrompt += `\n\nYou can look up products, prices and stock levels, manage the customer's cart and place orders with the tools provided. Only call a tool when the user's message needs inventory data or an order, and never invent product details that a tool did not return.`;
+    }
+    
+    return systemPrompt;
+  }
+
+  /**
+   * Convert conversation messages to the chat completions format
+   * @private
+   * @param {Array} messages - Messages with role bot/user, or assistant tool calls and tool results
+   * @returns {Array} - Messages for the API request
+   */
+  _formatMessages(messages) {
+    return messages.map(msg => {
+      // Result of a tool call requested by the model
+      if (msg.role === 'tool') {
+        return {
+          role: 'tool',
+          tool_call_id: msg.tool_call_id,
+          name: msg.name,
+          content: msg.content
+        };
+      }
+      
+      // Assistant turn that requested tool calls
+      if (msg.tool_calls) {
+        return {
+          role: 'assistant',
+          content: msg.content || '',
+          tool_calls: msg.tool_calls
+        };
+      }
+      
+      return {
+        role: msg.role === 'bot' ? 'assistant' : 'user',
+        content: msg.content
+      };
+    });
+  }
+
+  /**
+   * Build the tool-calling request fields
+   * @private
+   * @param {Object} options - Options passed to the generate methods
+   * @returns {Object} - tools and tool_choice, or an empty object when no tools are offered
+   */
+  _toolOptions(options = {}) {
+    if (!options.tools || options.tools.length === 0) {
+      return {};
+    }
+    
+    return {
+      tools: options.tools,
+      tool_choice: options.tool_choice || 'auto'
+    };
+  }
+
+  /**
+   * Build the structured-output request field
+   * @private
+   * @param {Object} options - Options passed to the generate methods
+   * @returns {Object} - response_format (e.g. { type: 'json_object' }), or an empty object
+   */
+  _responseFormatOptions(options = {}) {
+    return options.response_format ? { response_format: options.response_format } : {};
+  }
+
+  /**
+   * Normalize tool calls from an API response
+   * @private
+   * @param {Array} toolCalls - tool_calls from the response message
+   * @returns {Array} - Tool calls as { id, name, arguments } with arguments as a JSON string
+   */
+  _normalizeToolCalls(toolCalls) {
+    if (!Array.isArray(toolCalls)) {
+      return [];
+    }
+    
+    return toolCalls.map(call => ({
+      id: call.id,
+      name: call.function?.name,
+      arguments: typeof call.function?.arguments === 'string'
+        ? call.function.arguments
+        : JSON.stringify(call.function?.arguments || {})
+    }));
   }
 
   /**
@@ -275,5 +409,5 @@ class OpenAIClient {
   }
 }
 
-// Export a singleton instance
-module.exports = new OpenAIClient();
\ No newline at end of file
+// Export the class; the provider registry creates the instances
+module.exports = OpenAIClient;
\ No newline at end of file
@@ -0,0 +1,95 @@
+const MistralClient = require('./mistralClient');
+const OpenAIClient = require('./openaiClient');
+const AnthropicClient = require('./anthropicClient');
+
+/**
+ * AI providers a configuration can choose with ai.provider. A provider is any
+ * object with generateResponse(sessionId, messages, options) and
+ * generateStreamingResponse(sessionId, messages, options, onChunk); options
+ * carry the config's model settings plus its own apiKey and baseUrl, if set.
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+
+    this.register('mistral', new MistralClient(), { description: 'Mistral AI' });
+    this.register('openai', new OpenAIClient(), { description: 'OpenAI' });
+    this.register('anthropic', new AnthropicClient(), { description: 'Anthropic Claude' });
+
+    // Local models served by Ollama, through its OpenAI-compatible endpoint
+    this.register('ollama', new OpenAIClient({
+      name: 'Ollama',
+      apiUrl: process.env.OLLAMA_API_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.OLLAMA_API_KEY || '',
+      defaultModel: 'llama3.1'
+    }), { description: 'Ollama (local models)', requiresApiKey: false });
+
+    // Any other server implementing the chat completions API: llama.cpp, vLLM, LM Studio, ...
+    this.register('openai-compatible', new OpenAIClient({
+      name: 'OpenAI-compatible',
+      apiUrl: process.env.OPENAI_COMPATIBLE_API_URL || null,
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || '',
+      defaultModel: process.env.OPENAI_COMPATIBLE_MODEL || 'default'
+    }), { description: 'OpenAI-compatible server (set ai.baseUrl)', requiresApiKey: false });
+  }
+
+  /**
+   * Add a provider, replacing any provider registered under the same name
+   * @param {string} name - Provider name used in config.ai.provider
+   * @param {Object} client - Client with generateResponse and generateStreamingResponse
+   * @param {Object} info - { description, requiresApiKey }
+   * @returns {ProviderRegistry} - The registry, for chaining
+   */
+  register(name, client, info = {}) {
+    if (!client || typeof client.generateResponse !== 'function' || typeof client.generateStreamingResponse !== 'function') {
+      throw new Error(`Provider ${name} must implement generateResponse and generateStreamingResponse`);
+    }
+
+    this.providers.set(name.toLowerCase(), {
+      name: name.toLowerCase(),
+      client,
+      description: info.description || name,
+      requiresApiKey: info.requiresApiKey !== false
+    });
+    return this;
+  }
+
+  /**
+   * Remove a provider
+   * @param {string} name - Provider name
+   * @returns {boolean} - Whether the provider was registered
+   */
+  unregister(name) {
+    return this.providers.delete(String(name).toLowerCase());
+  }
+
+  /**
+   * Whether a provider is registered
+   * @param {string} name - Provider name
+   * @returns {boolean}
+   */
+  has(name) {
+    return typeof name === 'string' && this.providers.has(name.toLowerCase());
+  }
+
+  /**
+   * Get a provider's client
+   * @param {string} name - Provider name
+   * @returns {Object|null} - The client, or null when the provider is not registered
+   */
+  get(name) {
+    const provider = this.has(name) ? this.providers.get(name.toLowerCase()) : null;
+    return provider ? provider.client : null;
+  }
+
+  /**
+   * Describe the registered providers
+   * @returns {Array} - [{ name, description, requiresApiKey }]
+   */
+  list() {
+    return [...this.providers.values()].map(({ name, description, requiresApiKey }) => ({ name, description, requiresApiKey }));
+  }
+}
+
+// Export a singleton instance
+module.exports = new ProviderRegistry();
@@ -0,0 +1,33 @@
+const { ErrorResponse } = require('../middleware/errorHandler');
+
+/**
+ * Helpers for reading filters from query strings, shared by the reporting routes.
+ */
+
+/**
+ * Parse a from/to query parameter
+ * @param {string} value - ISO date or date-time
+ * @param {string} name - Parameter name, for the error message
+ * @param {boolean} endOfDay - Whether a plain date means the end of that day
+ * @returns {Date|undefined} - The date, or undefined when the parameter is not given
+ */
+const parseDate = (value, name, endOfDay = false) => {
+  if (!value) {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ErrorResponse(`${name} must be a date such as 2024-05-01`, 400);
+  }
+
+  // "to=2024-05-31" includes the whole of 31 May
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+module.exports = {
+  parseDate
+};
@@ -0,0 +1,98 @@
+const Message = require('../models/Message');
+const usageTracker = require('./usageTracker');
+
+const DEFAULT_LIMIT_MESSAGE = 'Sorry, this assistant has reached its usage limit. Please try again later.';
+
+/**
+ * Enforces the usage quotas set in a configuration's "quotas": bot replies per
+ * user per day, tokens per month and a monthly spend cap. Usage is counted
+ * from the metadata stored on bot messages plus the usage records of intent
+ * extraction and summaries; days and months are UTC.
+ */
+class QuotaManager {
+  /**
+   * Check a configuration's quotas for a user
+   * @param {Object} config - Configuration with quotas
+   * @param {string} userId - The user about to be answered
+   * @returns {Promise<Object|null>} - { quota, statusCode, message, reply, limit, used, resetAt } for the
+   *   first quota that ran out, or null when the bot may reply
+   */
+  async check(config, userId) {
+    const quotas = config?.quotas || {};
+    const now = new Date();
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const nextDay = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+    const nextMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+    const exceeded = (quota, statusCode, message, limit, used, resetAt) => ({
+      quota,
+      statusCode,
+      message,
+      reply: quotas.limitMessage || DEFAULT_LIMIT_MESSAGE,
+      limit,
+      used,
+      resetAt
+    });
+
+    // A spend limit of 0 is a valid cap, so test for a number rather than truthiness
+    const hasSpendLimit = typeof quotas.monthlySpendLimit === 'number';
+
+    if (hasSpendLimit || quotas.tokensPerMonth) {
+      const { totals } = await usageTracker.summarize('config', { configId: config._id, from: monthStart });
+
+      // A hard cap: once reached, nothing more is spent until the next month
+      if (hasSpendLimit && totals.cost >= quotas.monthlySpendLimit) {
+        return exceeded('monthlySpendLimit', 402,
+          `Monthly spend limit of ${quotas.monthlySpendLimit} ${usageTracker.pricing.currency} reached for this bot`,
+          quotas.monthlySpendLimit, totals.cost, nextMonth);
+      }
+
+      if (quotas.tokensPerMonth && totals.totalTokens >= quotas.tokensPerMonth) {
+        return exceeded('tokensPerMonth', 429,
+          `Monthly token quota of ${quotas.tokensPerMonth} reached for this bot`,
+          quotas.tokensPerMonth, totals.totalTokens, nextMonth);
+      }
+    }
+
+    if (quotas.messagesPerUserPerDay && userId) {
+      const used = await Message.countDocuments({
+        role: 'bot',
+        'metadata.configId': config._id,
+        'metadata.userId': String(userId),
+        timestamp: { $gte: dayStart }
+      });
+
+      if (used >= quotas.messagesPerUserPerDay) {
+        return exceeded('messagesPerUserPerDay', 429,
+          `Daily message quota of ${quotas.messagesPerUserPerDay} reached for this user`,
+          quotas.messagesPerUserPerDay, used, nextDay);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Response body for a request refused by a quota
+   * @param {Object} exceeded - Result of check
+   * @returns {Object} - { success: false, message, reply, quota: { name, limit, used, resetAt } }
+   */
+  errorBody(exceeded) {
+    return {
+      success: false,
+      message: exceeded.message,
+      // Text the bot can show the user in place of a reply
+      reply: exceeded.reply,
+      quota: {
+        name: exceeded.quota,
+        limit: exceeded.limit,
+        used: exceeded.used,
+        resetAt: exceeded.resetAt
+      }
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new QuotaManager();
@@ -0,0 +1,372 @@
+const jwt = require('jsonwebtoken');
+const { WebSocketServer, WebSocket } = require('ws');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const visitorAuth = require('./visitorAuth');
+
+// Roles that answer handed-off conversations and watch every configuration
+const AGENT_ROLES = ['agent', 'admin'];
+
+// Rooms a client can ask to join; user:<id> rooms are joined automatically
+const ROOM_PATTERN = /^(inbox|(config|session):[0-9a-f]{24})$/;
+
+// How long a typing indicator lasts without being renewed
+const TYPING_TTL_MS = 8 * 1000;
+
+/**
+ * ID of a possibly populated reference
+ * @param {*} ref - ObjectId, string or populated document
+ * @returns {string}
+ */
+const idOf = (ref) => String(ref && ref._id ? ref._id : ref);
+
+/**
+ * Live updates over WebSocket at /api/realtime. Clients connect with a user JWT or a
+ * visitor token as ?token=..., then send { "type": "subscribe" | "unsubscribe", "room": "..." }
+ * or { "type": "typing", "sessionId": "...", "isTyping": true }; the server sends
+ * { "event": "...", "room": "...", "data": {...} } to everyone in a room.
+ *
+ * Rooms: session:<id> (one conversation: its owner or visitor, agents and admins),
+ * config:<id> (everything on one bot: agents and admins), inbox (handed-off sessions:
+ * agents and admins) and user:<id> (the user's own session list, joined on connect).
+ */
+class RealtimeHub {
+  constructor() {
+    this.path = '/api/realtime';
+    this.wss = null;
+    // Room name -> Set of sockets
+    this.rooms = new Map();
+    // Dead connections are dropped after missing one ping
+    this.heartbeatMs = 30 * 1000;
+  }
+
+  /**
+   * Accept WebSocket connections on an HTTP server
+   * @param {Object} server - The HTTP server returned by app.listen
+   * @returns {RealtimeHub} - The hub, for chaining
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      // A client resetting the connection mid-handshake must not take the server down
+      const onSocketError = (error) => {
+        console.error('WebSocket upgrade socket error:', error.message);
+        socket.destroy();
+      };
+      socket.on('error', onSocketError);
+
+      this._upgrade(req, socket, head, onSocketError).catch((error) => {
+        console.error('Error upgrading WebSocket connection:', error);
+        socket.destroy();
+      });
+    });
+
+    const heartbeat = setInterval(() => {
+      this.wss.clients.forEach((ws) => {
+        if (!ws.isAlive) {
+          ws.terminate();
+          return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, this.heartbeatMs);
+    heartbeat.unref();
+
+    console.log(`WebSocket updates available at ${this.path}`);
+    return this;
+  }
+
+  /**
+   * Authenticate an upgrade request and hand it to the WebSocket server
+   * @private
+   * @param {Object} req - The upgrade request
+   * @param {Object} socket - The network socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   * @param {Function} onSocketError - The handshake error listener, removed once ws takes over
+   */
+  async _upgrade(req, socket, head, onSocketError) {
+    if (new URL(req.url, 'http://localhost').pathname !== this.path) {
+      socket.destroy();
+      return;
+    }
+
+    const client = await this.authenticate(req);
+    if (socket.destroyed) {
+      return;
+    }
+    if (!client) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    socket.removeListener('error', onSocketError);
+    this.wss.handleUpgrade(req, socket, head, (ws) => this._onConnection(ws, client));
+  }
+
+  /**
+   * Find who is connecting, from the token in the query string
+   * @param {Object} req - The upgrade request
+   * @returns {Promise<Object|null>} - { user } or { visitor: { sessionId, visitorId } }, or null when the token is missing or invalid
+   */
+  async authenticate(req) {
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (!token) {
+      return null;
+    }
+
+    const visitor = visitorAuth.verify(token);
+    if (visitor) {
+      return { visitor };
+    }
+
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.id);
+      return user ? { user } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a client may join a room
+   * @param {Object} client - { user } or { visitor }
+   * @param {string} room - Room name
+   * @returns {Promise<boolean>}
+   */
+  async canJoin(client, room) {
+    if (!ROOM_PATTERN.test(room)) {
+      return false;
+    }
+
+    if (client.user && AGENT_ROLES.includes(client.user.role)) {
+      return true;
+    }
+
+    const [kind, id] = room.split(':');
+    if (kind !== 'session') {
+      return false;
+    }
+
+    if (client.visitor) {
+      return client.visitor.sessionId === id;
+    }
+
+    const session = await Session.findById(id).select('userId');
+    return Boolean(session) && String(session.userId) === String(client.user._id);
+  }
+
+  /**
+   * Send an event to everyone in a room
+   * @param {string} room - e.g. session:<id>
+   * @param {string} event - Event name, e.g. message.created
+   * @param {Object} data - Event payload
+   * @param {Object} except - A socket to leave out, e.g. the sender
+   */
+  broadcast(room, event, data, except = null) {
+    const sockets = this.rooms.get(room);
+    if (!sockets || sockets.size === 0) {
+      return;
+    }
+
+    const payload = JSON.stringify({ event, room, data });
+    sockets.forEach((ws) => {
+      if (ws !== except && ws.readyState === WebSocket.OPEN) {
+        ws.send(payload);
+      }
+    });
+  }
+
+  /**
+   * Tell a session's owner and its configuration's room that the session list changed
+   * @param {string} event - session.created, session.updated or session.deleted
+   * @param {Object} session - The session document
+   */
+  publishSession(event, session) {
+    const data = {
+      session: {
+        _id: session._id,
+        configId: idOf(session.configId),
+        userId: session.userId,
+        channel: session.channel,
+        status: session.status,
+        startedAt: session.startedAt,
+        lastActivity: session.lastActivity
+      }
+    };
+
+    this.broadcast(`user:${session.userId}`, event, data);
+    this.broadcast(`config:${idOf(session.configId)}`, event, data);
+  }
+
+  /**
+   * Tell a bot's room and the ordering session about an order
+   * @param {string} event - order.created or order.status_changed
+   * @param {Object} order - The order
+   * @param {Object} extra - More payload, e.g. { previousStatus }
+   */
+  publishOrder(event, order, extra = {}) {
+    const data = {
+      order: {
+        _id: order._id,
+        botId: order.botId,
+        sessionId: order.sessionId,
+        status: order.status,
+        items: order.items,
+        total: order.total,
+        currency: order.currency,
+        timestamp: order.timestamp
+      },
+      ...extra
+    };
+
+    this.broadcast(`config:${idOf(order.botId)}`, event, data);
+    if (order.sessionId) {
+      this.broadcast(`session:${idOf(order.sessionId)}`, event, data);
+    }
+  }
+
+  /**
+   * Show or hide a typing indicator in a session
+   * @param {string} sessionId - Session ID
+   * @param {string} from - Who is typing: user, bot or agent
+   * @param {boolean} isTyping - Whether they are typing
+   * @param {Object} except - A socket to leave out, e.g. the sender
+   */
+  typing(sessionId, from, isTyping, except = null) {
+    this.broadcast(`session:${sessionId}`, 'typing', {
+      sessionId: String(sessionId),
+      from,
+      isTyping,
+      expiresIn: isTyping ? TYPING_TTL_MS : 0
+    }, except);
+  }
+
+  /**
+   * Set up a connection that passed authentication
+   * @private
+   * @param {Object} ws - The WebSocket
+   * @param {Object} client - { user } or { visitor }
+   */
+  _onConnection(ws, client) {
+    ws.client = client;
+    ws.isAlive = true;
+    ws.joined = new Set();
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    // Malformed frames and socket resets end up here; without a listener they would crash the process
+    ws.on('error', (error) => {
+      console.error('WebSocket connection error:', error.message);
+      ws.terminate();
+    });
+    ws.on('message', (raw) => {
+      this._onMessage(ws, raw).catch((error) => {
+        console.error('Error handling WebSocket message:', error);
+        this._send(ws, 'error', { message: 'Could not handle the message' });
+      });
+    });
+    ws.on('close', () => {
+      [...ws.joined].forEach(room => this._leave(ws, room));
+    });
+
+    // Users hear about their own sessions; visitors are in their one session
+    if (client.user) {
+      this._join(ws, `user:${client.user._id}`);
+      this._send(ws, 'ready', { userId: client.user._id, role: client.user.role, rooms: [...ws.joined] });
+    } else {
+      this._join(ws, `session:${client.visitor.sessionId}`);
+      this._send(ws, 'ready', { sessionId: client.visitor.sessionId, role: 'visitor', rooms: [...ws.joined] });
+    }
+  }
+
+  /**
+   * Handle a subscribe, unsubscribe or typing message
+   * @private
+   * @param {Object} ws - The WebSocket
+   * @param {Buffer} raw - The message received
+   */
+  async _onMessage(ws, raw) {
+    let request;
+    try {
+      request = JSON.parse(raw.toString());
+    } catch (error) {
+      this._send(ws, 'error', { message: 'Messages must be JSON' });
+      return;
+    }
+
+    const { type, room, sessionId, isTyping } = request || {};
+
+    if (type === 'typing') {
+      if (!ws.joined.has(`session:${sessionId}`)) {
+        this._send(ws, 'error', { message: `Subscribe to session:${sessionId} before sending typing updates` });
+        return;
+      }
+      const from = ws.client.user && AGENT_ROLES.includes(ws.client.user.role) ? 'agent' : 'user';
+      this.typing(sessionId, from, Boolean(isTyping), ws);
+    } else if (type === 'subscribe') {
+      if (!(await this.canJoin(ws.client, room || ''))) {
+        this._send(ws, 'error', { message: `Not allowed to join ${room}` });
+        return;
+      }
+      this._join(ws, room);
+      this._send(ws, 'subscribed', { room });
+    } else if (type === 'unsubscribe') {
+      this._leave(ws, room);
+      this._send(ws, 'unsubscribed', { room });
+    } else {
+      this._send(ws, 'error', { message: 'type must be subscribe, unsubscribe or typing' });
+    }
+  }
+
+  /**
+   * Add a socket to a room
+   * @private
+   * @param {Object} ws - The WebSocket
+   * @param {string} room - Room name
+   */
+  _join(ws, room) {
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, new Set());
+    }
+    this.rooms.get(room).add(ws);
+    ws.joined.add(room);
+  }
+
+  /**
+   * Remove a socket from a room, dropping the room when it empties
+   * @private
+   * @param {Object} ws - The WebSocket
+   * @param {string} room - Room name
+   */
+  _leave(ws, room) {
+    const sockets = this.rooms.get(room);
+    ws.joined.delete(room);
+    if (!sockets) return;
+
+    sockets.delete(ws);
+    if (sockets.size === 0) {
+      this.rooms.delete(room);
+    }
+  }
+
+  /**
+   * Send one event to one socket
+   * @private
+   * @param {Object} ws - The WebSocket
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  _send(ws, event, data) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ event, data }));
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new RealtimeHub();
@@ -0,0 +1,135 @@
+const axios = require('axios');
+const { safeCompare, hmacSha256 } = require('./channelUtils');
+
+// Slack rejects replays older than this, and so do we
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+
+/**
+ * Adapter for the Slack Events API. Events are signed with the app's signing
+ * secret; the bot answers direct messages and mentions with chat.postMessage,
+ * in the thread it was addressed in.
+ */
+class SlackChannel {
+  /**
+   * @param {Object} settings - Connection defaults
+   * @param {string} settings.apiUrl - Base URL of the Web API
+   */
+  constructor(settings = {}) {
+    this.name = 'slack';
+    this.apiUrl = settings.apiUrl || process.env.SLACK_API_URL || 'https://slack.com/api';
+    this.maxLength = 3000;
+  }
+
+  /**
+   * Whether a configuration has the credentials this channel needs
+   * @param {Object} settings - The config's channelSettings.slack
+   * @returns {boolean}
+   */
+  isConfigured(settings) {
+    return Boolean(settings?.botToken && settings?.signingSecret);
+  }
+
+  /**
+   * Slack checks the URL with a signed url_verification event instead (see handshake)
+   * @returns {null}
+   */
+  verifySubscription() {
+    return null;
+  }
+
+  /**
+   * Check the X-Slack-Signature header against the timestamp and raw request body
+   * @param {Object} req - Express request with rawBody
+   * @param {Object} settings - The config's channelSettings.slack
+   * @returns {boolean}
+   */
+  verifyRequest(req, settings) {
+    const timestamp = req.get('x-slack-request-timestamp');
+    if (!req.rawBody || !settings?.signingSecret || !timestamp) {
+      return false;
+    }
+
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_REQUEST_AGE_SECONDS) {
+      return false;
+    }
+
+    const expected = `v0=${hmacSha256(settings.signingSecret, `v0:${timestamp}:${req.rawBody}`)}`;
+    return safeCompare(expected, req.get('x-slack-signature'));
+  }
+
+  /**
+   * Answer the url_verification event Slack sends when the request URL is saved
+   * @param {Object} body - Event payload
+   * @returns {Object|null} - { challenge }, or null for other events
+   */
+  handshake(body = {}) {
+    return body.type === 'url_verification' ? { challenge: body.challenge } : null;
+  }
+
+  /**
+   * Read the user message out of an event callback; the bot's own posts, edits and other events are skipped
+   * @param {Object} body - Event payload
+   * @returns {Array} - [{ messageId, externalId, userId, chatId, threadId, text }]
+   */
+  parseMessages(body = {}) {
+    const event = body.event;
+    if (body.type !== 'event_callback' || !event || !['message', 'app_mention'].includes(event.type)) {
+      return [];
+    }
+    if (event.bot_id || event.subtype || !event.user || !event.text) {
+      return [];
+    }
+
+    // Mentions arrive as <@U123ABC>; the model only needs the question
+    const text = event.text.replace(/<@[A-Z0-9]+>/g, '').trim();
+    if (!text) {
+      return [];
+    }
+
+    return [{
+      messageId: body.event_id || event.client_msg_id || event.ts,
+      externalId: `${event.channel}:${event.user}`,
+      userId: event.user,
+      chatId: event.channel,
+      // Answer in the thread the bot was addressed in; top-level direct messages get top-level replies
+      threadId: event.thread_ts || (event.channel_type === 'im' ? undefined : event.ts),
+      text
+    }];
+  }
+
+  /**
+   * Post a message to a Slack conversation
+   * @param {Object} settings - The config's channelSettings.slack
+   * @param {Object} message - The inbound message being answered (from parseMessages)
+   * @param {string} text - Reply text, at most maxLength characters
+   * @returns {Promise<Object>} - The API response
+   */
+  async sendMessage(settings, message, text) {
+    let response;
+
+    try {
+      response = await axios.post(`${this.apiUrl}/chat.postMessage`, {
+        channel: message.chatId,
+        thread_ts: message.threadId,
+        text
+      }, {
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8',
+          'Authorization': `Bearer ${settings.botToken}`
+        }
+      });
+    } catch (error) {
+      console.error('Error sending Slack message:', error.response?.data || error.message);
+      throw new Error(`Failed to send Slack message: ${error.message}`, { cause: error });
+    }
+
+    // The Web API reports failures in the body of a 200 response
+    if (!response.data?.ok) {
+      console.error('Error sending Slack message:', response.data);
+      throw new Error(`Failed to send Slack message: ${response.data?.error || 'unknown error'}`);
+    }
+    return response.data;
+  }
+}
+
+module.exports = SlackChannel;
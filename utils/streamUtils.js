@@ -0,0 +1,230 @@
+/**
+ * Helpers for reading streamed chat completions from AI providers and for
+ * writing Server-Sent Events to Express responses.
+ */
+
+/**
+ * Read an OpenAI-compatible `text/event-stream` completion until it ends
+ * @param {Stream} stream - Readable stream returned by axios with responseType 'stream'
+ * @param {Function} onChunk - Called with { content } for every token delta
+ * @returns {Promise<Object>} - The assembled reply with model, usage and any tool calls
+ */
+const collectCompletionStream = (stream, onChunk) => {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let reply = '';
+    let model = null;
+    let usage = null;
+    let finished = false;
+    const toolCalls = [];
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      resolve({
+        reply,
+        model,
+        usage,
+        toolCalls: toolCalls.filter(Boolean).map(call => ({ id: call.id, name: call.name, arguments: call.arguments }))
+      });
+    };
+
+    // Tool calls arrive in pieces keyed by index (OpenAI) or whole in one delta (Mistral)
+    const addToolCallDelta = (delta) => {
+      const index = delta.index !== undefined ? delta.index : toolCalls.length;
+      if (!toolCalls[index]) {
+        toolCalls[index] = { id: null, name: '', arguments: '' };
+      }
+      const call = toolCalls[index];
+      if (delta.id) call.id = delta.id;
+      if (delta.function?.name) call.name += delta.function.name;
+      if (delta.function?.arguments) {
+        call.arguments += typeof delta.function.arguments === 'string'
+          ? delta.function.arguments
+          : JSON.stringify(delta.function.arguments);
+      }
+    };
+
+    const handleLine = (line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) return;
+
+      const data = trimmed.replace(/^data:/, '').trim();
+      if (data === '[DONE]') {
+        finish();
+        return;
+      }
+
+      try {
+        const parsed = JSON.parse(data);
+        if (parsed.model) model = parsed.model;
+        if (parsed.usage) usage = parsed.usage;
+
+        const delta = parsed.choices?.[0]?.delta || {};
+        if (delta.content) {
+          reply += delta.content;
+          onChunk({ content: delta.content });
+        }
+        if (Array.isArray(delta.tool_calls)) {
+          delta.tool_calls.forEach(addToolCallDelta);
+        }
+      } catch (err) {
+        console.error('Error parsing streaming data:', err);
+      }
+    };
+
+    stream.on('data', (chunk) => {
+      // Events can be split across chunks, so only handle complete lines
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    });
+
+    stream.on('end', () => {
+      if (buffer) handleLine(buffer);
+      finish();
+    });
+
+    stream.on('error', (err) => {
+      if (!finished) {
+        finished = true;
+        reject(err);
+      }
+    });
+  });
+};
+
+/**
+ * Read an Anthropic Messages API stream until it ends
+ * @param {Stream} stream - Readable stream returned by axios with responseType 'stream'
+ * @param {Function} onChunk - Called with { content } for every text delta
+ * @returns {Promise<Object>} - The assembled reply with model, usage and any tool calls
+ */
+const collectAnthropicStream = (stream, onChunk) => {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let reply = '';
+    let model = null;
+    let inputTokens = 0;
+    let outputTokens = 0;
+    let finished = false;
+    const toolCalls = [];
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      resolve({
+        reply,
+        model,
+        usage: {
+          prompt_tokens: inputTokens,
+          completion_tokens: outputTokens,
+          total_tokens: inputTokens + outputTokens
+        },
+        toolCalls: toolCalls.filter(Boolean).map(call => ({ id: call.id, name: call.name, arguments: call.arguments || '{}' }))
+      });
+    };
+
+    const handleEvent = (event) => {
+      switch (event.type) {
+        case 'message_start':
+          model = event.message?.model || model;
+          inputTokens = event.message?.usage?.input_tokens || 0;
+          outputTokens = event.message?.usage?.output_tokens || 0;
+          break;
+        case 'content_block_start':
+          if (event.content_block?.type === 'tool_use') {
+            toolCalls[event.index] = { id: event.content_block.id, name: event.content_block.name, arguments: '' };
+          }
+          break;
+        case 'content_block_delta':
+          if (event.delta?.type === 'text_delta') {
+            reply += event.delta.text;
+            onChunk({ content: event.delta.text });
+          } else if (event.delta?.type === 'input_json_delta' && toolCalls[event.index]) {
+            toolCalls[event.index].arguments += event.delta.partial_json;
+          }
+          break;
+        case 'message_delta':
+          if (event.usage?.output_tokens) outputTokens = event.usage.output_tokens;
+          break;
+        case 'message_stop':
+          finish();
+          break;
+        case 'error':
+          if (!finished) {
+            finished = true;
+            reject(new Error(event.error?.message || 'Anthropic stream error'));
+          }
+          break;
+        default:
+          break;
+      }
+    };
+
+    const handleLine = (line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) return;
+
+      try {
+        handleEvent(JSON.parse(trimmed.replace(/^data:/, '').trim()));
+      } catch (err) {
+        console.error('Error parsing streaming data:', err);
+      }
+    };
+
+    stream.on('data', (chunk) => {
+      // Events can be split across chunks, so only handle complete lines
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    });
+
+    stream.on('end', () => {
+      if (buffer) handleLine(buffer);
+      finish();
+    });
+
+    stream.on('error', (err) => {
+      if (!finished) {
+        finished = true;
+        reject(err);
+      }
+    });
+  });
+};
+
+/**
+ * Prepare an Express response for Server-Sent Events
+ * @param {Object} res - Express response
+ */
+const initSSE = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+};
+
+/**
+ * Write a single Server-Sent Event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serialisable payload
+ */
+const sendSSE = (res, event, data) => {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+module.exports = {
+  collectCompletionStream,
+  collectAnthropicStream,
+  initSSE,
+  sendSSE
+};
@@ -0,0 +1,104 @@
+const axios = require('axios');
+const { safeCompare } = require('./channelUtils');
+
+/**
+ * Adapter for the Telegram Bot API. Updates are pushed to the webhook set with
+ * setWebhook, which echoes its secret_token in a header; replies go out with
+ * sendMessage.
+ */
+class TelegramChannel {
+  /**
+   * @param {Object} settings - Connection defaults
+   * @param {string} settings.apiUrl - Base URL of the Bot API
+   */
+  constructor(settings = {}) {
+    this.name = 'telegram';
+    this.apiUrl = settings.apiUrl || process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+    this.maxLength = 4096;
+  }
+
+  /**
+   * Whether a configuration has the credentials this channel needs
+   * @param {Object} settings - The config's channelSettings.telegram
+   * @returns {boolean}
+   */
+  isConfigured(settings) {
+    return Boolean(settings?.botToken && settings?.secretToken);
+  }
+
+  /**
+   * Telegram has no subscription check
+   * @returns {null}
+   */
+  verifySubscription() {
+    return null;
+  }
+
+  /**
+   * Check the X-Telegram-Bot-Api-Secret-Token header
+   * @param {Object} req - Express request
+   * @param {Object} settings - The config's channelSettings.telegram
+   * @returns {boolean}
+   */
+  verifyRequest(req, settings) {
+    return safeCompare(settings?.secretToken, req.get('x-telegram-bot-api-secret-token'));
+  }
+
+  /**
+   * Reply to send for requests that are not messages
+   * @returns {null} - Telegram has none
+   */
+  handshake() {
+    return null;
+  }
+
+  /**
+   * Read the user message out of an update; edits, other bots and non-text messages are skipped
+   * @param {Object} body - Update payload
+   * @returns {Array} - [{ messageId, externalId, userId, chatId, text }]
+   */
+  parseMessages(body = {}) {
+    const message = body.message;
+    if (!message?.text || message.from?.is_bot) {
+      return [];
+    }
+
+    const chatId = String(message.chat.id);
+    const userId = String(message.from?.id || message.chat.id);
+
+    return [{
+      messageId: String(body.update_id),
+      // Each member of a group chat has their own conversation with the bot
+      externalId: chatId === userId ? chatId : `${chatId}:${userId}`,
+      userId,
+      chatId,
+      text: message.text
+    }];
+  }
+
+  /**
+   * Send a text message to a Telegram chat
+   * @param {Object} settings - The config's channelSettings.telegram
+   * @param {Object} message - The inbound message being answered (from parseMessages)
+   * @param {string} text - Reply text, at most maxLength characters
+   * @returns {Promise<Object>} - The API response
+   */
+  async sendMessage(settings, message, text) {
+    try {
+      const response = await axios.post(`${this.apiUrl}/bot${settings.botToken}/sendMessage`, {
+        chat_id: message.chatId,
+        text
+      }, {
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      return response.data;
+    } catch (error) {
+      // The bot token is part of the URL, so only the API's own description is logged
+      console.error('Error sending Telegram message:', error.response?.data || error.code || 'request failed');
+      throw new Error(`Failed to send Telegram message: ${error.response?.data?.description || error.code || 'request failed'}`, { cause: error });
+    }
+  }
+}
+
+module.exports = TelegramChannel;
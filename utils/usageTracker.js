@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const UsageRecord = require('../models/UsageRecord');
+
+// Ways the admin usage report can be grouped, with the field each one groups on
+const GROUP_FIELDS = {
+  config: '$configId',
+  user: '$userId',
+  model: '$model',
+  provider: '$provider',
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } }
+};
+
+// Usage fields shared by bot message metadata and usage records
+const USAGE_FIELDS = ['configId', 'userId', 'provider', 'model', 'promptTokens', 'completionTokens', 'totalTokens', 'latency', 'cost'];
+
+/**
+ * Match stage for usage report filters
+ * @param {Object} filters - { from, to, configId, userId, model, provider }
+ * @param {string} prefix - Path of the usage fields in the collection, e.g. 'metadata.'
+ * @returns {Object} - Mongo query
+ */
+const usageMatch = (filters, prefix = '') => {
+  const match = {};
+
+  if (filters.from || filters.to) {
+    match.timestamp = {};
+    if (filters.from) match.timestamp.$gte = filters.from;
+    if (filters.to) match.timestamp.$lte = filters.to;
+  }
+  if (filters.configId) match[`${prefix}configId`] = new mongoose.Types.ObjectId(filters.configId);
+  ['userId', 'model', 'provider'].forEach(field => {
+    if (filters[field]) match[`${prefix}${field}`] = filters[field];
+  });
+
+  return match;
+};
+
+/**
+ * Projection that brings usage fields to the top level
+ * @param {string} prefix - Path of the usage fields in the collection
+ * @param {number} isMessage - 1 for bot messages, 0 for usage records
+ * @returns {Object} - $project stage contents
+ */
+const usageProjection = (prefix, isMessage) => {
+  const projection = { _id: 0, timestamp: 1, isMessage: { $literal: isMessage } };
+  USAGE_FIELDS.forEach(field => {
+    projection[field] = `$${prefix}${field}`;
+  });
+  return projection;
+};
+
+/**
+ * Records token usage, latency and estimated cost on bot messages (and, for AI
+ * calls that store no message such as intent extraction and summaries, as
+ * usage records) and aggregates both for the admin usage reports and quotas. Prices come from
+ * config/pricing.json (or AI_PRICING_FILE), per perTokens tokens, looked up by
+ * model name and then by provider.
+ */
+class UsageTracker {
+  constructor() {
+    this.pricingPath = process.env.AI_PRICING_FILE || path.join(__dirname, '../config/pricing.json');
+    this.pricing = { currency: 'USD', perTokens: 1000000, models: {}, providers: {} };
+    this.loadPricing();
+  }
+
+  /**
+   * Load the price table from disk
+   */
+  loadPricing() {
+    try {
+      if (fs.existsSync(this.pricingPath)) {
+        const pricing = JSON.parse(fs.readFileSync(this.pricingPath, 'utf8'));
+        this.pricing = {
+          currency: pricing.currency || 'USD',
+          perTokens: pricing.perTokens || 1000000,
+          models: pricing.models || {},
+          providers: pricing.providers || {}
+        };
+        console.log('AI pricing table loaded successfully');
+      } else {
+        console.warn(`AI pricing table not found at ${this.pricingPath}; costs will not be estimated`);
+      }
+    } catch (error) {
+      console.error('Error loading AI pricing table:', error);
+    }
+  }
+
+  /**
+   * Find the price of a model
+   * @param {string} provider - Provider that answered
+   * @param {string} model - Model name as returned by the provider
+   * @returns {Object|null} - { input, output } per perTokens tokens, or null when unknown
+   */
+  getPrice(provider, model) {
+    const models = this.pricing.models;
+
+    if (model) {
+      if (models[model]) {
+        return models[model];
+      }
+
+      // Providers report dated versions such as gpt-4o-mini-2024-07-18; use the longest matching name
+      const base = Object.keys(models)
+        .filter(name => model.startsWith(`${name}-`))
+        .sort((a, b) => b.length - a.length)[0];
+      if (base) {
+        return models[base];
+      }
+    }
+
+    return (provider && this.pricing.providers[provider]) || null;
+  }
+
+  /**
+   * Estimate the cost of a model call
+   * @param {string} provider - Provider that answered
+   * @param {string} model - Model name
+   * @param {Object} usage - { prompt_tokens, completion_tokens }
+   * @returns {number|null} - Cost in the pricing currency, or null when the model has no price
+   */
+  estimateCost(provider, model, usage) {
+    const price = this.getPrice(provider, model);
+    if (!price || !usage) {
+      return null;
+    }
+
+    const cost = ((usage.prompt_tokens || 0) * (price.input || 0) +
+      (usage.completion_tokens || 0) * (price.output || 0)) / this.pricing.perTokens;
+
+    // Round to a millionth of the currency unit
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  /**
+   * Metadata to store with a bot message: who it is billed to, which provider answered and what it cost
+   * @param {Object} response - Response from aiClientManager.generateResponse or generateStreamingResponse
+   * @param {Object} session - The chat session
+   * @returns {Object} - Message metadata
+   */
+  messageMetadata(response = {}, session = null) {
+    const usage = response.usage || null;
+
+    return {
+      configId: session?.configId,
+      userId: session?.userId,
+      provider: response.provider,
+      model: response.model,
+      promptTokens: usage?.prompt_tokens || 0,
+      completionTokens: usage?.completion_tokens || 0,
+      totalTokens: usage?.total_tokens || (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0),
+      latency: response.latency,
+      cost: this.estimateCost(response.provider, response.model, usage),
+      failedProviders: response.failedProviders?.length > 0 ? response.failedProviders : undefined
+    };
+  }
+
+  /**
+   * Record the usage of an AI call that does not produce a bot message, so that it is
+   * reported and counted toward quotas like replies are. Failures are logged, never thrown.
+   * @param {Object} response - Response from aiClientManager
+   * @param {Object} params
+   * @param {string} params.configId - Configuration the call is billed to
+   * @param {string} params.sessionId - Session the call was made for
+   * @param {string} params.userId - User (or visitor) of the session
+   * @param {string} params.purpose - intent or summary
+   * @returns {Promise<Object|null>} - The usage record, or null when there was nothing to record
+   */
+  async recordCall(response, { configId, sessionId, userId, purpose }) {
+    if (!response || !configId) {
+      return null;
+    }
+
+    try {
+      const { failedProviders, ...usage } = this.messageMetadata(response, { configId, userId });
+      return await UsageRecord.create({ ...usage, sessionId, purpose });
+    } catch (error) {
+      console.error(`Error recording ${purpose} usage for configuration ${configId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Aggregate the usage recorded on bot messages and usage records
+   * @param {string} groupBy - config, user, day, model or provider
+   * @param {Object} filters - { from, to, configId, userId, model, provider }
+   * @returns {Promise<Object>} - { currency, groups: [{ key, messages, promptTokens, completionTokens, totalTokens, cost, averageLatency }], totals }; messages counts bot replies only
+   */
+  async summarize(groupBy, filters = {}) {
+    const totalsStage = {
+      messages: { $sum: '$isMessage' },
+      promptTokens: { $sum: '$promptTokens' },
+      completionTokens: { $sum: '$completionTokens' },
+      totalTokens: { $sum: '$totalTokens' },
+      cost: { $sum: { $ifNull: ['$cost', 0] } },
+      // Reply latency, which is what users wait for
+      averageLatency: { $avg: { $cond: ['$isMessage', '$latency', null] } }
+    };
+
+    const [result] = await Message.aggregate([
+      { $match: { role: 'bot', metadata: { $exists: true }, ...usageMatch(filters, 'metadata.') } },
+      { $project: usageProjection('metadata.', 1) },
+      {
+        $unionWith: {
+          coll: UsageRecord.collection.name,
+          pipeline: [
+            { $match: usageMatch(filters) },
+            { $project: usageProjection('', 0) }
+          ]
+        }
+      },
+      {
+        $facet: {
+          groups: [
+            { $group: { _id: GROUP_FIELDS[groupBy], ...totalsStage } },
+            { $sort: groupBy === 'day' ? { _id: 1 } : { cost: -1, totalTokens: -1 } }
+          ],
+          totals: [
+            { $group: { _id: null, ...totalsStage } }
+          ]
+        }
+      }
+    ]);
+
+    const format = ({ _id, ...totals }) => ({
+      ...totals,
+      cost: Math.round(totals.cost * 1e6) / 1e6,
+      averageLatency: totals.averageLatency === null ? null : Math.round(totals.averageLatency)
+    });
+
+    return {
+      currency: this.pricing.currency,
+      groups: result.groups.map(group => ({ key: group._id, ...format(group) })),
+      totals: result.totals[0]
+        ? format(result.totals[0])
+        : { messages: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, averageLatency: null }
+    };
+  }
+
+  /**
+   * Ways the usage report can be grouped
+   * @returns {Array} - Group names
+   */
+  get groupings() {
+    return Object.keys(GROUP_FIELDS);
+  }
+}
+
+// Export a singleton instance
+module.exports = new UsageTracker();
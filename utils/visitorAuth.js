@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Signed tokens for anonymous website visitors. A visitor token names the one
+ * session it may read and post to; it is signed with JWT_SECRET but can never
+ * pass as a user token, which needs a user ID.
+ */
+class VisitorAuth {
+  constructor() {
+    this.expiresIn = process.env.VISITOR_TOKEN_EXPIRES_IN || '30d';
+  }
+
+  /**
+   * User ID recorded on a new visitor's session
+   * @returns {string} - e.g. visitor:3f2c...
+   */
+  newVisitorId() {
+    return `visitor:${crypto.randomUUID()}`;
+  }
+
+  /**
+   * Issue a token for a visitor's session
+   * @param {Object} session - The session document
+   * @returns {string} - Signed token
+   */
+  issue(session) {
+    return jwt.sign(
+      { type: 'visitor', sessionId: String(session._id), configId: String(session.configId), visitorId: session.userId },
+      process.env.JWT_SECRET,
+      { expiresIn: this.expiresIn }
+    );
+  }
+
+  /**
+   * Check a visitor token
+   * @param {string} token - Token sent by the visitor
+   * @returns {Object|null} - { sessionId, configId, visitorId }, or null when invalid or expired
+   */
+  verify(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.type !== 'visitor' || !decoded.sessionId) {
+        return null;
+      }
+      return { sessionId: decoded.sessionId, configId: decoded.configId, visitorId: decoded.visitorId };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new VisitorAuth();
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { hmacSha256 } = require('./channelUtils');
+
+// Attempts kept in a delivery's log
+const MAX_LOGGED_ATTEMPTS = 20;
+
+/**
+ * Sends events (orders, sessions, messages) to the webhook URLs subscribed to
+ * them. Every delivery is logged; failed ones are retried with exponential
+ * backoff and can be replayed by admins. Bodies are signed with the
+ * subscription's secret in the X-Webhook-Signature header:
+ * t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">.
+ */
+class WebhookDispatcher {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+    this.retryBaseSeconds = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30;
+    this.maxRetryDelaySeconds = 6 * 60 * 60;
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+    this.retrySweepIntervalMs = 30 * 1000;
+    this.retrySweeper = null;
+  }
+
+  /**
+   * Events a subscription can receive
+   * @returns {Array} - Event names
+   */
+  get events() {
+    return WebhookSubscription.EVENTS;
+  }
+
+  /**
+   * Notify the subscribers of a configuration's event. Never throws, so callers
+   * can fire and forget without holding up their response.
+   * @param {string} configId - The configuration (bot) the event belongs to
+   * @param {string} event - Event name, e.g. order.created
+   * @param {Object} data - Event data
+   * @returns {Promise<Array>} - The deliveries created
+   */
+  async emit(configId, event, data) {
+    try {
+      if (!configId) {
+        return [];
+      }
+
+      const subscriptions = await WebhookSubscription.find({ configId, active: true, events: event });
+      if (subscriptions.length === 0) {
+        return [];
+      }
+
+      // Serialize documents once so every subscriber gets the same body
+      const payload = {
+        id: crypto.randomUUID(),
+        event,
+        createdAt: new Date().toISOString(),
+        configId: String(configId),
+        data: JSON.parse(JSON.stringify(data))
+      };
+
+      const deliveries = [];
+      for (const subscription of subscriptions) {
+        const delivery = await WebhookDelivery.create({
+          subscriptionId: subscription._id,
+          configId,
+          event,
+          payload,
+          // Claimed by this process for the first attempt
+          nextAttemptAt: this._leaseUntil()
+        });
+        deliveries.push(delivery);
+        this.deliver(delivery)
+          .catch(error => console.error(`Error delivering webhook ${delivery._id}:`, error));
+      }
+
+      return deliveries;
+    } catch (error) {
+      console.error(`Error emitting ${event} webhooks for configuration ${configId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Send a delivery once and record the attempt, scheduling a retry when it fails
+   * @param {Object} delivery - WebhookDelivery document
+   * @returns {Promise<Object>} - The updated delivery
+   */
+  async deliver(delivery) {
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+    if (!subscription || !subscription.active) {
+      delivery.status = 'failed';
+      delivery.lastError = 'Subscription was removed or deactivated';
+      return delivery.save();
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+    const attempt = { at: new Date() };
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Chatbot-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Id': delivery.payload.id,
+          'X-Webhook-Delivery': String(delivery._id),
+          'X-Webhook-Signature': `t=${timestamp},v1=${hmacSha256(subscription.secret, `${timestamp}.${body}`)}`
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        // Any response is recorded; only 2xx counts as delivered
+        validateStatus: () => true
+      });
+
+      attempt.statusCode = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `Responded with status ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.code || error.message;
+    }
+
+    attempt.duration = Date.now() - startTime;
+
+    delivery.attempts += 1;
+    delivery.lastStatusCode = attempt.statusCode;
+    delivery.lastError = attempt.error;
+    delivery.attemptLog = [...delivery.attemptLog, attempt].slice(-MAX_LOGGED_ATTEMPTS);
+
+    if (!attempt.error) {
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = attempt.at;
+    } else if (delivery.attempts >= this.maxAttempts) {
+      delivery.status = 'failed';
+      console.error(`Webhook delivery ${delivery._id} (${delivery.event}) failed after ${delivery.attempts} attempts: ${attempt.error}`);
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + this.retryDelay(delivery.attempts) * 1000);
+    }
+
+    return delivery.save();
+  }
+
+  /**
+   * Seconds to wait before the next attempt: 30s, 1m, 2m, 4m, ... up to 6 hours
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in seconds
+   */
+  retryDelay(attempts) {
+    return Math.min(this.retryBaseSeconds * 2 ** (attempts - 1), this.maxRetryDelaySeconds);
+  }
+
+  /**
+   * Send a delivery again as a new delivery with the same payload and event ID
+   * @param {string} deliveryId - WebhookDelivery ID
+   * @returns {Promise<Object|null>} - The new delivery after its first attempt, or null when not found
+   */
+  async replay(deliveryId) {
+    const original = await WebhookDelivery.findById(deliveryId);
+    if (!original) {
+      return null;
+    }
+
+    const delivery = await WebhookDelivery.create({
+      subscriptionId: original.subscriptionId,
+      configId: original.configId,
+      event: original.event,
+      payload: original.payload,
+      replayOf: original._id,
+      nextAttemptAt: this._leaseUntil()
+    });
+
+    return this.deliver(delivery);
+  }
+
+  /**
+   * Retry every pending delivery that is due
+   * @returns {Promise<number>} - Number of deliveries attempted
+   */
+  async retryDue() {
+    let attempted = 0;
+
+    // Claim one delivery at a time so several server processes never send the same one
+    for (;;) {
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+        { $set: { nextAttemptAt: this._leaseUntil() } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+      );
+      if (!delivery) break;
+
+      await this.deliver(delivery);
+      attempted++;
+    }
+
+    return attempted;
+  }
+
+  /**
+   * Start retrying failed deliveries periodically
+   */
+  startRetrySweeper() {
+    if (this.retrySweeper) return;
+
+    this.retrySweeper = setInterval(() => {
+      this.retryDue()
+        .catch(error => console.error('Error retrying webhook deliveries:', error));
+    }, this.retrySweepIntervalMs);
+
+    // Do not keep the process alive just for the sweeper
+    this.retrySweeper.unref();
+  }
+
+  /**
+   * Time until which an in-flight delivery is left alone by the retry sweeper
+   * @private
+   * @returns {Date}
+   */
+  _leaseUntil() {
+    return new Date(Date.now() + this.timeoutMs * 2);
+  }
+}
+
+// Export a singleton instance
+module.exports = new WebhookDispatcher();
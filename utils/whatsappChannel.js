@@ -0,0 +1,125 @@
+const axios = require('axios');
+const { safeCompare, hmacSha256 } = require('./channelUtils');
+
+/**
+ * Adapter for the Meta WhatsApp Cloud API. Inbound messages arrive as webhook
+ * notifications signed with the app secret; replies go out through the
+ * phone number's /messages endpoint.
+ */
+class WhatsAppChannel {
+  /**
+   * @param {Object} settings - Connection defaults
+   * @param {string} settings.apiUrl - Base URL of the Graph API, including the version
+   */
+  constructor(settings = {}) {
+    this.name = 'whatsapp';
+    this.apiUrl = settings.apiUrl || process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v19.0';
+    this.maxLength = 4096;
+  }
+
+  /**
+   * Whether a configuration has the credentials this channel needs
+   * @param {Object} settings - The config's channelSettings.whatsapp
+   * @returns {boolean}
+   */
+  isConfigured(settings) {
+    return Boolean(settings?.phoneNumberId && settings?.accessToken && settings?.appSecret);
+  }
+
+  /**
+   * Answer the subscription check Meta sends when the webhook URL is saved
+   * @param {Object} query - Request query with hub.mode, hub.verify_token and hub.challenge
+   * @param {Object} settings - The config's channelSettings.whatsapp
+   * @returns {string|null} - The challenge to echo back, or null when the token does not match
+   */
+  verifySubscription(query, settings) {
+    if (query['hub.mode'] !== 'subscribe' || !settings?.verifyToken) {
+      return null;
+    }
+    return safeCompare(settings.verifyToken, query['hub.verify_token']) ? query['hub.challenge'] : null;
+  }
+
+  /**
+   * Check the X-Hub-Signature-256 header against the raw request body
+   * @param {Object} req - Express request with rawBody
+   * @param {Object} settings - The config's channelSettings.whatsapp
+   * @returns {boolean}
+   */
+  verifyRequest(req, settings) {
+    if (!req.rawBody || !settings?.appSecret) {
+      return false;
+    }
+    return safeCompare(`sha256=${hmacSha256(settings.appSecret, req.rawBody)}`, req.get('x-hub-signature-256'));
+  }
+
+  /**
+   * Reply to send for requests that are not messages, such as the Slack URL check
+   * @returns {null} - WhatsApp has none
+   */
+  handshake() {
+    return null;
+  }
+
+  /**
+   * Read the user messages out of a webhook notification; delivery statuses and media are skipped
+   * @param {Object} body - Webhook payload
+   * @returns {Array} - [{ messageId, externalId, userId, chatId, text }]
+   */
+  parseMessages(body = {}) {
+    const messages = [];
+
+    (body.entry || []).forEach((entry) => {
+      (entry.changes || []).forEach((change) => {
+        (change.value?.messages || []).forEach((message) => {
+          const text = message.text?.body ||
+            message.button?.text ||
+            message.interactive?.button_reply?.title ||
+            message.interactive?.list_reply?.title;
+
+          if (text) {
+            messages.push({
+              messageId: message.id,
+              externalId: message.from,
+              userId: message.from,
+              chatId: message.from,
+              text
+            });
+          }
+        });
+      });
+    });
+
+    return messages;
+  }
+
+  /**
+   * Send a text message to a WhatsApp user
+   * @param {Object} settings - The config's channelSettings.whatsapp
+   * @param {Object} message - The inbound message being answered (from parseMessages)
+   * @param {string} text - Reply text, at most maxLength characters
+   * @returns {Promise<Object>} - The API response
+   */
+  async sendMessage(settings, message, text) {
+    try {
+      const response = await axios.post(`${this.apiUrl}/${settings.phoneNumberId}/messages`, {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: message.chatId,
+        type: 'text',
+        text: { body: text }
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${settings.accessToken}`
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Error sending WhatsApp message:', error.response?.data || error.message);
+      throw new Error(`Failed to send WhatsApp message: ${error.response?.data?.error?.message || error.message}`, { cause: error });
+    }
+  }
+}
+
+module.exports = WhatsAppChannel;